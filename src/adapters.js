@@ -0,0 +1,238 @@
+/**
+ * A2A authentication adapters for Fastify, Koa and plain node:http servers.
+ *
+ * All adapters share the validation core of the Express middleware
+ * (`authenticateHeaders`), so every server flavour accepts the same
+ * credentials and answers with the same RFC 6750 responses.
+ */
+
+const { AUTH_MODES, clientResolver, loggerFor, resolveModes, wwwAuthenticate, continueTrace, authenticateHeaders } = require('./middleware');
+const { redactError } = require('./redact');
+
+/**
+ * Describe a request that could not be authenticated because of an error.
+ *
+ * @param {Error} error - Error raised while validating the request
+ * @returns {Object} Denied result with status 500 and the redacted error
+ */
+function failedOutcome(error) {
+    return {
+        allowed: false,
+        status: 500,
+        reason: 'error',
+        authMode: null,
+        headers: {},
+        body: { error: 'Internal server error' },
+        error: redactError(error)
+    };
+}
+
+/**
+ * Authenticate a request's headers against a resolved client and describe the outcome.
+ *
+ * @param {TraylinxAuthClient} client - Client used for introspection
+ * @param {Object} headers - Incoming request headers
+ * @param {string[]} modes - Accepted authentication modes
+ * @returns {Promise<Object>} Result as described by authenticateRequest()
+ */
+async function describeAuthentication(client, headers, modes) {
+    try {
+        const { result, authMode, reason } = await authenticateHeaders(client, headers, modes);
+        if (result) {
+            return { allowed: true, status: 200, authMode, traylinx: result };
+        }
+        return {
+            allowed: false,
+            status: 401,
+            reason,
+            authMode,
+            headers: { 'WWW-Authenticate': wwwAuthenticate(reason) },
+            body: { error: 'Invalid or missing authentication' }
+        };
+    } catch (error) {
+        return failedOutcome(error);
+    }
+}
+
+/**
+ * Authenticate a request's headers and describe the outcome.
+ *
+ * Never throws: validation failures (e.g. the auth service being unreachable)
+ * are reported as a denied result with status 500 and the error, with any
+ * axios request config redacted (see redactError()). Introspection runs in the
+ * incoming request's trace context (W3C traceparent).
+ *
+ * @param {Object} headers - Incoming request headers (lower-cased, as in node:http)
+ * @param {Object} options - Authentication options
+ * @param {TraylinxAuthClient|Function} options.client - Client instance (or a function returning one)
+ * @param {string[]} [options.modes=['bearer', 'custom']] - Accepted authentication modes
+ * @returns {Promise<Object>} Either
+ *   `{ allowed: true, status: 200, authMode, traylinx }` with the IntrospectionResult, or
+ *   `{ allowed: false, status, reason, authMode, headers, body }` where status is 401
+ *   (reason 'missing_credentials' or 'invalid_token') or 500 (reason 'error', with the
+ *   redacted `error`)
+ *
+ * @throws {ValidationError} If the client or modes are invalid
+ */
+async function authenticateRequest(headers, options = {}) {
+    const getClient = clientResolver(options.client);
+    const modes = resolveModes(options.modes || AUTH_MODES);
+
+    let client;
+    try {
+        client = getClient();
+    } catch (error) {
+        return failedOutcome(error);
+    }
+    return continueTrace(client, headers, () => describeAuthentication(client, headers, modes));
+}
+
+/**
+ * Bind authenticateRequest to a client and modes, validating them up front.
+ *
+ * @param {Object} options - Adapter options
+ * @returns {Function} `(headers) => Promise<Object>`
+ */
+function createAuthenticator(options) {
+    const client = clientResolver(options.client);
+    const modes = resolveModes(options.modes || AUTH_MODES);
+    return headers => authenticateRequest(headers, { client, modes });
+}
+
+/**
+ * Create a Fastify plugin authenticating A2A requests.
+ *
+ * The plugin registers an `onRequest` hook and decorates `request.traylinx`
+ * (IntrospectionResult) and `request.authMode`. It is not encapsulated, so it
+ * protects every route of the instance it is registered on; register it inside
+ * a child context to protect only some routes.
+ *
+ * Introspection continues the incoming trace, but route handlers do not: a
+ * Fastify hook cannot run the rest of the request inside a context. Use the
+ * OpenTelemetry Fastify instrumentation to trace handlers.
+ *
+ * @param {Object} [defaults={}] - Default options, overridable at registration
+ * @param {TraylinxAuthClient|Function} defaults.client - Client instance (or a function returning one)
+ * @param {string[]} [defaults.modes=['bearer', 'custom']] - Accepted authentication modes
+ * @param {Function} [defaults.skip] - `(request) => boolean`; requests for which it returns true bypass authentication
+ * @returns {Function} Fastify plugin `(fastify, options, done)`
+ *
+ * @example
+ * fastify.register(createFastifyPlugin(), { client, skip: (request) => request.url === '/health' });
+ * fastify.get('/orders', async (request) => ({ caller: request.traylinx.clientId }));
+ */
+function createFastifyPlugin(defaults = {}) {
+    function traylinxA2AAuth(fastify, options, done) {
+        let authenticate;
+        let getClient;
+        let skip;
+        try {
+            const merged = { ...defaults, ...options };
+            authenticate = createAuthenticator(merged);
+            getClient = clientResolver(merged.client);
+            skip = merged.skip || null;
+        } catch (error) {
+            done(error);
+            return;
+        }
+
+        if (!fastify.hasRequestDecorator('traylinx')) {
+            fastify.decorateRequest('traylinx', null);
+            fastify.decorateRequest('authMode', null);
+        }
+
+        fastify.addHook('onRequest', async (request, reply) => {
+            if (skip && skip(request)) {
+                return;
+            }
+
+            const outcome = await authenticate(request.headers);
+            if (outcome.allowed) {
+                request.traylinx = outcome.traylinx;
+                request.authMode = outcome.authMode;
+                return;
+            }
+
+            if (outcome.error) {
+                loggerFor(getClient).error('auth.middleware.failed', { error: redactError(outcome.error) });
+            }
+            reply.code(outcome.status).headers(outcome.headers).send(outcome.body);
+            return reply;
+        });
+
+        done();
+    }
+
+    // Equivalent of wrapping with fastify-plugin: apply the hook to the parent context
+    traylinxA2AAuth[Symbol.for('skip-override')] = true;
+    traylinxA2AAuth[Symbol.for('fastify.display-name')] = 'traylinx-a2a-auth';
+
+    return traylinxA2AAuth;
+}
+
+/**
+ * Create Koa middleware authenticating A2A requests.
+ *
+ * On success the introspection result is attached to `ctx.state.traylinx` and
+ * the detected mode to `ctx.state.authMode`. Introspection and the downstream
+ * middleware run in the incoming request's trace context (W3C traceparent).
+ *
+ * @param {Object} options - Middleware options
+ * @param {TraylinxAuthClient|Function} options.client - Client instance (or a function returning one)
+ * @param {string[]} [options.modes=['bearer', 'custom']] - Accepted authentication modes
+ * @param {Function} [options.skip] - `(ctx) => boolean`; requests for which it returns true bypass authentication
+ * @returns {Function} Koa middleware `async (ctx, next)`
+ *
+ * @throws {ValidationError} If the options are invalid
+ *
+ * @example
+ * app.use(createKoaMiddleware({ client, modes: ['bearer'] }));
+ * app.use(ctx => { ctx.body = { caller: ctx.state.traylinx.clientId }; });
+ */
+function createKoaMiddleware(options = {}) {
+    const getClient = clientResolver(options.client);
+    const modes = resolveModes(options.modes || AUTH_MODES);
+    const skip = options.skip || null;
+
+    const deny = (ctx, outcome) => {
+        if (outcome.error) {
+            loggerFor(getClient).error('auth.middleware.failed', { error: redactError(outcome.error) });
+        }
+        ctx.status = outcome.status;
+        ctx.set(outcome.headers);
+        ctx.body = outcome.body;
+    };
+
+    return async function traylinxA2AAuth(ctx, next) {
+        if (skip && skip(ctx)) {
+            await next();
+            return;
+        }
+
+        let client;
+        try {
+            client = getClient();
+        } catch (error) {
+            deny(ctx, failedOutcome(error));
+            return;
+        }
+
+        // Downstream middleware runs in the caller's trace context too
+        await continueTrace(client, ctx.headers, async () => {
+            const outcome = await describeAuthentication(client, ctx.headers, modes);
+            if (!outcome.allowed) {
+                deny(ctx, outcome);
+                return;
+            }
+            ctx.state.traylinx = outcome.traylinx;
+            ctx.state.authMode = outcome.authMode;
+            await next();
+        });
+    };
+}
+
+module.exports = {
+    authenticateRequest,
+    createFastifyPlugin,
+    createKoaMiddleware
+};
@@ -0,0 +1,133 @@
+/**
+ * Circuit breaker for calls to the Traylinx auth service.
+ *
+ * After `failureThreshold` consecutive failures the circuit opens and calls
+ * fail immediately with CircuitOpenError instead of waiting through retries.
+ * Once `cooldown` has elapsed a single trial call is let through (half-open):
+ * success closes the circuit, failure opens it for another cool-down.
+ */
+
+const { CircuitOpenError } = require('./errors');
+
+const STATES = {
+    CLOSED: 'closed',
+    OPEN: 'open',
+    HALF_OPEN: 'half-open'
+};
+
+class CircuitBreaker {
+    /**
+     * Create a CircuitBreaker.
+     * @param {string} name - Name of the protected endpoint, used in errors and events
+     * @param {Object} [options={}] - Breaker options
+     * @param {number} [options.failureThreshold=5] - Consecutive failures that open the circuit
+     * @param {number} [options.cooldown=30000] - Time in milliseconds the circuit stays open
+     * @param {Function} [options.isFailure] - `(error) => boolean`; errors for which it returns false do not count
+     * @param {Function} [options.onStateChange] - `({ name, from, to }) => void` called on every transition
+     */
+    constructor(name, options = {}) {
+        this.name = name;
+        this.failureThreshold = options.failureThreshold || 5;
+        this.cooldown = options.cooldown || 30000;
+        this.isFailure = options.isFailure || (() => true);
+        this.onStateChange = options.onStateChange || (() => {});
+
+        this.state = STATES.CLOSED;
+        this.failures = 0;
+        this.openedAt = null;
+        this._trialInFlight = false;
+    }
+
+    /**
+     * Run a call through the breaker.
+     *
+     * @param {Function} fn - `() => Promise` performing the call
+     * @returns {Promise<*>} The call's result
+     * @throws {CircuitOpenError} If the circuit is open
+     */
+    async execute(fn) {
+        this._beforeCall();
+
+        const trial = this.state === STATES.HALF_OPEN;
+        if (trial) {
+            this._trialInFlight = true;
+        }
+
+        try {
+            const result = await fn();
+            this._onSuccess();
+            return result;
+        } catch (error) {
+            if (this.isFailure(error)) {
+                this._onFailure();
+            } else {
+                this._onSuccess();
+            }
+            throw error;
+        } finally {
+            if (trial) {
+                this._trialInFlight = false;
+            }
+        }
+    }
+
+    /**
+     * Reject the call if the circuit is open, moving to half-open once the cool-down is over.
+     *
+     * @throws {CircuitOpenError} If calls are not allowed
+     */
+    _beforeCall() {
+        if (this.state === STATES.OPEN) {
+            const remaining = this.openedAt + this.cooldown - Date.now();
+            if (remaining > 0) {
+                throw new CircuitOpenError(this.name, remaining);
+            }
+            this._transition(STATES.HALF_OPEN);
+        }
+
+        // Only one trial call at a time while half-open
+        if (this.state === STATES.HALF_OPEN && this._trialInFlight) {
+            throw new CircuitOpenError(this.name, 0);
+        }
+    }
+
+    /**
+     * Record a successful call, closing the circuit if it was not closed.
+     */
+    _onSuccess() {
+        this.failures = 0;
+        if (this.state !== STATES.CLOSED) {
+            this.openedAt = null;
+            this._transition(STATES.CLOSED);
+        }
+    }
+
+    /**
+     * Record a failed call, opening the circuit when the threshold is reached
+     * or the half-open trial failed.
+     */
+    _onFailure() {
+        this.failures++;
+        if (this.state === STATES.HALF_OPEN || this.failures >= this.failureThreshold) {
+            this.openedAt = Date.now();
+            if (this.state !== STATES.OPEN) {
+                this._transition(STATES.OPEN);
+            }
+        }
+    }
+
+    /**
+     * Change state and notify the listener.
+     *
+     * @param {string} to - New state
+     */
+    _transition(to) {
+        const from = this.state;
+        this.state = to;
+        this.onStateChange({ name: this.name, from, to });
+    }
+}
+
+CircuitBreaker.STATES = STATES;
+
+module.exports = CircuitBreaker;
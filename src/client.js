@@ -1,15 +1,122 @@
+const { EventEmitter } = require('events');
+const util = require('util');
 const axios = require('axios');
 const { v4: uuidv4 } = require('uuid');
 const { validateConfig } = require('./validation');
+const { validateTokenStore } = require('./tokenStore');
+const IntrospectionCache = require('./introspectionCache');
+const IntrospectionResult = require('./introspectionResult');
+const RetryBudget = require('./retryBudget');
+const CircuitBreaker = require('./circuitBreaker');
+const JwtVerifier = require('./jwtVerifier');
+const { REDACTED, redactSecrets } = require('./redact');
+const { Logger } = require('./logger');
+const { AuthMetrics, validateMetrics } = require('./metrics');
+const { Tracing, SpanKind, sanitizeUrl } = require('./tracing');
 const {
     TraylinxAuthError,
     AuthenticationError,
     TokenExpiredError,
     NetworkError,
+    RpcError,
+    RpcProtocolError,
+    RpcValidationError,
     ValidationError
 } = require('./errors');
 
-class TraylinxAuthClient {
+const DEFAULT_RETRY_STATUS_CODES = [429, 500, 502, 503, 504];
+const DEFAULT_RETRY_ERROR_CODES = ['ECONNABORTED', 'ENOTFOUND', 'ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT'];
+
+/**
+ * Payload of 'token:fetched', emitted after new tokens were obtained from /oauth/token.
+ * @typedef {Object} TokenFetchedEvent
+ * @property {string} requestId - Correlation ID shared with log entries and retries
+ * @property {number} expiresIn - Token lifetime granted by the auth service, in seconds
+ * @property {number} expiresAt - Expiry timestamp (ms since epoch)
+ * @property {?string} scope - Granted scope, if returned
+ * @property {number} durationMs - Time taken, including retries
+ */
+
+/**
+ * Payload of 'token:refreshFailed', emitted when a token request fails.
+ * @typedef {Object} TokenRefreshFailedEvent
+ * @property {string} requestId - Correlation ID shared with log entries and retries
+ * @property {TraylinxAuthError} error - The error thrown to callers (messages are redacted)
+ * @property {number} consecutiveFailures - Failures since the last successful fetch
+ * @property {number} durationMs - Time taken, including retries
+ */
+
+/**
+ * Payload of 'request:retry', emitted before a failed request to the auth service
+ * or another agent is retried.
+ * @typedef {Object} RequestRetryEvent
+ * @property {?string} requestId - Correlation ID of token and introspection requests
+ * @property {string} method - HTTP method
+ * @property {string} url - Request URL
+ * @property {?number} status - HTTP status of the failed attempt, if any
+ * @property {?string} code - Network error code of the failed attempt, if any
+ * @property {number} attempt - Retry number, starting at 1
+ * @property {number} delayMs - Delay before the retry
+ */
+
+/**
+ * Payload of 'introspection:result', emitted for every token validated by introspectToken().
+ * @typedef {Object} IntrospectionResultEvent
+ * @property {string} requestId - Correlation ID shared with log entries and retries
+ * @property {string} agentUserId - Agent user ID the token was checked against
+ * @property {boolean} active - Whether the token is valid
+ * @property {string} source - 'jwt', 'cache' or 'introspect'
+ * @property {?string} clientId - Client the token was issued to
+ * @property {?string} sub - Token subject
+ * @property {string[]} scope - Granted scopes
+ * @property {?number} exp - Expiry (seconds since epoch)
+ */
+
+/**
+ * Payload of 'auth:rejected', emitted by the middleware and adapters when an
+ * incoming request is refused.
+ * @typedef {Object} AuthRejectedEvent
+ * @property {string} requestId - X-Request-Id of the request, or a generated ID
+ * @property {string} reason - 'missing_credentials', 'invalid_token' or 'insufficient_scope'
+ * @property {string} authMode - 'bearer', 'custom' or 'none'
+ * @property {?string} agentUserId - Agent user ID claimed by the caller, if any
+ * @property {string[]} [requiredScopes] - Scopes required by requireScopes() (insufficient_scope only)
+ * @property {string[]} [grantedScopes] - Scopes the caller's token carries (insufficient_scope only)
+ */
+
+/**
+ * Payload of 'circuit:stateChange'.
+ * @typedef {Object} CircuitStateChangeEvent
+ * @property {string} endpoint - '/oauth/token', '/oauth/agent/introspect' or '/a2a/rpc'
+ * @property {string} from - Previous state ('closed', 'open' or 'half-open')
+ * @property {string} to - New state
+ */
+
+/**
+ * Payload of 'token:stale'.
+ * @typedef {Object} TokenStaleEvent
+ * @property {NetworkError} error - Why the refresh failed
+ * @property {number} expiresAt - Expiry timestamp of the tokens being served
+ * @property {boolean} expired - True if the tokens are past expiry (within maxStaleMs)
+ */
+
+/**
+ * Client for the Traylinx auth service.
+ * 
+ * Lifecycle events (payloads never contain secrets):
+ * - 'token:fetched' ({@link TokenFetchedEvent}) after new tokens were obtained
+ * - 'token:refreshFailed' ({@link TokenRefreshFailedEvent}) when a token request fails
+ * - 'token:stale' ({@link TokenStaleEvent}) when a failed refresh is answered with
+ *   the cached tokens (staleWhileRevalidate)
+ * - 'request:retry' ({@link RequestRetryEvent}) before a request is retried
+ * - 'introspection:result' ({@link IntrospectionResultEvent}) for every validated token
+ * - 'auth:rejected' ({@link AuthRejectedEvent}) when the middleware refuses a request
+ * - 'circuit:stateChange' ({@link CircuitStateChangeEvent}) when a circuit breaker changes state
+ * 
+ * Errors thrown by listeners are logged and otherwise ignored, so a faulty
+ * listener cannot break authentication.
+ */
+class TraylinxAuthClient extends EventEmitter {
     constructor(clientId, clientSecret, apiBaseUrl, agentUserId, options = {}) {
         /**
          * Initialize TraylinxAuthClient with comprehensive input validation.
@@ -22,11 +129,40 @@ class TraylinxAuthClient {
          * @param {number} options.timeout - Request timeout in milliseconds (default: 30000)
          * @param {number} options.maxRetries - Maximum retry attempts (default: 3)
          * @param {number} options.retryDelay - Base delay between retries in milliseconds (default: 1000)
-         * @param {boolean} options.cacheTokens - Whether to cache tokens (default: true)
+         * @param {number[]} options.retryStatusCodes - HTTP statuses that are retried (default: [429, 500, 502, 503, 504])
+         * @param {string[]} options.retryErrorCodes - Network error codes that are retried (default: ECONNABORTED, ENOTFOUND, ECONNREFUSED, ECONNRESET, ETIMEDOUT)
+         * @param {number} options.maxRetryAfter - Longest Retry-After delay in milliseconds the client waits for before retrying (default: 30000)
+         * @param {number} options.retryBudgetRatio - Retries allowed per request sent in the budget window (default: 0.1)
+         * @param {number} options.retryBudgetWindow - Retry budget sliding window in milliseconds (default: 60000)
+         * @param {number} options.retryBudgetMinRetries - Retries always allowed per budget window (default: 10)
+         * @param {boolean} options.circuitBreaker - Fail fast with CircuitOpenError while an auth service endpoint keeps failing (default: false)
+         * @param {number} options.circuitBreakerThreshold - Consecutive failures that open an endpoint's circuit (default: 5)
+         * @param {number} options.circuitBreakerCooldown - Time in milliseconds a circuit stays open before a trial call (default: 30000)
+         * @param {boolean} options.cacheTokens - Whether to use options.tokenStore (default: true)
+         * @param {Object} options.tokenStore - Shared token store with async get/set/delete (see tokenStore.js)
+         * @param {number} options.refreshSkew - Refresh tokens this many milliseconds before they expire (default: 30000)
+         * @param {number} options.refreshSkewRatio - Refresh tokens once less than this fraction of expires_in remains (default: 0)
+         * @param {boolean} options.backgroundRefresh - Renew tokens ahead of expiry on a timer (default: false)
+         * @param {boolean} options.staleWhileRevalidate - Keep serving cached tokens when a refresh fails on a network error (default: false)
+         * @param {number} options.maxStaleMs - How long past expiry cached tokens may still be served in that case (default: 0)
+         * @param {number} options.introspectionCacheTtl - Cache active introspection results for this many milliseconds (default: 0, disabled)
+         * @param {number} options.introspectionNegativeCacheTtl - Cache inactive introspection results for this many milliseconds (default: 0, disabled)
+         * @param {number} options.introspectionCacheSize - Maximum number of cached introspection results (default: 1000)
+         * @param {string} options.verificationMode - How tokens are validated: 'introspect', 'jwt' or 'jwt-then-introspect' (default: 'introspect')
+         * @param {string} options.jwksUrl - JWKS used for local JWT verification (default: {apiBaseUrl}/.well-known/jwks.json)
+         * @param {string} options.jwtIssuer - Required `iss` claim of JWT agent tokens (default: not checked)
+         * @param {string|string[]} options.jwtAudience - Accepted `aud` values of JWT agent tokens (default: not checked)
+         * @param {number} options.jwtClockTolerance - Allowed clock skew in milliseconds for exp/nbf/iat (default: 30000)
+         * @param {number} options.jwksCacheTtl - How long fetched JWKS keys are used in milliseconds (default: 600000)
          * @param {string} options.logLevel - Logging level (default: "INFO")
+         * @param {Object} options.logger - pino/winston-compatible logger with debug/info/warn/error (default: JSON lines on stderr)
+         * @param {Object} options.tracer - OpenTelemetry-compatible tracer; spans are created for token fetch, introspection, RPC and A2A requests (default: disabled)
+         * @param {Object} options.otelApi - The `@opentelemetry/api` module, used to parent spans and continue incoming traces (default: none)
+         * @param {boolean|AuthMetrics} options.metrics - true, or a (shared) AuthMetrics instance, to record Prometheus metrics (default: disabled)
          * 
          * @throws {Error} If any configuration parameter is invalid
          */
+        super();
 
         // Prepare configuration object
         const configParams = {
@@ -37,7 +173,30 @@ class TraylinxAuthClient {
             timeout: options.timeout || 30000,
             maxRetries: options.maxRetries || 3,
             retryDelay: options.retryDelay || 1000,
+            retryStatusCodes: options.retryStatusCodes || DEFAULT_RETRY_STATUS_CODES,
+            retryErrorCodes: options.retryErrorCodes || DEFAULT_RETRY_ERROR_CODES,
+            maxRetryAfter: options.maxRetryAfter !== undefined ? options.maxRetryAfter : 30000,
+            retryBudgetRatio: options.retryBudgetRatio !== undefined ? options.retryBudgetRatio : 0.1,
+            retryBudgetWindow: options.retryBudgetWindow || 60000,
+            retryBudgetMinRetries: options.retryBudgetMinRetries !== undefined ? options.retryBudgetMinRetries : 10,
+            circuitBreaker: options.circuitBreaker !== undefined ? options.circuitBreaker : false,
+            circuitBreakerThreshold: options.circuitBreakerThreshold || 5,
+            circuitBreakerCooldown: options.circuitBreakerCooldown || 30000,
             cacheTokens: options.cacheTokens !== undefined ? options.cacheTokens : true,
+            refreshSkew: options.refreshSkew !== undefined ? options.refreshSkew : 30000,
+            refreshSkewRatio: options.refreshSkewRatio !== undefined ? options.refreshSkewRatio : 0,
+            backgroundRefresh: options.backgroundRefresh !== undefined ? options.backgroundRefresh : false,
+            staleWhileRevalidate: options.staleWhileRevalidate !== undefined ? options.staleWhileRevalidate : false,
+            maxStaleMs: options.maxStaleMs || 0,
+            introspectionCacheTtl: options.introspectionCacheTtl || 0,
+            introspectionNegativeCacheTtl: options.introspectionNegativeCacheTtl || 0,
+            introspectionCacheSize: options.introspectionCacheSize || 1000,
+            verificationMode: options.verificationMode || 'introspect',
+            jwksUrl: options.jwksUrl,
+            jwtIssuer: options.jwtIssuer,
+            jwtAudience: options.jwtAudience,
+            jwtClockTolerance: options.jwtClockTolerance !== undefined ? options.jwtClockTolerance : 30000,
+            jwksCacheTtl: options.jwksCacheTtl || 600000,
             logLevel: options.logLevel || 'INFO'
         };
 
@@ -61,9 +220,78 @@ class TraylinxAuthClient {
         this.apiBaseUrl = this.config.apiBaseUrl.replace(/\/+$/, '');
         this.agentUserId = this.config.agentUserId;
 
+        // Structured logger; secrets known to the client are scrubbed from every entry
+        this.logger = new Logger({
+            logger: options.logger,
+            level: this.config.logLevel,
+            secrets: () => [this.clientSecret, this.accessToken, this.agentSecretToken]
+        });
+
+        // Opt-in Prometheus metrics, possibly shared with other clients
+        this.metrics = null;
+        if (options.metrics) {
+            this.metrics = options.metrics === true ? new AuthMetrics() : validateMetrics(options.metrics);
+        }
+
+        // Opt-in OpenTelemetry-compatible tracing and W3C trace context propagation
+        this.tracing = options.tracer ? new Tracing({ tracer: options.tracer, api: options.otelApi }) : null;
+
+        // Shared token store consulted before requesting tokens (only when cacheTokens is enabled)
+        this.tokenStore = null;
+        if (this.config.cacheTokens && options.tokenStore) {
+            this.tokenStore = validateTokenStore(options.tokenStore);
+        }
+
+        // Introspection results cache, enabled when either TTL is set
+        this.introspectionCache = null;
+        if (this.config.introspectionCacheTtl > 0 || this.config.introspectionNegativeCacheTtl > 0) {
+            this.introspectionCache = new IntrospectionCache({
+                maxEntries: this.config.introspectionCacheSize,
+                activeTtl: this.config.introspectionCacheTtl,
+                inactiveTtl: this.config.introspectionNegativeCacheTtl
+            });
+        }
+
+        // Local JWT verification against the JWKS, unless every token is introspected
+        this.jwtVerifier = null;
+        if (this.config.verificationMode !== 'introspect') {
+            this.jwtVerifier = new JwtVerifier({
+                jwksUrl: this.config.jwksUrl || `${this.apiBaseUrl}/.well-known/jwks.json`,
+                issuer: this.config.jwtIssuer,
+                audience: this.config.jwtAudience,
+                clockTolerance: this.config.jwtClockTolerance,
+                cacheTtl: this.config.jwksCacheTtl,
+                fetchJwks: url => this._fetchJwks(url)
+            });
+        }
+
         this.accessToken = null;
         this.agentSecretToken = null;
         this.tokenExpiration = null;
+        // Lifetime (expires_in) of the cached tokens in milliseconds
+        this.tokenLifetime = null;
+        // Scope granted with the cached tokens, if the auth service returned one
+        this.tokenScope = null;
+
+        // Timer renewing tokens ahead of expiry when backgroundRefresh is enabled
+        this._refreshTimer = null;
+        this._closed = false;
+
+        // In-flight token fetch shared by all concurrent callers (single-flight)
+        this._fetchPromise = null;
+        // Number of token fetches actually sent to the auth service
+        this.tokenFetchCount = 0;
+        this.consecutiveRefreshFailures = 0;
+
+        // Caps retries to a fraction of recent traffic
+        this.retryBudget = new RetryBudget({
+            ratio: this.config.retryBudgetRatio,
+            window: this.config.retryBudgetWindow,
+            minRetries: this.config.retryBudgetMinRetries
+        });
+
+        // Circuit breakers per auth service endpoint, created on first use
+        this.circuitBreakers = new Map();
 
         // Initialize axios instance with retry configuration
         this.axiosInstance = this._createAxiosInstanceWithRetries();
@@ -88,23 +316,53 @@ class TraylinxAuthClient {
 
         // Add retry interceptor
         instance.interceptors.response.use(
-            (response) => response, // Success case - return response as-is
+            (response) => {
+                // Count first attempts towards the retry budget
+                if (!response.config || !response.config.__retryCount) {
+                    this.retryBudget.recordRequest();
+                }
+                return response;
+            },
             async (error) => {
                 const config = error.config;
 
                 // Initialize retry count if not present
                 if (!config.__retryCount) {
                     config.__retryCount = 0;
+                    this.retryBudget.recordRequest();
                 }
 
                 // Check if we should retry
                 const shouldRetry = this._shouldRetry(error, config);
 
                 if (shouldRetry && config.__retryCount < this.config.maxRetries) {
+                    const retryAfter = this._getRetryAfterMs(error);
+
+                    // Fail fast if the server asks for a longer pause than we are willing to wait,
+                    // or if retries already make up too much of the recent traffic
+                    const retryAfterTooLong = retryAfter !== null && retryAfter > this.config.maxRetryAfter;
+                    if (retryAfterTooLong || !this.retryBudget.tryAcquire()) {
+                        this.logger.warn('request.retry.skipped', {
+                            ...this._describeRequest(error),
+                            reason: retryAfterTooLong ? 'retry_after' : 'retry_budget'
+                        });
+                        return Promise.reject(error);
+                    }
+
                     config.__retryCount++;
 
-                    // Calculate delay with exponential backoff
-                    const delay = this._calculateRetryDelay(config.__retryCount);
+                    // Honor Retry-After, otherwise use exponential backoff
+                    const delay = retryAfter !== null ? retryAfter : this._calculateRetryDelay(config.__retryCount);
+                    const retry = {
+                        ...this._describeRequest(error),
+                        attempt: config.__retryCount,
+                        delayMs: delay
+                    };
+                    this.logger.warn('request.retry', retry);
+                    if (this.metrics) {
+                        this.metrics.observeRetry(retry);
+                    }
+                    this.emit('request:retry', retry);
 
                     // Wait before retrying
                     await this._sleep(delay);
@@ -121,6 +379,23 @@ class TraylinxAuthClient {
         return instance;
     }
 
+    /**
+     * Describe a failed request for log entries.
+     * 
+     * @param {Error} error - Axios error
+     * @returns {Object} requestId, method, url, status and code
+     */
+    _describeRequest(error) {
+        const config = error.config || {};
+        return {
+            requestId: config.__requestId,
+            method: config.method ? String(config.method).toUpperCase() : undefined,
+            url: config.url,
+            status: error.response ? error.response.status : undefined,
+            code: error.code
+        };
+    }
+
     /**
      * Determine if a request should be retried based on error type and configuration.
      * 
@@ -129,8 +404,8 @@ class TraylinxAuthClient {
      * @returns {boolean} True if the request should be retried
      */
     _shouldRetry(error, config) {
-        // Don't retry if retries are disabled
-        if (this.config.maxRetries === 0) {
+        // Don't retry if retries are disabled, globally or for this request
+        if (this.config.maxRetries === 0 || config.__noRetry) {
             return false;
         }
 
@@ -140,20 +415,91 @@ class TraylinxAuthClient {
         }
 
         // Retry on network errors
-        if (error.code && ['ECONNABORTED', 'ENOTFOUND', 'ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT'].includes(error.code)) {
+        if (error.code && this.config.retryErrorCodes.includes(error.code)) {
             return true;
         }
 
         // Retry on specific HTTP status codes
         if (error.response) {
-            const status = error.response.status;
-            const retryableStatuses = [429, 500, 502, 503, 504];
-            return retryableStatuses.includes(status);
+            return this.config.retryStatusCodes.includes(error.response.status);
         }
 
         return false;
     }
 
+    /**
+     * Read the Retry-After header of an error response.
+     * 
+     * Supports both forms defined by RFC 9110: a number of seconds and an HTTP-date.
+     * 
+     * @param {Error} error - The axios error
+     * @returns {?number} Delay requested by the server in milliseconds, or null if absent or invalid
+     */
+    _getRetryAfterMs(error) {
+        const headers = error.response && error.response.headers;
+        const value = headers ? headers['retry-after'] : undefined;
+        if (value === undefined || value === null) {
+            return null;
+        }
+
+        const text = String(value).trim();
+        if (/^\d+$/.test(text)) {
+            return Number(text) * 1000;
+        }
+
+        // HTTP-dates start with the day name; anything else (e.g. negative numbers) is invalid
+        const date = /^[A-Za-z]/.test(text) ? Date.parse(text) : NaN;
+        if (Number.isNaN(date)) {
+            return null;
+        }
+        return Math.max(0, date - Date.now());
+    }
+
+    /**
+     * Run an auth service call through the circuit breaker for its endpoint.
+     * 
+     * Only network errors and 5xx responses count as failures: a 4xx answer
+     * means the service is up. Calls run directly when circuitBreaker is disabled.
+     * 
+     * @param {string} endpoint - Endpoint path, e.g. '/oauth/token'
+     * @param {Function} fn - `() => Promise` performing the call
+     * @returns {Promise<*>} The call's result
+     * @throws {CircuitOpenError} If the endpoint's circuit is open
+     */
+    _withCircuitBreaker(endpoint, fn) {
+        if (!this.config.circuitBreaker) {
+            return fn();
+        }
+
+        let breaker = this.circuitBreakers.get(endpoint);
+        if (!breaker) {
+            breaker = new CircuitBreaker(endpoint, {
+                failureThreshold: this.config.circuitBreakerThreshold,
+                cooldown: this.config.circuitBreakerCooldown,
+                isFailure: error => !error.response || error.response.status >= 500,
+                onStateChange: ({ name, from, to }) => {
+                    this.logger.warn('circuit.stateChange', { endpoint: name, from, to });
+                    this.emit('circuit:stateChange', { endpoint: name, from, to });
+                }
+            });
+            this.circuitBreakers.set(endpoint, breaker);
+        }
+        return breaker.execute(fn);
+    }
+
+    /**
+     * Get the state of each circuit breaker.
+     * 
+     * @returns {Object} Map of endpoint to 'closed', 'open' or 'half-open' (empty until a breaker is used)
+     */
+    getCircuitBreakerStates() {
+        const states = {};
+        for (const [endpoint, breaker] of this.circuitBreakers) {
+            states[endpoint] = breaker.state;
+        }
+        return states;
+    }
+
     /**
      * Calculate retry delay with exponential backoff.
      * 
@@ -183,11 +529,16 @@ class TraylinxAuthClient {
     /**
      * Handle and convert axios errors to custom error classes.
      * 
+     * The axios error is not attached to the thrown error, since its request
+     * config carries the client secret and tokens; messages taken from the
+     * error or the response are scrubbed of them too.
+     * 
      * @param {Error} error - The original axios error
      * @param {string} context - Description of what operation was being performed
+     * @param {string[]} [secrets=[]] - Other values to scrub, e.g. a token being introspected
      * @throws {NetworkError|AuthenticationError|TraylinxAuthError}
      */
-    _handleRequestError(error, context = 'request') {
+    _handleRequestError(error, context = 'request', secrets = []) {
         // Handle axios-specific errors
         if (error.code === 'ECONNABORTED') {
             throw new NetworkError(
@@ -220,6 +571,7 @@ class TraylinxAuthClient {
             const status = error.response.status;
             const statusText = error.response.statusText || '';
             const responseData = error.response.data || {};
+            const retryAfterMs = this._getRetryAfterMs(error);
 
             if (status === 401) {
                 throw new AuthenticationError(
@@ -231,20 +583,24 @@ class TraylinxAuthClient {
                 throw new NetworkError(
                     `Rate limit exceeded during ${context}. Please retry after some time.`,
                     'RATE_LIMIT',
-                    429
+                    429,
+                    retryAfterMs
                 );
             } else if (status >= 500 && status < 600) {
                 throw new NetworkError(
                     `Server error (${status}) during ${context}. The service may be temporarily unavailable.`,
                     'SERVER_ERROR',
-                    status
+                    status,
+                    retryAfterMs
                 );
             } else {
-                const errorMessage = responseData.message || responseData.error || statusText || 'Unknown error';
+                // The server may echo parts of the request, which can include our credentials
+                const errorMessage = this._redact(responseData.message || responseData.error || statusText || 'Unknown error', secrets);
                 throw new NetworkError(
                     `HTTP error (${status}) during ${context}: ${errorMessage}`,
                     'HTTP_ERROR',
-                    status
+                    status,
+                    retryAfterMs
                 );
             }
         }
@@ -260,239 +616,1424 @@ class TraylinxAuthClient {
 
         // Handle other errors
         throw new TraylinxAuthError(
-            `Unexpected error during ${context}: ${error.message}`,
+            `Unexpected error during ${context}: ${this._redact(error.message, secrets)}`,
             'UNKNOWN_ERROR'
         );
     }
 
-    async _fetchTokens() {
-        try {
-            const response = await this.axiosInstance.post(`${this.apiBaseUrl}/oauth/token`, new URLSearchParams({
-                grant_type: 'client_credentials',
-                client_id: this.clientId,
-                client_secret: this.clientSecret,
-                scope: 'a2a',
-            }), {
-                headers: {
-                    'Content-Type': 'application/x-www-form-urlencoded',
-                }
+    /**
+     * Replace the client secret and cached tokens in a message.
+     * 
+     * @param {string} text - Text that may echo credentials
+     * @param {string[]} [secrets=[]] - Other values to scrub
+     * @returns {string} Scrubbed text
+     */
+    _redact(text, secrets = []) {
+        return redactSecrets(text, [this.clientSecret, this.accessToken, this.agentSecretToken, ...secrets]);
+    }
+
+    /**
+     * Fetch a fresh token pair from the auth service.
+     * 
+     * Concurrent calls are coalesced into a single in-flight request: every
+     * caller waiting on a refresh receives the same result or the same error.
+     * 
+     * @returns {Promise<void>} Resolves once the tokens have been stored
+     * @throws {AuthenticationError|NetworkError|TraylinxAuthError}
+     */
+    _fetchTokens() {
+        if (!this._fetchPromise) {
+            this._fetchPromise = this._loadTokens().finally(() => {
+                this._fetchPromise = null;
             });
+        }
+        return this._fetchPromise;
+    }
 
-            const tokenData = response.data;
+    /**
+     * Load tokens from the token store, falling back to the auth service.
+     * 
+     * Tokens fetched from the network are written back to the store so other
+     * clients sharing it can reuse them. If the store implements lock(), the
+     * store is read again and the tokens fetched under the lock, so only one of
+     * the clients sharing a cold store requests tokens. Store failures never
+     * fail a fetch; if the lock cannot be acquired the tokens are fetched
+     * without it.
+     * 
+     * @returns {Promise<void>}
+     */
+    async _loadTokens() {
+        if (!this.tokenStore) {
+            await this._requestTokens();
+            return;
+        }
 
-            // Validate token response structure
-            const requiredFields = ['access_token', 'agent_secret_token', 'expires_in'];
-            const missingFields = requiredFields.filter(field => !(field in tokenData));
-            if (missingFields.length > 0) {
-                throw new AuthenticationError(
-                    `Invalid token response: missing fields ${missingFields.join(', ')}`,
-                    'MALFORMED_TOKEN_RESPONSE',
-                    200
-                );
-            }
+        if (await this._useStoredTokens()) {
+            return;
+        }
 
-            this.accessToken = tokenData.access_token;
-            this.agentSecretToken = tokenData.agent_secret_token;
-            this.tokenExpiration = Date.now() + (tokenData.expires_in * 1000);
+        if (typeof this.tokenStore.lock !== 'function') {
+            await this._requestTokens();
+            await this._writeStoredTokens();
+            return;
+        }
 
+        let locked = false;
+        try {
+            await this.tokenStore.lock(this._tokenStoreKey(), async () => {
+                locked = true;
+                await this._requestAndStoreTokens();
+            });
         } catch (error) {
-            if (error instanceof TraylinxAuthError) {
-                throw error; // Re-throw our custom errors
+            if (locked) {
+                throw error;
             }
-            this._handleRequestError(error, 'token fetch');
+            this.logger.warn('token.store.lock.failed', { error });
+            await this._requestAndStoreTokens();
         }
     }
 
-    async getAccessToken() {
-        if (!this.accessToken || Date.now() >= this.tokenExpiration) {
-            await this._fetchTokens();
+    /**
+     * Request tokens and share them through the store, unless another client
+     * stored usable tokens in the meantime.
+     * 
+     * @returns {Promise<void>}
+     */
+    async _requestAndStoreTokens() {
+        if (await this._useStoredTokens()) {
+            return;
         }
 
-        if (!this.accessToken) {
-            throw new TokenExpiredError(
-                'Access token is not available. Token fetch may have failed.',
-                'TOKEN_UNAVAILABLE',
-                401
-            );
+        await this._requestTokens();
+        await this._writeStoredTokens();
+    }
+
+    /**
+     * Cache usable tokens found in the store.
+     * 
+     * @returns {Promise<boolean>} True if stored tokens were used
+     */
+    async _useStoredTokens() {
+        const stored = await this._readStoredTokens();
+        if (stored) {
+            this._setTokens(stored);
         }
+        return Boolean(stored);
+    }
 
-        return this.accessToken;
+    /**
+     * Key identifying this client's tokens in the token store.
+     * 
+     * @returns {string} Token store key
+     */
+    _tokenStoreKey() {
+        return `traylinx-auth:${this.apiBaseUrl}:${this.clientId}`;
     }
 
-    async getAgentSecretToken() {
-        if (!this.agentSecretToken || Date.now() >= this.tokenExpiration) {
-            await this._fetchTokens();
+    /**
+     * Read a token pair from the store if it is still outside the refresh window.
+     * 
+     * @returns {Promise<?Object>} Stored tokens, or null if unusable
+     */
+    async _readStoredTokens() {
+        let stored;
+        try {
+            stored = await this.tokenStore.get(this._tokenStoreKey());
+        } catch (error) {
+            return null;
         }
 
-        if (!this.agentSecretToken) {
-            throw new TokenExpiredError(
-                'Agent secret token is not available. Token fetch may have failed.',
-                'TOKEN_UNAVAILABLE',
-                401
-            );
+        if (!stored || !stored.accessToken || !stored.agentSecretToken ||
+            Date.now() >= stored.expiresAt - this._getRefreshSkew(stored.lifetime)) {
+            return null;
         }
 
-        return this.agentSecretToken;
+        return stored;
     }
 
-    async getRequestHeaders() {
-        // Get headers for calling the auth service (includes access_token)
-        const accessToken = await this.getAccessToken();
-        const agentSecretToken = await this.getAgentSecretToken();
+    /**
+     * Write the cached token pair to the store, expiring with the tokens.
+     * 
+     * @returns {Promise<void>}
+     */
+    async _writeStoredTokens() {
+        const ttl = this.tokenExpiration - Date.now();
+        if (ttl <= 0) {
+            return;
+        }
 
-        return {
-            'Authorization': `Bearer ${accessToken}`,
-            'X-Agent-Secret-Token': agentSecretToken,
-            'X-Agent-User-Id': this.agentUserId,
-        };
+        try {
+            await this.tokenStore.set(this._tokenStoreKey(), {
+                accessToken: this.accessToken,
+                agentSecretToken: this.agentSecretToken,
+                expiresAt: this.tokenExpiration,
+                lifetime: this.tokenLifetime,
+                scope: this.tokenScope
+            }, ttl);
+        } catch (error) {
+            // The tokens are cached locally; sharing them is best effort
+        }
     }
 
-    async getAgentRequestHeaders() {
-        // Get headers for calling other agents (ONLY agent_secret_token, NO access_token)
-        const agentSecretToken = await this.getAgentSecretToken();
-
-        return {
-            'X-Agent-Secret-Token': agentSecretToken,
-            'X-Agent-User-Id': this.agentUserId,
-        };
+    /**
+     * Cache a token pair on the client and reschedule background renewal.
+     * 
+     * @param {Object} tokens - Token pair
+     * @param {string} tokens.accessToken - Access token
+     * @param {string} tokens.agentSecretToken - Agent secret token
+     * @param {number} tokens.expiresAt - Expiry timestamp in milliseconds
+     * @param {?number} tokens.lifetime - Token lifetime (expires_in) in milliseconds
+     * @param {?string} [tokens.scope] - Granted scope
+     */
+    _setTokens({ accessToken, agentSecretToken, expiresAt, lifetime, scope }) {
+        this.accessToken = accessToken;
+        this.agentSecretToken = agentSecretToken;
+        this.tokenExpiration = expiresAt;
+        this.tokenLifetime = lifetime || null;
+        this.tokenScope = scope || null;
+        this._scheduleBackgroundRefresh();
     }
 
-    async validateToken(agentSecretToken, agentUserId) {
+    /**
+     * Perform the client credentials request against /oauth/token.
+     * 
+     * Use _fetchTokens() instead, which guarantees at most one request in flight.
+     * 
+     * @returns {Promise<void>}
+     */
+    async _requestTokens() {
+        this.tokenFetchCount++;
+        const requestId = uuidv4();
+        const log = this.logger.child({ requestId });
+        const startedAt = Date.now();
+        log.debug('token.fetch.start', { clientId: this.clientId });
+
         try {
-            const accessToken = await this.getAccessToken();
-            const response = await this.axiosInstance.post(
-                `${this.apiBaseUrl}/oauth/agent/introspect`,
-                new URLSearchParams({
-                    agent_secret_token: agentSecretToken,
-                    agent_user_id: agentUserId,
-                }),
-                {
-                    headers: {
-                        Authorization: `Bearer ${accessToken}`,
-                        'Content-Type': 'application/x-www-form-urlencoded',
-                    }
+            const expiresIn = await this._traced('traylinx.token.fetch', {
+                kind: SpanKind.CLIENT,
+                attributes: {
+                    ...this._httpSpanAttributes('POST', `${this.apiBaseUrl}/oauth/token`),
+                    'traylinx.client_id': this.clientId,
+                    'traylinx.request_id': requestId
                 }
-            );
-
-            if (response.status === 200) {
-                try {
-                    return response.data.active === true;
-                } catch (parseError) {
-                    throw new AuthenticationError(
-                        `Failed to parse token validation response: ${parseError.message}`,
-                        'INVALID_VALIDATION_RESPONSE',
-                        200
-                    );
+            }, async span => {
+                const expiresIn = await this._postTokenRequest(requestId);
+                if (span) {
+                    span.setAttribute('traylinx.token.expires_in', expiresIn);
                 }
-            } else if (response.status === 401) {
-                // Invalid access token used for validation
+                return expiresIn;
+            });
+            const durationMs = Date.now() - startedAt;
+            this.consecutiveRefreshFailures = 0;
+            log.info('token.fetch.success', { expiresIn, durationMs });
+            if (this.metrics) {
+                this.metrics.observeTokenFetch({ durationMs });
+            }
+            this.emit('token:fetched', {
+                requestId,
+                expiresIn,
+                expiresAt: this.tokenExpiration,
+                scope: this.tokenScope,
+                durationMs
+            });
+        } catch (error) {
+            const durationMs = Date.now() - startedAt;
+            this.consecutiveRefreshFailures++;
+            log.warn('token.fetch.failed', { error, durationMs });
+            if (this.metrics) {
+                this.metrics.observeTokenFetch({ durationMs, error });
+            }
+            this.emit('token:refreshFailed', {
+                requestId,
+                error,
+                consecutiveFailures: this.consecutiveRefreshFailures,
+                durationMs
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Send the token request and cache the returned tokens.
+     * 
+     * @param {string} requestId - Correlation ID for log entries
+     * @returns {Promise<number>} expires_in of the new tokens, in seconds
+     * @throws {AuthenticationError|NetworkError|TraylinxAuthError} If the request fails or the response is malformed
+     */
+    async _postTokenRequest(requestId) {
+        try {
+            const response = await this._withCircuitBreaker('/oauth/token', () => this.axiosInstance.post(`${this.apiBaseUrl}/oauth/token`, new URLSearchParams({
+                grant_type: 'client_credentials',
+                client_id: this.clientId,
+                client_secret: this.clientSecret,
+                scope: 'a2a',
+            }), {
+                headers: {
+                    'Content-Type': 'application/x-www-form-urlencoded',
+                },
+                __requestId: requestId
+            }));
+
+            const tokenData = response.data;
+
+            // Validate token response structure
+            const requiredFields = ['access_token', 'agent_secret_token', 'expires_in'];
+            const missingFields = requiredFields.filter(field => !(field in tokenData));
+            if (missingFields.length > 0) {
                 throw new AuthenticationError(
-                    'Access token invalid for token validation',
-                    'INVALID_ACCESS_TOKEN',
-                    401
+                    `Invalid token response: missing fields ${missingFields.join(', ')}`,
+                    'MALFORMED_TOKEN_RESPONSE',
+                    200
                 );
             }
 
-            return false;
+            const lifetime = tokenData.expires_in * 1000;
+            this._setTokens({
+                accessToken: tokenData.access_token,
+                agentSecretToken: tokenData.agent_secret_token,
+                expiresAt: Date.now() + lifetime,
+                lifetime,
+                scope: tokenData.scope
+            });
+            return tokenData.expires_in;
 
         } catch (error) {
             if (error instanceof TraylinxAuthError) {
                 throw error; // Re-throw our custom errors
             }
-            this._handleRequestError(error, 'token validation');
+            this._handleRequestError(error, 'token fetch');
         }
     }
 
-    async rpcCall(method, params, rpcUrl = null, includeAgentCredentials = null) {
-        rpcUrl = rpcUrl || `${this.apiBaseUrl}/a2a/rpc`;
-
-        // Auto-detect: if calling auth service (default), only use access_token
-        // If calling another agent, use ONLY agent_secret_token (NO access_token!)
-        if (includeAgentCredentials === null) {
-            includeAgentCredentials = rpcUrl !== `${this.apiBaseUrl}/a2a/rpc`;
+    /**
+     * Calculate how long before expiry the cached tokens should be renewed.
+     * 
+     * The larger of refreshSkew and refreshSkewRatio * expires_in is used, capped
+     * at half the token lifetime so short-lived tokens are not refreshed constantly.
+     * 
+     * @param {?number} [lifetime=this.tokenLifetime] - Token lifetime in milliseconds
+     * @returns {number} Refresh skew in milliseconds
+     */
+    _getRefreshSkew(lifetime = this.tokenLifetime) {
+        if (!lifetime) {
+            return this.config.refreshSkew;
         }
 
-        const payload = {
-            jsonrpc: '2.0',
-            method: method,
-            params: params,
-            id: uuidv4(),
-        };
+        const skew = Math.max(this.config.refreshSkew, lifetime * this.config.refreshSkewRatio);
+        return Math.min(skew, lifetime / 2);
+    }
 
-        let headers = {
-            'Content-Type': 'application/json',
-        };
+    /**
+     * Check whether the given cached tokens are missing or inside the refresh window.
+     * 
+     * @param {...?string} tokens - Cached token values the caller needs
+     * @returns {boolean} True if tokens must be fetched before use
+     */
+    _tokensNeedRefresh(...tokens) {
+        return tokens.some(token => !token) || Date.now() >= this.tokenExpiration - this._getRefreshSkew();
+    }
 
-        if (includeAgentCredentials) {
-            // When calling other agents: use ONLY agent_secret_token
-            const agentSecretToken = await this.getAgentSecretToken();
-            headers['X-Agent-Secret-Token'] = agentSecretToken;
-            headers['X-Agent-User-Id'] = this.agentUserId;
-        } else {
-            // When calling auth service: use access_token
-            const accessToken = await this.getAccessToken();
-            headers['Authorization'] = `Bearer ${accessToken}`;
+    /**
+     * Schedule a background renewal shortly before the cached tokens enter the
+     * refresh window. The timer is unref'd so it never keeps the process alive.
+     * 
+     * @param {?number} [delay=null] - Explicit delay in milliseconds (defaults to the refresh window)
+     */
+    _scheduleBackgroundRefresh(delay = null) {
+        this._clearRefreshTimer();
+
+        if (!this.config.backgroundRefresh || this._closed || !this.tokenExpiration) {
+            return;
         }
 
-        try {
-            const response = await this.axiosInstance.post(rpcUrl, payload, {
-                headers
-            });
+        if (delay === null) {
+            delay = Math.max(0, this.tokenExpiration - this._getRefreshSkew() - Date.now());
+        }
 
-            try {
-                const result = response.data;
-
-                // Check for JSON-RPC error response
-                if (result.error) {
-                    const errorInfo = result.error;
-                    const errorCode = errorInfo.code || 'RPC_ERROR';
-                    const errorMessage = errorInfo.message || 'RPC call failed';
-
-                    if (errorCode === -32600) { // Invalid Request
-                        throw new ValidationError(
-                            `Invalid RPC request: ${errorMessage}`,
-                            'INVALID_RPC_REQUEST',
-                            400
-                        );
-                    } else if (errorCode === -32601) { // Method not found
-                        throw new ValidationError(
-                            `RPC method '${method}' not found: ${errorMessage}`,
-                            'METHOD_NOT_FOUND',
-                            404
-                        );
-                    } else if (errorCode === -32602) { // Invalid params
-                        throw new ValidationError(
-                            `Invalid RPC parameters: ${errorMessage}`,
-                            'INVALID_RPC_PARAMS',
-                            400
-                        );
-                    } else {
-                        throw new TraylinxAuthError(
-                            `RPC error (${errorCode}): ${errorMessage}`,
-                            String(errorCode),
-                            500
-                        );
-                    }
+        this._refreshTimer = setTimeout(() => {
+            this._refreshTimer = null;
+            this.logger.debug('token.refresh', { trigger: 'background', expiresAt: this.tokenExpiration });
+            this._fetchTokens().catch(() => {
+                // Callers will refresh on demand; keep trying while the current tokens are still valid
+                if (Date.now() < this.tokenExpiration) {
+                    this._scheduleBackgroundRefresh(this.config.retryDelay);
                 }
+            });
+        }, delay);
 
-                return result;
+        this._refreshTimer.unref();
+    }
 
-            } catch (parseError) {
-                if (parseError instanceof TraylinxAuthError) {
-                    throw parseError; // Re-throw our custom errors
+    /**
+     * Refresh the tokens, falling back to the cached ones if allowed.
+     * 
+     * A proactive refresh inside the refresh window that fails with a NetworkError
+     * (auth service unreachable, circuit open) does not fail the caller while the
+     * cached tokens have not expired yet; the failure is logged and the next call
+     * tries again. Authentication failures are always thrown.
+     * 
+     * With staleWhileRevalidate enabled, a refresh failing with a NetworkError
+     * (auth service unreachable, circuit open) does not fail the caller while the
+     * cached tokens are within expiry plus maxStaleMs. Instead a 'token:stale'
+     * event is emitted and the refresh is retried in the background.
+     * 
+     * @returns {Promise<void>}
+     * @throws {AuthenticationError|NetworkError|TraylinxAuthError} If the refresh failed and the cached tokens cannot be served
+     */
+    async _refreshTokens() {
+        if (this.tokenExpiration) {
+            this.logger.debug('token.refresh', { trigger: 'demand', expiresAt: this.tokenExpiration });
+        }
+
+        try {
+            await this._fetchTokens();
+        } catch (error) {
+            if (!(error instanceof NetworkError)) {
+                throw error;
+            }
+            if (!this._canServeStaleTokens()) {
+                if (!this._hasUnexpiredTokens()) {
+                    throw error;
                 }
-                throw new TraylinxAuthError(
-                    `Failed to parse RPC response: ${parseError.message}`,
-                    'INVALID_RPC_RESPONSE',
-                    200
+                this.logger.warn('token.refresh.failed', { error, expiresAt: this.tokenExpiration });
+                return;
+            }
+
+            const expired = Date.now() >= this.tokenExpiration;
+            this.logger.warn('token.stale', { error, expiresAt: this.tokenExpiration, expired });
+            this.emit('token:stale', {
+                error,
+                expiresAt: this.tokenExpiration,
+                expired
+            });
+            this._scheduleRevalidation();
+        }
+    }
+
+    /**
+     * Check whether both cached tokens are present and not expired yet.
+     * 
+     * @returns {boolean} True if the cached tokens are still valid
+     */
+    _hasUnexpiredTokens() {
+        return Boolean(this.accessToken && this.agentSecretToken && this.tokenExpiration) &&
+            Date.now() < this.tokenExpiration;
+    }
+
+    /**
+     * Check whether the cached tokens may be served after a failed refresh.
+     * 
+     * @returns {boolean} True if staleWhileRevalidate allows serving them
+     */
+    _canServeStaleTokens() {
+        return this.config.staleWhileRevalidate &&
+            Boolean(this.accessToken && this.agentSecretToken && this.tokenExpiration) &&
+            Date.now() < this.tokenExpiration + this.config.maxStaleMs;
+    }
+
+    /**
+     * Retry a failed refresh after retryDelay while stale tokens are being served.
+     * The timer is unref'd and shared with background refresh.
+     */
+    _scheduleRevalidation() {
+        if (this._refreshTimer || this._closed) {
+            return;
+        }
+
+        this._refreshTimer = setTimeout(() => {
+            this._refreshTimer = null;
+            this._fetchTokens().catch(() => {
+                if (this._canServeStaleTokens()) {
+                    this._scheduleRevalidation();
+                }
+            });
+        }, this.config.retryDelay);
+
+        this._refreshTimer.unref();
+    }
+
+    /**
+     * Cancel a pending background refresh, if any.
+     */
+    _clearRefreshTimer() {
+        if (this._refreshTimer) {
+            clearTimeout(this._refreshTimer);
+            this._refreshTimer = null;
+        }
+    }
+
+    /**
+     * Stop background activity owned by this client.
+     * 
+     * Cancels the background refresh timer. Cached tokens stay usable and are
+     * still refreshed on demand.
+     */
+    close() {
+        this._closed = true;
+        this._clearRefreshTimer();
+    }
+
+    /**
+     * Emit an event, logging and swallowing errors thrown by listeners.
+     * 
+     * 'error' events keep the EventEmitter semantics.
+     * 
+     * @param {string|symbol} event - Event name
+     * @param {...*} args - Listener arguments
+     * @returns {boolean} True if the event had listeners
+     */
+    emit(event, ...args) {
+        if (event === 'error') {
+            return super.emit(event, ...args);
+        }
+
+        try {
+            return super.emit(event, ...args);
+        } catch (error) {
+            this.logger.warn('event.listenerFailed', { event: String(event), error });
+            return true;
+        }
+    }
+
+    /**
+     * Drop the cached token pair so the next call fetches a new one.
+     * 
+     * Used when a downstream service rejects our tokens before their advertised
+     * expiry (e.g. Sentinel rotated them early). When rejectedToken is given, the
+     * cache is only cleared while it still holds that token, so concurrent requests
+     * failing with the same token lead to a single refetch.
+     * 
+     * @param {string} [rejectedToken] - Access token or agent secret token that was rejected
+     * @returns {Promise<boolean>} True if the cached tokens were dropped
+     */
+    async invalidateTokens(rejectedToken) {
+        if (rejectedToken !== undefined && rejectedToken !== this.accessToken && rejectedToken !== this.agentSecretToken) {
+            return false;
+        }
+
+        this._clearRefreshTimer();
+        this.accessToken = null;
+        this.agentSecretToken = null;
+        this.tokenExpiration = null;
+        this.tokenLifetime = null;
+        this.tokenScope = null;
+
+        if (this.tokenStore) {
+            try {
+                await this.tokenStore.delete(this._tokenStoreKey());
+            } catch (error) {
+                // A stale shared entry is rejected again and invalidated on the next attempt
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Send an authenticated request, replaying it once with fresh tokens if the
+     * target answers 401. A second 401 is returned to the caller as-is, so a
+     * target that never accepts our tokens cannot cause a refresh loop.
+     * 
+     * @param {Function} getHeaders - `async () => headers` building the authentication headers
+     * @param {Function} send - `(headers) => Promise<response>` performing the request
+     * @returns {Promise<Object>} The axios response
+     */
+    async _sendWithTokenRefresh(getHeaders, send) {
+        const headers = await getHeaders();
+        try {
+            return await send(headers);
+        } catch (error) {
+            if (!error.response || error.response.status !== 401) {
+                throw error;
+            }
+
+            const rejectedToken = headers['X-Agent-Secret-Token'] || String(headers['Authorization']).replace(/^Bearer /, '');
+            this.logger.info('token.rejected', { url: error.config && error.config.url });
+            await this.invalidateTokens(rejectedToken);
+            return send(await getHeaders());
+        }
+    }
+
+    async getAccessToken() {
+        if (this._tokensNeedRefresh(this.accessToken)) {
+            await this._refreshTokens();
+        }
+        return this._cachedAccessToken();
+    }
+
+    async getAgentSecretToken() {
+        if (this._tokensNeedRefresh(this.agentSecretToken)) {
+            await this._refreshTokens();
+        }
+        return this._cachedAgentSecretToken();
+    }
+
+    /**
+     * Return the cached access token without triggering a fetch.
+     * 
+     * @returns {string} The cached access token
+     * @throws {TokenExpiredError} If no access token is cached
+     */
+    _cachedAccessToken() {
+        if (!this.accessToken) {
+            throw new TokenExpiredError(
+                'Access token is not available. Token fetch may have failed.',
+                'TOKEN_UNAVAILABLE',
+                401
+            );
+        }
+
+        return this.accessToken;
+    }
+
+    /**
+     * Return the cached agent secret token without triggering a fetch.
+     * 
+     * @returns {string} The cached agent secret token
+     * @throws {TokenExpiredError} If no agent secret token is cached
+     */
+    _cachedAgentSecretToken() {
+        if (!this.agentSecretToken) {
+            throw new TokenExpiredError(
+                'Agent secret token is not available. Token fetch may have failed.',
+                'TOKEN_UNAVAILABLE',
+                401
+            );
+        }
+
+        return this.agentSecretToken;
+    }
+
+    /**
+     * Describe the cached tokens without contacting the auth service.
+     * 
+     * Token values are left out unless includeSecrets is set, so the result can
+     * be logged or shown on a dashboard. JWT tokens are decoded (not verified).
+     * 
+     * @param {Object} [options={}] - Options
+     * @param {boolean} [options.includeSecrets=false] - Include the raw token strings
+     * @returns {Object} hasTokens, issuedAt, expiresAt and ttlMs (milliseconds), expired, scope, and per-token
+     *   { length, jwt: { header, payload } | null, value? } for accessToken and agentSecretToken (null when absent)
+     */
+    getTokenInfo({ includeSecrets = false } = {}) {
+        const now = Date.now();
+        const accessToken = this._describeToken(this.accessToken, includeSecrets);
+        const agentSecretToken = this._describeToken(this.agentSecretToken, includeSecrets);
+        const claims = (accessToken && accessToken.jwt) ? accessToken.jwt.payload : {};
+        const expiresAt = this.tokenExpiration || null;
+
+        let issuedAt = null;
+        if (expiresAt && this.tokenLifetime) {
+            issuedAt = expiresAt - this.tokenLifetime;
+        } else if (typeof claims.iat === 'number') {
+            issuedAt = claims.iat * 1000;
+        }
+
+        return {
+            hasTokens: Boolean(this.accessToken && this.agentSecretToken),
+            issuedAt,
+            expiresAt,
+            ttlMs: expiresAt ? Math.max(0, expiresAt - now) : null,
+            expired: expiresAt !== null && now >= expiresAt,
+            scope: IntrospectionResult.parseScope(this.tokenScope || claims.scope),
+            accessToken,
+            agentSecretToken
+        };
+    }
+
+    /**
+     * Describe a single token for getTokenInfo().
+     * 
+     * @param {?string} token - Token
+     * @param {boolean} includeSecrets - Include the raw token string
+     * @returns {?Object} { length, jwt, value? }, or null if there is no token
+     */
+    _describeToken(token, includeSecrets) {
+        if (!token) {
+            return null;
+        }
+
+        const info = { length: token.length, jwt: JwtVerifier.decode(token) };
+        if (includeSecrets) {
+            info.value = token;
+        }
+        return info;
+    }
+
+    /**
+     * Serializable view of the client with the client secret and tokens redacted.
+     * 
+     * Used by JSON.stringify() and util.inspect(), so logging a client never
+     * leaks credentials.
+     * 
+     * @returns {Object} Client ID, API base URL, agent user ID, configuration and token info
+     */
+    toJSON() {
+        return {
+            clientId: this.clientId,
+            apiBaseUrl: this.apiBaseUrl,
+            agentUserId: this.agentUserId,
+            config: { ...this.config, clientSecret: REDACTED },
+            tokens: this.getTokenInfo()
+        };
+    }
+
+    /**
+     * util.inspect() hook printing the redacted toJSON() view.
+     */
+    [util.inspect.custom](depth, options, inspect = util.inspect) {
+        return `TraylinxAuthClient ${inspect(this.toJSON(), options)}`;
+    }
+
+    async getRequestHeaders() {
+        // Get headers for calling the auth service (includes access_token)
+        // Both tokens come from the same fetch, so refresh at most once here
+        if (this._tokensNeedRefresh(this.accessToken, this.agentSecretToken)) {
+            await this._refreshTokens();
+        }
+        const accessToken = this._cachedAccessToken();
+        const agentSecretToken = this._cachedAgentSecretToken();
+
+        return {
+            'Authorization': `Bearer ${accessToken}`,
+            'X-Agent-Secret-Token': agentSecretToken,
+            'X-Agent-User-Id': this.agentUserId,
+        };
+    }
+
+    async getAgentRequestHeaders() {
+        // Get headers for calling other agents (ONLY agent_secret_token, NO access_token)
+        const agentSecretToken = await this.getAgentSecretToken();
+
+        return {
+            'X-Agent-Secret-Token': agentSecretToken,
+            'X-Agent-User-Id': this.agentUserId,
+        };
+    }
+
+    async validateToken(agentSecretToken, agentUserId) {
+        const result = await this.introspectToken(agentSecretToken, agentUserId);
+        return result.active;
+    }
+
+    /**
+     * Introspect an agent secret token and return its claims.
+     * 
+     * With verificationMode 'jwt' the token is verified locally against the JWKS
+     * and never sent to the auth service. With 'jwt-then-introspect' tokens that
+     * fail local verification (opaque tokens, unknown keys, JWKS unreachable) are
+     * introspected as usual.
+     * 
+     * @param {string} agentSecretToken - Token to introspect
+     * @param {string} agentUserId - Agent user ID associated with the token
+     * @returns {Promise<IntrospectionResult>} Result with active, scope, exp, iat, clientId, sub and raw claims
+     * @throws {AuthenticationError} If the introspection request is rejected or malformed
+     * @throws {NetworkError} For network-related issues
+     */
+    async introspectToken(agentSecretToken, agentUserId) {
+        const log = this.logger.child({ requestId: uuidv4(), agentUserId });
+        const startedAt = Date.now();
+        try {
+            const [result, source] = await this._traced('traylinx.introspect', {
+                kind: SpanKind.INTERNAL,
+                attributes: {
+                    'traylinx.agent_user_id': agentUserId,
+                    'traylinx.request_id': log.bindings.requestId,
+                    'traylinx.verification_mode': this.config.verificationMode
+                }
+            }, async span => {
+                const outcome = await this._introspect(agentSecretToken, agentUserId, log);
+                if (span) {
+                    span.setAttribute('traylinx.introspection.source', outcome[1]);
+                    span.setAttribute('traylinx.token.active', outcome[0].active);
+                }
+                return outcome;
+            });
+            log.debug('introspection.result', { active: result.active, source });
+            this._observeIntrospection(startedAt, source, result.active);
+            this.emit('introspection:result', {
+                requestId: log.bindings.requestId,
+                agentUserId,
+                active: result.active,
+                source,
+                clientId: result.clientId,
+                sub: result.sub,
+                scope: result.scope,
+                exp: result.exp
+            });
+            return result;
+        } catch (error) {
+            log.warn('introspection.failed', { error });
+            this._observeIntrospection(startedAt, 'unknown', null);
+            throw error;
+        }
+    }
+
+    /**
+     * Record an introspection in the metrics, if enabled.
+     * 
+     * @param {number} startedAt - Start timestamp
+     * @param {string} source - 'jwt', 'cache', 'introspect' or 'unknown'
+     * @param {?boolean} active - Outcome, null if introspection failed
+     */
+    _observeIntrospection(startedAt, source, active) {
+        if (this.metrics) {
+            this.metrics.observeIntrospection({
+                durationMs: Date.now() - startedAt,
+                source,
+                active,
+                cacheEnabled: Boolean(this.introspectionCache)
+            });
+        }
+    }
+
+    /**
+     * Validate a token locally or against the auth service, as configured.
+     * 
+     * @param {string} agentSecretToken - Token to introspect
+     * @param {string} agentUserId - Agent user ID associated with the token
+     * @param {Logger} log - Logger bound to this introspection's request ID
+     * @returns {Promise<Array>} [IntrospectionResult, source] where source is 'jwt', 'cache' or 'introspect'
+     */
+    async _introspect(agentSecretToken, agentUserId, log) {
+        if (this.jwtVerifier) {
+            try {
+                return [await this._verifyJwt(agentSecretToken, agentUserId), 'jwt'];
+            } catch (error) {
+                if (this.config.verificationMode === 'jwt') {
+                    if (error instanceof AuthenticationError) {
+                        log.debug('introspection.jwtRejected', { reason: error.code });
+                        return [IntrospectionResult.inactive(agentUserId), 'jwt'];
+                    }
+                    throw error;
+                }
+                // jwt-then-introspect: let the auth service decide
+                log.debug('introspection.jwtFallback', { reason: error.code });
+            }
+        }
+
+        if (this.introspectionCache) {
+            const cached = this.introspectionCache.get(agentSecretToken, agentUserId);
+            if (cached) {
+                return [IntrospectionResult.fromResponse(cached, agentUserId), 'cache'];
+            }
+        }
+
+        try {
+            const accessToken = await this.getAccessToken();
+            const response = await this._withCircuitBreaker('/oauth/agent/introspect', () => this.axiosInstance.post(
+                `${this.apiBaseUrl}/oauth/agent/introspect`,
+                new URLSearchParams({
+                    agent_secret_token: agentSecretToken,
+                    agent_user_id: agentUserId,
+                }),
+                {
+                    headers: {
+                        Authorization: `Bearer ${accessToken}`,
+                        'Content-Type': 'application/x-www-form-urlencoded',
+                    },
+                    __requestId: log.bindings.requestId
+                }
+            ));
+
+            if (response.status === 200) {
+                let result;
+                try {
+                    result = IntrospectionResult.fromResponse(response.data, agentUserId);
+                } catch (parseError) {
+                    throw new AuthenticationError(
+                        `Failed to parse token validation response: ${parseError.message}`,
+                        'INVALID_VALIDATION_RESPONSE',
+                        200
+                    );
+                }
+
+                if (this.introspectionCache) {
+                    this.introspectionCache.set(agentSecretToken, agentUserId, response.data);
+                }
+                return [result, 'introspect'];
+            } else if (response.status === 401) {
+                // Invalid access token used for validation
+                throw new AuthenticationError(
+                    'Access token invalid for token validation',
+                    'INVALID_ACCESS_TOKEN',
+                    401
                 );
             }
 
+            return [IntrospectionResult.inactive(agentUserId, response.data || {}), 'introspect'];
+
         } catch (error) {
             if (error instanceof TraylinxAuthError) {
                 throw error; // Re-throw our custom errors
             }
-            this._handleRequestError(error, `RPC call to ${method}`);
+            this._handleRequestError(error, 'token validation', [agentSecretToken]);
+        }
+    }
+
+    /**
+     * Verify a JWT agent token locally.
+     * 
+     * The token must be issued to the agent user ID it was sent with, taken from
+     * the `agent_user_id` claim or else `sub`.
+     * 
+     * @param {string} agentSecretToken - JWT to verify
+     * @param {string} agentUserId - Agent user ID associated with the token
+     * @returns {Promise<IntrospectionResult>} Active result built from the token claims
+     * @throws {AuthenticationError} If the token is invalid or issued to another agent user
+     * @throws {NetworkError} If the JWKS cannot be fetched
+     */
+    async _verifyJwt(agentSecretToken, agentUserId) {
+        const claims = await this.jwtVerifier.verify(agentSecretToken);
+
+        if ((claims.agent_user_id || claims.sub) !== agentUserId) {
+            throw new AuthenticationError(
+                'JWT was not issued to this agent user',
+                'INVALID_JWT_SUBJECT',
+                401
+            );
+        }
+
+        return IntrospectionResult.fromResponse({
+            ...claims,
+            active: true,
+            client_id: claims.client_id || claims.azp
+        }, agentUserId);
+    }
+
+    /**
+     * Fetch the JWKS for local JWT verification.
+     * 
+     * The request is not retried: the verifier throttles attempts after a
+     * failure, and in jwt-then-introspect mode retries would only delay the
+     * fallback to introspection.
+     * 
+     * @param {string} url - JWKS URL
+     * @returns {Promise<Object>} JWKS document
+     * @throws {NetworkError|AuthenticationError|TraylinxAuthError} If the request fails
+     */
+    async _fetchJwks(url) {
+        try {
+            const response = await this.axiosInstance.request({ method: 'GET', url, __noRetry: true });
+            return response.data;
+        } catch (error) {
+            this._handleRequestError(error, 'JWKS fetch');
+        }
+    }
+
+    /**
+     * Drop cached introspection results for a token.
+     * 
+     * Use this when a token is known to be revoked so the next validation
+     * reaches the auth service instead of a cached positive result.
+     * 
+     * @param {string} agentSecretToken - Token to forget
+     * @param {string} [agentUserId] - Only forget the result for this agent user ID
+     * @returns {number} Number of removed cache entries
+     */
+    invalidateIntrospection(agentSecretToken, agentUserId) {
+        if (!this.introspectionCache) {
+            return 0;
+        }
+        return this.introspectionCache.invalidate(agentSecretToken, agentUserId);
+    }
+
+    /**
+     * Get introspection cache statistics.
+     * 
+     * @returns {?Object} Hits, misses, hit rate, size and evictions, or null if caching is disabled
+     */
+    getIntrospectionCacheStats() {
+        return this.introspectionCache ? this.introspectionCache.getStats() : null;
+    }
+
+    /**
+     * Render the client's metrics in the Prometheus text exposition format.
+     * 
+     * Serve it with createMetricsHandler(client) on /metrics.
+     * 
+     * @returns {string} Exposition text, empty if the metrics option is disabled
+     */
+    metricsText() {
+        return this.metrics ? this.metrics.metricsText() : '';
+    }
+
+    /**
+     * Run a function inside a tracing span, or directly if tracing is disabled.
+     * 
+     * @param {string} name - Span name
+     * @param {Object} options - { kind, attributes }
+     * @param {Function} fn - `async (span) => result`; span is null without a tracer
+     * @returns {Promise<*>} The function's result
+     */
+    _traced(name, options, fn) {
+        return this.tracing ? this.tracing.trace(name, options, fn) : fn(null);
+    }
+
+    /**
+     * Build the span attributes of an outgoing HTTP request.
+     * 
+     * The URL is reduced to scheme, host and path so query strings never reach the trace.
+     * 
+     * @param {string} method - HTTP method
+     * @param {string} url - Request URL
+     * @returns {Object} Semantic convention attributes
+     */
+    _httpSpanAttributes(method, url) {
+        const attributes = {
+            'http.request.method': String(method).toUpperCase(),
+            'url.full': sanitizeUrl(url)
+        };
+        try {
+            attributes['server.address'] = new URL(url).hostname;
+        } catch (error) {
+            // Relative or malformed URL, leave server.address unset
+        }
+        return attributes;
+    }
+
+    /**
+     * Add W3C trace context headers for a span to outgoing headers.
+     * 
+     * @param {?Object} span - Span of the outgoing request
+     * @param {Object} headers - Request headers
+     * @returns {Object} The headers, with traceparent/tracestate when tracing is enabled
+     */
+    _injectTraceContext(span, headers) {
+        return this.tracing ? this.tracing.inject(span, headers) : headers;
+    }
+
+    /**
+     * Make an authenticated request to another agent.
+     * 
+     * Uses the client's axios instance, so the request gets the configured
+     * timeout, retry/backoff policy and typed error mapping. If the target
+     * answers 401 the tokens are refreshed and the request is replayed once.
+     * 
+     * @param {string} method - HTTP method (GET, POST, PUT, DELETE, PATCH, etc.)
+     * @param {string} url - Target agent's URL
+     * @param {Object} [options={}] - Additional axios request options, plus:
+     * @param {*} [options.json] - Body sent as JSON (sets Content-Type: application/json)
+     * @param {Object} [options.headers] - Additional headers (merged with the auth headers)
+     * @returns {Promise<*>} Response data from the target agent
+     * 
+     * @throws {ValidationError} If both json and data are given
+     * @throws {AuthenticationError} If token acquisition fails or the target keeps answering 401
+     * @throws {NetworkError} If the request fails (timeouts, connection errors, 4xx/5xx)
+     */
+    async makeA2ARequest(method, url, options = {}) {
+        const { json, headers: extraHeaders, ...requestOptions } = options;
+        const contentHeaders = {};
+
+        if (json !== undefined) {
+            if (requestOptions.data !== undefined) {
+                throw new ValidationError(
+                    'makeA2ARequest() accepts either a json or a data option, not both',
+                    'INVALID_REQUEST_OPTIONS',
+                    400
+                );
+            }
+            requestOptions.data = JSON.stringify(json);
+            contentHeaders['Content-Type'] = 'application/json';
+        }
+
+        return this._traced('traylinx.a2a.request', {
+            kind: SpanKind.CLIENT,
+            attributes: this._httpSpanAttributes(method, url)
+        }, async span => {
+            try {
+                const response = await this._sendWithTokenRefresh(
+                    () => this.getAgentRequestHeaders(),
+                    headers => this.axiosInstance.request({
+                        ...requestOptions,
+                        method,
+                        url,
+                        headers: this._injectTraceContext(span, { ...contentHeaders, ...headers, ...extraHeaders })
+                    })
+                );
+                if (span) {
+                    span.setAttribute('http.response.status_code', response.status);
+                }
+                return response.data;
+            } catch (error) {
+                if (span && error.response) {
+                    span.setAttribute('http.response.status_code', error.response.status);
+                }
+                if (error instanceof TraylinxAuthError) {
+                    throw error; // Re-throw our custom errors
+                }
+                this._handleRequestError(error, `A2A request to ${url}`);
+            }
+        });
+    }
+
+    /**
+     * Make a JSON-RPC 2.0 call and return its response.
+     * 
+     * The response must carry `jsonrpc: "2.0"` and the request's `id` (error
+     * responses may carry a null `id`, e.g. when the server could not parse the
+     * request); anything else throws an RpcProtocolError.
+     * 
+     * @param {string} method - RPC method name
+     * @param {*} params - RPC method parameters
+     * @param {?string} [rpcUrl=null] - RPC endpoint (default: the auth service's /a2a/rpc)
+     * @param {?boolean} [includeAgentCredentials=null] - Authenticate with the agent secret token instead of the access token (default: true for other agents)
+     * @param {Object} [options={}] - Call options
+     * @param {string|number} [options.id] - Request ID, e.g. to correlate calls with your own request IDs (default: a random UUID)
+     * @returns {Promise<Object>} The JSON-RPC response
+     * 
+     * @throws {ValidationError} For invalid IDs
+     * @throws {RpcError|RpcValidationError} If the response is a JSON-RPC error (RpcValidationError, a ValidationError, for invalid requests, methods or parameters)
+     * @throws {RpcProtocolError} If the response does not match the request
+     * @throws {AuthenticationError} If token acquisition fails or the target keeps answering 401
+     * @throws {NetworkError} If the request fails (timeouts, connection errors, 4xx/5xx)
+     * @throws {TraylinxAuthError} If the response cannot be parsed
+     */
+    async rpcCall(method, params, rpcUrl = null, includeAgentCredentials = null, options = {}) {
+        if (options.id !== undefined && typeof options.id !== 'string' && !Number.isFinite(options.id)) {
+            throw new ValidationError('RPC request id must be a string or a number', 'INVALID_RPC_ID', 400);
+        }
+
+        const endpoint = this._rpcEndpoint(rpcUrl, includeAgentCredentials);
+
+        const payload = {
+            jsonrpc: '2.0',
+            method: method,
+            params: params,
+            id: options.id !== undefined ? options.id : uuidv4(),
+        };
+
+        return this._traced(`traylinx.rpc ${method}`, {
+            kind: SpanKind.CLIENT,
+            attributes: {
+                ...this._httpSpanAttributes('POST', endpoint.rpcUrl),
+                'rpc.system': 'jsonrpc',
+                'rpc.method': method,
+                'rpc.jsonrpc.version': '2.0',
+                'rpc.jsonrpc.request_id': payload.id
+            }
+        }, async span => {
+            try {
+                const response = await this._sendWithTokenRefresh(
+                    async () => this._injectTraceContext(span, await endpoint.getHeaders()),
+                    headers => endpoint.send(payload, headers)
+                );
+
+                try {
+                    const result = response.data;
+                    this._checkRpcResponse(result, payload.id);
+
+                    // Check for JSON-RPC error response
+                    if (result.error) {
+                        if (span) {
+                            span.setAttribute('rpc.jsonrpc.error_code', result.error.code || 'RPC_ERROR');
+                        }
+                        throw this._rpcError(result.error, method, payload.id);
+                    }
+
+                    return result;
+
+                } catch (parseError) {
+                    if (parseError instanceof TraylinxAuthError) {
+                        throw parseError; // Re-throw our custom errors
+                    }
+                    throw new TraylinxAuthError(
+                        `Failed to parse RPC response: ${parseError.message}`,
+                        'INVALID_RPC_RESPONSE',
+                        200
+                    );
+                }
+
+            } catch (error) {
+                if (error instanceof TraylinxAuthError) {
+                    throw error; // Re-throw our custom errors
+                }
+                this._handleRequestError(error, `RPC call to ${method}`);
+            }
+        });
+    }
+
+    /**
+     * Send a JSON-RPC 2.0 notification: a call without `id` that gets no result.
+     * 
+     * Resolves once the server accepted the notification; the response body,
+     * if any, is ignored.
+     * 
+     * @param {string} method - RPC method name
+     * @param {*} params - RPC method parameters
+     * @param {?string} [rpcUrl=null] - RPC endpoint (default: the auth service's /a2a/rpc)
+     * @param {?boolean} [includeAgentCredentials=null] - Authenticate with the agent secret token instead of the access token (default: true for other agents)
+     * @returns {Promise<void>}
+     * 
+     * @throws {AuthenticationError} If token acquisition fails or the target keeps answering 401
+     * @throws {NetworkError} If the request fails (timeouts, connection errors, 4xx/5xx)
+     */
+    async rpcNotify(method, params, rpcUrl = null, includeAgentCredentials = null) {
+        const endpoint = this._rpcEndpoint(rpcUrl, includeAgentCredentials);
+        const payload = {
+            jsonrpc: '2.0',
+            method: method,
+            params: params,
+        };
+
+        return this._traced(`traylinx.rpc ${method}`, {
+            kind: SpanKind.CLIENT,
+            attributes: {
+                ...this._httpSpanAttributes('POST', endpoint.rpcUrl),
+                'rpc.system': 'jsonrpc',
+                'rpc.method': method,
+                'rpc.jsonrpc.version': '2.0'
+            }
+        }, async span => {
+            try {
+                await this._sendWithTokenRefresh(
+                    async () => this._injectTraceContext(span, await endpoint.getHeaders()),
+                    headers => endpoint.send(payload, headers)
+                );
+            } catch (error) {
+                if (error instanceof TraylinxAuthError) {
+                    throw error; // Re-throw our custom errors
+                }
+                this._handleRequestError(error, `RPC notification ${method}`);
+            }
+        });
+    }
+
+    /**
+     * Send several JSON-RPC calls in a single HTTP request (a JSON-RPC 2.0 batch).
+     * 
+     * Responses are matched to calls by `id`, whatever order the server answers
+     * in. A failing call does not fail the batch: its entry carries the same
+     * error `rpcCall()` would throw. If the server answers the whole batch
+     * with a single error object (e.g. because it does not support batches),
+     * every entry carries that error.
+     * 
+     * @param {Array<{method: string, params: *}>} calls - Calls to send, in order
+     * @param {Object} [options={}] - Batch options
+     * @param {string} [options.rpcUrl] - RPC endpoint (default: the auth service's /a2a/rpc)
+     * @param {boolean} [options.includeAgentCredentials] - Authenticate with the agent secret token instead of the access token (default: true for other agents)
+     * @returns {Promise<Array<{id: string, method: string, result: *, error: ?TraylinxAuthError}>>} One entry per call, in call order
+     * 
+     * @throws {ValidationError} If calls is empty or a call has no method
+     * @throws {AuthenticationError} If token acquisition fails
+     * @throws {NetworkError} If the request fails (timeouts, connection errors, 4xx/5xx)
+     * @throws {TraylinxAuthError} If the response is neither a batch nor an error object
+     */
+    async rpcBatch(calls, options = {}) {
+        if (!Array.isArray(calls) || calls.length === 0) {
+            throw new ValidationError('rpcBatch() requires a non-empty array of calls', 'INVALID_RPC_BATCH', 400);
+        }
+        calls.forEach((call, index) => {
+            if (!call || typeof call.method !== 'string' || !call.method) {
+                throw new ValidationError(`RPC batch call ${index} has no method`, 'INVALID_RPC_BATCH', 400);
+            }
+        });
+
+        const endpoint = this._rpcEndpoint(options.rpcUrl, options.includeAgentCredentials);
+        const payload = calls.map(({ method, params }) => ({
+            jsonrpc: '2.0',
+            method,
+            params,
+            id: uuidv4(),
+        }));
+
+        return this._traced('traylinx.rpc batch', {
+            kind: SpanKind.CLIENT,
+            attributes: {
+                ...this._httpSpanAttributes('POST', endpoint.rpcUrl),
+                'rpc.system': 'jsonrpc',
+                'rpc.jsonrpc.version': '2.0',
+                'traylinx.rpc.batch_size': payload.length
+            }
+        }, async span => {
+            let response;
+            try {
+                response = await this._sendWithTokenRefresh(
+                    async () => this._injectTraceContext(span, await endpoint.getHeaders()),
+                    headers => endpoint.send(payload, headers)
+                );
+            } catch (error) {
+                if (error instanceof TraylinxAuthError) {
+                    throw error; // Re-throw our custom errors
+                }
+                this._handleRequestError(error, 'RPC batch call');
+            }
+
+            const data = response.data;
+            if (!Array.isArray(data)) {
+                if (data && typeof data === 'object' && data.error) {
+                    if (span) {
+                        span.setAttribute('rpc.jsonrpc.error_code', data.error.code || 'RPC_ERROR');
+                    }
+                    return payload.map(({ id, method }) => ({ id, method, result: null, error: this._rpcError(data.error, method, id) }));
+                }
+                throw new TraylinxAuthError(
+                    'Failed to parse RPC response: expected a batch response array',
+                    'INVALID_RPC_RESPONSE',
+                    200
+                );
+            }
+
+            const responses = new Map();
+            for (const item of data) {
+                if (item && typeof item === 'object' && item.id !== undefined && item.id !== null) {
+                    responses.set(item.id, item);
+                }
+            }
+
+            return payload.map(({ id, method }) => {
+                const item = responses.get(id);
+                if (!item) {
+                    return {
+                        id,
+                        method,
+                        result: null,
+                        error: new TraylinxAuthError(`No response for RPC call '${method}' in batch`, 'INVALID_RPC_RESPONSE', 200)
+                    };
+                }
+                if (item.jsonrpc !== '2.0') {
+                    return { id, method, result: null, error: this._rpcVersionError(item, id) };
+                }
+                if (item.error) {
+                    return { id, method, result: null, error: this._rpcError(item.error, method, id) };
+                }
+                return { id, method, result: item.result, error: null };
+            });
+        });
+    }
+
+    /**
+     * Resolve an RPC endpoint, the headers authenticating calls to it and how to post to it.
+     * 
+     * Calls to the auth service (the default endpoint) use the access token and go
+     * through its circuit breaker; calls to other agents use ONLY the agent secret
+     * token (NO access_token!).
+     * 
+     * @param {?string} rpcUrl - RPC endpoint (default: the auth service's /a2a/rpc)
+     * @param {?boolean} includeAgentCredentials - Force the credentials to send (default: auto-detect)
+     * @returns {Object} { rpcUrl, getHeaders: async () => headers, send: (payload, headers) => Promise<response> }
+     */
+    _rpcEndpoint(rpcUrl, includeAgentCredentials) {
+        const authServiceUrl = `${this.apiBaseUrl}/a2a/rpc`;
+        rpcUrl = rpcUrl || authServiceUrl;
+
+        if (includeAgentCredentials === null || includeAgentCredentials === undefined) {
+            includeAgentCredentials = rpcUrl !== authServiceUrl;
+        }
+
+        const getHeaders = async () => {
+            const headers = {
+                'Content-Type': 'application/json',
+            };
+
+            if (includeAgentCredentials) {
+                // When calling other agents: use ONLY agent_secret_token
+                const agentSecretToken = await this.getAgentSecretToken();
+                headers['X-Agent-Secret-Token'] = agentSecretToken;
+                headers['X-Agent-User-Id'] = this.agentUserId;
+            } else {
+                // When calling auth service: use access_token
+                const accessToken = await this.getAccessToken();
+                headers['Authorization'] = `Bearer ${accessToken}`;
+            }
+
+            return headers;
+        };
+
+        const post = (payload, headers) => this.axiosInstance.post(rpcUrl, payload, { headers });
+        const send = rpcUrl === authServiceUrl
+            ? (payload, headers) => this._withCircuitBreaker('/a2a/rpc', () => post(payload, headers))
+            : post;
+
+        return { rpcUrl, getHeaders, send };
+    }
+
+    /**
+     * Check that a JSON-RPC response answers the given request.
+     * 
+     * @param {*} response - Response body
+     * @param {string|number} requestId - ID of the request
+     * @throws {RpcProtocolError} If the response is not JSON-RPC 2.0 or carries another ID
+     */
+    _checkRpcResponse(response, requestId) {
+        if (!response || typeof response !== 'object' || response.jsonrpc !== '2.0') {
+            throw this._rpcVersionError(response, requestId);
+        }
+        // Servers answer requests they could not parse with a null id
+        if (response.id !== requestId && !(response.error && response.id === null)) {
+            throw new RpcProtocolError(
+                `RPC response id ${JSON.stringify(response.id)} does not match request id ${JSON.stringify(requestId)}`,
+                { expectedId: requestId, receivedId: response.id }
+            );
+        }
+    }
+
+    /**
+     * Build the error for a response that is not a JSON-RPC 2.0 object.
+     * 
+     * @param {*} response - Response body
+     * @param {string|number} [requestId] - ID of the request
+     * @returns {RpcProtocolError} The error
+     */
+    _rpcVersionError(response, requestId = null) {
+        const version = response && typeof response === 'object' ? response.jsonrpc : undefined;
+        return new RpcProtocolError(
+            `Invalid RPC response: expected jsonrpc "2.0", got ${JSON.stringify(version) || 'undefined'}`,
+            { expectedId: requestId, receivedId: response && typeof response === 'object' ? response.id : undefined }
+        );
+    }
+
+    /**
+     * Map a JSON-RPC error object to an RpcError, or an RpcValidationError for
+     * invalid request, method and params errors.
+     * 
+     * `code`, `statusCode` and the message are the ones these errors had before
+     * RpcError existed; the JSON-RPC error itself is in `rpcCode`, `rpcMessage`
+     * and `rpcData`. Messages and data are redacted like other errors built from
+     * responses.
+     * 
+     * @param {Object} errorInfo - JSON-RPC error object ({ code, message, data })
+     * @param {string} method - Called method
+     * @param {string|number} requestId - ID of the request
+     * @returns {RpcError|RpcValidationError} The error
+     */
+    _rpcError(errorInfo, method, requestId) {
+        const rpcCode = errorInfo.code === undefined ? null : errorInfo.code;
+        const errorCode = errorInfo.code || 'RPC_ERROR';
+        const errorMessage = this._redact(errorInfo.message || 'RPC call failed');
+        const details = {
+            rpcCode,
+            rpcMessage: errorInfo.message === undefined ? null : errorMessage,
+            rpcData: this._redactRpcData(errorInfo.data),
+            method,
+            requestId
+        };
+
+        if (rpcCode === -32600) { // Invalid Request
+            return new RpcValidationError(`Invalid RPC request: ${errorMessage}`, 'INVALID_RPC_REQUEST', 400, details);
+        } else if (rpcCode === -32601) { // Method not found
+            return new RpcValidationError(`RPC method '${method}' not found: ${errorMessage}`, 'METHOD_NOT_FOUND', 404, details);
+        } else if (rpcCode === -32602) { // Invalid params
+            return new RpcValidationError(`Invalid RPC parameters: ${errorMessage}`, 'INVALID_RPC_PARAMS', 400, details);
+        }
+        // Parse (-32700), internal (-32603), server (-32000 to -32099) and application errors keep the stringified code
+        return new RpcError(`RPC error (${errorCode}): ${errorMessage}`, String(errorCode), 500, details);
+    }
+
+    /**
+     * Redact secrets from the `data` of a JSON-RPC error.
+     * 
+     * @param {*} data - JSON-RPC error data
+     * @returns {*} The data without secrets (null if absent)
+     */
+    _redactRpcData(data) {
+        if (data === undefined || data === null) {
+            return null;
+        }
+        try {
+            return JSON.parse(this._redact(JSON.stringify(data)));
+        } catch (error) {
+            return REDACTED;
         }
     }
 
@@ -541,30 +2082,66 @@ class TraylinxAuthClient {
          * @param {Object} headers - Request headers object (case-insensitive)
          * @returns {Promise<boolean>} True if authentication is valid
          */
+        const credentials = this.extractCredentials(headers);
+        if (!credentials) {
+            return false;
+        }
+
+        return await this.validateToken(credentials.token, credentials.agentUserId);
+    }
+
+    async introspectA2ARequest(headers) {
+        /**
+         * Introspect the credentials of an A2A request.
+         * 
+         * Accepts the same Bearer and custom header formats as validateA2ARequest(),
+         * but returns the full introspection claims instead of a boolean.
+         * 
+         * @param {Object} headers - Request headers object (case-insensitive)
+         * @returns {Promise<?IntrospectionResult>} Introspection result, or null if no credentials were sent
+         */
+        const credentials = this.extractCredentials(headers);
+        if (!credentials) {
+            return null;
+        }
+
+        return await this.introspectToken(credentials.token, credentials.agentUserId);
+    }
+
+    extractCredentials(headers, modes = ['bearer', 'custom']) {
+        /**
+         * Extract agent credentials from request headers.
+         * 
+         * Bearer format (A2A standard) is tried first, then the custom header
+         * format for backward compatibility.
+         * 
+         * @param {Object} headers - Request headers object (case-insensitive)
+         * @param {string[]} [modes=['bearer', 'custom']] - Accepted authentication modes
+         * @returns {?Object} { token, agentUserId, mode } or null if no complete credentials were found
+         */
         // Normalize headers to lowercase for case-insensitive lookup
         const normalizedHeaders = {};
         Object.keys(headers).forEach(key => {
             normalizedHeaders[key.toLowerCase()] = headers[key];
         });
+        const agentUserId = normalizedHeaders['x-agent-user-id'];
 
         // Try Bearer token format first (A2A standard)
         const authHeader = normalizedHeaders.authorization || '';
-        if (authHeader.startsWith('Bearer ')) {
+        if (modes.includes('bearer') && authHeader.startsWith('Bearer ')) {
             const token = authHeader.replace('Bearer ', '').trim();
-            const agentId = normalizedHeaders['x-agent-user-id'];
-            if (token && agentId) {
-                return await this.validateToken(token, agentId);
+            if (token && agentUserId) {
+                return { token, agentUserId, mode: 'bearer' };
             }
         }
 
         // Fall back to custom header format (backward compatibility)
         const customToken = normalizedHeaders['x-agent-secret-token'];
-        const agentId = normalizedHeaders['x-agent-user-id'];
-        if (customToken && agentId) {
-            return await this.validateToken(customToken, agentId);
+        if (modes.includes('custom') && customToken && agentUserId) {
+            return { token: customToken, agentUserId, mode: 'custom' };
         }
 
-        return false;
+        return null;
     }
 
     detectAuthMode(headers) {
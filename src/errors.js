@@ -89,10 +89,12 @@ class NetworkError extends TraylinxAuthError {
      * @param {string} message - Error message
      * @param {string} [code='NETWORK_ERROR'] - Error code
      * @param {number} [statusCode] - HTTP status code (if applicable)
+     * @param {number} [retryAfterMs] - Delay the server asked for via Retry-After (if any)
      */
-    constructor(message, code = 'NETWORK_ERROR', statusCode = null) {
+    constructor(message, code = 'NETWORK_ERROR', statusCode = null, retryAfterMs = null) {
         super(message, code, statusCode);
         this.name = 'NetworkError';
+        this.retryAfterMs = retryAfterMs;
         
         if (Error.captureStackTrace) {
             Error.captureStackTrace(this, NetworkError);
@@ -100,6 +102,83 @@ class NetworkError extends TraylinxAuthError {
     }
 }
 
+/**
+ * Thrown when a call is rejected because the circuit breaker for its endpoint is open.
+ * 
+ * The auth service endpoint failed repeatedly, so calls fail immediately instead
+ * of waiting through retries. `retryAfterMs` is the remaining cool-down.
+ */
+class CircuitOpenError extends NetworkError {
+    /**
+     * Create a CircuitOpenError.
+     * @param {string} endpoint - Endpoint whose circuit is open
+     * @param {number} [retryAfterMs=0] - Time until a trial call is allowed
+     */
+    constructor(endpoint, retryAfterMs = 0) {
+        super(`Circuit breaker open for ${endpoint}. The auth service is failing; calls are rejected until it recovers.`, 'CIRCUIT_OPEN', 503, retryAfterMs);
+        this.name = 'CircuitOpenError';
+        this.endpoint = endpoint;
+        
+        if (Error.captureStackTrace) {
+            Error.captureStackTrace(this, CircuitOpenError);
+        }
+    }
+}
+
+/**
+ * Thrown by createRpcRouter() method handlers to answer a call with a specific
+ * JSON-RPC error.
+ * 
+ * Only this class is sent back as-is: RpcErrors bubbling up from a handler's
+ * own rpcCall() describe another server's response and are answered as
+ * internal errors.
+ */
+class RpcMethodError extends TraylinxAuthError {
+    /**
+     * Create an RpcMethodError.
+     * @param {number} rpcCode - JSON-RPC error code (an integer, e.g. -32004)
+     * @param {string} rpcMessage - JSON-RPC error message sent to the caller
+     * @param {*} [rpcData=null] - JSON-RPC error data sent to the caller
+     */
+    constructor(rpcCode, rpcMessage, rpcData = null) {
+        super(rpcMessage, 'RPC_METHOD_ERROR', 500);
+        this.name = 'RpcMethodError';
+        this.rpcCode = rpcCode;
+        this.rpcMessage = rpcMessage;
+        this.rpcData = rpcData;
+        
+        if (Error.captureStackTrace) {
+            Error.captureStackTrace(this, RpcMethodError);
+        }
+    }
+}
+
+/**
+ * Thrown when a JSON-RPC response does not match its request.
+ * 
+ * The response is not a JSON-RPC 2.0 object (`jsonrpc` is not "2.0") or
+ * answers another request (its `id` differs from the request's).
+ */
+class RpcProtocolError extends TraylinxAuthError {
+    /**
+     * Create an RpcProtocolError.
+     * @param {string} message - Error message
+     * @param {Object} [details={}] - Mismatch details
+     * @param {string|number} [details.expectedId] - ID of the request
+     * @param {*} [details.receivedId] - ID found in the response
+     */
+    constructor(message, { expectedId = null, receivedId = null } = {}) {
+        super(message, 'RPC_PROTOCOL_ERROR', 502);
+        this.name = 'RpcProtocolError';
+        this.expectedId = expectedId;
+        this.receivedId = receivedId;
+        
+        if (Error.captureStackTrace) {
+            Error.captureStackTrace(this, RpcProtocolError);
+        }
+    }
+}
+
 /**
  * Thrown when input validation fails.
  * 
@@ -123,10 +202,94 @@ class ValidationError extends TraylinxAuthError {
     }
 }
 
+/**
+ * Copy the JSON-RPC error details onto an RpcError or RpcValidationError.
+ * @param {Error} error - Error to decorate
+ * @param {Object} details - JSON-RPC error details (see RpcError)
+ */
+function assignRpcDetails(error, { rpcCode = null, rpcMessage = null, rpcData = null, method = null, requestId = null } = {}) {
+    error.rpcCode = rpcCode;
+    error.rpcMessage = rpcMessage;
+    error.rpcData = rpcData;
+    error.method = method;
+    error.requestId = requestId;
+}
+
+/**
+ * Thrown when a JSON-RPC call is rejected as an invalid request (-32600),
+ * unknown method (-32601) or invalid params (-32602).
+ * 
+ * These were reported as ValidationErrors before RpcError existed, so they
+ * still are; they carry the same JSON-RPC details as RpcError.
+ */
+class RpcValidationError extends ValidationError {
+    /**
+     * Create an RpcValidationError.
+     * @param {string} message - Error message
+     * @param {string} [code='VALIDATION_ERROR'] - Error code
+     * @param {number} [statusCode=400] - HTTP status code
+     * @param {Object} [details={}] - JSON-RPC error details (see RpcError)
+     */
+    constructor(message, code = 'VALIDATION_ERROR', statusCode = 400, details = {}) {
+        super(message, code, statusCode);
+        this.name = 'RpcValidationError';
+        assignRpcDetails(this, details);
+        
+        if (Error.captureStackTrace) {
+            Error.captureStackTrace(this, RpcValidationError);
+        }
+    }
+}
+
+/**
+ * Thrown when a JSON-RPC call answers with an error object.
+ * 
+ * Carries the JSON-RPC error (`rpcCode`, `rpcMessage`, `rpcData`) and the
+ * call it answers (`method`, `requestId`). Invalid request (-32600), method
+ * not found (-32601) and invalid params (-32602) errors are thrown as
+ * RpcValidationError instead.
+ */
+class RpcError extends TraylinxAuthError {
+    /**
+     * Create an RpcError.
+     * @param {string} message - Error message
+     * @param {string} [code='RPC_ERROR'] - Error code
+     * @param {number} [statusCode=500] - HTTP status code
+     * @param {Object} [details={}] - JSON-RPC error details
+     * @param {number} [details.rpcCode] - JSON-RPC error code
+     * @param {string} [details.rpcMessage] - JSON-RPC error message
+     * @param {*} [details.rpcData] - JSON-RPC error data
+     * @param {string} [details.method] - Called method
+     * @param {string|number} [details.requestId] - ID of the request
+     */
+    constructor(message, code = 'RPC_ERROR', statusCode = 500, details = {}) {
+        super(message, code, statusCode);
+        this.name = 'RpcError';
+        assignRpcDetails(this, details);
+        
+        if (Error.captureStackTrace) {
+            Error.captureStackTrace(this, RpcError);
+        }
+    }
+
+    /**
+     * Whether the error is in the implementation-defined server error range (-32000 to -32099).
+     * @returns {boolean}
+     */
+    get isServerError() {
+        return typeof this.rpcCode === 'number' && this.rpcCode <= -32000 && this.rpcCode >= -32099;
+    }
+}
+
 module.exports = {
     TraylinxAuthError,
     AuthenticationError,
     TokenExpiredError,
     NetworkError,
+    CircuitOpenError,
+    RpcError,
+    RpcMethodError,
+    RpcProtocolError,
+    RpcValidationError,
     ValidationError
 };
\ No newline at end of file
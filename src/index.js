@@ -10,11 +10,24 @@
 
 const TraylinxAuthClient = require('./client');
 const { validateConfig, validateParameter } = require('./validation');
+const { MemoryTokenStore, FileTokenStore } = require('./tokenStore');
+const IntrospectionResult = require('./introspectionResult');
+const middleware = require('./middleware');
+const adapters = require('./adapters');
+const { MetricsRegistry, AuthMetrics, createMetricsHandler } = require('./metrics');
+const { parseTraceparent, formatTraceparent, extractTraceContext } = require('./tracing');
+const { RPC_ERROR_CODES, createRpcRouter } = require('./rpcServer');
+const { defineRpcMethods } = require('./rpcMethods');
 const {
     TraylinxAuthError,
     AuthenticationError,
     TokenExpiredError,
     NetworkError,
+    CircuitOpenError,
+    RpcError,
+    RpcMethodError,
+    RpcProtocolError,
+    RpcValidationError,
     ValidationError
 } = require('./errors');
 
@@ -121,12 +134,36 @@ async function validateA2ARequest(headers) {
     return await getDefaultClient().validateToken(agentSecretToken, agentUserId);
 }
 
+/**
+ * Introspect an incoming A2A request using custom header format.
+ * 
+ * Like validateA2ARequest(), but resolves to the full introspection claims
+ * (active, scope, exp, iat, clientId, sub, raw) instead of a boolean.
+ * 
+ * @async
+ * @param {Object} headers - Request headers object (lowercase keys, as provided by Node.js)
+ * @returns {Promise<IntrospectionResult|null>} Introspection result, or null if credentials are missing
+ * 
+ * @throws {AuthenticationError} If validation request to auth service fails
+ * @throws {NetworkError} If network issues occur during validation
+ */
+async function introspectA2ARequest(headers) {
+    const agentSecretToken = headers['x-agent-secret-token'];
+    const agentUserId = headers['x-agent-user-id'];
+
+    if (!agentSecretToken || !agentUserId) {
+        return null;
+    }
+
+    return await getDefaultClient().introspectToken(agentSecretToken, agentUserId);
+}
+
 /**
  * Express.js middleware for protecting endpoints with A2A authentication.
  * 
  * This middleware automatically validates incoming requests using the custom
  * header format (X-Agent-Secret-Token) and returns HTTP 401 if authentication
- * fails.
+ * fails. On success the introspection result is attached to `req.traylinx`.
  * 
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
@@ -139,6 +176,7 @@ async function validateA2ARequest(headers) {
  * const app = express();
  * 
  * app.get('/protected', requireA2AAuth, (req, res) => {
+ *     // req.traylinx holds the caller's claims (scope, exp, clientId, sub, ...)
  *     res.json({ message: 'This endpoint requires A2A authentication' });
  * });
  * 
@@ -146,44 +184,41 @@ async function validateA2ARequest(headers) {
  * // Protect all routes under /api
  * app.use('/api', requireA2AAuth);
  */
-function requireA2AAuth(req, res, next) {
-    validateA2ARequest(req.headers)
-        .then(isValid => {
-            if (isValid) {
-                next();
-            } else {
-                res.status(401).json({ error: 'Invalid or missing A2A authentication' });
-            }
-        })
-        .catch(error => {
-            console.error('Error in A2A auth middleware:', error);
-            res.status(500).json({ error: 'Internal server error' });
-        });
-}
+const requireA2AAuth = middleware.createA2AAuthMiddleware({
+    client: getDefaultClient,
+    modes: ['custom'],
+    onUnauthorized: (req, res) => {
+        res.status(401).json({ error: 'Invalid or missing A2A authentication' });
+    }
+});
 
 /**
  * Make an authenticated A2A request to another agent.
  * 
  * This is the primary function for making authenticated requests to other
  * Traylinx agents. It automatically adds the required authentication headers
- * and handles the HTTP request using axios.
+ * and sends the request through the default client's axios instance, so it gets
+ * the same timeout, retry/backoff and typed errors as token requests.
+ * 
+ * If the target agent answers 401 (e.g. because the agent secret token was
+ * rotated before its advertised expiry), the cached tokens are invalidated,
+ * fetched again and the request is replayed once.
  * 
  * @async
  * @param {string} method - HTTP method (GET, POST, PUT, DELETE, PATCH, etc.)
  * @param {string} url - Target agent's URL (must be a valid HTTP/HTTPS URL)
  * @param {Object} [options={}] - Additional options passed to axios, such as:
- *   - json: JSON data to send in request body
- *   - data: Form data to send in request body
+ *   - json: JSON data to send in request body (sets Content-Type: application/json)
+ *   - data: Raw request body (mutually exclusive with json)
  *   - params: URL parameters
  *   - timeout: Request timeout in milliseconds
  *   - headers: Additional headers (merged with auth headers)
  * 
  * @returns {Promise<*>} Response data from the target agent
  * 
- * @throws {ValidationError} If client configuration is invalid
- * @throws {AuthenticationError} If token acquisition fails
- * @throws {NetworkError} If network issues occur
- * @throws {Error} If the HTTP request fails (4xx, 5xx status codes)
+ * @throws {ValidationError} If client configuration is invalid or both json and data are given
+ * @throws {AuthenticationError} If token acquisition fails or the target keeps answering 401
+ * @throws {NetworkError} If network issues occur or the target answers with another 4xx/5xx status
  * 
  * @example
  * // Simple GET request
@@ -204,23 +239,7 @@ function requireA2AAuth(req, res, next) {
  * });
  */
 async function makeA2ARequest(method, url, options = {}) {
-    const axios = require('axios');
-    const headers = await getAgentRequestHeaders();
-    
-    // Merge any additional headers
-    if (options.headers) {
-        Object.assign(headers, options.headers);
-        delete options.headers;
-    }
-    
-    const response = await axios.request({
-        method,
-        url,
-        headers,
-        ...options
-    });
-    
-    return response.data;
+    return await getDefaultClient().makeA2ARequest(method, url, options);
 }
 
 // A2A Extension Functions
@@ -317,7 +336,8 @@ function detectAuthMode(headers) {
  * This middleware provides flexible authentication that accepts both A2A standard
  * Bearer token format and TraylinxAuth custom header format. It's useful for
  * endpoints that need to support multiple authentication methods during
- * migration periods.
+ * migration periods. On success the introspection result is attached to
+ * `req.traylinx`.
  * 
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
@@ -332,21 +352,139 @@ function detectAuthMode(headers) {
  *     res.json({ authMode, message: 'Authenticated' });
  * });
  */
-function requireDualAuth(req, res, next) {
-    validateDualAuthRequest(req.headers)
-        .then(isValid => {
-            if (isValid) {
-                // Add auth mode info to request for debugging
-                req.authMode = detectAuthMode(req.headers);
-                next();
-            } else {
-                res.status(401).json({ error: 'Invalid or missing authentication' });
-            }
-        })
-        .catch(error => {
-            console.error('Error in dual auth middleware:', error);
-            res.status(500).json({ error: 'Internal server error' });
-        });
+const requireDualAuth = middleware.createA2AAuthMiddleware({
+    client: getDefaultClient,
+    modes: ['bearer', 'custom']
+});
+
+/**
+ * Create Express.js middleware that authenticates A2A requests with a specific client.
+ * 
+ * Use this instead of `requireA2AAuth`/`requireDualAuth` when the client is not
+ * configured from environment variables, e.g. when a service hosts several agent
+ * identities or loads its credentials from a secret manager.
+ * 
+ * On success the introspection result is attached to `req.traylinx` and the
+ * detected authentication mode to `req.authMode`.
+ * 
+ * @param {Object} [options={}] - Middleware options
+ * @param {TraylinxAuthClient} [options.client] - Client used for validation (default: the env-configured default client)
+ * @param {string[]} [options.modes=['bearer', 'custom']] - Accepted authentication modes
+ * @param {Function} [options.onUnauthorized] - `(req, res, { reason, authMode })` building the 401 response;
+ *   reason is 'missing_credentials' or 'invalid_token'
+ * @param {Function} [options.onError] - `(error, req, res, next)` handling validation errors (default: 500 response)
+ * @param {Function} [options.skip] - `(req) => boolean` predicate; matching requests bypass authentication
+ * @returns {Function} Express middleware `(req, res, next)`
+ * 
+ * @throws {ValidationError} If modes are invalid
+ * 
+ * @example
+ * const ordersAgent = new TraylinxAuthClient(clientId, await vault.read('orders-secret'), apiBaseUrl, agentUserId);
+ * 
+ * app.use('/orders', createA2AAuthMiddleware({
+ *     client: ordersAgent,
+ *     modes: ['bearer'],
+ *     skip: (req) => req.method === 'OPTIONS',
+ *     onUnauthorized: (req, res, { reason }) => res.status(401).json({ error: reason })
+ * }));
+ */
+function createA2AAuthMiddleware(options = {}) {
+    return middleware.createA2AAuthMiddleware({ ...options, client: options.client || getDefaultClient });
+}
+
+/**
+ * Create Express.js middleware that requires the caller's token to carry scopes.
+ * 
+ * Uses the introspection result attached to `req.traylinx` by a preceding
+ * `requireA2AAuth`/`requireDualAuth`, or introspects the request itself
+ * (Bearer or custom headers) when used on its own. Responses follow RFC 6750:
+ * - 401 with `WWW-Authenticate: Bearer` when credentials are missing, or
+ *   `Bearer error="invalid_token"` when the token is inactive
+ * - 403 with `WWW-Authenticate: Bearer error="insufficient_scope"` when the
+ *   token lacks the required scopes
+ * 
+ * @param {string|string[]} scopes - Required scope(s)
+ * @param {Object} [options={}] - Middleware options
+ * @param {string} [options.mode='all'] - 'all' to require every scope, 'any' to require at least one
+ * @param {TraylinxAuthClient} [options.client] - Client used for validation (default: the env-configured default client)
+ * @returns {Function} Express middleware `(req, res, next)`
+ * 
+ * @throws {ValidationError} If scopes or mode are invalid
+ * 
+ * @example
+ * app.get('/orders', requireScopes(['orders:read']), (req, res) => {
+ *     res.json({ caller: req.traylinx.clientId });
+ * });
+ * 
+ * @example
+ * app.post('/orders', requireDualAuth, requireScopes(['orders:write', 'admin'], { mode: 'any' }), handler);
+ */
+function requireScopes(scopes, options = {}) {
+    return middleware.createScopeMiddleware(scopes, { ...options, client: options.client || getDefaultClient });
+}
+
+/**
+ * Authenticate an incoming A2A request without any server framework.
+ * 
+ * Uses the same validation core as `validateA2ARequest` and the middleware, but
+ * returns a structured allow/deny result instead of sending a response, which
+ * makes it usable from plain `http.createServer` handlers and other frameworks.
+ * 
+ * @async
+ * @param {Object} headers - Incoming request headers
+ * @param {Object} [options={}] - Authentication options
+ * @param {TraylinxAuthClient} [options.client] - Client used for validation (default: the env-configured default client)
+ * @param {string[]} [options.modes=['bearer', 'custom']] - Accepted authentication modes
+ * @returns {Promise<Object>} `{ allowed: true, status: 200, authMode, traylinx }` on success, or
+ *   `{ allowed: false, status, reason, authMode, headers, body, error }` with status 401
+ *   (reason 'missing_credentials' or 'invalid_token') or 500 (reason 'error')
+ * 
+ * @example
+ * http.createServer(async (req, res) => {
+ *     const auth = await authenticateRequest(req.headers);
+ *     if (!auth.allowed) {
+ *         res.writeHead(auth.status, { 'Content-Type': 'application/json', ...auth.headers });
+ *         res.end(JSON.stringify(auth.body));
+ *         return;
+ *     }
+ *     // auth.traylinx holds the IntrospectionResult
+ * });
+ */
+function authenticateRequest(headers, options = {}) {
+    return adapters.authenticateRequest(headers, { ...options, client: options.client || getDefaultClient });
+}
+
+/**
+ * Fastify plugin authenticating A2A requests (Bearer or custom headers).
+ * 
+ * Registers an `onRequest` hook and decorates `request.traylinx` and
+ * `request.authMode`. Accepts `client`, `modes` and `skip` registration options;
+ * the client defaults to the env-configured default client.
+ * 
+ * @example
+ * fastify.register(fastifyA2AAuth, { skip: (request) => request.url === '/health' });
+ */
+const fastifyA2AAuth = adapters.createFastifyPlugin({ client: getDefaultClient });
+
+/**
+ * Create Koa middleware authenticating A2A requests.
+ * 
+ * On success the introspection result is attached to `ctx.state.traylinx` and
+ * the detected mode to `ctx.state.authMode`.
+ * 
+ * @param {Object} [options={}] - Middleware options
+ * @param {TraylinxAuthClient} [options.client] - Client used for validation (default: the env-configured default client)
+ * @param {string[]} [options.modes=['bearer', 'custom']] - Accepted authentication modes
+ * @param {Function} [options.skip] - `(ctx) => boolean` predicate; matching requests bypass authentication
+ * @returns {Function} Koa middleware `async (ctx, next)`
+ * 
+ * @throws {ValidationError} If modes are invalid
+ * 
+ * @example
+ * app.use(createKoaMiddleware({ modes: ['bearer'] }));
+ */
+function createKoaMiddleware(options = {}) {
+    return adapters.createKoaMiddleware({ ...options, client: options.client || getDefaultClient });
 }
 
 module.exports = {
@@ -354,21 +492,49 @@ module.exports = {
     getRequestHeaders,
     getAgentRequestHeaders,
     validateA2ARequest,
+    introspectA2ARequest,
     requireA2AAuth,
     makeA2ARequest,
     TraylinxAuthClient,
+    IntrospectionResult,
     // A2A Extension functions
     getA2ARequestHeaders,
     validateDualAuthRequest,
     detectAuthMode,
     requireDualAuth,
+    requireScopes,
+    createA2AAuthMiddleware,
+    // Other server frameworks
+    authenticateRequest,
+    fastifyA2AAuth,
+    createKoaMiddleware,
     // Configuration and validation
     validateConfig,
     validateParameter,
+    // Token stores
+    MemoryTokenStore,
+    FileTokenStore,
+    // Metrics
+    MetricsRegistry,
+    AuthMetrics,
+    createMetricsHandler,
+    // Tracing
+    parseTraceparent,
+    formatTraceparent,
+    extractTraceContext,
+    // JSON-RPC server
+    RPC_ERROR_CODES,
+    createRpcRouter,
+    defineRpcMethods,
     // Error classes
     TraylinxAuthError,
     AuthenticationError,
     TokenExpiredError,
     NetworkError,
+    CircuitOpenError,
+    RpcError,
+    RpcMethodError,
+    RpcProtocolError,
+    RpcValidationError,
     ValidationError
 };
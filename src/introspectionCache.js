@@ -0,0 +1,163 @@
+/**
+ * Bounded LRU cache for token introspection results.
+ *
+ * Entries are keyed on a SHA-256 hash of (agent_secret_token, agent_user_id) so
+ * raw tokens are never kept in memory as map keys. Active and inactive results
+ * have separate TTLs, and an active result never outlives the `exp` claim
+ * returned by the introspection endpoint.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Hash a value with SHA-256.
+ *
+ * @param {string} value - Value to hash
+ * @returns {string} Hex digest
+ */
+function sha256(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+class IntrospectionCache {
+    /**
+     * Create an IntrospectionCache.
+     * @param {Object} [options={}] - Cache options
+     * @param {number} [options.maxEntries=1000] - Maximum number of cached results
+     * @param {number} [options.activeTtl=0] - TTL for active results in milliseconds
+     * @param {number} [options.inactiveTtl=0] - TTL for inactive results in milliseconds
+     */
+    constructor(options = {}) {
+        this.maxEntries = options.maxEntries || 1000;
+        this.activeTtl = options.activeTtl || 0;
+        this.inactiveTtl = options.inactiveTtl || 0;
+
+        this._entries = new Map();
+        this._hits = 0;
+        this._misses = 0;
+        this._evictions = 0;
+    }
+
+    /**
+     * Build the cache key for a token and agent user ID.
+     *
+     * @param {string} agentSecretToken - Token being introspected
+     * @param {string} agentUserId - Agent user ID sent with the token
+     * @returns {string} Cache key
+     */
+    static key(agentSecretToken, agentUserId) {
+        return sha256(`${agentSecretToken}\0${agentUserId}`);
+    }
+
+    /**
+     * Look up a cached introspection response.
+     *
+     * @param {string} agentSecretToken - Token being introspected
+     * @param {string} agentUserId - Agent user ID sent with the token
+     * @returns {Object|undefined} Cached response data, or undefined on a miss
+     */
+    get(agentSecretToken, agentUserId) {
+        const key = IntrospectionCache.key(agentSecretToken, agentUserId);
+        const entry = this._entries.get(key);
+
+        if (!entry || Date.now() >= entry.expiresAt) {
+            if (entry) {
+                this._entries.delete(key);
+            }
+            this._misses++;
+            return undefined;
+        }
+
+        // Move to the most recently used position
+        this._entries.delete(key);
+        this._entries.set(key, entry);
+        this._hits++;
+        return entry.data;
+    }
+
+    /**
+     * Cache an introspection response.
+     *
+     * @param {string} agentSecretToken - Token that was introspected
+     * @param {string} agentUserId - Agent user ID sent with the token
+     * @param {Object} data - Introspection response body
+     * @returns {boolean} True if the response was cached
+     */
+    set(agentSecretToken, agentUserId, data) {
+        const active = data.active === true;
+        let ttl = active ? this.activeTtl : this.inactiveTtl;
+
+        // Never trust an active result past the token's own expiry
+        if (active && typeof data.exp === 'number') {
+            ttl = Math.min(ttl, data.exp * 1000 - Date.now());
+        }
+
+        if (ttl <= 0) {
+            return false;
+        }
+
+        const key = IntrospectionCache.key(agentSecretToken, agentUserId);
+        this._entries.delete(key);
+        this._entries.set(key, {
+            data,
+            tokenHash: sha256(agentSecretToken),
+            expiresAt: Date.now() + ttl
+        });
+
+        while (this._entries.size > this.maxEntries) {
+            this._entries.delete(this._entries.keys().next().value);
+            this._evictions++;
+        }
+
+        return true;
+    }
+
+    /**
+     * Remove cached results for a token.
+     *
+     * @param {string} agentSecretToken - Token to forget
+     * @param {string} [agentUserId] - Only forget the result for this agent user ID
+     * @returns {number} Number of removed entries
+     */
+    invalidate(agentSecretToken, agentUserId) {
+        if (agentUserId !== undefined) {
+            return this._entries.delete(IntrospectionCache.key(agentSecretToken, agentUserId)) ? 1 : 0;
+        }
+
+        const tokenHash = sha256(agentSecretToken);
+        let removed = 0;
+        for (const [key, entry] of this._entries) {
+            if (entry.tokenHash === tokenHash) {
+                this._entries.delete(key);
+                removed++;
+            }
+        }
+        return removed;
+    }
+
+    /**
+     * Remove all cached results.
+     */
+    clear() {
+        this._entries.clear();
+    }
+
+    /**
+     * Get cache hit/miss statistics.
+     *
+     * @returns {Object} Stats with hits, misses, hitRate, size, maxEntries and evictions
+     */
+    getStats() {
+        const lookups = this._hits + this._misses;
+        return {
+            hits: this._hits,
+            misses: this._misses,
+            hitRate: lookups > 0 ? this._hits / lookups : 0,
+            size: this._entries.size,
+            maxEntries: this.maxEntries,
+            evictions: this._evictions
+        };
+    }
+}
+
+module.exports = IntrospectionCache;
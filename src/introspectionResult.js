@@ -0,0 +1,92 @@
+/**
+ * Typed result of a token introspection.
+ *
+ * Wraps the claims returned by the auth service's introspection endpoint so
+ * callers can make authorization decisions without a second round-trip.
+ */
+
+class IntrospectionResult {
+    /**
+     * Create an IntrospectionResult.
+     * @param {Object} fields - Result fields
+     * @param {boolean} fields.active - Whether the token is active
+     * @param {string[]} [fields.scope=[]] - Granted scopes
+     * @param {?number} [fields.exp=null] - Expiry time (seconds since epoch)
+     * @param {?number} [fields.iat=null] - Issued-at time (seconds since epoch)
+     * @param {?string} [fields.clientId=null] - OAuth client the token was issued to
+     * @param {?string} [fields.sub=null] - Token subject
+     * @param {?string} [fields.agentUserId=null] - Agent user ID the token was validated for
+     * @param {Object} [fields.raw={}] - Unmodified introspection response
+     */
+    constructor({ active, scope = [], exp = null, iat = null, clientId = null, sub = null, agentUserId = null, raw = {} }) {
+        this.active = active === true;
+        this.scope = scope;
+        this.exp = exp;
+        this.iat = iat;
+        this.clientId = clientId;
+        this.sub = sub;
+        this.agentUserId = agentUserId;
+        this.raw = raw;
+    }
+
+    /**
+     * Build a result from an introspection response body.
+     *
+     * @param {Object} data - Introspection response body
+     * @param {?string} [agentUserId=null] - Agent user ID the token was validated for
+     * @returns {IntrospectionResult} Parsed result
+     */
+    static fromResponse(data, agentUserId = null) {
+        return new IntrospectionResult({
+            active: data.active === true,
+            scope: IntrospectionResult.parseScope(data.scope),
+            exp: typeof data.exp === 'number' ? data.exp : null,
+            iat: typeof data.iat === 'number' ? data.iat : null,
+            clientId: data.client_id || null,
+            sub: data.sub || null,
+            agentUserId,
+            raw: data
+        });
+    }
+
+    /**
+     * Build an inactive result.
+     *
+     * @param {?string} [agentUserId=null] - Agent user ID the token was validated for
+     * @param {Object} [raw={}] - Response body, if any
+     * @returns {IntrospectionResult} Inactive result
+     */
+    static inactive(agentUserId = null, raw = {}) {
+        return new IntrospectionResult({ active: false, agentUserId, raw });
+    }
+
+    /**
+     * Normalize a scope claim to an array.
+     *
+     * Accepts the RFC 7662 space-delimited string as well as an array.
+     *
+     * @param {string|string[]|undefined} scope - Scope claim
+     * @returns {string[]} Scope values
+     */
+    static parseScope(scope) {
+        if (Array.isArray(scope)) {
+            return scope.filter(value => typeof value === 'string' && value.length > 0);
+        }
+        if (typeof scope === 'string') {
+            return scope.split(/\s+/).filter(Boolean);
+        }
+        return [];
+    }
+
+    /**
+     * Check whether the token was granted a scope.
+     *
+     * @param {string} scope - Scope to check
+     * @returns {boolean} True if the scope was granted
+     */
+    hasScope(scope) {
+        return this.scope.includes(scope);
+    }
+}
+
+module.exports = IntrospectionResult;
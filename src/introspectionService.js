@@ -2,6 +2,7 @@
 // Please use the TraylinxAuthClient class in client.js instead.
 
 const axios = require('axios');
+const { defaultLogger } = require('./logger');
 
 class IntrospectionService {
     constructor(tokenManager) {
@@ -28,7 +29,7 @@ class IntrospectionService {
 
             return response.data.active === true;
         } catch (error) {
-            console.error('Error validating token:', error.message);
+            defaultLogger.error('introspection.failed', { error });
             return false;
         }
     }
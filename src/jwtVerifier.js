@@ -0,0 +1,298 @@
+/**
+ * Local verification of JWT agent tokens against a JWKS.
+ *
+ * Keys are fetched from the auth service's JWKS URL and cached for `cacheTtl`.
+ * A token signed with an unknown `kid` triggers a refetch, so key rotation is
+ * picked up without a restart; refetches are throttled by `minRefetchInterval`
+ * so tokens with made-up key IDs cannot be used to hammer the JWKS endpoint.
+ * A failed fetch is remembered for the same interval: until it elapses, tokens
+ * needing the JWKS fail with the same error instead of fetching it again.
+ *
+ * Supports RS256, ES256 and EdDSA (Ed25519) using node:crypto only.
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const { AuthenticationError } = require('./errors');
+
+/**
+ * Supported algorithms with the JWK key type they require and how to verify them.
+ */
+const ALGORITHMS = {
+    RS256: { kty: 'RSA', digest: 'sha256' },
+    ES256: { kty: 'EC', crv: 'P-256', digest: 'sha256', dsaEncoding: 'ieee-p1363' },
+    EdDSA: { kty: 'OKP', crv: 'Ed25519', digest: null }
+};
+
+/**
+ * Decode a base64url JSON segment.
+ *
+ * @param {string} segment - base64url encoded JSON
+ * @returns {Object} Decoded object
+ * @throws {Error} If the segment is not a JSON object
+ */
+function decodeSegment(segment) {
+    const value = JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        throw new Error('segment is not a JSON object');
+    }
+    return value;
+}
+
+/**
+ * Check whether a string looks like a compact JWS (three base64url segments).
+ *
+ * @param {string} token - Token to check
+ * @returns {boolean} True if the token has the JWT shape
+ */
+function isJwt(token) {
+    return typeof token === 'string' && /^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*$/.test(token);
+}
+
+/**
+ * Decode a JWT's header and payload without verifying it.
+ *
+ * @param {string} token - Token to decode
+ * @returns {?Object} { header, payload }, or null if the token is not a well-formed JWT
+ */
+function decodeJwt(token) {
+    if (!isJwt(token)) {
+        return null;
+    }
+    const [headerSegment, payloadSegment] = token.split('.');
+    try {
+        return { header: decodeSegment(headerSegment), payload: decodeSegment(payloadSegment) };
+    } catch (error) {
+        return null;
+    }
+}
+
+class JwtVerifier {
+    /**
+     * Create a JwtVerifier.
+     * @param {Object} options - Verifier options
+     * @param {string} options.jwksUrl - URL of the JSON Web Key Set
+     * @param {string} [options.issuer] - Required `iss` claim
+     * @param {string|string[]} [options.audience] - Accepted `aud` values; the token must name at least one
+     * @param {number} [options.clockTolerance=30000] - Allowed clock skew for exp/nbf/iat in milliseconds
+     * @param {number} [options.cacheTtl=600000] - How long fetched keys are used before the JWKS is fetched again
+     * @param {number} [options.minRefetchInterval=30000] - Minimum time between refetches triggered by unknown key IDs or after a failed fetch
+     * @param {Function} [options.fetchJwks] - `(url) => Promise<Object>` returning the JWKS document (default: axios GET)
+     */
+    constructor(options) {
+        this.jwksUrl = options.jwksUrl;
+        this.issuer = options.issuer || null;
+        this.audience = options.audience
+            ? [].concat(options.audience)
+            : null;
+        this.clockTolerance = options.clockTolerance !== undefined ? options.clockTolerance : 30000;
+        this.cacheTtl = options.cacheTtl || 600000;
+        this.minRefetchInterval = options.minRefetchInterval !== undefined ? options.minRefetchInterval : 30000;
+        this.fetchJwks = options.fetchJwks || (url => axios.get(url).then(response => response.data));
+
+        // kid -> { key: KeyObject, alg, kty, crv }
+        this._keys = new Map();
+        this._fetchedAt = null;
+        // Time and error of the last fetch attempt, successful or not
+        this._attemptedAt = null;
+        this._fetchError = null;
+        this._fetchPromise = null;
+    }
+
+    /**
+     * Verify a token's signature and claims.
+     *
+     * @param {string} token - Compact JWS
+     * @returns {Promise<Object>} Verified claims
+     * @throws {AuthenticationError} If the token is malformed, badly signed or its claims are not acceptable
+     * @throws {Error} If the JWKS cannot be fetched
+     */
+    async verify(token) {
+        if (!isJwt(token)) {
+            throw new AuthenticationError('Token is not a JWT', 'INVALID_JWT', 401);
+        }
+
+        const [headerSegment, payloadSegment, signatureSegment] = token.split('.');
+        let header;
+        let claims;
+        try {
+            header = decodeSegment(headerSegment);
+            claims = decodeSegment(payloadSegment);
+        } catch (error) {
+            throw new AuthenticationError(`Malformed JWT: ${error.message}`, 'INVALID_JWT', 401);
+        }
+
+        if (!Object.prototype.hasOwnProperty.call(ALGORITHMS, header.alg)) {
+            throw new AuthenticationError(
+                `Unsupported JWT algorithm: ${header.alg}`,
+                'UNSUPPORTED_JWT_ALGORITHM',
+                401
+            );
+        }
+
+        const algorithm = ALGORITHMS[header.alg];
+        const jwk = await this._getKey(header.kid, header.alg);
+        if (jwk.kty !== algorithm.kty || (algorithm.crv && jwk.crv !== algorithm.crv) || (jwk.alg && jwk.alg !== header.alg)) {
+            throw new AuthenticationError(
+                `Key ${header.kid} cannot be used with ${header.alg}`,
+                'INVALID_JWT_SIGNATURE',
+                401
+            );
+        }
+
+        const verifyKey = algorithm.dsaEncoding
+            ? { key: jwk.key, dsaEncoding: algorithm.dsaEncoding }
+            : jwk.key;
+        const valid = crypto.verify(
+            algorithm.digest,
+            Buffer.from(`${headerSegment}.${payloadSegment}`),
+            verifyKey,
+            Buffer.from(signatureSegment, 'base64url')
+        );
+        if (!valid) {
+            throw new AuthenticationError('Invalid JWT signature', 'INVALID_JWT_SIGNATURE', 401);
+        }
+
+        this._checkClaims(claims);
+        return claims;
+    }
+
+    /**
+     * Check the time, issuer and audience claims.
+     *
+     * @param {Object} claims - Token claims
+     * @throws {AuthenticationError} If a claim is not acceptable
+     */
+    _checkClaims(claims) {
+        const now = Date.now();
+
+        if (typeof claims.exp !== 'number') {
+            throw new AuthenticationError('JWT has no exp claim', 'INVALID_JWT', 401);
+        }
+        if (claims.exp * 1000 + this.clockTolerance <= now) {
+            throw new AuthenticationError('JWT has expired', 'JWT_EXPIRED', 401);
+        }
+        if (typeof claims.nbf === 'number' && claims.nbf * 1000 - this.clockTolerance > now) {
+            throw new AuthenticationError('JWT is not valid yet', 'JWT_NOT_YET_VALID', 401);
+        }
+        if (typeof claims.iat === 'number' && claims.iat * 1000 - this.clockTolerance > now) {
+            throw new AuthenticationError('JWT was issued in the future', 'JWT_NOT_YET_VALID', 401);
+        }
+
+        if (this.issuer && claims.iss !== this.issuer) {
+            throw new AuthenticationError(`Unexpected JWT issuer: ${claims.iss}`, 'INVALID_JWT_ISSUER', 401);
+        }
+
+        if (this.audience) {
+            const audiences = [].concat(claims.aud === undefined ? [] : claims.aud);
+            if (!audiences.some(aud => this.audience.includes(aud))) {
+                throw new AuthenticationError('JWT audience does not match', 'INVALID_JWT_AUDIENCE', 401);
+            }
+        }
+    }
+
+    /**
+     * Find the key for a token, fetching the JWKS when the cache is stale or the kid is unknown.
+     *
+     * Tokens without a kid are accepted only when the JWKS holds a single key.
+     * Within minRefetchInterval of a failed fetch, the JWKS is not fetched again
+     * and the failure is rethrown.
+     *
+     * @param {string} [kid] - Key ID from the token header
+     * @param {string} alg - Algorithm from the token header
+     * @returns {Promise<Object>} Cached key entry
+     * @throws {AuthenticationError} If no key matches
+     * @throws {Error} If the JWKS cannot be fetched, or its last fetch failed too recently
+     */
+    async _getKey(kid, alg) {
+        const now = Date.now();
+        const throttled = this._attemptedAt !== null && now - this._attemptedAt < this.minRefetchInterval;
+        const stale = this._fetchedAt === null || now - this._fetchedAt >= this.cacheTtl;
+        if (stale) {
+            if (throttled && this._fetchError) {
+                throw this._fetchError;
+            }
+            await this.refresh();
+        }
+
+        let jwk = this._findKey(kid);
+        if (!jwk && !stale && !throttled) {
+            // Unknown key: the auth service may have rotated its signing keys
+            await this.refresh();
+            jwk = this._findKey(kid);
+        }
+
+        if (!jwk) {
+            throw new AuthenticationError(
+                `No key found for JWT kid ${kid === undefined ? '(none)' : kid} (${alg})`,
+                'UNKNOWN_JWT_KEY',
+                401
+            );
+        }
+        return jwk;
+    }
+
+    /**
+     * Look up a cached key.
+     *
+     * @param {string} [kid] - Key ID
+     * @returns {Object|undefined} Cached key entry
+     */
+    _findKey(kid) {
+        if (kid === undefined) {
+            return this._keys.size === 1 ? this._keys.values().next().value : undefined;
+        }
+        return this._keys.get(kid);
+    }
+
+    /**
+     * Fetch the JWKS and replace the cached keys.
+     *
+     * Concurrent calls share one request. Keys that cannot be imported or are not
+     * signature keys are skipped. A failure keeps the previously cached keys and
+     * is remembered so _getKey() can throttle further attempts.
+     *
+     * @returns {Promise<void>}
+     */
+    refresh() {
+        if (!this._fetchPromise) {
+            this._fetchPromise = (async () => {
+                try {
+                    const jwks = await this.fetchJwks(this.jwksUrl);
+                    const keys = new Map();
+                    for (const jwk of (jwks && Array.isArray(jwks.keys)) ? jwks.keys : []) {
+                        if (jwk.use && jwk.use !== 'sig') {
+                            continue;
+                        }
+                        try {
+                            keys.set(jwk.kid, {
+                                key: crypto.createPublicKey({ key: jwk, format: 'jwk' }),
+                                kty: jwk.kty,
+                                crv: jwk.crv,
+                                alg: jwk.alg
+                            });
+                        } catch (error) {
+                            // Unsupported or malformed key, ignore it
+                        }
+                    }
+                    this._keys = keys;
+                    this._fetchedAt = Date.now();
+                    this._fetchError = null;
+                } catch (error) {
+                    this._fetchError = error;
+                    throw error;
+                } finally {
+                    this._attemptedAt = Date.now();
+                    this._fetchPromise = null;
+                }
+            })();
+        }
+        return this._fetchPromise;
+    }
+}
+
+JwtVerifier.ALGORITHMS = Object.keys(ALGORITHMS);
+JwtVerifier.isJwt = isJwt;
+JwtVerifier.decode = decodeJwt;
+
+module.exports = JwtVerifier;
@@ -0,0 +1,251 @@
+/**
+ * Structured logging for TraylinxAuthClient.
+ *
+ * Events are logged as an event name plus a flat object of fields. By default
+ * they are written as JSON lines to stderr; a pino- or winston-compatible
+ * logger can be passed instead. Either way the client's logLevel is applied
+ * first, and fields are redacted: credential-named fields and sensitive headers
+ * are replaced, errors are reduced to name/message/code, and known secret
+ * values are scrubbed from strings.
+ */
+
+const { REDACTED, redactHeaders, redactError, redactSecrets } = require('./redact');
+const { ValidationError } = require('./errors');
+
+/**
+ * Numeric severity of each logLevel accepted by the configuration schema.
+ */
+const LEVELS = {
+    DEBUG: 10,
+    INFO: 20,
+    WARN: 30,
+    WARNING: 30,
+    ERROR: 40,
+    CRITICAL: 50
+};
+
+const METHODS = ['debug', 'info', 'warn', 'error'];
+
+/**
+ * Lower-case names of fields whose values are never logged.
+ */
+const SENSITIVE_FIELDS = [
+    'clientsecret', 'client_secret', 'accesstoken', 'access_token',
+    'agentsecrettoken', 'agent_secret_token', 'token', 'password', 'authorization'
+];
+
+/**
+ * Write a log entry as a single JSON line.
+ *
+ * @param {Object} stream - Writable stream
+ * @param {string} level - Method name (debug, info, warn, error)
+ * @param {string} event - Event name
+ * @param {Object} fields - Redacted fields
+ */
+function writeJsonLine(stream, level, event, fields) {
+    stream.write(`${JSON.stringify({ time: new Date().toISOString(), level, msg: event, ...fields })}\n`);
+}
+
+/**
+ * Build the function forwarding entries to a user-supplied logger.
+ *
+ * pino (recognised by `levels.values`) takes `(fields, msg)`; winston and
+ * console-like loggers take `(msg, fields)`.
+ *
+ * @param {Object} logger - pino/winston-compatible logger
+ * @returns {Function} `(level, event, fields) => void`
+ */
+function forwardTo(logger) {
+    if (logger.levels && logger.levels.values) {
+        return (level, event, fields) => logger[level](fields, event);
+    }
+    return (level, event, fields) => logger[level](event, fields);
+}
+
+/**
+ * Check that an object can be used as a logger.
+ *
+ * @param {*} logger - Candidate logger
+ * @returns {Object} The logger
+ * @throws {ValidationError} If a required method is missing
+ */
+function validateLogger(logger) {
+    const missing = METHODS.filter(method => !logger || typeof logger[method] !== 'function');
+    if (missing.length > 0) {
+        throw new ValidationError(
+            `Logger must implement ${missing.join(', ')} method(s)`,
+            'INVALID_LOGGER',
+            400
+        );
+    }
+    return logger;
+}
+
+class Logger {
+    /**
+     * Create a Logger.
+     * @param {Object} [options={}] - Logger options
+     * @param {Object} [options.logger] - pino/winston-compatible logger (default: JSON lines on options.stream)
+     * @param {string} [options.level='INFO'] - Minimum level, one of the LEVELS keys
+     * @param {Function} [options.secrets] - `() => string[]` returning values to scrub from strings
+     * @param {Object} [options.stream=process.stderr] - Stream used by the built-in JSON logger
+     * @param {Object} [options.bindings={}] - Fields added to every entry
+     */
+    constructor(options = {}) {
+        this.level = String(options.level || 'INFO').toUpperCase();
+        this.threshold = LEVELS[this.level] || LEVELS.INFO;
+        this.secrets = options.secrets || (() => []);
+        this.bindings = options.bindings || {};
+
+        if (options.logger) {
+            this.target = validateLogger(options.logger);
+            this._write = forwardTo(this.target);
+        } else {
+            const stream = options.stream || process.stderr;
+            this.target = null;
+            this._write = (level, event, fields) => writeJsonLine(stream, level, event, fields);
+        }
+    }
+
+    /**
+     * Create a logger adding fields (e.g. a request ID) to every entry.
+     *
+     * @param {Object} bindings - Fields to add
+     * @returns {Logger} Child logger sharing the output and level
+     */
+    child(bindings) {
+        const child = Object.create(this);
+        child.bindings = { ...this.bindings, ...bindings };
+        return child;
+    }
+
+    /**
+     * Check whether entries of a level would be written.
+     *
+     * @param {string} level - Method name (debug, info, warn, error)
+     * @returns {boolean} True if the level passes logLevel
+     */
+    isLevelEnabled(level) {
+        return LEVELS[level.toUpperCase()] >= this.threshold;
+    }
+
+    /**
+     * Log a debug entry.
+     *
+     * @param {string} event - Event name, e.g. 'token.fetch.start'
+     * @param {Object} [fields] - Entry fields
+     */
+    debug(event, fields) {
+        this._log('debug', event, fields);
+    }
+
+    /**
+     * Log an info entry.
+     *
+     * @param {string} event - Event name
+     * @param {Object} [fields] - Entry fields
+     */
+    info(event, fields) {
+        this._log('info', event, fields);
+    }
+
+    /**
+     * Log a warning entry.
+     *
+     * @param {string} event - Event name
+     * @param {Object} [fields] - Entry fields
+     */
+    warn(event, fields) {
+        this._log('warn', event, fields);
+    }
+
+    /**
+     * Log an error entry.
+     *
+     * @param {string} event - Event name
+     * @param {Object} [fields] - Entry fields
+     */
+    error(event, fields) {
+        this._log('error', event, fields);
+    }
+
+    /**
+     * Redact and write an entry if its level is enabled.
+     *
+     * Logging never throws; a failing logger must not break authentication.
+     *
+     * @param {string} level - Method name
+     * @param {string} event - Event name
+     * @param {Object} [fields={}] - Entry fields
+     */
+    _log(level, event, fields = {}) {
+        if (!this.isLevelEnabled(level)) {
+            return;
+        }
+
+        try {
+            const secrets = this.secrets();
+            this._write(level, event, this._redact({ ...this.bindings, ...fields }, secrets, 0));
+        } catch (error) {
+            // Ignore logger failures
+        }
+    }
+
+    /**
+     * Redact a field value.
+     *
+     * @param {*} value - Value to redact
+     * @param {string[]} secrets - Values to scrub from strings
+     * @param {number} depth - Nesting depth, objects deeper than 3 levels are dropped
+     * @returns {*} Redacted value
+     */
+    _redact(value, secrets, depth) {
+        if (typeof value === 'string') {
+            return redactSecrets(value, secrets);
+        }
+        if (value instanceof Error || (value && value.config && value.message !== undefined)) {
+            const error = redactError(value);
+            return {
+                name: error.name,
+                message: redactSecrets(error.message, secrets),
+                code: error.code,
+                statusCode: error.statusCode !== undefined ? error.statusCode : error.status
+            };
+        }
+        if (!value || typeof value !== 'object') {
+            return value;
+        }
+        if (depth >= 3) {
+            return '[Object]';
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => this._redact(item, secrets, depth + 1));
+        }
+
+        const result = {};
+        for (const [key, item] of Object.entries(value)) {
+            if (SENSITIVE_FIELDS.includes(key.toLowerCase())) {
+                result[key] = REDACTED;
+            } else if (key.toLowerCase() === 'headers') {
+                result[key] = this._redact(redactHeaders(item), secrets, depth + 1);
+            } else {
+                result[key] = this._redact(item, secrets, depth + 1);
+            }
+        }
+        return result;
+    }
+}
+
+Logger.LEVELS = LEVELS;
+
+/**
+ * Logger used by module-level helpers that have no client, at the INFO level.
+ */
+const defaultLogger = new Logger();
+
+module.exports = {
+    Logger,
+    LEVELS,
+    defaultLogger,
+    validateLogger
+};
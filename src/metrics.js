@@ -0,0 +1,477 @@
+/**
+ * Prometheus metrics for auth operations, without a prom-client dependency.
+ *
+ * `MetricsRegistry` holds counters and histograms and renders them in the
+ * Prometheus text exposition format (version 0.0.4). `AuthMetrics` defines the
+ * metrics recorded by TraylinxAuthClient and the middleware: token fetch
+ * latency and outcomes, introspection latency and cache hits, retries per
+ * status code and middleware decisions per auth mode.
+ */
+
+const { ValidationError } = require('./errors');
+
+/**
+ * Content-Type of the Prometheus text exposition format.
+ */
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+/**
+ * Default histogram buckets, in seconds.
+ */
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * Escape a label value for the exposition format.
+ *
+ * @param {*} value - Label value
+ * @returns {string} Escaped value
+ */
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Render a label set as `{a="1",b="2"}`, or an empty string without labels.
+ *
+ * @param {Array<Array>} pairs - [name, value] pairs
+ * @returns {string} Rendered labels
+ */
+function formatLabels(pairs) {
+    if (pairs.length === 0) {
+        return '';
+    }
+    return `{${pairs.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+/**
+ * Render a sample value; Prometheus spells infinities +Inf/-Inf.
+ *
+ * @param {number} value - Sample value
+ * @returns {string} Rendered value
+ */
+function formatValue(value) {
+    if (value === Infinity) {
+        return '+Inf';
+    }
+    if (value === -Infinity) {
+        return '-Inf';
+    }
+    return String(value);
+}
+
+/**
+ * Base class for metrics with a fixed set of label names.
+ */
+class Metric {
+    /**
+     * Create a metric.
+     * @param {string} name - Metric name
+     * @param {string} help - HELP text
+     * @param {string[]} [labelNames=[]] - Label names
+     */
+    constructor(name, help, labelNames = []) {
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        // Serialized label values -> series state
+        this.series = new Map();
+    }
+
+    /**
+     * Get the series for a label set, creating it on first use.
+     *
+     * @param {Object} labels - Label values; missing labels are empty
+     * @param {Function} create - `() => state` for a new series
+     * @returns {Object} Series { pairs, state }
+     */
+    _series(labels, create) {
+        const pairs = this._labelPairs(labels);
+        const key = JSON.stringify(pairs.map(([, value]) => value));
+        let series = this.series.get(key);
+        if (!series) {
+            series = { pairs, state: create() };
+            this.series.set(key, series);
+        }
+        return series;
+    }
+
+    /**
+     * Get the state of a series without creating it.
+     *
+     * @param {Object} labels - Label values
+     * @returns {?Object} Series state, or null if nothing was recorded
+     */
+    _find(labels) {
+        const series = this.series.get(JSON.stringify(this._labelPairs(labels).map(([, value]) => value)));
+        return series ? series.state : null;
+    }
+
+    /**
+     * Pair each label name with its value from a label object.
+     *
+     * @param {Object} labels - Label values; missing labels are empty
+     * @returns {Array<Array>} [name, value] pairs
+     */
+    _labelPairs(labels) {
+        return this.labelNames.map(name => [name, labels[name] === undefined || labels[name] === null ? '' : String(labels[name])]);
+    }
+
+    /**
+     * Drop all recorded series.
+     */
+    reset() {
+        this.series.clear();
+    }
+
+    /**
+     * Render the metric in the exposition format.
+     *
+     * @returns {string[]} Lines
+     */
+    collect() {
+        const lines = [`# HELP ${this.name} ${this.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`, `# TYPE ${this.name} ${this.type}`];
+        if (this.series.size === 0 && this.labelNames.length === 0) {
+            this._series({}, () => this._initialState());
+        }
+        for (const series of this.series.values()) {
+            lines.push(...this._collectSeries(series));
+        }
+        return lines;
+    }
+}
+
+class Counter extends Metric {
+    get type() {
+        return 'counter';
+    }
+
+    _initialState() {
+        return { value: 0 };
+    }
+
+    /**
+     * Increment the counter.
+     *
+     * @param {Object} [labels={}] - Label values
+     * @param {number} [value=1] - Amount, must not be negative
+     */
+    inc(labels = {}, value = 1) {
+        if (value < 0) {
+            throw new ValidationError('Counters can only be increased', 'INVALID_METRIC_VALUE', 400);
+        }
+        this._series(labels, () => this._initialState()).state.value += value;
+    }
+
+    /**
+     * Read the current value of a series.
+     *
+     * @param {Object} [labels={}] - Label values
+     * @returns {number} Value, 0 if never incremented
+     */
+    get(labels = {}) {
+        const state = this._find(labels);
+        return state ? state.value : 0;
+    }
+
+    _collectSeries({ pairs, state }) {
+        return [`${this.name}${formatLabels(pairs)} ${formatValue(state.value)}`];
+    }
+}
+
+class Histogram extends Metric {
+    /**
+     * Create a histogram.
+     * @param {string} name - Metric name
+     * @param {string} help - HELP text
+     * @param {string[]} [labelNames=[]] - Label names
+     * @param {number[]} [buckets=DEFAULT_BUCKETS] - Upper bounds, in increasing order
+     */
+    constructor(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+        super(name, help, labelNames);
+        this.buckets = [...buckets].sort((a, b) => a - b);
+    }
+
+    get type() {
+        return 'histogram';
+    }
+
+    _initialState() {
+        return { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+    }
+
+    /**
+     * Record an observation.
+     *
+     * @param {Object} labels - Label values
+     * @param {number} value - Observed value
+     */
+    observe(labels, value) {
+        const state = this._series(labels, () => this._initialState()).state;
+        this.buckets.forEach((bound, index) => {
+            if (value <= bound) {
+                state.counts[index]++;
+            }
+        });
+        state.sum += value;
+        state.count++;
+    }
+
+    /**
+     * Read the observation count and sum of a series.
+     *
+     * @param {Object} [labels={}] - Label values
+     * @returns {Object} { count, sum }
+     */
+    get(labels = {}) {
+        const state = this._find(labels);
+        return state ? { count: state.count, sum: state.sum } : { count: 0, sum: 0 };
+    }
+
+    _collectSeries({ pairs, state }) {
+        const lines = this.buckets.map((bound, index) =>
+            `${this.name}_bucket${formatLabels([...pairs, ['le', formatValue(bound)]])} ${state.counts[index]}`);
+        lines.push(`${this.name}_bucket${formatLabels([...pairs, ['le', '+Inf']])} ${state.count}`);
+        lines.push(`${this.name}_sum${formatLabels(pairs)} ${formatValue(state.sum)}`);
+        lines.push(`${this.name}_count${formatLabels(pairs)} ${state.count}`);
+        return lines;
+    }
+}
+
+class MetricsRegistry {
+    /**
+     * Create an empty registry.
+     */
+    constructor() {
+        this.metrics = new Map();
+    }
+
+    /**
+     * Register a counter, or return the existing one with that name.
+     *
+     * @param {string} name - Metric name
+     * @param {string} help - HELP text
+     * @param {string[]} [labelNames] - Label names
+     * @returns {Counter} The counter
+     */
+    counter(name, help, labelNames) {
+        return this._register(name, () => new Counter(name, help, labelNames), Counter);
+    }
+
+    /**
+     * Register a histogram, or return the existing one with that name.
+     *
+     * @param {string} name - Metric name
+     * @param {string} help - HELP text
+     * @param {string[]} [labelNames] - Label names
+     * @param {number[]} [buckets] - Upper bounds
+     * @returns {Histogram} The histogram
+     */
+    histogram(name, help, labelNames, buckets) {
+        return this._register(name, () => new Histogram(name, help, labelNames, buckets), Histogram);
+    }
+
+    _register(name, create, type) {
+        if (!/^[a-zA-Z_:][a-zA-Z0-9_:]*$/.test(name)) {
+            throw new ValidationError(`Invalid metric name: ${name}`, 'INVALID_METRIC_NAME', 400);
+        }
+        let metric = this.metrics.get(name);
+        if (!metric) {
+            metric = create();
+            this.metrics.set(name, metric);
+        } else if (!(metric instanceof type)) {
+            throw new ValidationError(`Metric ${name} is already registered as a ${metric.type}`, 'DUPLICATE_METRIC', 400);
+        }
+        return metric;
+    }
+
+    /**
+     * Drop all recorded values, keeping the registered metrics.
+     */
+    reset() {
+        for (const metric of this.metrics.values()) {
+            metric.reset();
+        }
+    }
+
+    /**
+     * Render every metric in the Prometheus text exposition format.
+     *
+     * @returns {string} Exposition text
+     */
+    metricsText() {
+        const lines = [];
+        for (const metric of this.metrics.values()) {
+            lines.push(...metric.collect());
+        }
+        return lines.length > 0 ? `${lines.join('\n')}\n` : '';
+    }
+}
+
+class AuthMetrics {
+    /**
+     * Create the auth metrics.
+     *
+     * One instance can be shared by several clients; series are not labelled by client.
+     *
+     * @param {Object} [options={}] - Metrics options
+     * @param {MetricsRegistry} [options.registry] - Registry to add the metrics to (default: a new one)
+     * @param {string} [options.prefix='traylinx_auth_'] - Metric name prefix
+     * @param {number[]} [options.buckets] - Latency histogram buckets in seconds
+     */
+    constructor(options = {}) {
+        const prefix = options.prefix !== undefined ? options.prefix : 'traylinx_auth_';
+        const buckets = options.buckets || DEFAULT_BUCKETS;
+        this.registry = options.registry || new MetricsRegistry();
+
+        this.tokenFetches = this.registry.counter(`${prefix}token_fetch_total`,
+            'Token requests to /oauth/token by outcome', ['outcome', 'code']);
+        this.tokenFetchDuration = this.registry.histogram(`${prefix}token_fetch_duration_seconds`,
+            'Token request latency including retries, in seconds', ['outcome'], buckets);
+        this.introspections = this.registry.counter(`${prefix}introspection_total`,
+            'Token introspections by source and outcome', ['source', 'outcome']);
+        this.introspectionDuration = this.registry.histogram(`${prefix}introspection_duration_seconds`,
+            'Token introspection latency, in seconds', ['source', 'outcome'], buckets);
+        this.introspectionCache = this.registry.counter(`${prefix}introspection_cache_total`,
+            'Introspection cache lookups by result', ['result']);
+        this.retries = this.registry.counter(`${prefix}request_retries_total`,
+            'Retried requests by HTTP status or network error code', ['status']);
+        this.authDecisions = this.registry.counter(`${prefix}auth_decisions_total`,
+            'Middleware authentication decisions by auth mode', ['decision', 'auth_mode']);
+        this.scopeRejections = this.registry.counter(`${prefix}scope_rejections_total`,
+            'Authenticated requests refused by requireScopes() by auth mode', ['auth_mode']);
+    }
+
+    /**
+     * Record a token request.
+     *
+     * @param {Object} observation - Token request outcome
+     * @param {number} observation.durationMs - Latency including retries
+     * @param {Error} [observation.error] - Error, if the request failed
+     */
+    observeTokenFetch({ durationMs, error }) {
+        const outcome = error ? 'error' : 'success';
+        this.tokenFetches.inc({ outcome, code: error ? error.code || error.name : '' });
+        this.tokenFetchDuration.observe({ outcome }, durationMs / 1000);
+    }
+
+    /**
+     * Record an introspection.
+     *
+     * @param {Object} observation - Introspection outcome
+     * @param {number} observation.durationMs - Latency
+     * @param {string} observation.source - 'jwt', 'cache', 'introspect' or 'unknown' for failures
+     * @param {?boolean} observation.active - Whether the token was active, null on failure
+     * @param {boolean} [observation.cacheEnabled=false] - Whether cache lookups should be counted
+     */
+    observeIntrospection({ durationMs, source, active, cacheEnabled = false }) {
+        const outcome = active === null ? 'error' : (active ? 'active' : 'inactive');
+        this.introspections.inc({ source, outcome });
+        this.introspectionDuration.observe({ source, outcome }, durationMs / 1000);
+
+        if (cacheEnabled && (source === 'cache' || source === 'introspect')) {
+            this.introspectionCache.inc({ result: source === 'cache' ? 'hit' : 'miss' });
+        }
+    }
+
+    /**
+     * Record a retried request.
+     *
+     * @param {Object} retry - 'request:retry' payload
+     */
+    observeRetry({ status, code }) {
+        this.retries.inc({ status: status || code || 'unknown' });
+    }
+
+    /**
+     * Record a middleware decision.
+     *
+     * @param {string} decision - 'allow', 'deny' or 'error'
+     * @param {string} authMode - 'bearer', 'custom' or 'none' (see detectAuthMode())
+     */
+    observeAuthDecision(decision, authMode) {
+        this.authDecisions.inc({ decision, auth_mode: authMode });
+    }
+
+    /**
+     * Record a request refused for missing scopes.
+     *
+     * Kept apart from auth decisions: the caller was already counted as allowed
+     * when it authenticated.
+     *
+     * @param {string} authMode - 'bearer', 'custom' or 'none' (see detectAuthMode())
+     */
+    observeScopeRejection(authMode) {
+        this.scopeRejections.inc({ auth_mode: authMode });
+    }
+
+    /**
+     * Render the metrics registry in the Prometheus text exposition format.
+     *
+     * @returns {string} Exposition text
+     */
+    metricsText() {
+        return this.registry.metricsText();
+    }
+}
+
+/**
+ * Check that an object can record auth metrics.
+ *
+ * @param {*} metrics - Candidate metrics recorder
+ * @returns {Object} The recorder
+ * @throws {ValidationError} If a required method is missing
+ */
+function validateMetrics(metrics) {
+    const methods = ['observeTokenFetch', 'observeIntrospection', 'observeRetry', 'observeAuthDecision', 'observeScopeRejection', 'metricsText'];
+    const missing = methods.filter(method => !metrics || typeof metrics[method] !== 'function');
+    if (missing.length > 0) {
+        throw new ValidationError(
+            `Metrics must implement ${missing.join(', ')} method(s)`,
+            'INVALID_METRICS',
+            400
+        );
+    }
+    return metrics;
+}
+
+/**
+ * Create an Express (or node:http) handler serving metrics in the Prometheus format.
+ *
+ * @param {TraylinxAuthClient|AuthMetrics|MetricsRegistry|Function} source - Anything with a
+ *   metricsText() method, or a function returning one
+ * @returns {Function} Request handler `(req, res)`
+ *
+ * @example
+ * const client = new TraylinxAuthClient(clientId, clientSecret, apiBaseUrl, agentUserId, { metrics: true });
+ * app.get('/metrics', createMetricsHandler(client));
+ */
+function createMetricsHandler(source) {
+    const resolve = typeof source === 'function' ? source : () => source;
+    if (!source || (typeof source !== 'function' && typeof source.metricsText !== 'function')) {
+        throw new ValidationError('createMetricsHandler() needs an object with a metricsText() method', 'INVALID_METRICS', 400);
+    }
+
+    return function metricsHandler(req, res) {
+        let text;
+        try {
+            text = resolve().metricsText();
+            res.statusCode = 200;
+        } catch (error) {
+            text = '# metrics unavailable\n';
+            res.statusCode = 500;
+        }
+        res.setHeader('Content-Type', CONTENT_TYPE);
+        res.end(text);
+    };
+}
+
+module.exports = {
+    CONTENT_TYPE,
+    DEFAULT_BUCKETS,
+    Counter,
+    Histogram,
+    MetricsRegistry,
+    AuthMetrics,
+    validateMetrics,
+    createMetricsHandler
+};
@@ -0,0 +1,384 @@
+/**
+ * Express.js middleware factories for A2A authentication.
+ *
+ * Unlike the ready-made `requireA2AAuth`/`requireDualAuth` exports, which use the
+ * default client configured from environment variables, these factories bind the
+ * middleware to a specific TraylinxAuthClient instance.
+ */
+
+const crypto = require('crypto');
+const { ValidationError } = require('./errors');
+const { defaultLogger } = require('./logger');
+const { redactError } = require('./redact');
+
+const AUTH_MODES = ['bearer', 'custom'];
+
+/**
+ * Turn a client option into a function returning the client.
+ *
+ * A function is accepted so callers can resolve the client lazily (e.g. the
+ * default client, which reads environment variables on first use).
+ *
+ * @param {TraylinxAuthClient|Function} client - Client instance or getter
+ * @returns {Function} Client getter
+ * @throws {ValidationError} If no client was given
+ */
+function clientResolver(client) {
+    if (!client) {
+        throw new ValidationError('A TraylinxAuthClient instance is required', 'MISSING_CLIENT', 400);
+    }
+    return typeof client === 'function' ? client : () => client;
+}
+
+/**
+ * Find the logger of the client handling a request.
+ *
+ * Falls back to defaultLogger when the client cannot be resolved (e.g. an
+ * unconfigured default client) or has no logger.
+ *
+ * @param {Function} getClient - Client getter
+ * @returns {Object} Logger
+ */
+function loggerFor(getClient) {
+    try {
+        const client = getClient();
+        if (client && client.logger) {
+            return client.logger;
+        }
+    } catch (error) {
+        // Fall back to the default logger
+    }
+    return defaultLogger;
+}
+
+/**
+ * Validate the accepted authentication modes.
+ *
+ * @param {string[]} [modes=['bearer', 'custom']] - Accepted authentication modes
+ * @returns {string[]} The modes
+ * @throws {ValidationError} If modes is not a non-empty array of known modes
+ */
+function resolveModes(modes = AUTH_MODES) {
+    if (!Array.isArray(modes) || modes.length === 0 || !modes.every(mode => AUTH_MODES.includes(mode))) {
+        throw new ValidationError(
+            `Invalid auth modes: expected a non-empty array of ${AUTH_MODES.map(mode => `'${mode}'`).join(', ')}`,
+            'INVALID_AUTH_MODES',
+            400
+        );
+    }
+    return modes;
+}
+
+/**
+ * Build the RFC 6750 challenge for a rejected request.
+ *
+ * @param {string} reason - 'missing_credentials' or 'invalid_token'
+ * @returns {string} WWW-Authenticate header value
+ */
+function wwwAuthenticate(reason) {
+    const error = reason === 'invalid_token' ? ', error="invalid_token"' : '';
+    return `Bearer realm="traylinx"${error}`;
+}
+
+/**
+ * Default 401 response builder.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} info - Rejection details
+ * @param {string} info.reason - 'missing_credentials' or 'invalid_token'
+ */
+function defaultUnauthorized(req, res, info) {
+    res.set('WWW-Authenticate', wwwAuthenticate(info.reason));
+    res.status(401).json({ error: 'Invalid or missing authentication' });
+}
+
+/**
+ * Default 500 response builder.
+ *
+ * @param {Error} error - Error raised while validating the request
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} logger - Logger of the client handling the request
+ */
+function defaultError(error, req, res, logger) {
+    logger.error('auth.middleware.failed', { error: redactError(error) });
+    res.status(500).json({ error: 'Internal server error' });
+}
+
+/**
+ * Run a function in the trace context of an incoming request, if the client
+ * traces with the OpenTelemetry context API (see tracing.js).
+ *
+ * @param {TraylinxAuthClient} client - Client handling the request
+ * @param {Object} headers - Request headers
+ * @param {Function} fn - Function to run
+ * @returns {*} The function's result
+ */
+function continueTrace(client, headers, fn) {
+    return client.tracing ? client.tracing.withIncomingContext(headers || {}, fn) : fn();
+}
+
+/**
+ * Authenticate a request's headers against a client.
+ *
+ * Callers run it inside continueTrace() so introspection spans continue the
+ * caller's trace (W3C traceparent).
+ *
+ * @param {TraylinxAuthClient} client - Client used for introspection
+ * @param {Object} headers - Request headers
+ * @param {string[]} modes - Accepted authentication modes
+ * @returns {Promise<Object>} { result, authMode, reason } where result is the active
+ *   IntrospectionResult or null, and reason explains a rejection
+ */
+async function authenticateHeaders(client, headers, modes) {
+    const credentials = client.extractCredentials(headers || {}, modes);
+    if (!credentials) {
+        return recordDecision(client, headers, { result: null, authMode: 'none', reason: 'missing_credentials' });
+    }
+
+    let result;
+    try {
+        result = await client.introspectToken(credentials.token, credentials.agentUserId);
+    } catch (error) {
+        if (client.metrics) {
+            client.metrics.observeAuthDecision('error', detectMode(client, headers, credentials.mode));
+        }
+        throw error;
+    }
+    if (!result.active) {
+        return recordDecision(client, headers, { result: null, authMode: credentials.mode, reason: 'invalid_token' }, {
+            agentUserId: credentials.agentUserId
+        });
+    }
+
+    return recordDecision(client, headers, { result, authMode: credentials.mode, reason: null });
+}
+
+/**
+ * Detect the auth mode used for metric labels, as reported by detectAuthMode().
+ *
+ * @param {TraylinxAuthClient} client - Client that made the decision
+ * @param {Object} headers - Request headers
+ * @param {string} fallback - Mode to use if the client cannot detect it
+ * @returns {string} 'bearer', 'custom' or 'none'
+ */
+function detectMode(client, headers, fallback) {
+    return typeof client.detectAuthMode === 'function' ? client.detectAuthMode(headers || {}) : fallback;
+}
+
+/**
+ * Log an authentication decision on the client's logger, record it in the
+ * client's metrics and emit 'auth:rejected' for refusals, if the client
+ * supports them. Scope rejections are counted as such rather than as a
+ * second decision on the same request.
+ *
+ * The request is identified by its X-Request-Id header, or a generated ID.
+ *
+ * @param {TraylinxAuthClient} client - Client that made the decision
+ * @param {Object} headers - Request headers
+ * @param {Object} decision - { result, authMode, reason }
+ * @param {Object} [details={}] - Extra 'auth:rejected' fields (agentUserId, requiredScopes, grantedScopes)
+ * @returns {Object} The decision
+ */
+function recordDecision(client, headers, decision, details = {}) {
+    const requestId = (headers && headers['x-request-id']) || crypto.randomUUID();
+    const agentUserId = decision.result ? decision.result.agentUserId : (details.agentUserId || null);
+
+    if (client.logger) {
+        client.logger.debug('auth.decision', {
+            requestId,
+            allowed: decision.result !== null,
+            authMode: decision.authMode,
+            reason: decision.reason,
+            agentUserId: agentUserId || undefined
+        });
+    }
+    if (client.metrics) {
+        const authMode = detectMode(client, headers, decision.authMode);
+        if (decision.reason === 'insufficient_scope') {
+            // The request was already counted as allowed when it authenticated
+            client.metrics.observeScopeRejection(authMode);
+        } else {
+            client.metrics.observeAuthDecision(decision.result ? 'allow' : 'deny', authMode);
+        }
+    }
+    if (decision.reason && typeof client.emit === 'function') {
+        client.emit('auth:rejected', {
+            ...details,
+            requestId,
+            reason: decision.reason,
+            authMode: decision.authMode,
+            agentUserId
+        });
+    }
+    return decision;
+}
+
+/**
+ * Record a request refused for missing scopes.
+ *
+ * The caller may have been authenticated by another middleware, so a client
+ * that cannot be resolved (e.g. an unconfigured default client) is not an error.
+ *
+ * @param {Function} getClient - Client getter
+ * @param {Object} req - Express request object
+ * @param {IntrospectionResult} result - The caller's introspection result
+ * @param {string[]} requiredScopes - Scopes required by the middleware
+ */
+function recordScopeRejection(getClient, req, result, requiredScopes) {
+    let client;
+    try {
+        client = getClient();
+    } catch (error) {
+        return;
+    }
+
+    recordDecision(client, req.headers, { result: null, authMode: req.authMode, reason: 'insufficient_scope' }, {
+        agentUserId: result.agentUserId,
+        requiredScopes,
+        grantedScopes: result.scope
+    });
+}
+
+/**
+ * Create Express.js middleware authenticating A2A requests with a given client.
+ *
+ * On success the introspection result is attached to `req.traylinx` and the
+ * detected mode ('bearer' or 'custom') to `req.authMode`.
+ * If the client traces with the OpenTelemetry context API, authentication and
+ * the downstream handlers continue the incoming W3C trace.
+ *
+ * @param {Object} options - Middleware options
+ * @param {TraylinxAuthClient|Function} options.client - Client instance (or a function returning one)
+ * @param {string[]} [options.modes=['bearer', 'custom']] - Accepted authentication modes
+ * @param {Function} [options.onUnauthorized] - `(req, res, { reason, authMode })` sending the 401 response
+ * @param {Function} [options.onError] - `(error, req, res, next)` handling validation failures (default: 500)
+ * @param {Function} [options.skip] - `(req) => boolean`; requests for which it returns true bypass authentication
+ * @returns {Function} Express middleware `(req, res, next)`
+ *
+ * @throws {ValidationError} If the options are invalid
+ *
+ * @example
+ * const client = new TraylinxAuthClient(clientId, secretFromVault, apiBaseUrl, agentUserId);
+ * const requireAuth = createA2AAuthMiddleware({
+ *     client,
+ *     modes: ['bearer'],
+ *     skip: (req) => req.method === 'GET' && req.path === '/health',
+ *     onUnauthorized: (req, res) => res.status(401).json({ code: 'AUTH_REQUIRED' })
+ * });
+ * app.use('/api', requireAuth);
+ */
+function createA2AAuthMiddleware(options = {}) {
+    const getClient = clientResolver(options.client);
+    const modes = resolveModes(options.modes || AUTH_MODES);
+    const onUnauthorized = options.onUnauthorized || defaultUnauthorized;
+    const onError = options.onError || ((error, req, res) => defaultError(error, req, res, loggerFor(getClient)));
+    const skip = options.skip || null;
+
+    return function a2aAuthMiddleware(req, res, next) {
+        if (skip && skip(req)) {
+            next();
+            return;
+        }
+
+        Promise.resolve()
+            .then(() => {
+                const client = getClient();
+                // Downstream handlers run in the caller's trace context too
+                return continueTrace(client, req.headers, () => authenticateHeaders(client, req.headers, modes)
+                    .then(({ result, authMode, reason }) => {
+                        if (result) {
+                            req.traylinx = result;
+                            req.authMode = authMode;
+                            next();
+                        } else {
+                            onUnauthorized(req, res, { reason, authMode });
+                        }
+                    }));
+            })
+            .catch(error => onError(error, req, res, next));
+    };
+}
+
+/**
+ * Create Express.js middleware requiring the caller's token to carry scopes.
+ *
+ * Uses the introspection result attached to `req.traylinx` by a preceding auth
+ * middleware, or authenticates the request itself (Bearer or custom headers).
+ * Responses follow RFC 6750: 401 when credentials are missing or inactive, and
+ * 403 with `WWW-Authenticate: Bearer error="insufficient_scope"` when scopes are missing.
+ *
+ * @param {string|string[]} scopes - Required scope(s)
+ * @param {Object} options - Middleware options
+ * @param {TraylinxAuthClient|Function} options.client - Client instance (or a function returning one)
+ * @param {string} [options.mode='all'] - 'all' to require every scope, 'any' to require at least one
+ * @returns {Function} Express middleware `(req, res, next)`
+ *
+ * @throws {ValidationError} If scopes, mode or client are invalid
+ */
+function createScopeMiddleware(scopes, options = {}) {
+    const requiredScopes = Array.isArray(scopes) ? scopes : [scopes];
+    const mode = options.mode || 'all';
+
+    if (requiredScopes.length === 0 || !requiredScopes.every(scope => typeof scope === 'string' && scope.length > 0)) {
+        throw new ValidationError('requireScopes() needs at least one non-empty scope string', 'INVALID_SCOPES', 400);
+    }
+    if (!['all', 'any'].includes(mode)) {
+        throw new ValidationError(`Invalid scope mode '${mode}': expected 'all' or 'any'`, 'INVALID_SCOPE_MODE', 400);
+    }
+
+    const getClient = clientResolver(options.client);
+    const scopeParam = requiredScopes.join(' ');
+
+    return function scopeMiddleware(req, res, next) {
+        const authentication = req.traylinx
+            ? Promise.resolve({ result: req.traylinx.active ? req.traylinx : null, reason: 'invalid_token' })
+            : Promise.resolve().then(() => {
+                const client = getClient();
+                return continueTrace(client, req.headers, () => authenticateHeaders(client, req.headers, AUTH_MODES));
+            });
+
+        authentication
+            .then(({ result, authMode, reason }) => {
+                if (!result) {
+                    defaultUnauthorized(req, res, { reason, authMode });
+                    return;
+                }
+
+                if (!req.traylinx) {
+                    req.traylinx = result;
+                    req.authMode = authMode;
+                }
+
+                const granted = mode === 'all'
+                    ? requiredScopes.every(scope => result.scope.includes(scope))
+                    : requiredScopes.some(scope => result.scope.includes(scope));
+
+                if (!granted) {
+                    recordScopeRejection(getClient, req, result, requiredScopes);
+                    res.set('WWW-Authenticate', `Bearer realm="traylinx", error="insufficient_scope", scope="${scopeParam}"`);
+                    res.status(403).json({ error: 'insufficient_scope', requiredScopes, mode });
+                    return;
+                }
+
+                next();
+            })
+            .catch(error => {
+                loggerFor(getClient).error('auth.scope.failed', { error: redactError(error) });
+                res.status(500).json({ error: 'Internal server error' });
+            });
+    };
+}
+
+module.exports = {
+    AUTH_MODES,
+    clientResolver,
+    loggerFor,
+    resolveModes,
+    wwwAuthenticate,
+    continueTrace,
+    authenticateHeaders,
+    createA2AAuthMiddleware,
+    createScopeMiddleware
+};
@@ -0,0 +1,105 @@
+/**
+ * Helpers keeping credentials out of logs and error objects.
+ *
+ * Axios errors carry the full request config, including the form body with the
+ * client secret and the Authorization / X-Agent-Secret-Token headers. These
+ * helpers reduce such errors to what is useful for debugging.
+ */
+
+const REDACTED = '[REDACTED]';
+
+/**
+ * Lower-case names of headers whose values are never logged.
+ */
+const SENSITIVE_HEADERS = ['authorization', 'proxy-authorization', 'x-agent-secret-token', 'cookie', 'set-cookie'];
+
+/**
+ * Copy headers with sensitive values replaced.
+ *
+ * @param {Object} [headers] - Plain or AxiosHeaders object
+ * @returns {Object} Redacted copy
+ */
+function redactHeaders(headers) {
+    if (!headers || typeof headers !== 'object') {
+        return {};
+    }
+
+    const plain = typeof headers.toJSON === 'function' ? headers.toJSON() : headers;
+    const redacted = {};
+    for (const [name, value] of Object.entries(plain)) {
+        redacted[name] = SENSITIVE_HEADERS.includes(name.toLowerCase()) ? REDACTED : value;
+    }
+    return redacted;
+}
+
+/**
+ * Reduce an axios request config to its non-secret parts.
+ *
+ * The request body and query parameters are dropped entirely.
+ *
+ * @param {Object} [config] - Axios request config
+ * @returns {?Object} { method, url, timeout, headers }, or null
+ */
+function redactAxiosConfig(config) {
+    if (!config) {
+        return null;
+    }
+
+    return {
+        method: config.method ? String(config.method).toUpperCase() : undefined,
+        url: config.url,
+        timeout: config.timeout,
+        headers: redactHeaders(config.headers)
+    };
+}
+
+/**
+ * Return a loggable version of an error.
+ *
+ * Axios errors (anything with a request `config`) are replaced by a plain
+ * object with name, message, code, status and redacted config; the request,
+ * response body and original config are not kept. Other errors are returned
+ * unchanged.
+ *
+ * @param {*} error - Error to redact
+ * @returns {*} Error safe to log
+ */
+function redactError(error) {
+    if (!error || typeof error !== 'object' || !error.config) {
+        return error;
+    }
+
+    return {
+        name: error.name,
+        message: error.message,
+        code: error.code,
+        status: error.response ? error.response.status : error.status,
+        config: redactAxiosConfig(error.config)
+    };
+}
+
+/**
+ * Replace every occurrence of the given secrets in a string.
+ *
+ * @param {string} text - Text to scrub
+ * @param {Array<?string>} secrets - Secret values; empty values are ignored
+ * @returns {string} Text with secrets replaced by [REDACTED]
+ */
+function redactSecrets(text, secrets) {
+    let result = String(text);
+    for (const secret of secrets) {
+        if (secret) {
+            result = result.split(secret).join(REDACTED);
+        }
+    }
+    return result;
+}
+
+module.exports = {
+    REDACTED,
+    SENSITIVE_HEADERS,
+    redactHeaders,
+    redactAxiosConfig,
+    redactError,
+    redactSecrets
+};
@@ -0,0 +1,102 @@
+/**
+ * Sliding-window retry budget.
+ *
+ * Limits retries to a fraction of the requests sent in the last `window`
+ * milliseconds, so a struggling service is not hit with a multiple of its
+ * normal load during an incident. A small floor of retries per window keeps
+ * retries usable for low-traffic clients.
+ */
+
+const BUCKETS = 10;
+
+class RetryBudget {
+    /**
+     * Create a RetryBudget.
+     * @param {Object} [options={}] - Budget options
+     * @param {number} [options.ratio=0.1] - Retries allowed per request sent in the window
+     * @param {number} [options.window=60000] - Sliding window length in milliseconds
+     * @param {number} [options.minRetries=10] - Retries always allowed per window, regardless of traffic
+     */
+    constructor(options = {}) {
+        this.ratio = options.ratio !== undefined ? options.ratio : 0.1;
+        this.window = options.window || 60000;
+        this.minRetries = options.minRetries !== undefined ? options.minRetries : 10;
+
+        this._bucketSize = this.window / BUCKETS;
+        this._buckets = [];
+        this._rejected = 0;
+    }
+
+    /**
+     * Return the bucket for the current time, dropping buckets outside the window.
+     *
+     * @returns {Object} Bucket with start, requests and retries
+     */
+    _currentBucket() {
+        const now = Date.now();
+        const start = now - (now % this._bucketSize);
+
+        while (this._buckets.length > 0 && this._buckets[0].start <= now - this.window) {
+            this._buckets.shift();
+        }
+
+        let bucket = this._buckets[this._buckets.length - 1];
+        if (!bucket || bucket.start !== start) {
+            bucket = { start, requests: 0, retries: 0 };
+            this._buckets.push(bucket);
+        }
+        return bucket;
+    }
+
+    /**
+     * Sum requests and retries over the window.
+     *
+     * @returns {Object} { requests, retries }
+     */
+    _totals() {
+        this._currentBucket();
+        return this._buckets.reduce((totals, bucket) => ({
+            requests: totals.requests + bucket.requests,
+            retries: totals.retries + bucket.retries
+        }), { requests: 0, retries: 0 });
+    }
+
+    /**
+     * Record a first attempt of a request.
+     */
+    recordRequest() {
+        this._currentBucket().requests++;
+    }
+
+    /**
+     * Spend one retry from the budget if any is left.
+     *
+     * @returns {boolean} True if the retry may be sent
+     */
+    tryAcquire() {
+        const { requests, retries } = this._totals();
+        if (retries >= this.minRetries + this.ratio * requests) {
+            this._rejected++;
+            return false;
+        }
+        this._currentBucket().retries++;
+        return true;
+    }
+
+    /**
+     * Get budget usage over the current window.
+     *
+     * @returns {Object} Stats with requests, retries, rejected (since creation) and available retries
+     */
+    getStats() {
+        const { requests, retries } = this._totals();
+        return {
+            requests,
+            retries,
+            rejected: this._rejected,
+            available: Math.max(0, Math.floor(this.minRetries + this.ratio * requests) - retries)
+        };
+    }
+}
+
+module.exports = RetryBudget;
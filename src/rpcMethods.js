@@ -0,0 +1,186 @@
+/**
+ * Schema-validated JSON-RPC method definitions.
+ *
+ * `defineRpcMethods()` describes the params and result of remote methods with
+ * Joi schemas (the validation library used for the client configuration) and
+ * generates client stubs on top of `TraylinxAuthClient#rpcCall()`: params are
+ * validated before sending and results after receiving, so callers get typed,
+ * normalized values instead of raw JSON-RPC responses.
+ */
+
+const Joi = require('joi');
+const { ValidationError } = require('./errors');
+
+/**
+ * Validate a value against an optional schema.
+ *
+ * Every failing field is reported; the error message lists them with their
+ * path, and `error.field`/`error.details` expose them programmatically.
+ *
+ * @param {?Object} schema - Joi schema, or null to accept any value
+ * @param {*} value - Value to validate
+ * @param {string} root - Name of the value in field paths ('params' or 'result')
+ * @param {string} method - RPC method name
+ * @param {string} code - ValidationError code
+ * @returns {*} The validated value, with Joi conversions and defaults applied
+ * @throws {ValidationError} If the value does not match the schema
+ */
+function validate(schema, value, root, method, code) {
+    if (!schema) {
+        return value;
+    }
+
+    const { error, value: validated } = schema.validate(value, { abortEarly: false });
+    if (!error) {
+        return validated;
+    }
+
+    const details = error.details.map(detail => ({
+        field: [root, ...detail.path].join('.'),
+        message: detail.message
+    }));
+    const summary = details.map(detail => `${detail.field}: ${detail.message}`).join('; ');
+    const validationError = new ValidationError(`Invalid ${root} for RPC method '${method}': ${summary}`, code, 400);
+    validationError.field = details[0].field;
+    validationError.details = details;
+    throw validationError;
+}
+
+/**
+ * Check the definitions given to defineRpcMethods().
+ *
+ * @param {Object} definitions - Map of method name to { params, result }
+ * @returns {Object} The definitions
+ * @throws {ValidationError} If a definition is not an object or a schema is not a Joi schema
+ */
+function validateDefinitions(definitions) {
+    if (!definitions || typeof definitions !== 'object' || Array.isArray(definitions) || Object.keys(definitions).length === 0) {
+        throw new ValidationError('defineRpcMethods() needs an object mapping method names to definitions', 'INVALID_RPC_DEFINITION', 400);
+    }
+
+    for (const [name, definition] of Object.entries(definitions)) {
+        if (!definition || typeof definition !== 'object') {
+            throw new ValidationError(`RPC method '${name}' must be defined by an object`, 'INVALID_RPC_DEFINITION', 400);
+        }
+        for (const key of ['params', 'result']) {
+            if (definition[key] !== undefined && !Joi.isSchema(definition[key])) {
+                throw new ValidationError(`RPC method '${name}' ${key} must be a Joi schema`, 'INVALID_RPC_DEFINITION', 400);
+            }
+        }
+    }
+    return definitions;
+}
+
+class RpcMethodRegistry {
+    /**
+     * Create a registry of RPC method definitions.
+     * @param {Object<string, {params: ?Object, result: ?Object}>} definitions - Joi schemas of each method's params and result
+     */
+    constructor(definitions) {
+        this.definitions = validateDefinitions(definitions);
+    }
+
+    /**
+     * Names of the defined methods.
+     * @returns {string[]} Method names
+     */
+    get methods() {
+        return Object.keys(this.definitions);
+    }
+
+    /**
+     * Validate the params of a call.
+     * @param {string} method - RPC method name
+     * @param {*} params - Params to validate
+     * @returns {*} The validated params
+     * @throws {ValidationError} If the method is unknown or the params are invalid (code INVALID_RPC_PARAMS)
+     */
+    validateParams(method, params) {
+        return this._validate(method, 'params', params, 'INVALID_RPC_PARAMS');
+    }
+
+    /**
+     * Validate the result of a call.
+     * @param {string} method - RPC method name
+     * @param {*} result - Result to validate
+     * @returns {*} The validated result
+     * @throws {ValidationError} If the method is unknown or the result is invalid (code INVALID_RPC_RESULT)
+     */
+    validateResult(method, result) {
+        return this._validate(method, 'result', result, 'INVALID_RPC_RESULT');
+    }
+
+    /**
+     * Create client stubs calling the methods through a client.
+     *
+     * Each stub is `async (params, { id }) => result`: params are validated
+     * before the call is sent (nothing is sent if they are invalid), and the
+     * JSON-RPC `result` is validated before it is returned.
+     *
+     * @param {TraylinxAuthClient} client - Client making the calls
+     * @param {Object} [options={}] - Call options
+     * @param {string} [options.rpcUrl] - RPC endpoint (default: the auth service's /a2a/rpc)
+     * @param {boolean} [options.includeAgentCredentials] - Force the credentials to send (default: auto-detect, see rpcCall())
+     * @returns {Object<string, Function>} Stubs keyed by method name
+     * @throws {ValidationError} If the client cannot make RPC calls
+     */
+    bind(client, options = {}) {
+        if (!client || typeof client.rpcCall !== 'function') {
+            throw new ValidationError('RPC stubs need a TraylinxAuthClient instance', 'MISSING_CLIENT', 400);
+        }
+
+        const rpcUrl = options.rpcUrl || null;
+        const includeAgentCredentials = options.includeAgentCredentials === undefined ? null : options.includeAgentCredentials;
+        const stubs = {};
+        for (const method of this.methods) {
+            stubs[method] = async (params, callOptions = {}) => {
+                const validParams = this.validateParams(method, params);
+                const response = await client.rpcCall(method, validParams, rpcUrl, includeAgentCredentials, callOptions);
+                return this.validateResult(method, response.result);
+            };
+        }
+        return stubs;
+    }
+
+    /**
+     * Validate a value against one of a method's schemas.
+     * @param {string} method - RPC method name
+     * @param {string} key - 'params' or 'result'
+     * @param {*} value - Value to validate
+     * @param {string} code - ValidationError code
+     * @returns {*} The validated value
+     */
+    _validate(method, key, value, code) {
+        if (!Object.prototype.hasOwnProperty.call(this.definitions, method)) {
+            throw new ValidationError(`Unknown RPC method '${method}'`, 'UNKNOWN_RPC_METHOD', 400);
+        }
+        return validate(this.definitions[method][key] || null, value, key, method, code);
+    }
+}
+
+/**
+ * Define RPC methods with Joi schemas for their params and result.
+ *
+ * @param {Object<string, {params: ?Object, result: ?Object}>} definitions - Map of method
+ *   name to its Joi schemas; either schema may be omitted to accept any value
+ * @returns {RpcMethodRegistry} Registry whose bind(client) creates client stubs
+ * @throws {ValidationError} If the definitions are invalid
+ *
+ * @example
+ * const sentinel = defineRpcMethods({
+ *     create_order: {
+ *         params: Joi.object({ sku: Joi.string().required(), quantity: Joi.number().integer().min(1).required() }),
+ *         result: Joi.object({ orderId: Joi.string().required() })
+ *     }
+ * }).bind(client, { rpcUrl: 'https://sentinel.example.com/a2a/rpc' });
+ *
+ * const { orderId } = await sentinel.create_order({ sku: 'A-1', quantity: 2 });
+ */
+function defineRpcMethods(definitions) {
+    return new RpcMethodRegistry(definitions);
+}
+
+module.exports = {
+    RpcMethodRegistry,
+    defineRpcMethods
+};
@@ -0,0 +1,343 @@
+/**
+ * Server side of JSON-RPC 2.0 over HTTP, with A2A authentication.
+ *
+ * `createRpcRouter()` is the counterpart of `TraylinxAuthClient#rpcCall()`:
+ * it authenticates callers with the same validation core as the middlewares
+ * (`authenticateHeaders`), parses single and batch requests, dispatches them
+ * to registered method handlers and answers with spec-compliant responses.
+ */
+
+const { ValidationError, RpcMethodError, RpcValidationError } = require('./errors');
+const { AUTH_MODES, clientResolver, loggerFor, resolveModes, wwwAuthenticate, continueTrace, authenticateHeaders } = require('./middleware');
+
+/**
+ * Error codes defined by the JSON-RPC 2.0 specification, plus the
+ * implementation-defined code used for unauthenticated requests.
+ */
+const RPC_ERROR_CODES = {
+    PARSE_ERROR: -32700,
+    INVALID_REQUEST: -32600,
+    METHOD_NOT_FOUND: -32601,
+    INVALID_PARAMS: -32602,
+    INTERNAL_ERROR: -32603,
+    UNAUTHORIZED: -32001
+};
+
+const ERROR_MESSAGES = {
+    [RPC_ERROR_CODES.PARSE_ERROR]: 'Parse error',
+    [RPC_ERROR_CODES.INVALID_REQUEST]: 'Invalid Request',
+    [RPC_ERROR_CODES.METHOD_NOT_FOUND]: 'Method not found',
+    [RPC_ERROR_CODES.INVALID_PARAMS]: 'Invalid params',
+    [RPC_ERROR_CODES.INTERNAL_ERROR]: 'Internal error',
+    [RPC_ERROR_CODES.UNAUTHORIZED]: 'Invalid or missing authentication'
+};
+
+const DEFAULT_MAX_BODY_BYTES = 1024 * 1024;
+
+/**
+ * Thrown by readBody() when a request body exceeds the size limit.
+ */
+class BodyTooLargeError extends Error {}
+
+/**
+ * Build a JSON-RPC error response.
+ *
+ * @param {?(string|number)} id - ID of the request, or null if it could not be determined
+ * @param {number} code - JSON-RPC error code
+ * @param {string} [message] - Error message (default: the specification's message for the code)
+ * @param {*} [data] - Additional error data
+ * @returns {Object} The response object
+ */
+function errorResponse(id, code, message = ERROR_MESSAGES[code], data = undefined) {
+    const error = { code, message };
+    if (data !== undefined && data !== null) {
+        error.data = data;
+    }
+    return { jsonrpc: '2.0', id, error };
+}
+
+/**
+ * Check whether a value is a valid JSON-RPC request ID.
+ *
+ * @param {*} id - Candidate ID
+ * @returns {boolean} True for strings, finite numbers and null
+ */
+function isValidId(id) {
+    return id === null || typeof id === 'string' || (typeof id === 'number' && Number.isFinite(id));
+}
+
+/**
+ * Validate the method handlers given to createRpcRouter().
+ *
+ * @param {Object} methods - Map of method name to handler
+ * @returns {Object} The methods
+ * @throws {ValidationError} If methods is not an object of functions
+ */
+function validateMethods(methods) {
+    const valid = methods && typeof methods === 'object' && !Array.isArray(methods)
+        && Object.keys(methods).every(name => typeof methods[name] === 'function');
+    if (!valid) {
+        throw new ValidationError(
+            'createRpcRouter() needs a methods object mapping method names to handler functions',
+            'INVALID_RPC_METHODS',
+            400
+        );
+    }
+    return methods;
+}
+
+/**
+ * Read the body of a request, unless a body parser already did.
+ *
+ * @param {Object} req - Express or node:http request
+ * @param {number} maxBytes - Largest accepted body
+ * @returns {Promise<*>} The parsed body (Express) or the raw body as a string
+ */
+function readBody(req, maxBytes) {
+    if (req.body !== undefined) {
+        return Promise.resolve(req.body);
+    }
+
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', chunk => {
+            size += chunk.length;
+            // Keep draining the request so the response can still be sent
+            if (size <= maxBytes) {
+                chunks.push(chunk);
+            }
+        });
+        req.on('end', () => {
+            if (size > maxBytes) {
+                reject(new BodyTooLargeError());
+            } else {
+                resolve(Buffer.concat(chunks).toString('utf8'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Check whether a ValidationError describes another server's answer to a call
+ * the handler made, rather than the params the handler received.
+ *
+ * @param {ValidationError} error - Error thrown by the handler
+ * @returns {boolean} True for downstream JSON-RPC errors and invalid downstream results
+ */
+function isDownstreamValidationError(error) {
+    return error instanceof RpcValidationError || error.code === 'INVALID_RPC_RESULT';
+}
+
+/**
+ * Turn an error thrown by a method handler into a JSON-RPC error object.
+ *
+ * RpcMethodErrors with an integer `rpcCode` are answered as-is; the handler's
+ * own ValidationErrors become invalid params errors; anything else, including
+ * errors from the handler's own rpcCall(), is an internal error whose details
+ * stay on the server.
+ *
+ * @param {Error} error - Error thrown by the handler
+ * @returns {Object} { code, message, data, internal }
+ */
+function describeHandlerError(error) {
+    if (error instanceof RpcMethodError && Number.isInteger(error.rpcCode)) {
+        return { code: error.rpcCode, message: error.rpcMessage || error.message, data: error.rpcData, internal: false };
+    }
+    if (error instanceof ValidationError && !isDownstreamValidationError(error)) {
+        return { code: RPC_ERROR_CODES.INVALID_PARAMS, message: error.message, data: undefined, internal: false };
+    }
+    return { code: RPC_ERROR_CODES.INTERNAL_ERROR, message: ERROR_MESSAGES[RPC_ERROR_CODES.INTERNAL_ERROR], data: undefined, internal: true };
+}
+
+/**
+ * Create a JSON-RPC 2.0 router authenticating A2A callers.
+ *
+ * The returned function is an Express (or node:http) request handler. It reads
+ * the body itself unless a body parser such as `express.json()` already set
+ * `req.body`, authenticates the caller (Bearer or custom headers, like
+ * `validateA2ARequest()`), then dispatches single and batch requests to the
+ * method handlers.
+ *
+ * Handlers are called as `handler(params, context)` where context holds the
+ * caller's IntrospectionResult (`caller`), `agentUserId`, `authMode`, `method`,
+ * `id` (undefined for notifications), the request `headers` and, for HTTP
+ * requests, `req`. Their return value is the call's result. To answer with a
+ * specific JSON-RPC error, throw an RpcMethodError; a ValidationError becomes an
+ * invalid params error (-32602) and any other error, including RpcErrors from
+ * calls the handler makes itself, an internal error (-32603) that is logged but
+ * not sent.
+ *
+ * Responses are sent with HTTP 200, or 204 when every call was a notification.
+ * Unauthenticated requests get HTTP 401 with a `WWW-Authenticate` challenge and
+ * a -32001 error; failures while authenticating get HTTP 500 with a -32603 error.
+ *
+ * If the client traces with the OpenTelemetry context API, handlers run in the
+ * caller's trace context.
+ *
+ * @param {Object} options - Router options
+ * @param {TraylinxAuthClient|Function} options.client - Client instance (or a function returning one)
+ * @param {Object<string, Function>} options.methods - Map of method name to `async (params, context) => result`
+ * @param {string[]} [options.modes=['bearer', 'custom']] - Accepted authentication modes
+ * @param {number} [options.maxBodyBytes=1048576] - Largest request body read by the router (larger bodies get HTTP 413)
+ * @returns {Function} Request handler `(req, res)`, with a `handle(body, headers, req)` method
+ *   returning `{ status, headers, body }` for other servers
+ *
+ * @throws {ValidationError} If the options are invalid
+ *
+ * @example
+ * const router = createRpcRouter({
+ *     client,
+ *     methods: {
+ *         get_order: async ({ orderId }, { caller }) => orders.find(orderId, caller.clientId)
+ *     }
+ * });
+ * app.post('/a2a/rpc', express.json(), router);
+ */
+function createRpcRouter(options = {}) {
+    const getClient = clientResolver(options.client);
+    const methods = validateMethods(options.methods);
+    const modes = resolveModes(options.modes || AUTH_MODES);
+    const maxBodyBytes = options.maxBodyBytes || DEFAULT_MAX_BODY_BYTES;
+
+    const json = (status, body) => ({ status, headers: { 'Content-Type': 'application/json' }, body });
+
+    /**
+     * Run one call and build its response.
+     *
+     * @param {TraylinxAuthClient} client - Client handling the request
+     * @param {*} call - Request object
+     * @param {Object} context - Caller context shared by the calls of a request
+     * @returns {Promise<?Object>} The response object, or null for notifications
+     */
+    async function dispatch(client, call, context) {
+        if (!call || typeof call !== 'object' || Array.isArray(call)) {
+            return errorResponse(null, RPC_ERROR_CODES.INVALID_REQUEST);
+        }
+
+        const isNotification = !Object.prototype.hasOwnProperty.call(call, 'id');
+        const id = !isNotification && isValidId(call.id) ? call.id : null;
+        const validParams = call.params === undefined || (call.params !== null && typeof call.params === 'object');
+        if (call.jsonrpc !== '2.0' || typeof call.method !== 'string' || !validParams || (!isNotification && !isValidId(call.id))) {
+            return errorResponse(id, RPC_ERROR_CODES.INVALID_REQUEST);
+        }
+
+        if (!Object.prototype.hasOwnProperty.call(methods, call.method)) {
+            return isNotification ? null : errorResponse(id, RPC_ERROR_CODES.METHOD_NOT_FOUND);
+        }
+
+        try {
+            const result = await methods[call.method](call.params, {
+                ...context,
+                method: call.method,
+                id: isNotification ? undefined : id
+            });
+            return isNotification ? null : { jsonrpc: '2.0', id, result: result === undefined ? null : result };
+        } catch (error) {
+            const { code, message, data, internal } = describeHandlerError(error);
+            if (internal && client.logger) {
+                client.logger.error('rpc.handler.failed', { method: call.method, notification: isNotification, error });
+            }
+            return isNotification ? null : errorResponse(id, code, message, data);
+        }
+    }
+
+    /**
+     * Authenticate and answer a JSON-RPC request.
+     *
+     * @param {*} body - Raw body (string or Buffer) or already parsed JSON
+     * @param {Object} headers - Request headers (lower-cased, as in node:http)
+     * @param {Object} [req] - HTTP request, passed to handlers
+     * @returns {Promise<Object>} { status, headers, body } where body is null for 204 responses
+     */
+    async function handle(body, headers, req = undefined) {
+        headers = headers || {};
+
+        let client;
+        try {
+            client = getClient();
+        } catch (error) {
+            // e.g. the default client is not configured
+            loggerFor(getClient).error('rpc.auth.failed', { error });
+            return json(500, errorResponse(null, RPC_ERROR_CODES.INTERNAL_ERROR));
+        }
+
+        return continueTrace(client, headers, async () => {
+            let authentication;
+            try {
+                authentication = await authenticateHeaders(client, headers, modes);
+            } catch (error) {
+                if (client.logger) {
+                    client.logger.error('rpc.auth.failed', { error });
+                }
+                return json(500, errorResponse(null, RPC_ERROR_CODES.INTERNAL_ERROR));
+            }
+
+            const { result, authMode, reason } = authentication;
+            if (!result) {
+                return {
+                    status: 401,
+                    headers: { 'Content-Type': 'application/json', 'WWW-Authenticate': wwwAuthenticate(reason) },
+                    body: errorResponse(null, RPC_ERROR_CODES.UNAUTHORIZED)
+                };
+            }
+
+            let payload = body;
+            if (typeof body === 'string' || Buffer.isBuffer(body)) {
+                try {
+                    payload = JSON.parse(body.toString());
+                } catch (error) {
+                    return json(200, errorResponse(null, RPC_ERROR_CODES.PARSE_ERROR));
+                }
+            }
+
+            const context = { caller: result, agentUserId: result.agentUserId, authMode, headers, req };
+            if (Array.isArray(payload)) {
+                if (payload.length === 0) {
+                    return json(200, errorResponse(null, RPC_ERROR_CODES.INVALID_REQUEST));
+                }
+                const responses = (await Promise.all(payload.map(call => dispatch(client, call, context))))
+                    .filter(response => response !== null);
+                return responses.length > 0 ? json(200, responses) : { status: 204, headers: {}, body: null };
+            }
+
+            const response = await dispatch(client, payload, context);
+            return response ? json(200, response) : { status: 204, headers: {}, body: null };
+        });
+    }
+
+    const send = (res, { status, headers, body }) => {
+        res.statusCode = status;
+        for (const [name, value] of Object.entries(headers)) {
+            res.setHeader(name, value);
+        }
+        res.end(body === null ? undefined : JSON.stringify(body));
+    };
+
+    function rpcRouter(req, res) {
+        if (req.method && req.method !== 'POST') {
+            send(res, { status: 405, headers: { Allow: 'POST' }, body: null });
+            return;
+        }
+
+        readBody(req, maxBodyBytes)
+            .then(body => handle(body, req.headers, req))
+            .then(response => send(res, response))
+            .catch(error => {
+                if (error instanceof BodyTooLargeError) {
+                    send(res, { status: 413, headers: { 'Content-Type': 'application/json' }, body: errorResponse(null, RPC_ERROR_CODES.INVALID_REQUEST, 'Request body too large') });
+                    return;
+                }
+                send(res, { status: 500, headers: { 'Content-Type': 'application/json' }, body: errorResponse(null, RPC_ERROR_CODES.INTERNAL_ERROR) });
+            });
+    }
+
+    rpcRouter.handle = handle;
+    return rpcRouter;
+}
+
+module.exports = {
+    RPC_ERROR_CODES,
+    createRpcRouter
+};
@@ -2,6 +2,7 @@
 // Please use the TraylinxAuthClient class in client.js instead.
 
 const axios = require('axios');
+const { defaultLogger } = require('./logger');
 
 class TokenManager {
     constructor() {
@@ -49,7 +50,7 @@ class TokenManager {
             this.agentSecretToken = agent_secret_token;
             this.tokenExpiration = Date.now() + (expires_in * 1000);
         } catch (error) {
-            console.error('Error fetching tokens:', error.message);
+            defaultLogger.error('token.fetch.failed', { error });
             throw new Error('Could not fetch tokens from Traylinx Sentinel');
         } finally {
             this._fetchPromise = null; // Clear the promise after completion
@@ -0,0 +1,313 @@
+/**
+ * Token stores for sharing cached tokens between TraylinxAuthClient instances.
+ *
+ * A token store is any object implementing the async interface below. The client
+ * consults it before requesting tokens from the auth service, which lets several
+ * clients or processes reuse one token pair instead of fetching their own.
+ *
+ *   get(key)             -> Promise<Object|null>  Stored value, or null if missing/expired
+ *   set(key, value, ttl) -> Promise<void>         Store a value for ttl milliseconds
+ *   delete(key)          -> Promise<void>         Remove a value
+ *
+ * Stores may also implement lock(key, fn) -> Promise<*>, running fn while holding
+ * an exclusive lock on key. The client holds it from reading the store through to
+ * writing freshly fetched tokens, so clients sharing a cold store send a single
+ * token request instead of one each.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TraylinxAuthError, ValidationError } = require('./errors');
+
+/**
+ * In-memory token store.
+ *
+ * Shares tokens between clients living in the same process. Entries expire
+ * after the TTL given to set().
+ */
+class MemoryTokenStore {
+    constructor() {
+        this._entries = new Map();
+        this._locks = new Map();
+    }
+
+    async get(key) {
+        const entry = this._entries.get(key);
+        if (!entry) {
+            return null;
+        }
+
+        if (entry.expiresAt !== null && Date.now() >= entry.expiresAt) {
+            this._entries.delete(key);
+            return null;
+        }
+
+        return entry.value;
+    }
+
+    async set(key, value, ttl = null) {
+        this._entries.set(key, {
+            value,
+            expiresAt: ttl ? Date.now() + ttl : null
+        });
+    }
+
+    async delete(key) {
+        this._entries.delete(key);
+    }
+
+    /**
+     * Run fn once every earlier lock() call on the same key has finished.
+     *
+     * @param {string} key - Store key
+     * @param {Function} fn - Async function to run under the lock
+     * @returns {Promise<*>} Result of fn
+     */
+    async lock(key, fn) {
+        const previous = this._locks.get(key) || Promise.resolve();
+        let release;
+        const tail = previous.then(() => new Promise(resolve => { release = resolve; }));
+        this._locks.set(key, tail);
+
+        await previous;
+        try {
+            return await fn();
+        } finally {
+            release();
+            if (this._locks.get(key) === tail) {
+                this._locks.delete(key);
+            }
+        }
+    }
+}
+
+/**
+ * File-system token store.
+ *
+ * Shares tokens between processes on the same host. Each key is written to its
+ * own JSON file (named after a hash of the key) with 0600 permissions. Writes go
+ * to a temporary file that is renamed into place, and are serialized across
+ * processes with an exclusive lock file.
+ *
+ * The default directory lives in the shared system temp dir, so it is only used
+ * if it is a real directory owned by the current user and closed to other users.
+ */
+class FileTokenStore {
+    /**
+     * Create a FileTokenStore.
+     * @param {Object} [options={}] - Store options
+     * @param {string} [options.directory] - Directory holding token files (default: <tmpdir>/traylinx-auth)
+     * @param {number} [options.lockTimeout=5000] - Maximum time to wait for the lock in milliseconds
+     * @param {number} [options.staleLockAge=30000] - Age after which an abandoned lock file is removed
+     */
+    constructor(options = {}) {
+        this.directory = options.directory || path.join(os.tmpdir(), 'traylinx-auth');
+        this.lockTimeout = options.lockTimeout !== undefined ? options.lockTimeout : 5000;
+        this.staleLockAge = options.staleLockAge !== undefined ? options.staleLockAge : 30000;
+        this._verifyDirectory = !options.directory;
+    }
+
+    async get(key) {
+        await this._checkDirectory();
+
+        let entry;
+        try {
+            entry = JSON.parse(await fs.promises.readFile(this._pathFor(key), 'utf8'));
+        } catch (error) {
+            // Missing or partially written files are treated as a cache miss
+            return null;
+        }
+
+        if (!entry || (entry.expiresAt !== null && Date.now() >= entry.expiresAt)) {
+            return null;
+        }
+
+        return entry.value;
+    }
+
+    async set(key, value, ttl = null) {
+        const filePath = this._pathFor(key);
+        const entry = {
+            value,
+            expiresAt: ttl ? Date.now() + ttl : null
+        };
+
+        await this._ensureDirectory();
+        await this._withLock(filePath, async () => {
+            const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+            try {
+                await fs.promises.writeFile(tempPath, JSON.stringify(entry), { mode: 0o600, flag: 'wx' });
+                await fs.promises.rename(tempPath, filePath);
+            } catch (error) {
+                await fs.promises.rm(tempPath, { force: true });
+                throw error;
+            }
+        });
+    }
+
+    async delete(key) {
+        await this._checkDirectory();
+        const filePath = this._pathFor(key);
+        await this._withLock(filePath, () => fs.promises.rm(filePath, { force: true }));
+    }
+
+    /**
+     * Run fn while holding an exclusive lock on key, across processes.
+     *
+     * The lock file is separate from the one guarding writes, so fn may call
+     * set() and delete(). A caller waiting longer than lockTimeout gets a
+     * TOKEN_STORE_LOCK_TIMEOUT error.
+     *
+     * @param {string} key - Store key
+     * @param {Function} fn - Async function to run under the lock
+     * @returns {Promise<*>} Result of fn
+     * @throws {TraylinxAuthError} If the lock cannot be acquired within lockTimeout
+     */
+    async lock(key, fn) {
+        await this._ensureDirectory();
+        return this._withLock(`${this._pathFor(key)}.fetch`, fn);
+    }
+
+    /**
+     * Create the token directory (0700) if needed and check that it is safe to use.
+     *
+     * @returns {Promise<void>}
+     * @throws {TraylinxAuthError} If the default directory belongs to another user or is open to other users
+     */
+    async _ensureDirectory() {
+        await fs.promises.mkdir(this.directory, { recursive: true, mode: 0o700 });
+        await this._checkDirectory();
+    }
+
+    /**
+     * Refuse to use a default directory that another user created or can write to.
+     *
+     * Explicitly configured directories are trusted as they are.
+     *
+     * @returns {Promise<void>}
+     * @throws {TraylinxAuthError} If the default directory is not a directory owned by the
+     *   current user with no group/other permissions
+     */
+    async _checkDirectory() {
+        if (!this._verifyDirectory) {
+            return;
+        }
+
+        let stats;
+        try {
+            stats = await fs.promises.lstat(this.directory);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return;
+            }
+            throw error;
+        }
+
+        const ownedByUs = typeof process.getuid !== 'function' || stats.uid === process.getuid();
+        if (!stats.isDirectory() || !ownedByUs || (stats.mode & 0o077) !== 0) {
+            throw new TraylinxAuthError(
+                `Token store directory ${this.directory} must be a directory owned by the current user with mode 0700`,
+                'TOKEN_STORE_INSECURE_DIRECTORY'
+            );
+        }
+    }
+
+    /**
+     * Map a store key to the file holding it.
+     *
+     * @param {string} key - Store key
+     * @returns {string} Absolute path of the token file
+     */
+    _pathFor(key) {
+        const digest = crypto.createHash('sha256').update(key).digest('hex');
+        return path.join(this.directory, `${digest}.json`);
+    }
+
+    /**
+     * Run fn while holding an exclusive lock file next to filePath.
+     *
+     * @param {string} filePath - Token file being modified (or locked for a fetch)
+     * @param {Function} fn - Async function to run under the lock
+     * @returns {Promise<*>} Result of fn
+     * @throws {TraylinxAuthError} If the lock cannot be acquired within lockTimeout
+     */
+    async _withLock(filePath, fn) {
+        const lockPath = `${filePath}.lock`;
+        const deadline = Date.now() + this.lockTimeout;
+
+        for (;;) {
+            try {
+                const handle = await fs.promises.open(lockPath, 'wx', 0o600);
+                await handle.close();
+                break;
+            } catch (error) {
+                if (error.code !== 'EEXIST') {
+                    throw error;
+                }
+                if (await this._removeStaleLock(lockPath)) {
+                    continue;
+                }
+                if (Date.now() >= deadline) {
+                    throw new TraylinxAuthError(
+                        `Timed out waiting for token store lock ${lockPath}`,
+                        'TOKEN_STORE_LOCK_TIMEOUT'
+                    );
+                }
+                await new Promise(resolve => setTimeout(resolve, 25));
+            }
+        }
+
+        try {
+            return await fn();
+        } finally {
+            await fs.promises.rm(lockPath, { force: true });
+        }
+    }
+
+    /**
+     * Remove a lock file left behind by a crashed process.
+     *
+     * @param {string} lockPath - Lock file path
+     * @returns {Promise<boolean>} True if a stale lock was removed
+     */
+    async _removeStaleLock(lockPath) {
+        try {
+            const stats = await fs.promises.stat(lockPath);
+            if (Date.now() - stats.mtimeMs < this.staleLockAge) {
+                return false;
+            }
+            await fs.promises.rm(lockPath, { force: true });
+            return true;
+        } catch (error) {
+            // Lock disappeared in the meantime; try to acquire it again
+            return true;
+        }
+    }
+}
+
+/**
+ * Check that an object implements the token store interface.
+ *
+ * @param {*} store - Candidate token store
+ * @returns {Object} The store
+ * @throws {ValidationError} If a required method is missing
+ */
+function validateTokenStore(store) {
+    const missing = ['get', 'set', 'delete'].filter(method => !store || typeof store[method] !== 'function');
+    if (missing.length > 0) {
+        throw new ValidationError(
+            `Token store must implement async ${missing.join(', ')} method(s)`,
+            'INVALID_TOKEN_STORE',
+            400
+        );
+    }
+    return store;
+}
+
+module.exports = {
+    MemoryTokenStore,
+    FileTokenStore,
+    validateTokenStore
+};
@@ -0,0 +1,238 @@
+/**
+ * OpenTelemetry-compatible tracing without an OpenTelemetry dependency.
+ *
+ * `Tracing` wraps a tracer following the OpenTelemetry API shape
+ * (`tracer.startSpan(name, { kind, attributes })` returning spans with
+ * setAttribute/setStatus/recordException/end/spanContext). Spans never carry
+ * tokens, secrets or query strings.
+ *
+ * W3C Trace Context (`traceparent`/`tracestate`) headers are injected into
+ * outgoing A2A requests and extracted from incoming ones. Continuing an incoming
+ * trace, and parenting nested spans, needs the context API: pass the
+ * `@opentelemetry/api` module as `api`.
+ */
+
+const { ValidationError } = require('./errors');
+
+/**
+ * OpenTelemetry SpanKind values.
+ */
+const SpanKind = {
+    INTERNAL: 0,
+    SERVER: 1,
+    CLIENT: 2,
+    PRODUCER: 3,
+    CONSUMER: 4
+};
+
+/**
+ * OpenTelemetry SpanStatusCode values.
+ */
+const SpanStatusCode = {
+    UNSET: 0,
+    OK: 1,
+    ERROR: 2
+};
+
+const TRACEPARENT_PATTERN = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})(-.*)?$/;
+const INVALID_TRACE_ID = '0'.repeat(32);
+const INVALID_SPAN_ID = '0'.repeat(16);
+
+/**
+ * Parse a W3C traceparent header.
+ *
+ * @param {string} header - traceparent value
+ * @returns {?Object} { traceId, spanId, traceFlags }, or null if the header is invalid
+ */
+function parseTraceparent(header) {
+    const match = TRACEPARENT_PATTERN.exec(String(header || '').trim());
+    if (!match) {
+        return null;
+    }
+
+    const [, version, traceId, spanId, flags, rest] = match;
+    // Version ff is forbidden; version 00 has no trailing fields
+    if (version === 'ff' || (version === '00' && rest !== undefined)) {
+        return null;
+    }
+    if (traceId === INVALID_TRACE_ID || spanId === INVALID_SPAN_ID) {
+        return null;
+    }
+    return { traceId, spanId, traceFlags: parseInt(flags, 16) };
+}
+
+/**
+ * Format a span context as a W3C traceparent header.
+ *
+ * @param {Object} spanContext - { traceId, spanId, traceFlags }
+ * @returns {string} traceparent value
+ */
+function formatTraceparent({ traceId, spanId, traceFlags }) {
+    return `00-${traceId}-${spanId}-${(traceFlags & 0xff).toString(16).padStart(2, '0')}`;
+}
+
+/**
+ * Look up a header case-insensitively.
+ *
+ * @param {Object} headers - Request headers
+ * @param {string} name - Lower-case header name
+ * @returns {string|undefined} Header value (the first one if repeated)
+ */
+function getHeader(headers, name) {
+    const key = Object.keys(headers || {}).find(header => header.toLowerCase() === name);
+    const value = key === undefined ? undefined : headers[key];
+    return Array.isArray(value) ? value[0] : value;
+}
+
+/**
+ * Extract the W3C trace context of an incoming request.
+ *
+ * @param {Object} headers - Request headers
+ * @returns {?Object} { traceId, spanId, traceFlags, traceState, isRemote }, or null without a valid traceparent
+ */
+function extractTraceContext(headers) {
+    const parent = parseTraceparent(getHeader(headers, 'traceparent'));
+    if (!parent) {
+        return null;
+    }
+    const traceState = getHeader(headers, 'tracestate');
+    return { ...parent, traceState: traceState ? String(traceState) : undefined, isRemote: true };
+}
+
+/**
+ * Reduce a URL to scheme, host and path, dropping credentials, query and fragment.
+ *
+ * @param {string} url - URL
+ * @returns {string} Sanitized URL
+ */
+function sanitizeUrl(url) {
+    try {
+        const parsed = new URL(url);
+        return `${parsed.protocol}//${parsed.host}${parsed.pathname}`;
+    } catch (error) {
+        return String(url).split(/[?#]/)[0];
+    }
+}
+
+/**
+ * Check that an object can be used as a tracer.
+ *
+ * @param {*} tracer - Candidate tracer
+ * @returns {Object} The tracer
+ * @throws {ValidationError} If startSpan is missing
+ */
+function validateTracer(tracer) {
+    if (!tracer || typeof tracer.startSpan !== 'function') {
+        throw new ValidationError('Tracer must implement a startSpan method', 'INVALID_TRACER', 400);
+    }
+    return tracer;
+}
+
+class Tracing {
+    /**
+     * Create a Tracing helper.
+     * @param {Object} options - Tracing options
+     * @param {Object} options.tracer - OpenTelemetry-compatible tracer
+     * @param {Object} [options.api] - The `@opentelemetry/api` module, used to parent spans and continue incoming traces
+     */
+    constructor(options) {
+        this.tracer = validateTracer(options.tracer);
+        this.api = options.api || null;
+    }
+
+    /**
+     * Run a function inside a new span.
+     *
+     * The span ends when the function settles. Failures are recorded on the span
+     * as an exception (name, message and code only) with an ERROR status.
+     *
+     * @param {string} name - Span name
+     * @param {Object} options - { kind, attributes }
+     * @param {Function} fn - `async (span) => result`
+     * @returns {Promise<*>} The function's result
+     */
+    async trace(name, options, fn) {
+        const span = this.tracer.startSpan(name, { kind: options.kind, attributes: options.attributes || {} });
+        try {
+            return await this._withSpan(span, () => fn(span));
+        } catch (error) {
+            span.recordException({ name: error.name, message: error.message, code: error.code });
+            span.setAttribute('error.type', String(error.code || error.name || 'Error'));
+            span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+            throw error;
+        } finally {
+            span.end();
+        }
+    }
+
+    /**
+     * Make a span the active one while a function runs, if the context API is available.
+     *
+     * @param {Object} span - Span
+     * @param {Function} fn - Function to run
+     * @returns {*} The function's result
+     */
+    _withSpan(span, fn) {
+        if (!this.api) {
+            return fn();
+        }
+        return this.api.context.with(this.api.trace.setSpan(this.api.context.active(), span), fn);
+    }
+
+    /**
+     * Add W3C trace context headers for a span to outgoing headers.
+     *
+     * @param {?Object} span - Span of the outgoing request
+     * @param {Object} headers - Headers to add to (modified in place)
+     * @returns {Object} The headers
+     */
+    inject(span, headers) {
+        const spanContext = span && typeof span.spanContext === 'function' ? span.spanContext() : null;
+        if (!spanContext || !spanContext.traceId || spanContext.traceId === INVALID_TRACE_ID) {
+            return headers;
+        }
+
+        headers.traceparent = formatTraceparent(spanContext);
+        const traceState = spanContext.traceState;
+        const serialized = traceState && typeof traceState.serialize === 'function' ? traceState.serialize() : traceState;
+        if (serialized) {
+            headers.tracestate = String(serialized);
+        }
+        return headers;
+    }
+
+    /**
+     * Run a function in the trace context of an incoming request.
+     *
+     * Without the context API or a valid traceparent, the function runs as-is.
+     *
+     * @param {Object} headers - Incoming request headers
+     * @param {Function} fn - Function to run
+     * @returns {*} The function's result
+     */
+    withIncomingContext(headers, fn) {
+        const remote = this.api ? extractTraceContext(headers) : null;
+        if (!remote) {
+            return fn();
+        }
+
+        const spanContext = { ...remote };
+        if (spanContext.traceState !== undefined) {
+            spanContext.traceState = typeof this.api.createTraceState === 'function'
+                ? this.api.createTraceState(spanContext.traceState)
+                : undefined;
+        }
+        return this.api.context.with(this.api.trace.setSpanContext(this.api.context.active(), spanContext), fn);
+    }
+}
+
+module.exports = {
+    SpanKind,
+    SpanStatusCode,
+    Tracing,
+    parseTraceparent,
+    formatTraceparent,
+    extractTraceContext,
+    sanitizeUrl,
+    validateTracer
+};
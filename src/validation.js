@@ -136,6 +136,94 @@ const configSchema = Joi.object({
             'number.max': 'Retry delay must be no more than 60000ms (60 seconds)'
         }),
     
+    retryStatusCodes: Joi.array()
+        .items(Joi.number().integer().min(100).max(599))
+        .messages({
+            'array.base': 'Retry status codes must be an array',
+            'number.base': 'Retry status codes must be HTTP status codes',
+            'number.integer': 'Retry status codes must be HTTP status codes',
+            'number.min': 'Retry status codes must be HTTP status codes',
+            'number.max': 'Retry status codes must be HTTP status codes'
+        }),
+    
+    retryErrorCodes: Joi.array()
+        .items(Joi.string().min(1))
+        .messages({
+            'array.base': 'Retry error codes must be an array',
+            'string.base': 'Retry error codes must be strings',
+            'string.empty': 'Retry error codes cannot be empty'
+        }),
+    
+    maxRetryAfter: Joi.number()
+        .integer()
+        .min(0)
+        .max(3600000)
+        .messages({
+            'number.base': 'Max Retry-After must be a number',
+            'number.integer': 'Max Retry-After must be an integer',
+            'number.min': 'Max Retry-After cannot be negative',
+            'number.max': 'Max Retry-After must be no more than 3600000ms (1 hour)'
+        }),
+    
+    retryBudgetRatio: Joi.number()
+        .min(0)
+        .max(1)
+        .messages({
+            'number.base': 'Retry budget ratio must be a number',
+            'number.min': 'Retry budget ratio cannot be negative',
+            'number.max': 'Retry budget ratio must be no more than 1'
+        }),
+    
+    retryBudgetWindow: Joi.number()
+        .integer()
+        .min(1000)
+        .max(3600000)
+        .messages({
+            'number.base': 'Retry budget window must be a number',
+            'number.integer': 'Retry budget window must be an integer',
+            'number.min': 'Retry budget window must be at least 1000ms (1 second)',
+            'number.max': 'Retry budget window must be no more than 3600000ms (1 hour)'
+        }),
+    
+    retryBudgetMinRetries: Joi.number()
+        .integer()
+        .min(0)
+        .max(10000)
+        .messages({
+            'number.base': 'Retry budget minimum retries must be a number',
+            'number.integer': 'Retry budget minimum retries must be an integer',
+            'number.min': 'Retry budget minimum retries cannot be negative',
+            'number.max': 'Retry budget minimum retries must be no more than 10000'
+        }),
+    
+    circuitBreaker: Joi.boolean()
+        .strict()
+        .messages({
+            'boolean.base': 'Circuit breaker must be a boolean value'
+        }),
+    
+    circuitBreakerThreshold: Joi.number()
+        .integer()
+        .min(1)
+        .max(1000)
+        .messages({
+            'number.base': 'Circuit breaker threshold must be a number',
+            'number.integer': 'Circuit breaker threshold must be an integer',
+            'number.min': 'Circuit breaker threshold must be at least 1',
+            'number.max': 'Circuit breaker threshold must be no more than 1000'
+        }),
+    
+    circuitBreakerCooldown: Joi.number()
+        .integer()
+        .min(1000)
+        .max(3600000)
+        .messages({
+            'number.base': 'Circuit breaker cooldown must be a number',
+            'number.integer': 'Circuit breaker cooldown must be an integer',
+            'number.min': 'Circuit breaker cooldown must be at least 1000ms (1 second)',
+            'number.max': 'Circuit breaker cooldown must be no more than 3600000ms (1 hour)'
+        }),
+    
     cacheTokens: Joi.boolean()
         .strict()
         .default(true)
@@ -143,6 +231,135 @@ const configSchema = Joi.object({
             'boolean.base': 'Cache tokens must be a boolean value'
         }),
     
+    refreshSkew: Joi.number()
+        .integer()
+        .min(0)
+        .max(3600000)
+        .messages({
+            'number.base': 'Refresh skew must be a number',
+            'number.integer': 'Refresh skew must be an integer',
+            'number.min': 'Refresh skew cannot be negative',
+            'number.max': 'Refresh skew must be no more than 3600000ms (1 hour)'
+        }),
+    
+    refreshSkewRatio: Joi.number()
+        .min(0)
+        .max(1)
+        .messages({
+            'number.base': 'Refresh skew ratio must be a number',
+            'number.min': 'Refresh skew ratio cannot be negative',
+            'number.max': 'Refresh skew ratio must be no more than 1'
+        }),
+    
+    backgroundRefresh: Joi.boolean()
+        .strict()
+        .messages({
+            'boolean.base': 'Background refresh must be a boolean value'
+        }),
+    
+    staleWhileRevalidate: Joi.boolean()
+        .strict()
+        .messages({
+            'boolean.base': 'Stale-while-revalidate must be a boolean value'
+        }),
+    
+    maxStaleMs: Joi.number()
+        .integer()
+        .min(0)
+        .max(3600000)
+        .messages({
+            'number.base': 'Max stale must be a number',
+            'number.integer': 'Max stale must be an integer',
+            'number.min': 'Max stale cannot be negative',
+            'number.max': 'Max stale must be no more than 3600000ms (1 hour)'
+        }),
+    
+    introspectionCacheTtl: Joi.number()
+        .integer()
+        .min(0)
+        .max(86400000)
+        .messages({
+            'number.base': 'Introspection cache TTL must be a number',
+            'number.integer': 'Introspection cache TTL must be an integer',
+            'number.min': 'Introspection cache TTL cannot be negative',
+            'number.max': 'Introspection cache TTL must be no more than 86400000ms (24 hours)'
+        }),
+    
+    introspectionNegativeCacheTtl: Joi.number()
+        .integer()
+        .min(0)
+        .max(86400000)
+        .messages({
+            'number.base': 'Introspection negative cache TTL must be a number',
+            'number.integer': 'Introspection negative cache TTL must be an integer',
+            'number.min': 'Introspection negative cache TTL cannot be negative',
+            'number.max': 'Introspection negative cache TTL must be no more than 86400000ms (24 hours)'
+        }),
+    
+    introspectionCacheSize: Joi.number()
+        .integer()
+        .min(1)
+        .max(1000000)
+        .messages({
+            'number.base': 'Introspection cache size must be a number',
+            'number.integer': 'Introspection cache size must be an integer',
+            'number.min': 'Introspection cache size must be at least 1',
+            'number.max': 'Introspection cache size must be no more than 1000000'
+        }),
+    
+    verificationMode: Joi.string()
+        .valid('introspect', 'jwt', 'jwt-then-introspect')
+        .messages({
+            'string.base': 'Verification mode must be a string',
+            'any.only': 'Verification mode must be one of: introspect, jwt, jwt-then-introspect'
+        }),
+    
+    jwksUrl: Joi.string()
+        .uri({ scheme: ['https'] })
+        .messages({
+            'string.base': 'JWKS URL must be a string',
+            'string.uri': 'JWKS URL must be a valid HTTPS URL',
+            'string.uriCustomScheme': 'JWKS URL must use HTTPS protocol'
+        }),
+    
+    jwtIssuer: Joi.string()
+        .messages({
+            'string.base': 'JWT issuer must be a string',
+            'string.empty': 'JWT issuer cannot be empty'
+        }),
+    
+    jwtAudience: Joi.alternatives()
+        .try(Joi.string(), Joi.array().items(Joi.string()).min(1))
+        .messages({
+            'alternatives.types': 'JWT audience must be a string or a non-empty array of strings',
+            'alternatives.match': 'JWT audience must be a string or a non-empty array of strings',
+            'string.empty': 'JWT audience cannot be empty',
+            'array.min': 'JWT audience must be a string or a non-empty array of strings',
+            'string.base': 'JWT audience must be a string or a non-empty array of strings'
+        }),
+    
+    jwtClockTolerance: Joi.number()
+        .integer()
+        .min(0)
+        .max(300000)
+        .messages({
+            'number.base': 'JWT clock tolerance must be a number',
+            'number.integer': 'JWT clock tolerance must be an integer',
+            'number.min': 'JWT clock tolerance cannot be negative',
+            'number.max': 'JWT clock tolerance must be no more than 300000ms (5 minutes)'
+        }),
+    
+    jwksCacheTtl: Joi.number()
+        .integer()
+        .min(1000)
+        .max(86400000)
+        .messages({
+            'number.base': 'JWKS cache TTL must be a number',
+            'number.integer': 'JWKS cache TTL must be an integer',
+            'number.min': 'JWKS cache TTL must be at least 1000ms (1 second)',
+            'number.max': 'JWKS cache TTL must be no more than 86400000ms (24 hours)'
+        }),
+    
     logLevel: Joi.string()
         .default('INFO')
         .custom((value, helpers) => {
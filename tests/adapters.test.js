@@ -0,0 +1,301 @@
+/**
+ * Test suite for the Fastify, Koa and node:http adapters.
+ */
+
+jest.mock('uuid', () => ({
+    v4: jest.fn(() => 'test-uuid-1234')
+}));
+
+const http = require('http');
+const request = require('supertest');
+const Fastify = require('fastify');
+const Koa = require('koa');
+const { createFakeClient } = require('./helpers/clients');
+const IntrospectionResult = require('../src/introspectionResult');
+const { defaultLogger } = require('../src/logger');
+const { ValidationError } = require('../src/errors');
+const { authenticateRequest, createFastifyPlugin, createKoaMiddleware } = require('../src/adapters');
+
+const activeResult = () => IntrospectionResult.fromResponse({ active: true, scope: 'orders:read', sub: 'caller' }, 'agent-1');
+const bearerHeaders = { authorization: 'Bearer valid_token', 'x-agent-user-id': 'agent-1' };
+
+describe('authenticateRequest', () => {
+    it('should allow requests with active credentials', async () => {
+        const result = activeResult();
+        const client = createFakeClient(result);
+
+        await expect(authenticateRequest(bearerHeaders, { client })).resolves.toEqual({
+            allowed: true,
+            status: 200,
+            authMode: 'bearer',
+            traylinx: result
+        });
+        expect(client.introspectToken).toHaveBeenCalledWith('valid_token', 'agent-1');
+    });
+
+    it('should deny requests without credentials', async () => {
+        const client = createFakeClient(activeResult());
+
+        await expect(authenticateRequest({}, { client })).resolves.toEqual({
+            allowed: false,
+            status: 401,
+            reason: 'missing_credentials',
+            authMode: 'none',
+            headers: { 'WWW-Authenticate': 'Bearer realm="traylinx"' },
+            body: { error: 'Invalid or missing authentication' }
+        });
+    });
+
+    it('should deny inactive tokens with an invalid_token challenge', async () => {
+        const client = createFakeClient(IntrospectionResult.inactive('agent-1'));
+
+        const outcome = await authenticateRequest(bearerHeaders, { client });
+
+        expect(outcome).toMatchObject({ allowed: false, status: 401, reason: 'invalid_token', authMode: 'bearer' });
+        expect(outcome.headers['WWW-Authenticate']).toBe('Bearer realm="traylinx", error="invalid_token"');
+    });
+
+    it('should only accept the configured modes', async () => {
+        const client = createFakeClient(activeResult());
+
+        const outcome = await authenticateRequest(bearerHeaders, { client, modes: ['custom'] });
+
+        expect(outcome).toMatchObject({ allowed: false, reason: 'missing_credentials' });
+    });
+
+    it('should report validation errors as a 500 result', async () => {
+        const error = new Error('service unavailable');
+        const client = createFakeClient();
+        client.introspectToken.mockRejectedValue(error);
+
+        await expect(authenticateRequest(bearerHeaders, { client })).resolves.toMatchObject({
+            allowed: false,
+            status: 500,
+            reason: 'error',
+            body: { error: 'Internal server error' },
+            error
+        });
+    });
+
+    it('should report clients that cannot be resolved as a 500 result', async () => {
+        const client = () => {
+            throw new Error('TRAYLINX_CLIENT_ID is not set');
+        };
+
+        await expect(authenticateRequest(bearerHeaders, { client })).resolves.toMatchObject({
+            allowed: false,
+            status: 500,
+            reason: 'error',
+            error: expect.objectContaining({ message: 'TRAYLINX_CLIENT_ID is not set' })
+        });
+    });
+
+    it('should reject invalid options', async () => {
+        await expect(authenticateRequest(bearerHeaders, {})).rejects.toThrow(ValidationError);
+        await expect(authenticateRequest(bearerHeaders, { client: createFakeClient(), modes: ['basic'] }))
+            .rejects.toMatchObject({ code: 'INVALID_AUTH_MODES' });
+    });
+
+    it('should protect a plain node:http server', async () => {
+        const client = createFakeClient(activeResult());
+        const server = http.createServer(async (req, res) => {
+            const auth = await authenticateRequest(req.headers, { client });
+            if (!auth.allowed) {
+                res.writeHead(auth.status, { 'Content-Type': 'application/json', ...auth.headers });
+                res.end(JSON.stringify(auth.body));
+                return;
+            }
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ sub: auth.traylinx.sub, authMode: auth.authMode }));
+        });
+
+        await request(server)
+            .get('/')
+            .set('X-Agent-Secret-Token', 'valid_token')
+            .set('X-Agent-User-Id', 'agent-1')
+            .expect(200, { sub: 'caller', authMode: 'custom' });
+
+        await request(server)
+            .get('/')
+            .expect('WWW-Authenticate', 'Bearer realm="traylinx"')
+            .expect(401, { error: 'Invalid or missing authentication' });
+    });
+});
+
+describe('createFastifyPlugin', () => {
+    let fastify;
+
+    const build = async (options, routes = () => {}) => {
+        fastify = Fastify();
+        fastify.register(createFastifyPlugin(), options);
+        fastify.get('/protected', async (req) => ({ sub: req.traylinx && req.traylinx.sub, authMode: req.authMode }));
+        routes(fastify);
+        await fastify.ready();
+        return fastify;
+    };
+
+    afterEach(async () => {
+        await fastify.close();
+    });
+
+    it('should decorate the request on success', async () => {
+        const client = createFakeClient(activeResult());
+        await build({ client });
+
+        await request(fastify.server)
+            .get('/protected')
+            .set(bearerHeaders)
+            .expect(200, { sub: 'caller', authMode: 'bearer' });
+    });
+
+    it('should reject missing credentials with a challenge', async () => {
+        await build({ client: createFakeClient(activeResult()) });
+
+        await request(fastify.server)
+            .get('/protected')
+            .expect('WWW-Authenticate', 'Bearer realm="traylinx"')
+            .expect(401, { error: 'Invalid or missing authentication' });
+    });
+
+    it('should reject inactive tokens', async () => {
+        await build({ client: createFakeClient(IntrospectionResult.inactive('agent-1')) });
+
+        await request(fastify.server)
+            .get('/protected')
+            .set(bearerHeaders)
+            .expect('WWW-Authenticate', 'Bearer realm="traylinx", error="invalid_token"')
+            .expect(401, { error: 'Invalid or missing authentication' });
+    });
+
+    it('should respond 500 and log to the client logger when validation fails', async () => {
+        const client = createFakeClient();
+        client.logger = { error: jest.fn() };
+        client.introspectToken.mockRejectedValue(new Error('service unavailable'));
+        await build({ client });
+
+        await request(fastify.server)
+            .get('/protected')
+            .set(bearerHeaders)
+            .expect(500, { error: 'Internal server error' });
+        expect(client.logger.error).toHaveBeenCalledWith('auth.middleware.failed', { error: expect.objectContaining({ message: 'service unavailable' }) });
+    });
+
+    it('should bypass authentication for skipped requests', async () => {
+        const client = createFakeClient(activeResult());
+        await build({ client, skip: (req) => req.url === '/health' }, (app) => {
+            app.get('/health', async (req) => ({ traylinx: req.traylinx }));
+        });
+
+        await request(fastify.server)
+            .get('/health')
+            .expect(200, { traylinx: null });
+        expect(client.introspectToken).not.toHaveBeenCalled();
+    });
+
+    it('should only protect routes in the context it is registered in', async () => {
+        const client = createFakeClient(activeResult());
+        fastify = Fastify();
+        fastify.get('/public', async () => ({ ok: true }));
+        fastify.register(async (scope) => {
+            scope.register(createFastifyPlugin({ client }));
+            scope.get('/private', async (req) => ({ sub: req.traylinx.sub }));
+        });
+
+        await fastify.ready();
+
+        await request(fastify.server).get('/public').expect(200, { ok: true });
+        await request(fastify.server).get('/private').expect(401);
+    });
+
+    it('should serve requests over a real socket', async () => {
+        await build({ client: createFakeClient(activeResult()) });
+        await fastify.listen({ port: 0, host: '127.0.0.1' });
+
+        await request(fastify.server)
+            .get('/protected')
+            .set('Authorization', 'Bearer valid_token')
+            .set('X-Agent-User-Id', 'agent-1')
+            .expect(200, { sub: 'caller', authMode: 'bearer' });
+    });
+
+    it('should fail registration with invalid options', async () => {
+        fastify = Fastify();
+        fastify.register(createFastifyPlugin(), { client: createFakeClient(), modes: [] });
+
+        await expect(fastify.ready()).rejects.toMatchObject({ code: 'INVALID_AUTH_MODES' });
+    });
+});
+
+describe('createKoaMiddleware', () => {
+
+    const createServer = (options) => {
+        const app = new Koa();
+        app.use(createKoaMiddleware(options));
+        app.use((ctx) => {
+            ctx.body = {
+                sub: ctx.state.traylinx ? ctx.state.traylinx.sub : null,
+                authMode: ctx.state.authMode || null
+            };
+        });
+        return http.createServer(app.callback());
+    };
+
+    it('should set ctx.state.traylinx on success', async () => {
+        await request(createServer({ client: createFakeClient(activeResult()) }))
+            .get('/')
+            .set('X-Agent-Secret-Token', 'valid_token')
+            .set('X-Agent-User-Id', 'agent-1')
+            .expect(200, { sub: 'caller', authMode: 'custom' });
+    });
+
+    it('should reject inactive tokens with a challenge', async () => {
+        await request(createServer({ client: createFakeClient(IntrospectionResult.inactive('agent-1')) }))
+            .get('/')
+            .set('Authorization', 'Bearer expired')
+            .set('X-Agent-User-Id', 'agent-1')
+            .expect('WWW-Authenticate', 'Bearer realm="traylinx", error="invalid_token"')
+            .expect(401, { error: 'Invalid or missing authentication' });
+    });
+
+    it('should respond 500 and log when validation fails', async () => {
+        const client = createFakeClient();
+        client.logger = { error: jest.fn() };
+        client.introspectToken.mockRejectedValue(new Error('service unavailable'));
+
+        await request(createServer({ client }))
+            .get('/')
+            .set('Authorization', 'Bearer valid_token')
+            .set('X-Agent-User-Id', 'agent-1')
+            .expect(500, { error: 'Internal server error' });
+        expect(client.logger.error).toHaveBeenCalledWith('auth.middleware.failed', { error: expect.objectContaining({ message: 'service unavailable' }) });
+    });
+
+    it('should respond 500 and log when the client cannot be resolved', async () => {
+        const errorSpy = jest.spyOn(defaultLogger, 'error').mockImplementation(() => {});
+        const client = () => {
+            throw new Error('TRAYLINX_CLIENT_ID is not set');
+        };
+
+        await request(createServer({ client }))
+            .get('/')
+            .set('Authorization', 'Bearer valid_token')
+            .set('X-Agent-User-Id', 'agent-1')
+            .expect(500, { error: 'Internal server error' });
+        expect(errorSpy).toHaveBeenCalledWith('auth.middleware.failed', { error: expect.objectContaining({ message: 'TRAYLINX_CLIENT_ID is not set' }) });
+        errorSpy.mockRestore();
+    });
+
+    it('should bypass authentication for skipped requests', async () => {
+        const client = createFakeClient(activeResult());
+
+        await request(createServer({ client, skip: (ctx) => ctx.path === '/health' }))
+            .get('/health')
+            .expect(200, { sub: null, authMode: null });
+        expect(client.introspectToken).not.toHaveBeenCalled();
+    });
+
+    it('should throw on invalid options', () => {
+        expect(() => createKoaMiddleware({})).toThrow('A TraylinxAuthClient instance is required');
+        expect(() => createKoaMiddleware({ client: createFakeClient(), modes: 'bearer' })).toThrow(ValidationError);
+    });
+});
@@ -0,0 +1,123 @@
+/**
+ * Test suite for the auth service circuit breaker.
+ */
+
+const CircuitBreaker = require('../src/circuitBreaker');
+const { CircuitOpenError } = require('../src/errors');
+
+describe('CircuitBreaker', () => {
+    let now;
+    let nowSpy;
+    let transitions;
+    let breaker;
+
+    const fail = () => breaker.execute(() => Promise.reject(new Error('down'))).catch(e => e);
+    const succeed = () => breaker.execute(() => Promise.resolve('ok'));
+
+    beforeEach(() => {
+        now = 1700000000000;
+        nowSpy = jest.spyOn(Date, 'now').mockImplementation(() => now);
+        transitions = [];
+        breaker = new CircuitBreaker('/oauth/token', {
+            failureThreshold: 3,
+            cooldown: 10000,
+            onStateChange: change => transitions.push(change)
+        });
+    });
+
+    afterEach(() => {
+        nowSpy.mockRestore();
+    });
+
+    it('should apply defaults', () => {
+        const defaults = new CircuitBreaker('/oauth/token');
+        expect(defaults.failureThreshold).toBe(5);
+        expect(defaults.cooldown).toBe(30000);
+        expect(defaults.state).toBe('closed');
+    });
+
+    it('should pass results and errors through while closed', async () => {
+        await expect(succeed()).resolves.toBe('ok');
+        expect((await fail()).message).toBe('down');
+        expect(breaker.state).toBe('closed');
+        expect(breaker.failures).toBe(1);
+    });
+
+    it('should open after consecutive failures and reject calls', async () => {
+        await fail();
+        await fail();
+        await fail();
+
+        expect(breaker.state).toBe('open');
+        expect(transitions).toEqual([{ name: '/oauth/token', from: 'closed', to: 'open' }]);
+
+        const fn = jest.fn();
+        now += 4000;
+        const error = await breaker.execute(fn).catch(e => e);
+
+        expect(fn).not.toHaveBeenCalled();
+        expect(error).toBeInstanceOf(CircuitOpenError);
+        expect(error.endpoint).toBe('/oauth/token');
+        expect(error.retryAfterMs).toBe(6000);
+    });
+
+    it('should reset the failure count on success', async () => {
+        await fail();
+        await fail();
+        await succeed();
+        await fail();
+
+        expect(breaker.state).toBe('closed');
+    });
+
+    it('should close after a successful trial call once the cool-down is over', async () => {
+        await fail();
+        await fail();
+        await fail();
+        now += 10000;
+
+        await expect(succeed()).resolves.toBe('ok');
+
+        expect(breaker.state).toBe('closed');
+        expect(transitions.map(({ to }) => to)).toEqual(['open', 'half-open', 'closed']);
+    });
+
+    it('should reopen when the trial call fails', async () => {
+        await fail();
+        await fail();
+        await fail();
+        now += 10000;
+
+        await fail();
+
+        expect(breaker.state).toBe('open');
+        expect(breaker.openedAt).toBe(now);
+        expect(transitions.map(({ to }) => to)).toEqual(['open', 'half-open', 'open']);
+    });
+
+    it('should allow a single trial call at a time while half-open', async () => {
+        await fail();
+        await fail();
+        await fail();
+        now += 10000;
+
+        let release;
+        const trial = breaker.execute(() => new Promise(resolve => { release = resolve; }));
+        const rejected = await breaker.execute(() => Promise.resolve('second')).catch(e => e);
+
+        expect(rejected).toBeInstanceOf(CircuitOpenError);
+        release('first');
+        await expect(trial).resolves.toBe('first');
+        expect(breaker.state).toBe('closed');
+    });
+
+    it('should not count errors the isFailure predicate rejects', async () => {
+        breaker = new CircuitBreaker('/oauth/token', { failureThreshold: 1, isFailure: error => error.status >= 500 });
+
+        await breaker.execute(() => Promise.reject({ status: 401 })).catch(() => {});
+        expect(breaker.state).toBe('closed');
+
+        await breaker.execute(() => Promise.reject({ status: 503 })).catch(() => {});
+        expect(breaker.state).toBe('open');
+    });
+});
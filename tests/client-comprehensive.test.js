@@ -20,6 +20,7 @@ jest.mock('axios', () => ({
 
 const axios = require('axios');
 const { v4: uuidv4 } = require('uuid');
+const IntrospectionResult = require('../src/introspectionResult');
 
 describe('TraylinxAuthClient - Comprehensive Coverage', () => {
     let TraylinxAuthClient;
@@ -35,6 +36,7 @@ describe('TraylinxAuthClient - Comprehensive Coverage', () => {
         
         mockAxiosInstance = {
             post: jest.fn(),
+            request: jest.fn(),
             interceptors: {
                 response: {
                     use: jest.fn()
@@ -185,6 +187,736 @@ describe('TraylinxAuthClient - Comprehensive Coverage', () => {
                 await expect(client.getAgentSecretToken()).rejects.toThrow('Invalid token response: missing fields agent_secret_token');
             });
         });
+        describe('single-flight token fetching', () => {
+            const deferTokenResponse = (data) => new Promise(resolve => {
+                setTimeout(() => resolve({ data }), 10);
+            });
+
+            it('should coalesce concurrent refreshes into one request', async () => {
+                mockAxiosInstance.post.mockImplementation(() => deferTokenResponse({
+                    access_token: 'shared_access_token',
+                    agent_secret_token: 'shared_agent_secret_token',
+                    expires_in: 3600
+                }));
+
+                const results = await Promise.all([
+                    ...Array.from({ length: 25 }, () => client.getAccessToken()),
+                    ...Array.from({ length: 25 }, () => client.getAgentSecretToken())
+                ]);
+
+                expect(results.slice(0, 25)).toEqual(Array(25).fill('shared_access_token'));
+                expect(results.slice(25)).toEqual(Array(25).fill('shared_agent_secret_token'));
+                expect(mockAxiosInstance.post).toHaveBeenCalledTimes(1);
+                expect(client.tokenFetchCount).toBe(1);
+            });
+
+            it('should share a failed fetch with every waiter and allow a later retry', async () => {
+                const httpError = new Error('HTTP error');
+                httpError.response = { status: 401, statusText: 'Unauthorized', data: {} };
+                mockAxiosInstance.post.mockImplementationOnce(() => new Promise((resolve, reject) => {
+                    setTimeout(() => reject(httpError), 10);
+                }));
+
+                const results = await Promise.allSettled([
+                    client.getAccessToken(),
+                    client.getAgentSecretToken(),
+                    client.getRequestHeaders()
+                ]);
+
+                expect(results.every(result => result.status === 'rejected')).toBe(true);
+                expect(results.map(result => result.reason.message)).toEqual(
+                    Array(3).fill('Authentication failed during token fetch. Check client credentials.')
+                );
+                expect(client.tokenFetchCount).toBe(1);
+
+                mockAxiosInstance.post.mockResolvedValueOnce({
+                    data: {
+                        access_token: 'retry_access_token',
+                        agent_secret_token: 'retry_agent_secret_token',
+                        expires_in: 3600
+                    }
+                });
+
+                await expect(client.getAccessToken()).resolves.toBe('retry_access_token');
+                expect(client.tokenFetchCount).toBe(2);
+            });
+
+            it('should fetch only once when building request headers', async () => {
+                mockAxiosInstance.post.mockResolvedValue({
+                    data: {
+                        access_token: 'short_access_token',
+                        agent_secret_token: 'short_agent_secret_token',
+                        expires_in: 0
+                    }
+                });
+
+                const headers = await client.getRequestHeaders();
+
+                expect(headers.Authorization).toBe('Bearer short_access_token');
+                expect(headers['X-Agent-Secret-Token']).toBe('short_agent_secret_token');
+                expect(client.tokenFetchCount).toBe(1);
+            });
+        });
+
+        describe('invalidateTokens', () => {
+            beforeEach(async () => {
+                mockAxiosInstance.post.mockResolvedValueOnce({
+                    data: { access_token: 'old_access_token', agent_secret_token: 'old_agent_secret_token', expires_in: 3600 }
+                });
+                await client.getAccessToken();
+                mockAxiosInstance.post.mockResolvedValueOnce({
+                    data: { access_token: 'new_access_token', agent_secret_token: 'new_agent_secret_token', expires_in: 3600 }
+                });
+            });
+
+            it('should drop the cached tokens so the next call refetches', async () => {
+                await expect(client.invalidateTokens()).resolves.toBe(true);
+
+                expect(client.accessToken).toBeNull();
+                await expect(client.getAgentSecretToken()).resolves.toBe('new_agent_secret_token');
+                expect(client.tokenFetchCount).toBe(2);
+            });
+
+            it('should ignore rejections of tokens that were already replaced', async () => {
+                await expect(client.invalidateTokens('old_agent_secret_token')).resolves.toBe(true);
+                await client.getAgentSecretToken();
+
+                await expect(client.invalidateTokens('old_agent_secret_token')).resolves.toBe(false);
+                expect(client.agentSecretToken).toBe('new_agent_secret_token');
+            });
+
+            it('should refetch once when concurrent calls are rejected with the same token', async () => {
+                const unauthorized = { response: { status: 401, data: {} } };
+                mockAxiosInstance.post.mockReset();
+                mockAxiosInstance.post.mockImplementation((url, payload, config) => {
+                    if (url.endsWith('/oauth/token')) {
+                        return Promise.resolve({
+                            data: { access_token: 'new_access_token', agent_secret_token: 'new_agent_secret_token', expires_in: 3600 }
+                        });
+                    }
+                    return config.headers['X-Agent-Secret-Token'] === 'old_agent_secret_token'
+                        ? Promise.reject(unauthorized)
+                        : Promise.resolve({ data: { jsonrpc: '2.0', result: 'ok', id: 'test-uuid-1234' } });
+                });
+
+                const results = await Promise.all(Array.from({ length: 5 }, () => client.rpcCall('ping', {}, 'https://other-agent.com/rpc')));
+
+                expect(results.map(result => result.result)).toEqual(Array(5).fill('ok'));
+                expect(client.tokenFetchCount).toBe(2);
+            });
+        });
+    });
+
+    describe('Proactive Token Refresh', () => {
+        const tokenResponse = (suffix, expiresIn = 3600) => ({
+            data: {
+                access_token: `access_${suffix}`,
+                agent_secret_token: `agent_${suffix}`,
+                expires_in: expiresIn
+            }
+        });
+
+        const createClient = (options = {}) => new TraylinxAuthClient(
+            'test-client',
+            'super-secret-key-12345',
+            'https://api.example.com',
+            '12345678-1234-1234-1234-123456789abc',
+            options
+        );
+
+        afterEach(() => {
+            jest.useRealTimers();
+        });
+
+        it('should refresh tokens inside the default 30 second window', async () => {
+            const client = createClient();
+            client.accessToken = 'old_access';
+            client.agentSecretToken = 'old_agent';
+            client.tokenExpiration = Date.now() + 10000;
+            mockAxiosInstance.post.mockResolvedValueOnce(tokenResponse('new'));
+
+            await expect(client.getAccessToken()).resolves.toBe('access_new');
+            expect(client.tokenFetchCount).toBe(1);
+        });
+
+        it('should keep serving valid tokens when a refresh inside the window fails', async () => {
+            const client = createClient({ logLevel: 'CRITICAL' });
+            const serverError = new Error('Server error');
+            serverError.response = { status: 500, statusText: 'Internal Server Error', data: {} };
+            const warn = jest.spyOn(client.logger, 'warn');
+            client.accessToken = 'old_access';
+            client.agentSecretToken = 'old_agent';
+            client.tokenExpiration = Date.now() + 20000;
+            mockAxiosInstance.post
+                .mockRejectedValueOnce(serverError)
+                .mockResolvedValueOnce(tokenResponse('new'));
+
+            await expect(client.getAccessToken()).resolves.toBe('old_access');
+            expect(warn).toHaveBeenCalledWith('token.refresh.failed', expect.objectContaining({ expiresAt: client.tokenExpiration }));
+
+            await expect(client.getAgentSecretToken()).resolves.toBe('agent_new');
+            expect(client.tokenFetchCount).toBe(2);
+        });
+
+        it('should throw a failed refresh once the tokens have expired', async () => {
+            const client = createClient({ logLevel: 'CRITICAL' });
+            const serverError = new Error('Server error');
+            serverError.response = { status: 500, statusText: 'Internal Server Error', data: {} };
+            client.accessToken = 'old_access';
+            client.agentSecretToken = 'old_agent';
+            client.tokenExpiration = Date.now() - 1;
+            mockAxiosInstance.post.mockRejectedValueOnce(serverError);
+
+            await expect(client.getAccessToken()).rejects.toMatchObject({ name: 'NetworkError' });
+        });
+
+        it('should throw authentication failures even while the tokens are valid', async () => {
+            const client = createClient({ logLevel: 'CRITICAL' });
+            const unauthorized = new Error('Unauthorized');
+            unauthorized.response = { status: 401, statusText: 'Unauthorized', data: {} };
+            client.accessToken = 'old_access';
+            client.agentSecretToken = 'old_agent';
+            client.tokenExpiration = Date.now() + 20000;
+            mockAxiosInstance.post.mockRejectedValueOnce(unauthorized);
+
+            await expect(client.getAccessToken()).rejects.toMatchObject({ name: 'AuthenticationError' });
+        });
+
+        it('should keep tokens outside the refresh window', async () => {
+            const client = createClient({ refreshSkew: 5000 });
+            client.accessToken = 'old_access';
+            client.tokenExpiration = Date.now() + 10000;
+
+            await expect(client.getAccessToken()).resolves.toBe('old_access');
+            expect(mockAxiosInstance.post).not.toHaveBeenCalled();
+        });
+
+        it('should honour refreshSkewRatio relative to expires_in', async () => {
+            const client = createClient({ refreshSkew: 0, refreshSkewRatio: 0.2 });
+            mockAxiosInstance.post
+                .mockResolvedValueOnce(tokenResponse('first'))
+                .mockResolvedValueOnce(tokenResponse('second'));
+
+            await client.getAccessToken();
+            expect(client._getRefreshSkew()).toBe(720000);
+
+            client.tokenExpiration = Date.now() + 600000;
+            await expect(client.getAccessToken()).resolves.toBe('access_second');
+            expect(client.tokenFetchCount).toBe(2);
+        });
+
+        it('should cap the refresh window at half the token lifetime', async () => {
+            const client = createClient();
+            mockAxiosInstance.post.mockResolvedValue(tokenResponse('short', 10));
+
+            await client.getAccessToken();
+            await client.getAgentSecretToken();
+
+            expect(client._getRefreshSkew()).toBe(5000);
+            expect(client.tokenFetchCount).toBe(1);
+        });
+
+        it('should reject invalid refresh options', () => {
+            expect(() => createClient({ refreshSkew: -1 })).toThrow('Refresh skew cannot be negative');
+            expect(() => createClient({ refreshSkewRatio: 2 })).toThrow('Refresh skew ratio must be no more than 1');
+            expect(() => createClient({ backgroundRefresh: 'yes' })).toThrow('Background refresh must be a boolean value');
+        });
+
+        describe('background refresh', () => {
+            beforeEach(() => {
+                jest.useFakeTimers();
+            });
+
+            it('should renew tokens ahead of expiry without a caller', async () => {
+                const client = createClient({ backgroundRefresh: true });
+                mockAxiosInstance.post
+                    .mockResolvedValueOnce(tokenResponse('first'))
+                    .mockResolvedValueOnce(tokenResponse('second'));
+
+                await client.getAccessToken();
+                expect(client._refreshTimer).not.toBeNull();
+
+                await jest.advanceTimersByTimeAsync(3570000);
+
+                expect(client.tokenFetchCount).toBe(2);
+                expect(client.accessToken).toBe('access_second');
+                client.close();
+            });
+
+            it('should retry a failed background refresh while tokens are valid', async () => {
+                const client = createClient({ backgroundRefresh: true, retryDelay: 1000 });
+                const serverError = new Error('Server error');
+                serverError.response = { status: 500, statusText: 'Internal Server Error', data: {} };
+                mockAxiosInstance.post
+                    .mockResolvedValueOnce(tokenResponse('first'))
+                    .mockRejectedValueOnce(serverError)
+                    .mockResolvedValueOnce(tokenResponse('second'));
+
+                await client.getAccessToken();
+                await jest.advanceTimersByTimeAsync(3570000);
+                expect(client.tokenFetchCount).toBe(2);
+                expect(client.accessToken).toBe('access_first');
+
+                await jest.advanceTimersByTimeAsync(1000);
+                expect(client.tokenFetchCount).toBe(3);
+                expect(client.accessToken).toBe('access_second');
+                client.close();
+            });
+
+            it('should not schedule renewals when disabled', async () => {
+                const client = createClient();
+                mockAxiosInstance.post.mockResolvedValueOnce(tokenResponse('first'));
+
+                await client.getAccessToken();
+
+                expect(client._refreshTimer).toBeNull();
+            });
+
+            it('should cancel the timer on close()', async () => {
+                const client = createClient({ backgroundRefresh: true });
+                mockAxiosInstance.post.mockResolvedValue(tokenResponse('first'));
+
+                await client.getAccessToken();
+                client.close();
+                await jest.advanceTimersByTimeAsync(3600000);
+
+                expect(client._refreshTimer).toBeNull();
+                expect(client.tokenFetchCount).toBe(1);
+            });
+        });
+
+        describe('stale-while-revalidate', () => {
+            const unreachable = () => Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+
+            const primeTokens = (client, expiresIn) => {
+                client.accessToken = 'old_access';
+                client.agentSecretToken = 'old_agent';
+                client.tokenExpiration = Date.now() + expiresIn;
+            };
+
+            beforeEach(() => {
+                jest.useFakeTimers();
+            });
+
+            it('should serve cached tokens and emit token:stale while they are still valid', async () => {
+                const client = createClient({ staleWhileRevalidate: true });
+                const onStale = jest.fn();
+                client.on('token:stale', onStale);
+                primeTokens(client, 10000);
+                mockAxiosInstance.post.mockRejectedValue(unreachable());
+
+                await expect(client.getAccessToken()).resolves.toBe('old_access');
+                await expect(client.getRequestHeaders()).resolves.toMatchObject({ Authorization: 'Bearer old_access' });
+
+                expect(onStale).toHaveBeenCalledWith(expect.objectContaining({
+                    expiresAt: client.tokenExpiration,
+                    expired: false
+                }));
+                expect(onStale.mock.calls[0][0].error.code).toBe('CONNECTION_REFUSED');
+                client.close();
+            });
+
+            it('should retry the refresh in the background', async () => {
+                const client = createClient({ staleWhileRevalidate: true, retryDelay: 1000 });
+                primeTokens(client, 10000);
+                mockAxiosInstance.post
+                    .mockRejectedValueOnce(unreachable())
+                    .mockRejectedValueOnce(unreachable())
+                    .mockResolvedValueOnce(tokenResponse('new'));
+
+                await expect(client.getAgentSecretToken()).resolves.toBe('old_agent');
+                await jest.advanceTimersByTimeAsync(1000);
+                expect(client.tokenFetchCount).toBe(2);
+                expect(client.accessToken).toBe('old_access');
+
+                await jest.advanceTimersByTimeAsync(1000);
+                expect(client.tokenFetchCount).toBe(3);
+                expect(client.accessToken).toBe('access_new');
+                client.close();
+            });
+
+            it('should stop retrying in the background once the tokens can no longer be served', async () => {
+                const client = createClient({ staleWhileRevalidate: true, retryDelay: 1000 });
+                primeTokens(client, 1500);
+                mockAxiosInstance.post.mockRejectedValue(unreachable());
+
+                await client.getAccessToken();
+                await jest.advanceTimersByTimeAsync(5000);
+
+                expect(client.tokenFetchCount).toBe(3);
+                expect(client._refreshTimer).toBeNull();
+            });
+
+            it('should serve expired tokens within maxStaleMs', async () => {
+                const client = createClient({ staleWhileRevalidate: true, maxStaleMs: 60000 });
+                const onStale = jest.fn();
+                client.on('token:stale', onStale);
+                primeTokens(client, -30000);
+                mockAxiosInstance.post.mockRejectedValueOnce(unreachable());
+
+                await expect(client.getAccessToken()).resolves.toBe('old_access');
+                expect(onStale.mock.calls[0][0].expired).toBe(true);
+                client.close();
+            });
+
+            it('should throw once tokens are past the grace period', async () => {
+                const client = createClient({ staleWhileRevalidate: true, maxStaleMs: 10000 });
+                primeTokens(client, -30000);
+                mockAxiosInstance.post.mockRejectedValueOnce(unreachable());
+
+                await expect(client.getAccessToken()).rejects.toMatchObject({ code: 'CONNECTION_REFUSED' });
+                expect(client._refreshTimer).toBeNull();
+            });
+
+            it('should throw authentication failures instead of serving stale tokens', async () => {
+                const client = createClient({ staleWhileRevalidate: true });
+                const unauthorized = new Error('Unauthorized');
+                unauthorized.response = { status: 401, statusText: 'Unauthorized', data: {} };
+                primeTokens(client, 10000);
+                mockAxiosInstance.post.mockRejectedValueOnce(unauthorized);
+
+                await expect(client.getAccessToken()).rejects.toMatchObject({ name: 'AuthenticationError' });
+            });
+
+            it('should throw when disabled', async () => {
+                const client = createClient({ maxStaleMs: 60000 });
+                primeTokens(client, -1000);
+                mockAxiosInstance.post.mockRejectedValueOnce(unreachable());
+
+                await expect(client.getAccessToken()).rejects.toMatchObject({ code: 'CONNECTION_REFUSED' });
+            });
+
+            it('should throw when there are no cached tokens', async () => {
+                const client = createClient({ staleWhileRevalidate: true });
+                mockAxiosInstance.post.mockRejectedValueOnce(unreachable());
+
+                await expect(client.getAccessToken()).rejects.toMatchObject({ code: 'CONNECTION_REFUSED' });
+            });
+
+            it('should not schedule revalidation after close()', async () => {
+                const client = createClient({ staleWhileRevalidate: true });
+                primeTokens(client, 10000);
+                client.close();
+                mockAxiosInstance.post.mockRejectedValueOnce(unreachable());
+
+                await expect(client.getAccessToken()).resolves.toBe('old_access');
+                expect(client._refreshTimer).toBeNull();
+            });
+
+            it('should reject invalid options', () => {
+                expect(() => createClient({ staleWhileRevalidate: 'yes' })).toThrow('Stale-while-revalidate must be a boolean value');
+                expect(() => createClient({ maxStaleMs: -1 })).toThrow('Max stale cannot be negative');
+                expect(() => createClient({ maxStaleMs: 7200000 })).toThrow('Max stale must be no more than 3600000ms (1 hour)');
+            });
+        });
+    });
+
+    describe('Token Store', () => {
+        const { MemoryTokenStore } = require('../src/tokenStore');
+
+        const createClient = (options = {}) => new TraylinxAuthClient(
+            'test-client',
+            'super-secret-key-12345',
+            'https://api.example.com',
+            '12345678-1234-1234-1234-123456789abc',
+            options
+        );
+
+        beforeEach(() => {
+            mockAxiosInstance.post.mockResolvedValue({
+                data: {
+                    access_token: 'network_access_token',
+                    agent_secret_token: 'network_agent_secret_token',
+                    expires_in: 3600
+                }
+            });
+        });
+
+        it('should share fetched tokens between clients using the same store', async () => {
+            const tokenStore = new MemoryTokenStore();
+            const first = createClient({ tokenStore });
+            const second = createClient({ tokenStore });
+
+            await expect(first.getAccessToken()).resolves.toBe('network_access_token');
+            await expect(second.getAgentSecretToken()).resolves.toBe('network_agent_secret_token');
+
+            expect(first.tokenFetchCount).toBe(1);
+            expect(second.tokenFetchCount).toBe(0);
+            expect(second.tokenLifetime).toBe(3600000);
+            expect(mockAxiosInstance.post).toHaveBeenCalledTimes(1);
+        });
+
+        it('should send a single token request for concurrent cold clients sharing a store', async () => {
+            const tokenStore = new MemoryTokenStore();
+            const clients = Array.from({ length: 5 }, () => createClient({ tokenStore }));
+
+            const tokens = await Promise.all(clients.map(client => client.getAccessToken()));
+
+            expect(tokens).toEqual(Array(5).fill('network_access_token'));
+            expect(mockAxiosInstance.post).toHaveBeenCalledTimes(1);
+        });
+
+        it('should send a single token request for clients sharing a token directory', async () => {
+            const fs = require('fs');
+            const os = require('os');
+            const path = require('path');
+            const { FileTokenStore } = require('../src/tokenStore');
+            const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'traylinx-store-'));
+            // Separate store instances stand in for separate processes
+            const clients = Array.from({ length: 3 }, () => createClient({ tokenStore: new FileTokenStore({ directory }) }));
+
+            try {
+                const tokens = await Promise.all(clients.map(client => client.getAgentSecretToken()));
+
+                expect(tokens).toEqual(Array(3).fill('network_agent_secret_token'));
+                expect(mockAxiosInstance.post).toHaveBeenCalledTimes(1);
+            } finally {
+                await fs.promises.rm(directory, { recursive: true, force: true });
+            }
+        });
+
+        it('should fetch without the lock when it cannot be acquired', async () => {
+            const tokenStore = new MemoryTokenStore();
+            jest.spyOn(tokenStore, 'lock').mockRejectedValue(new Error('lock timeout'));
+            const client = createClient({ tokenStore, logLevel: 'CRITICAL' });
+
+            await expect(client.getAccessToken()).resolves.toBe('network_access_token');
+            await expect(tokenStore.get(client._tokenStoreKey())).resolves.toMatchObject({ accessToken: 'network_access_token' });
+        });
+
+        it('should not retry a failed token request outside the lock', async () => {
+            const unauthorized = new Error('Unauthorized');
+            unauthorized.response = { status: 401, statusText: 'Unauthorized', data: {} };
+            mockAxiosInstance.post.mockReset().mockRejectedValue(unauthorized);
+            const client = createClient({ tokenStore: new MemoryTokenStore(), logLevel: 'CRITICAL' });
+
+            await expect(client.getAccessToken()).rejects.toMatchObject({ name: 'AuthenticationError' });
+            expect(mockAxiosInstance.post).toHaveBeenCalledTimes(1);
+        });
+
+        it('should store tokens with a ttl matching their expiry', async () => {
+            const tokenStore = new MemoryTokenStore();
+            jest.spyOn(tokenStore, 'set');
+            const client = createClient({ tokenStore });
+
+            await client.getAccessToken();
+
+            const [key, value, ttl] = tokenStore.set.mock.calls[0];
+            expect(key).toBe('traylinx-auth:https://api.example.com:test-client');
+            expect(value).toEqual({
+                accessToken: 'network_access_token',
+                agentSecretToken: 'network_agent_secret_token',
+                expiresAt: client.tokenExpiration,
+                lifetime: 3600000,
+                scope: null
+            });
+            expect(ttl).toBeGreaterThan(3590000);
+        });
+
+        it('should ignore stored tokens inside the refresh window', async () => {
+            const tokenStore = new MemoryTokenStore();
+            await tokenStore.set('traylinx-auth:https://api.example.com:test-client', {
+                accessToken: 'stale_access_token',
+                agentSecretToken: 'stale_agent_secret_token',
+                expiresAt: Date.now() + 10000,
+                lifetime: 3600000
+            });
+            const client = createClient({ tokenStore });
+
+            await expect(client.getAccessToken()).resolves.toBe('network_access_token');
+            expect(client.tokenFetchCount).toBe(1);
+        });
+
+        it('should ignore incomplete stored entries', async () => {
+            const tokenStore = new MemoryTokenStore();
+            await tokenStore.set('traylinx-auth:https://api.example.com:test-client', { accessToken: 'only_access' });
+            const client = createClient({ tokenStore });
+
+            await expect(client.getAccessToken()).resolves.toBe('network_access_token');
+        });
+
+        it('should not use the store when cacheTokens is false', async () => {
+            const tokenStore = new MemoryTokenStore();
+            jest.spyOn(tokenStore, 'get');
+            const client = createClient({ tokenStore, cacheTokens: false });
+
+            await client.getAccessToken();
+
+            expect(client.tokenStore).toBeNull();
+            expect(tokenStore.get).not.toHaveBeenCalled();
+        });
+
+        it('should fall back to the network when the store fails', async () => {
+            const tokenStore = {
+                get: jest.fn().mockRejectedValue(new Error('store down')),
+                set: jest.fn().mockRejectedValue(new Error('store down')),
+                delete: jest.fn()
+            };
+            const client = createClient({ tokenStore });
+
+            await expect(client.getAccessToken()).resolves.toBe('network_access_token');
+            expect(tokenStore.set).toHaveBeenCalled();
+        });
+
+        it('should not store tokens that are already expired', async () => {
+            mockAxiosInstance.post.mockResolvedValueOnce({
+                data: {
+                    access_token: 'expired_access_token',
+                    agent_secret_token: 'expired_agent_secret_token',
+                    expires_in: 0
+                }
+            });
+            const tokenStore = new MemoryTokenStore();
+            jest.spyOn(tokenStore, 'set');
+            const client = createClient({ tokenStore });
+
+            await client._fetchTokens();
+
+            expect(tokenStore.set).not.toHaveBeenCalled();
+        });
+
+        it('should remove invalidated tokens from the store', async () => {
+            const tokenStore = new MemoryTokenStore();
+            const client = createClient({ tokenStore });
+            await client.getAccessToken();
+
+            await client.invalidateTokens('network_access_token');
+
+            await expect(tokenStore.get(client._tokenStoreKey())).resolves.toBeNull();
+        });
+
+        it('should invalidate cached tokens even when the store fails', async () => {
+            const tokenStore = {
+                get: jest.fn().mockResolvedValue(null),
+                set: jest.fn().mockResolvedValue(),
+                delete: jest.fn().mockRejectedValue(new Error('store down'))
+            };
+            const client = createClient({ tokenStore });
+            await client.getAccessToken();
+
+            await expect(client.invalidateTokens()).resolves.toBe(true);
+            expect(client.accessToken).toBeNull();
+        });
+
+        it('should reject stores that do not implement the interface', () => {
+            expect(() => createClient({ tokenStore: {} })).toThrow('Token store must implement async get, set, delete method(s)');
+        });
+    });
+
+    describe('Token Info', () => {
+        const util = require('util');
+        const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+        const jwtAccessToken = `${encode({ alg: 'RS256', kid: 'key-1' })}.${encode({ sub: 'agent-1', scope: 'a2a', iat: 1700000000 })}.c2lnbmF0dXJl`;
+
+        const createClient = () => new TraylinxAuthClient(
+            'test-client',
+            'super-secret-key-12345',
+            'https://api.example.com',
+            '12345678-1234-1234-1234-123456789abc'
+        );
+
+        it('should describe a client without tokens', () => {
+            expect(createClient().getTokenInfo()).toEqual({
+                hasTokens: false,
+                issuedAt: null,
+                expiresAt: null,
+                ttlMs: null,
+                expired: false,
+                scope: [],
+                accessToken: null,
+                agentSecretToken: null
+            });
+        });
+
+        it('should report times and scope of fetched tokens without their values', async () => {
+            const client = createClient();
+            mockAxiosInstance.post.mockResolvedValueOnce({
+                data: {
+                    access_token: 'opaque_access_token',
+                    agent_secret_token: 'opaque_agent_secret_token',
+                    expires_in: 3600,
+                    scope: 'a2a orders:read'
+                }
+            });
+            await client.getAccessToken();
+
+            const info = client.getTokenInfo();
+
+            expect(info).toMatchObject({
+                hasTokens: true,
+                issuedAt: client.tokenExpiration - 3600000,
+                expiresAt: client.tokenExpiration,
+                expired: false,
+                scope: ['a2a', 'orders:read'],
+                accessToken: { length: 19, jwt: null },
+                agentSecretToken: { length: 25, jwt: null }
+            });
+            expect(info.ttlMs).toBeGreaterThan(3590000);
+            expect(JSON.stringify(info)).not.toContain('opaque_');
+        });
+
+        it('should decode JWT tokens and fall back to their claims', () => {
+            const client = createClient();
+            client.accessToken = jwtAccessToken;
+            client.agentSecretToken = 'opaque_agent_secret_token';
+            client.tokenExpiration = Date.now() - 1000;
+
+            const info = client.getTokenInfo();
+
+            expect(info.accessToken.jwt).toEqual({
+                header: { alg: 'RS256', kid: 'key-1' },
+                payload: { sub: 'agent-1', scope: 'a2a', iat: 1700000000 }
+            });
+            expect(info.scope).toEqual(['a2a']);
+            expect(info.issuedAt).toBe(1700000000000);
+            expect(info.ttlMs).toBe(0);
+            expect(info.expired).toBe(true);
+        });
+
+        it('should include token values only when asked', () => {
+            const client = createClient();
+            client.accessToken = 'opaque_access_token';
+            client.agentSecretToken = 'opaque_agent_secret_token';
+
+            const info = client.getTokenInfo({ includeSecrets: true });
+
+            expect(info.accessToken.value).toBe('opaque_access_token');
+            expect(info.agentSecretToken.value).toBe('opaque_agent_secret_token');
+        });
+
+        it('should clear the scope when tokens are invalidated', async () => {
+            const client = createClient();
+            client._setTokens({ accessToken: 'a', agentSecretToken: 'b', expiresAt: Date.now() + 60000, lifetime: 60000, scope: 'a2a' });
+
+            await client.invalidateTokens();
+
+            expect(client.getTokenInfo().scope).toEqual([]);
+        });
+
+        it('should redact secrets from JSON.stringify() and util.inspect()', () => {
+            const client = createClient();
+            client.accessToken = 'opaque_access_token';
+            client.agentSecretToken = 'opaque_agent_secret_token';
+            client.tokenExpiration = Date.now() + 60000;
+
+            const json = JSON.parse(JSON.stringify(client));
+            const inspected = util.inspect(client, { depth: 5 });
+
+            expect(json).toMatchObject({
+                clientId: 'test-client',
+                apiBaseUrl: 'https://api.example.com',
+                agentUserId: '12345678-1234-1234-1234-123456789abc',
+                config: { clientSecret: '[REDACTED]', timeout: 30000 },
+                tokens: { hasTokens: true }
+            });
+            for (const output of [JSON.stringify(client), inspected]) {
+                expect(output).not.toContain('super-secret-key-12345');
+                expect(output).not.toContain('opaque_access_token');
+                expect(output).not.toContain('opaque_agent_secret_token');
+            }
+            expect(inspected).toMatch(/^TraylinxAuthClient \{/);
+            expect(inspected).toContain('[REDACTED]');
+        });
     });
 
     describe('Header Generation', () => {
@@ -338,6 +1070,180 @@ describe('TraylinxAuthClient - Comprehensive Coverage', () => {
             });
         });
 
+        describe('introspectToken', () => {
+            it('should return the full introspection claims', async () => {
+                mockAxiosInstance.post.mockResolvedValueOnce({
+                    status: 200,
+                    data: {
+                        active: true,
+                        scope: 'orders:read orders:write',
+                        exp: 1700003600,
+                        iat: 1700000000,
+                        client_id: 'caller-client',
+                        sub: 'caller-subject'
+                    }
+                });
+
+                const result = await client.introspectToken('test_token', 'test_user_id');
+
+                expect(result).toBeInstanceOf(IntrospectionResult);
+                expect(result).toMatchObject({
+                    active: true,
+                    scope: ['orders:read', 'orders:write'],
+                    exp: 1700003600,
+                    iat: 1700000000,
+                    clientId: 'caller-client',
+                    sub: 'caller-subject',
+                    agentUserId: 'test_user_id'
+                });
+                expect(result.raw.client_id).toBe('caller-client');
+            });
+
+            it('should return an inactive result for non-200 responses', async () => {
+                mockAxiosInstance.post.mockResolvedValueOnce({ status: 403 });
+
+                const result = await client.introspectToken('test_token', 'test_user_id');
+
+                expect(result.active).toBe(false);
+                expect(result.raw).toEqual({});
+            });
+
+            it('should rebuild results from cached claims', async () => {
+                const cachingClient = new TraylinxAuthClient(
+                    'test-client',
+                    'super-secret-key-12345',
+                    'https://api.example.com',
+                    '12345678-1234-1234-1234-123456789abc',
+                    { introspectionCacheTtl: 60000 }
+                );
+                cachingClient.accessToken = 'test_access_token';
+                cachingClient.tokenExpiration = Date.now() + 3600000;
+                mockAxiosInstance.post.mockReset();
+                mockAxiosInstance.post.mockResolvedValue({ status: 200, data: { active: true, scope: ['a2a'] } });
+
+                await cachingClient.introspectToken('test_token', 'test_user_id');
+                const cached = await cachingClient.introspectToken('test_token', 'test_user_id');
+
+                expect(cached.scope).toEqual(['a2a']);
+                expect(mockAxiosInstance.post).toHaveBeenCalledTimes(1);
+            });
+        });
+
+        describe('introspectA2ARequest', () => {
+            it('should introspect Bearer credentials', async () => {
+                const result = IntrospectionResult.fromResponse({ active: true }, 'test_user_id');
+                client.introspectToken = jest.fn().mockResolvedValue(result);
+
+                await expect(client.introspectA2ARequest({
+                    Authorization: 'Bearer bearer_token',
+                    'X-Agent-User-Id': 'test_user_id'
+                })).resolves.toBe(result);
+                expect(client.introspectToken).toHaveBeenCalledWith('bearer_token', 'test_user_id');
+            });
+
+            it('should return null without credentials', async () => {
+                client.introspectToken = jest.fn();
+
+                await expect(client.introspectA2ARequest({})).resolves.toBeNull();
+                expect(client.introspectToken).not.toHaveBeenCalled();
+            });
+        });
+
+        describe('extractCredentials', () => {
+            it('should prefer Bearer credentials', () => {
+                expect(client.extractCredentials({
+                    authorization: 'Bearer bearer_token',
+                    'x-agent-secret-token': 'custom_token',
+                    'x-agent-user-id': 'agent'
+                })).toEqual({ token: 'bearer_token', agentUserId: 'agent', mode: 'bearer' });
+            });
+
+            it('should only accept the requested modes', () => {
+                const headers = {
+                    authorization: 'Bearer bearer_token',
+                    'x-agent-secret-token': 'custom_token',
+                    'x-agent-user-id': 'agent'
+                };
+
+                expect(client.extractCredentials(headers, ['custom'])).toEqual({ token: 'custom_token', agentUserId: 'agent', mode: 'custom' });
+                expect(client.extractCredentials({ authorization: 'Bearer t', 'x-agent-user-id': 'agent' }, ['custom'])).toBeNull();
+            });
+        });
+
+        describe('introspection cache', () => {
+            const createClient = (options) => new TraylinxAuthClient(
+                'test-client',
+                'super-secret-key-12345',
+                'https://api.example.com',
+                '12345678-1234-1234-1234-123456789abc',
+                options
+            );
+
+            it('should be disabled by default', async () => {
+                mockAxiosInstance.post.mockResolvedValue({ status: 200, data: { active: true } });
+
+                await client.validateToken('test_token', 'test_user_id');
+                await client.validateToken('test_token', 'test_user_id');
+
+                expect(client.introspectionCache).toBeNull();
+                expect(client.getIntrospectionCacheStats()).toBeNull();
+                expect(client.invalidateIntrospection('test_token')).toBe(0);
+                expect(mockAxiosInstance.post).toHaveBeenCalledTimes(3);
+            });
+
+            it('should serve repeated validations from the cache', async () => {
+                const cachingClient = createClient({ introspectionCacheTtl: 60000 });
+                cachingClient.accessToken = 'test_access_token';
+                cachingClient.agentSecretToken = 'test_agent_secret_token';
+                cachingClient.tokenExpiration = Date.now() + 3600000;
+                mockAxiosInstance.post.mockReset();
+                mockAxiosInstance.post.mockResolvedValue({ status: 200, data: { active: true } });
+
+                await expect(cachingClient.validateToken('test_token', 'test_user_id')).resolves.toBe(true);
+                await expect(cachingClient.validateToken('test_token', 'test_user_id')).resolves.toBe(true);
+
+                expect(mockAxiosInstance.post).toHaveBeenCalledTimes(1);
+                expect(cachingClient.getIntrospectionCacheStats()).toMatchObject({ hits: 1, misses: 1, size: 1 });
+            });
+
+            it('should cache inactive results only with a negative TTL', async () => {
+                const cachingClient = createClient({ introspectionCacheTtl: 60000, introspectionNegativeCacheTtl: 5000 });
+                cachingClient.accessToken = 'test_access_token';
+                cachingClient.tokenExpiration = Date.now() + 3600000;
+                mockAxiosInstance.post.mockReset();
+                mockAxiosInstance.post.mockResolvedValue({ status: 200, data: { active: false } });
+
+                await expect(cachingClient.validateToken('bad_token', 'test_user_id')).resolves.toBe(false);
+                await expect(cachingClient.validateToken('bad_token', 'test_user_id')).resolves.toBe(false);
+
+                expect(mockAxiosInstance.post).toHaveBeenCalledTimes(1);
+                expect(cachingClient.introspectionCache.inactiveTtl).toBe(5000);
+            });
+
+            it('should hit the auth service again after invalidateIntrospection()', async () => {
+                const cachingClient = createClient({ introspectionCacheTtl: 60000, introspectionCacheSize: 10 });
+                cachingClient.accessToken = 'test_access_token';
+                cachingClient.tokenExpiration = Date.now() + 3600000;
+                mockAxiosInstance.post.mockReset();
+                mockAxiosInstance.post
+                    .mockResolvedValueOnce({ status: 200, data: { active: true } })
+                    .mockResolvedValueOnce({ status: 200, data: { active: false } });
+
+                await expect(cachingClient.validateToken('test_token', 'test_user_id')).resolves.toBe(true);
+                expect(cachingClient.invalidateIntrospection('test_token')).toBe(1);
+                await expect(cachingClient.validateToken('test_token', 'test_user_id')).resolves.toBe(false);
+
+                expect(cachingClient.introspectionCache.maxEntries).toBe(10);
+                expect(mockAxiosInstance.post).toHaveBeenCalledTimes(2);
+            });
+
+            it('should reject invalid cache options', () => {
+                expect(() => createClient({ introspectionCacheTtl: -1 })).toThrow('Introspection cache TTL cannot be negative');
+                expect(() => createClient({ introspectionNegativeCacheTtl: 'soon' })).toThrow('Introspection negative cache TTL must be a number');
+                expect(() => createClient({ introspectionCacheSize: 0.5 })).toThrow('Introspection cache size must be an integer');
+            });
+        });
+
         describe('validateA2ARequest', () => {
             beforeEach(() => {
                 // Mock validateToken method
@@ -399,6 +1305,377 @@ describe('TraylinxAuthClient - Comprehensive Coverage', () => {
                 expect(isValid).toBe(false);
             });
         });
+
+        describe('JWT verification', () => {
+            const crypto = require('crypto');
+            const { privateKey, publicKey } = crypto.generateKeyPairSync('ed25519');
+            const jwks = { keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'key-1' }] };
+            const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+            const signJwt = (claims) => {
+                const input = `${encode({ alg: 'EdDSA', kid: 'key-1' })}.${encode(claims)}`;
+                return `${input}.${crypto.sign(null, Buffer.from(input), privateKey).toString('base64url')}`;
+            };
+            const validJwt = (extra = {}) => signJwt({
+                sub: 'agent-1',
+                scope: 'a2a:read a2a:write',
+                azp: 'caller-client',
+                exp: Math.floor(Date.now() / 1000) + 300,
+                ...extra
+            });
+
+            const createClient = (options) => {
+                const jwtClient = new TraylinxAuthClient(
+                    'test-client',
+                    'super-secret-key-12345',
+                    'https://api.example.com',
+                    '12345678-1234-1234-1234-123456789abc',
+                    options
+                );
+                jwtClient.accessToken = 'test_access_token';
+                jwtClient.agentSecretToken = 'test_agent_secret_token';
+                jwtClient.tokenExpiration = Date.now() + 3600000;
+                return jwtClient;
+            };
+
+            beforeEach(() => {
+                mockAxiosInstance.post.mockReset();
+                mockAxiosInstance.request.mockReset();
+            });
+
+            it('should introspect every token by default', () => {
+                expect(client.jwtVerifier).toBeNull();
+                expect(client.config.verificationMode).toBe('introspect');
+            });
+
+            it('should verify JWTs locally without calling the introspection endpoint', async () => {
+                const jwtClient = createClient({ verificationMode: 'jwt' });
+                mockAxiosInstance.request.mockResolvedValue({ status: 200, data: jwks });
+
+                const result = await jwtClient.introspectToken(validJwt(), 'agent-1');
+
+                expect(result).toBeInstanceOf(IntrospectionResult);
+                expect(result).toMatchObject({ active: true, scope: ['a2a:read', 'a2a:write'], clientId: 'caller-client', sub: 'agent-1' });
+                await expect(jwtClient.validateToken(validJwt(), 'agent-1')).resolves.toBe(true);
+                expect(mockAxiosInstance.post).not.toHaveBeenCalled();
+                expect(mockAxiosInstance.request).toHaveBeenCalledTimes(1);
+                expect(mockAxiosInstance.request).toHaveBeenCalledWith({
+                    method: 'GET',
+                    url: 'https://api.example.com/.well-known/jwks.json',
+                    __noRetry: true
+                });
+            });
+
+            it('should pass issuer, audience and JWKS options to the verifier', () => {
+                const jwtClient = createClient({
+                    verificationMode: 'jwt',
+                    jwksUrl: 'https://auth.example.com/jwks',
+                    jwtIssuer: 'https://auth.example.com',
+                    jwtAudience: 'agents',
+                    jwtClockTolerance: 0,
+                    jwksCacheTtl: 60000
+                });
+
+                expect(jwtClient.jwtVerifier).toMatchObject({
+                    jwksUrl: 'https://auth.example.com/jwks',
+                    issuer: 'https://auth.example.com',
+                    audience: ['agents'],
+                    clockTolerance: 0,
+                    cacheTtl: 60000
+                });
+            });
+
+            it('should treat invalid JWTs as inactive in jwt mode', async () => {
+                const jwtClient = createClient({ verificationMode: 'jwt' });
+                mockAxiosInstance.request.mockResolvedValue({ status: 200, data: jwks });
+
+                await expect(jwtClient.validateToken('opaque-token', 'agent-1')).resolves.toBe(false);
+                await expect(jwtClient.validateToken(validJwt({ exp: 1 }), 'agent-1')).resolves.toBe(false);
+                expect(mockAxiosInstance.post).not.toHaveBeenCalled();
+            });
+
+            it('should reject JWTs issued to another agent user', async () => {
+                const jwtClient = createClient({ verificationMode: 'jwt' });
+                mockAxiosInstance.request.mockResolvedValue({ status: 200, data: jwks });
+
+                await expect(jwtClient.validateToken(validJwt(), 'agent-2')).resolves.toBe(false);
+                await expect(jwtClient.validateToken(validJwt({ agent_user_id: 'agent-2' }), 'agent-2')).resolves.toBe(true);
+            });
+
+            it('should throw a NetworkError when the JWKS cannot be fetched in jwt mode', async () => {
+                const jwtClient = createClient({ verificationMode: 'jwt' });
+                mockAxiosInstance.request.mockRejectedValue({
+                    response: { status: 503, statusText: 'Service Unavailable', data: {}, headers: {} }
+                });
+
+                await expect(jwtClient.introspectToken(validJwt(), 'agent-1')).rejects.toMatchObject({
+                    name: 'NetworkError',
+                    code: 'SERVER_ERROR'
+                });
+            });
+
+            it('should fall back to introspection in jwt-then-introspect mode', async () => {
+                const jwtClient = createClient({ verificationMode: 'jwt-then-introspect' });
+                mockAxiosInstance.request.mockResolvedValue({ status: 200, data: jwks });
+                mockAxiosInstance.post.mockResolvedValue({ status: 200, data: { active: true, scope: 'legacy' } });
+
+                await expect(jwtClient.introspectToken(validJwt(), 'agent-1')).resolves.toMatchObject({ active: true, scope: ['a2a:read', 'a2a:write'] });
+                expect(mockAxiosInstance.post).not.toHaveBeenCalled();
+
+                await expect(jwtClient.introspectToken('opaque-token', 'agent-1')).resolves.toMatchObject({ active: true, scope: ['legacy'] });
+                expect(mockAxiosInstance.post).toHaveBeenCalledTimes(1);
+                expect(mockAxiosInstance.post.mock.calls[0][0]).toBe('https://api.example.com/oauth/agent/introspect');
+            });
+
+            it('should fall back to introspection when the JWKS is unreachable', async () => {
+                const jwtClient = createClient({ verificationMode: 'jwt-then-introspect' });
+                mockAxiosInstance.request.mockRejectedValue({ code: 'ECONNREFUSED' });
+                mockAxiosInstance.post.mockResolvedValue({ status: 200, data: { active: false } });
+
+                await expect(jwtClient.validateToken(validJwt(), 'agent-1')).resolves.toBe(false);
+                expect(mockAxiosInstance.post).toHaveBeenCalledTimes(1);
+            });
+
+            it('should not fetch the JWKS again right after it was unreachable', async () => {
+                const jwtClient = createClient({ verificationMode: 'jwt-then-introspect' });
+                mockAxiosInstance.request.mockRejectedValue({ code: 'ECONNREFUSED' });
+                mockAxiosInstance.post.mockResolvedValue({ status: 200, data: { active: true } });
+
+                await jwtClient.validateToken(validJwt(), 'agent-1');
+                await jwtClient.validateToken(validJwt({ jti: 'second' }), 'agent-1');
+
+                expect(mockAxiosInstance.request).toHaveBeenCalledTimes(1);
+                expect(mockAxiosInstance.post).toHaveBeenCalledTimes(2);
+            });
+
+            it('should reject invalid verification options', () => {
+                expect(() => createClient({ verificationMode: 'local' }))
+                    .toThrow('Verification mode must be one of: introspect, jwt, jwt-then-introspect');
+                expect(() => createClient({ jwksUrl: 'http://auth.example.com/jwks' }))
+                    .toThrow('JWKS URL must use HTTPS protocol');
+                expect(() => createClient({ jwtAudience: [] }))
+                    .toThrow('JWT audience must be a string or a non-empty array of strings');
+                expect(() => createClient({ jwtClockTolerance: -1 }))
+                    .toThrow('JWT clock tolerance cannot be negative');
+                expect(() => createClient({ jwksCacheTtl: 10 }))
+                    .toThrow('JWKS cache TTL must be at least 1000ms (1 second)');
+            });
+        });
+    });
+
+    describe('Circuit Breaker', () => {
+        const { CircuitOpenError } = require('../src/errors');
+        const serverDown = () => Object.assign(new Error('Request failed with status code 503'), { response: { status: 503, data: {} } });
+        const tokenResponse = {
+            data: { access_token: 'test_access_token', agent_secret_token: 'test_agent_secret_token', expires_in: 3600 }
+        };
+
+        const createClient = (options = {}) => new TraylinxAuthClient(
+            'test-client',
+            'super-secret-key-12345',
+            'https://api.example.com',
+            '12345678-1234-1234-1234-123456789abc',
+            { circuitBreaker: true, circuitBreakerThreshold: 2, circuitBreakerCooldown: 5000, ...options }
+        );
+
+        it('should be disabled by default', async () => {
+            const client = new TraylinxAuthClient(
+                'test-client',
+                'super-secret-key-12345',
+                'https://api.example.com',
+                '12345678-1234-1234-1234-123456789abc'
+            );
+            mockAxiosInstance.post.mockRejectedValue(serverDown());
+
+            for (let i = 0; i < 6; i++) {
+                await expect(client.getAccessToken()).rejects.toMatchObject({ code: 'SERVER_ERROR' });
+            }
+            expect(client.getCircuitBreakerStates()).toEqual({});
+        });
+
+        it('should fail fast once the token endpoint keeps failing', async () => {
+            const client = createClient();
+            const changes = [];
+            client.on('circuit:stateChange', change => changes.push(change));
+            mockAxiosInstance.post.mockRejectedValue(serverDown());
+
+            await expect(client.getAccessToken()).rejects.toMatchObject({ code: 'SERVER_ERROR' });
+            await expect(client.getAccessToken()).rejects.toMatchObject({ code: 'SERVER_ERROR' });
+            const error = await client.getAccessToken().catch(e => e);
+
+            expect(error).toBeInstanceOf(CircuitOpenError);
+            expect(error.endpoint).toBe('/oauth/token');
+            expect(mockAxiosInstance.post).toHaveBeenCalledTimes(2);
+            expect(changes).toEqual([{ endpoint: '/oauth/token', from: 'closed', to: 'open' }]);
+            expect(client.getCircuitBreakerStates()).toEqual({ '/oauth/token': 'open' });
+        });
+
+        it('should close the circuit after a successful trial call', async () => {
+            const client = createClient();
+            const nowSpy = jest.spyOn(Date, 'now');
+            const now = Date.now();
+            nowSpy.mockReturnValue(now);
+            mockAxiosInstance.post.mockRejectedValueOnce(serverDown()).mockRejectedValueOnce(serverDown());
+            await client.getAccessToken().catch(() => {});
+            await client.getAccessToken().catch(() => {});
+
+            nowSpy.mockReturnValue(now + 5000);
+            mockAxiosInstance.post.mockResolvedValueOnce(tokenResponse);
+
+            await expect(client.getAccessToken()).resolves.toBe('test_access_token');
+            expect(client.getCircuitBreakerStates()).toEqual({ '/oauth/token': 'closed' });
+            nowSpy.mockRestore();
+        });
+
+        it('should not count client errors as failures', async () => {
+            const client = createClient();
+            const unauthorized = Object.assign(new Error('Unauthorized'), { response: { status: 401, data: {} } });
+            mockAxiosInstance.post.mockRejectedValue(unauthorized);
+
+            for (let i = 0; i < 3; i++) {
+                await expect(client.getAccessToken()).rejects.toMatchObject({ code: 'INVALID_CREDENTIALS' });
+            }
+            expect(client.getCircuitBreakerStates()).toEqual({ '/oauth/token': 'closed' });
+        });
+
+        it('should keep a separate circuit for introspection', async () => {
+            const client = createClient();
+            mockAxiosInstance.post
+                .mockResolvedValueOnce(tokenResponse)
+                .mockRejectedValueOnce(serverDown())
+                .mockRejectedValueOnce(serverDown());
+
+            await expect(client.introspectToken('token', 'agent')).rejects.toMatchObject({ code: 'SERVER_ERROR' });
+            await expect(client.introspectToken('token', 'agent')).rejects.toMatchObject({ code: 'SERVER_ERROR' });
+            await expect(client.validateToken('token', 'agent')).rejects.toBeInstanceOf(CircuitOpenError);
+
+            expect(client.getCircuitBreakerStates()).toEqual({ '/oauth/token': 'closed', '/oauth/agent/introspect': 'open' });
+        });
+
+        it('should protect auth service RPC calls but not calls to other agents', async () => {
+            const client = createClient({ circuitBreakerThreshold: 1 });
+            mockAxiosInstance.post
+                .mockResolvedValueOnce(tokenResponse)
+                .mockRejectedValueOnce(serverDown())
+                .mockRejectedValueOnce(serverDown())
+                .mockRejectedValueOnce(serverDown());
+
+            await expect(client.rpcCall('ping', {})).rejects.toMatchObject({ code: 'SERVER_ERROR' });
+            await expect(client.rpcCall('ping', {})).rejects.toBeInstanceOf(CircuitOpenError);
+            await expect(client.rpcCall('ping', {}, 'https://other-agent.com/rpc')).rejects.toMatchObject({ code: 'SERVER_ERROR' });
+            await expect(client.rpcCall('ping', {}, 'https://other-agent.com/rpc')).rejects.toMatchObject({ code: 'SERVER_ERROR' });
+
+            expect(client.getCircuitBreakerStates()).toEqual({ '/oauth/token': 'closed', '/a2a/rpc': 'open' });
+        });
+
+        it('should reject invalid circuit breaker options', () => {
+            expect(() => createClient({ circuitBreaker: 'yes' })).toThrow('Circuit breaker must be a boolean value');
+            expect(() => createClient({ circuitBreakerThreshold: 1.5 })).toThrow('Circuit breaker threshold must be an integer');
+            expect(() => createClient({ circuitBreakerCooldown: 10 })).toThrow('Circuit breaker cooldown must be at least 1000ms');
+        });
+    });
+
+    describe('makeA2ARequest', () => {
+        let client;
+
+        beforeEach(() => {
+            client = new TraylinxAuthClient(
+                'test-client',
+                'super-secret-key-12345',
+                'https://api.example.com',
+                '12345678-1234-1234-1234-123456789abc'
+            );
+
+            mockAxiosInstance.post.mockResolvedValue({
+                data: { access_token: 'test_access_token', agent_secret_token: 'test_agent_secret_token', expires_in: 3600 }
+            });
+        });
+
+        it('should send the request through the client axios instance with agent headers', async () => {
+            mockAxiosInstance.request.mockResolvedValue({ data: { ok: true } });
+
+            const result = await client.makeA2ARequest('GET', 'https://agent.example.com/api', {
+                params: { page: 2 },
+                headers: { 'X-Custom': 'value' }
+            });
+
+            expect(result).toEqual({ ok: true });
+            expect(mockAxiosInstance.request).toHaveBeenCalledWith({
+                method: 'GET',
+                url: 'https://agent.example.com/api',
+                params: { page: 2 },
+                headers: {
+                    'X-Agent-Secret-Token': 'test_agent_secret_token',
+                    'X-Agent-User-Id': '12345678-1234-1234-1234-123456789abc',
+                    'X-Custom': 'value'
+                }
+            });
+        });
+
+        it('should send the json option as a JSON body', async () => {
+            mockAxiosInstance.request.mockResolvedValue({ data: { ok: true } });
+
+            await client.makeA2ARequest('POST', 'https://agent.example.com/api', { json: { items: [1, 2] } });
+
+            const [config] = mockAxiosInstance.request.mock.calls[0];
+            expect(config.data).toBe('{"items":[1,2]}');
+            expect(config.headers['Content-Type']).toBe('application/json');
+            expect(config.json).toBeUndefined();
+        });
+
+        it('should reject json and data given together', async () => {
+            await expect(client.makeA2ARequest('POST', 'https://agent.example.com/api', { json: {}, data: 'raw' }))
+                .rejects.toMatchObject({ code: 'INVALID_REQUEST_OPTIONS' });
+            expect(mockAxiosInstance.request).not.toHaveBeenCalled();
+        });
+
+        it('should map HTTP errors to NetworkError', async () => {
+            const { NetworkError } = require('../src/errors');
+            mockAxiosInstance.request.mockRejectedValue({ response: { status: 404, statusText: 'Not Found', data: {} } });
+
+            const error = await client.makeA2ARequest('GET', 'https://agent.example.com/missing').catch(e => e);
+
+            expect(error).toBeInstanceOf(NetworkError);
+            expect(error.code).toBe('HTTP_ERROR');
+            expect(error.message).toBe('HTTP error (404) during A2A request to https://agent.example.com/missing: Not Found');
+        });
+
+        it('should map timeouts to NetworkError', async () => {
+            mockAxiosInstance.request.mockRejectedValue({ code: 'ECONNABORTED' });
+
+            await expect(client.makeA2ARequest('GET', 'https://agent.example.com/slow'))
+                .rejects.toMatchObject({ code: 'TIMEOUT', statusCode: 408 });
+        });
+
+        it('should refresh tokens and replay once on 401', async () => {
+            mockAxiosInstance.post
+                .mockResolvedValueOnce({
+                    data: { access_token: 'old_access_token', agent_secret_token: 'old_agent_secret_token', expires_in: 3600 }
+                })
+                .mockResolvedValueOnce({
+                    data: { access_token: 'new_access_token', agent_secret_token: 'new_agent_secret_token', expires_in: 3600 }
+                });
+            mockAxiosInstance.request
+                .mockRejectedValueOnce({ response: { status: 401, data: {} } })
+                .mockResolvedValueOnce({ data: { ok: true } });
+            const options = { headers: { 'X-Custom': 'value' } };
+
+            await expect(client.makeA2ARequest('POST', 'https://agent.example.com/api', options)).resolves.toEqual({ ok: true });
+
+            const [replay] = mockAxiosInstance.request.mock.calls[1];
+            expect(replay.headers['X-Agent-Secret-Token']).toBe('new_agent_secret_token');
+            expect(replay.headers['X-Custom']).toBe('value');
+            expect(options).toEqual({ headers: { 'X-Custom': 'value' } });
+            expect(client.tokenFetchCount).toBe(2);
+        });
+
+        it('should throw AuthenticationError when the replay is rejected again', async () => {
+            const { AuthenticationError } = require('../src/errors');
+            mockAxiosInstance.request.mockRejectedValue({ response: { status: 401, data: {} } });
+
+            await expect(client.makeA2ARequest('GET', 'https://agent.example.com/api')).rejects.toBeInstanceOf(AuthenticationError);
+            expect(mockAxiosInstance.request).toHaveBeenCalledTimes(2);
+            expect(client.tokenFetchCount).toBe(2);
+        });
     });
 
     describe('RPC Methods', () => {
@@ -564,6 +1841,40 @@ describe('TraylinxAuthClient - Comprehensive Coverage', () => {
 
                 await expect(client.rpcCall('test_method', {})).rejects.toThrow('Unexpected error during RPC call to test_method');
             });
+
+            it('should refresh tokens and replay the call once when the target answers 401', async () => {
+                const unauthorized = { response: { status: 401, data: {} } };
+                mockAxiosInstance.post
+                    .mockRejectedValueOnce(unauthorized)
+                    .mockResolvedValueOnce({
+                        data: { access_token: 'new_access_token', agent_secret_token: 'new_agent_secret_token', expires_in: 3600 }
+                    })
+                    .mockResolvedValueOnce({ data: { jsonrpc: '2.0', result: { success: true }, id: 'test-uuid-1234' } });
+
+                const result = await client.rpcCall('test_method', {}, 'https://other-agent.com/rpc');
+
+                expect(result.result).toEqual({ success: true });
+                expect(client.tokenFetchCount).toBe(2);
+                const [, firstPayload, firstConfig] = mockAxiosInstance.post.mock.calls[1];
+                const [, replayPayload, replayConfig] = mockAxiosInstance.post.mock.calls[3];
+                expect(firstConfig.headers['X-Agent-Secret-Token']).toBe('test_agent_secret_token');
+                expect(replayConfig.headers['X-Agent-Secret-Token']).toBe('new_agent_secret_token');
+                expect(replayPayload).toBe(firstPayload);
+            });
+
+            it('should not refresh more than once when the target keeps answering 401', async () => {
+                const unauthorized = { response: { status: 401, data: {} } };
+                mockAxiosInstance.post
+                    .mockRejectedValueOnce(unauthorized)
+                    .mockResolvedValueOnce({
+                        data: { access_token: 'new_access_token', agent_secret_token: 'new_agent_secret_token', expires_in: 3600 }
+                    })
+                    .mockRejectedValueOnce(unauthorized);
+
+                await expect(client.rpcCall('test_method', {})).rejects.toMatchObject({ code: 'INVALID_CREDENTIALS', statusCode: 401 });
+                expect(client.tokenFetchCount).toBe(2);
+                expect(mockAxiosInstance.post).toHaveBeenCalledTimes(4);
+            });
         });
 
         describe('RPC Helper Methods', () => {
@@ -177,6 +177,72 @@ describe('TraylinxAuthClient - Core Functionality', () => {
                 const config = { __retryCount: 0 };
                 expect(client._shouldRetry(error, config)).toBe(false);
             });
+
+            it('should not retry requests marked as not retryable', () => {
+                const error = { code: 'ECONNREFUSED' };
+                const config = { __retryCount: 0, __noRetry: true };
+                expect(client._shouldRetry(error, config)).toBe(false);
+            });
+        });
+
+        describe('retry configuration', () => {
+            const createClient = (options) => new TraylinxAuthClient(
+                'test-client',
+                'super-secret-key-12345',
+                'https://api.example.com',
+                '12345678-1234-1234-1234-123456789abc',
+                options
+            );
+
+            it('should apply retry defaults', () => {
+                expect(client.config.retryStatusCodes).toEqual([429, 500, 502, 503, 504]);
+                expect(client.config.maxRetryAfter).toBe(30000);
+                expect(client.retryBudget.ratio).toBe(0.1);
+                expect(client.retryBudget.window).toBe(60000);
+                expect(client.retryBudget.minRetries).toBe(10);
+            });
+
+            it('should retry the configured status and error codes only', () => {
+                const custom = createClient({ retryStatusCodes: [503], retryErrorCodes: ['EPIPE'] });
+
+                expect(custom._shouldRetry({ response: { status: 503 } }, {})).toBe(true);
+                expect(custom._shouldRetry({ response: { status: 500 } }, {})).toBe(false);
+                expect(custom._shouldRetry({ code: 'EPIPE' }, {})).toBe(true);
+                expect(custom._shouldRetry({ code: 'ECONNRESET' }, {})).toBe(false);
+            });
+
+            it('should reject invalid retry options', () => {
+                expect(() => createClient({ retryStatusCodes: [42] })).toThrow('Retry status codes must be HTTP status codes');
+                expect(() => createClient({ retryErrorCodes: 'ECONNRESET' })).toThrow('Retry error codes must be an array');
+                expect(() => createClient({ maxRetryAfter: -1 })).toThrow('Max Retry-After cannot be negative');
+                expect(() => createClient({ retryBudgetRatio: 2 })).toThrow('Retry budget ratio must be no more than 1');
+                expect(() => createClient({ retryBudgetWindow: 10 })).toThrow('Retry budget window must be at least 1000ms');
+                expect(() => createClient({ retryBudgetMinRetries: 1.5 })).toThrow('Retry budget minimum retries must be an integer');
+            });
+        });
+
+        describe('_getRetryAfterMs', () => {
+            const withRetryAfter = (value) => ({ response: { status: 429, headers: { 'retry-after': value } } });
+
+            it('should parse delay-seconds', () => {
+                expect(client._getRetryAfterMs(withRetryAfter('3'))).toBe(3000);
+                expect(client._getRetryAfterMs(withRetryAfter(0))).toBe(0);
+            });
+
+            it('should parse HTTP-dates and never return negative delays', () => {
+                const nowSpy = jest.spyOn(Date, 'now').mockReturnValue(Date.parse('Wed, 21 Oct 2026 07:28:00 GMT'));
+
+                expect(client._getRetryAfterMs(withRetryAfter('Wed, 21 Oct 2026 07:28:30 GMT'))).toBe(30000);
+                expect(client._getRetryAfterMs(withRetryAfter('Wed, 21 Oct 2026 07:27:00 GMT'))).toBe(0);
+                nowSpy.mockRestore();
+            });
+
+            it('should ignore missing or invalid values', () => {
+                expect(client._getRetryAfterMs({ code: 'ECONNRESET' })).toBeNull();
+                expect(client._getRetryAfterMs({ response: { status: 503, headers: {} } })).toBeNull();
+                expect(client._getRetryAfterMs(withRetryAfter('soon'))).toBeNull();
+                expect(client._getRetryAfterMs(withRetryAfter('-5'))).toBeNull();
+            });
         });
 
         describe('_calculateRetryDelay', () => {
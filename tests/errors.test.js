@@ -10,6 +10,11 @@ const {
     AuthenticationError,
     TokenExpiredError,
     NetworkError,
+    CircuitOpenError,
+    RpcError,
+    RpcMethodError,
+    RpcValidationError,
+    RpcProtocolError,
     ValidationError
 } = require('../src/errors');
 
@@ -190,6 +195,154 @@ describe('Error Class Hierarchy', () => {
             expect(connectionError.statusCode).toBe(0);
             expect(serverError.statusCode).toBe(500);
         });
+
+        it('should carry the Retry-After delay when given', () => {
+            expect(new NetworkError('Rate limit exceeded', 'RATE_LIMIT', 429, 5000).retryAfterMs).toBe(5000);
+            expect(new NetworkError('Connection timeout').retryAfterMs).toBeNull();
+        });
+    });
+
+    describe('CircuitOpenError', () => {
+        it('should be a NetworkError describing the open endpoint', () => {
+            const error = new CircuitOpenError('/oauth/token', 12000);
+
+            expect(error).toBeInstanceOf(CircuitOpenError);
+            expect(error).toBeInstanceOf(NetworkError);
+            expect(error).toBeInstanceOf(TraylinxAuthError);
+            expect(error.name).toBe('CircuitOpenError');
+            expect(error.message).toContain('/oauth/token');
+            expect(error.code).toBe('CIRCUIT_OPEN');
+            expect(error.statusCode).toBe(503);
+            expect(error.endpoint).toBe('/oauth/token');
+            expect(error.retryAfterMs).toBe(12000);
+        });
+
+        it('should default retryAfterMs to 0', () => {
+            expect(new CircuitOpenError('/a2a/rpc').retryAfterMs).toBe(0);
+        });
+    });
+
+    describe('RpcError', () => {
+        it('should carry the JSON-RPC error and the call', () => {
+            const error = new RpcError('RPC error (-32000): busy', '-32000', 500, {
+                rpcCode: -32000,
+                rpcMessage: 'busy',
+                rpcData: { retryIn: 5 },
+                method: 'do_work',
+                requestId: 'req-1'
+            });
+
+            expect(error).toBeInstanceOf(RpcError);
+            expect(error).toBeInstanceOf(TraylinxAuthError);
+            expect(error).not.toBeInstanceOf(ValidationError);
+            expect(error.name).toBe('RpcError');
+            expect(error).toMatchObject({
+                code: '-32000',
+                statusCode: 500,
+                rpcCode: -32000,
+                rpcMessage: 'busy',
+                rpcData: { retryIn: 5 },
+                method: 'do_work',
+                requestId: 'req-1',
+                isServerError: true
+            });
+        });
+
+        it('should default its details', () => {
+            expect(new RpcError('failed')).toMatchObject({
+                code: 'RPC_ERROR',
+                statusCode: 500,
+                rpcCode: null,
+                rpcMessage: null,
+                rpcData: null,
+                method: null,
+                requestId: null,
+                isServerError: false
+            });
+        });
+
+        it.each([-32600, -32601, -32602])('should not be a ValidationError, even for code %p', (rpcCode) => {
+            expect(new RpcError('invalid', 'INVALID_RPC_REQUEST', 400, { rpcCode })).not.toBeInstanceOf(ValidationError);
+        });
+    });
+
+    describe('RpcValidationError', () => {
+        it('should be a ValidationError carrying the JSON-RPC error and the call', () => {
+            const error = new RpcValidationError("RPC method 'do_work' not found: Method not found", 'METHOD_NOT_FOUND', 404, {
+                rpcCode: -32601,
+                rpcMessage: 'Method not found',
+                rpcData: { available: ['ping'] },
+                method: 'do_work',
+                requestId: 'req-1'
+            });
+
+            expect(error).toBeInstanceOf(RpcValidationError);
+            expect(error).toBeInstanceOf(ValidationError);
+            expect(error).toBeInstanceOf(TraylinxAuthError);
+            expect(error).not.toBeInstanceOf(RpcError);
+            expect(error.name).toBe('RpcValidationError');
+            expect(error).toMatchObject({
+                code: 'METHOD_NOT_FOUND',
+                statusCode: 404,
+                rpcCode: -32601,
+                rpcMessage: 'Method not found',
+                rpcData: { available: ['ping'] },
+                method: 'do_work',
+                requestId: 'req-1'
+            });
+        });
+
+        it('should default its details', () => {
+            expect(new RpcValidationError('invalid')).toMatchObject({
+                code: 'VALIDATION_ERROR',
+                statusCode: 400,
+                rpcCode: null,
+                rpcMessage: null,
+                rpcData: null,
+                method: null,
+                requestId: null
+            });
+        });
+    });
+
+    describe('RpcMethodError', () => {
+        it('should carry the JSON-RPC error to answer with', () => {
+            const error = new RpcMethodError(-32004, 'Order not found', { orderId: 'o-1' });
+
+            expect(error).toBeInstanceOf(TraylinxAuthError);
+            expect(error).not.toBeInstanceOf(RpcError);
+            expect(error.name).toBe('RpcMethodError');
+            expect(error).toMatchObject({
+                message: 'Order not found',
+                code: 'RPC_METHOD_ERROR',
+                statusCode: 500,
+                rpcCode: -32004,
+                rpcMessage: 'Order not found',
+                rpcData: { orderId: 'o-1' }
+            });
+        });
+
+        it('should default rpcData to null', () => {
+            expect(new RpcMethodError(-32000, 'Busy').rpcData).toBeNull();
+        });
+    });
+
+    describe('RpcProtocolError', () => {
+        it('should describe the mismatched ids', () => {
+            const error = new RpcProtocolError('id mismatch', { expectedId: 'req-1', receivedId: 'req-2' });
+
+            expect(error).toBeInstanceOf(RpcProtocolError);
+            expect(error).toBeInstanceOf(TraylinxAuthError);
+            expect(error.name).toBe('RpcProtocolError');
+            expect(error.code).toBe('RPC_PROTOCOL_ERROR');
+            expect(error.statusCode).toBe(502);
+            expect(error.expectedId).toBe('req-1');
+            expect(error.receivedId).toBe('req-2');
+        });
+
+        it('should default the ids to null', () => {
+            expect(new RpcProtocolError('bad version')).toMatchObject({ expectedId: null, receivedId: null });
+        });
     });
 
     describe('ValidationError', () => {
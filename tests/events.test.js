@@ -0,0 +1,255 @@
+/**
+ * Test suite for TraylinxAuthClient lifecycle events.
+ */
+
+jest.mock('uuid', () => {
+    let counter = 0;
+    return { v4: jest.fn(() => `test-uuid-${++counter}`) };
+});
+
+const http = require('http');
+const util = require('util');
+const { EventEmitter } = require('events');
+const request = require('supertest');
+const express = require('express');
+const { CLIENT_SECRET, createTestClient } = require('./helpers/clients');
+const IntrospectionResult = require('../src/introspectionResult');
+const { NetworkError } = require('../src/errors');
+const { authenticateHeaders, createScopeMiddleware } = require('../src/middleware');
+
+const ACCESS_TOKEN = 'access-token-value-0002';
+const AGENT_SECRET_TOKEN = 'agent-secret-token-value-0003';
+const INCOMING_TOKEN = 'incoming-token-value-0004';
+const SECRETS = [CLIENT_SECRET, ACCESS_TOKEN, AGENT_SECRET_TOKEN, INCOMING_TOKEN];
+
+/**
+ * Record every emission of the given events.
+ */
+function recordEvents(emitter, names) {
+    const events = [];
+    for (const name of names) {
+        emitter.on(name, payload => events.push({ name, payload }));
+    }
+    return events;
+}
+
+const expectNoSecrets = (events) => {
+    const output = util.inspect(events, { depth: null, showHidden: true });
+    for (const secret of SECRETS) {
+        expect(output).not.toContain(secret);
+    }
+};
+
+describe('client lifecycle events', () => {
+    let server;
+    let baseUrl;
+    let tokenFailures;
+
+    const createClient = (options = {}) => createTestClient(baseUrl, { logLevel: 'CRITICAL', ...options });
+
+    beforeAll(async () => {
+        server = http.createServer((req, res) => {
+            req.resume();
+            req.on('end', () => {
+                if (req.url === '/oauth/token' && tokenFailures > 0) {
+                    tokenFailures--;
+                    res.writeHead(503, { 'Retry-After': '0' });
+                    res.end();
+                    return;
+                }
+                const payload = req.url === '/oauth/token'
+                    ? { access_token: ACCESS_TOKEN, agent_secret_token: AGENT_SECRET_TOKEN, expires_in: 3600, scope: 'a2a' }
+                    : { active: true, scope: 'orders:read', sub: 'caller', client_id: 'caller-client', exp: 2000000000 };
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify(payload));
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(() => {
+        tokenFailures = 0;
+    });
+
+    it('should be an EventEmitter', () => {
+        expect(createClient()).toBeInstanceOf(EventEmitter);
+    });
+
+    it('should emit token:fetched after fetching tokens', async () => {
+        const client = createClient();
+        const events = recordEvents(client, ['token:fetched']);
+
+        await client.getAccessToken();
+
+        expect(events).toEqual([{
+            name: 'token:fetched',
+            payload: {
+                requestId: expect.stringMatching(/^test-uuid-/),
+                expiresIn: 3600,
+                expiresAt: client.tokenExpiration,
+                scope: 'a2a',
+                durationMs: expect.any(Number)
+            }
+        }]);
+        expectNoSecrets(events);
+    });
+
+    it('should emit request:retry with the token request ID', async () => {
+        tokenFailures = 1;
+        const client = createClient();
+        const events = recordEvents(client, ['request:retry', 'token:fetched']);
+
+        await client.getAccessToken();
+
+        expect(events.map(event => event.name)).toEqual(['request:retry', 'token:fetched']);
+        expect(events[0].payload).toEqual({
+            requestId: events[1].payload.requestId,
+            method: 'POST',
+            url: `${baseUrl}/oauth/token`,
+            status: 503,
+            code: 'ERR_BAD_RESPONSE',
+            attempt: 1,
+            delayMs: 0
+        });
+    });
+
+    it('should emit token:refreshFailed with a consecutive failure count', async () => {
+        tokenFailures = 2;
+        const client = createClient({ retryStatusCodes: [] });
+        const events = recordEvents(client, ['token:refreshFailed']);
+
+        await expect(client.getAccessToken()).rejects.toThrow(NetworkError);
+        await expect(client.getAccessToken()).rejects.toThrow(NetworkError);
+        await client.getAccessToken();
+
+        expect(events.map(event => event.payload.consecutiveFailures)).toEqual([1, 2]);
+        expect(events[0].payload).toEqual({
+            requestId: expect.any(String),
+            error: expect.any(NetworkError),
+            consecutiveFailures: 1,
+            durationMs: expect.any(Number)
+        });
+        expect(client.consecutiveRefreshFailures).toBe(0);
+        expectNoSecrets(events);
+    });
+
+    it('should emit introspection:result without the token', async () => {
+        const client = createClient({ introspectionCacheTtl: 60000 });
+        const events = recordEvents(client, ['introspection:result']);
+
+        await client.introspectToken(INCOMING_TOKEN, 'agent-1');
+        await client.introspectToken(INCOMING_TOKEN, 'agent-1');
+
+        expect(events.map(event => event.payload)).toEqual([
+            {
+                requestId: expect.any(String),
+                agentUserId: 'agent-1',
+                active: true,
+                source: 'introspect',
+                clientId: 'caller-client',
+                sub: 'caller',
+                scope: ['orders:read'],
+                exp: 2000000000
+            },
+            expect.objectContaining({ source: 'cache' })
+        ]);
+        expectNoSecrets(events);
+    });
+
+    it('should emit auth:rejected for refused requests', async () => {
+        const client = createClient();
+        const events = recordEvents(client, ['auth:rejected']);
+        client.introspectToken = jest.fn().mockResolvedValue(IntrospectionResult.inactive('agent-1'));
+
+        await authenticateHeaders(client, {
+            authorization: `Bearer ${INCOMING_TOKEN}`,
+            'x-agent-user-id': 'agent-1',
+            'x-request-id': 'req-42'
+        }, ['bearer']);
+        await authenticateHeaders(client, {}, ['bearer']);
+
+        expect(events.map(event => event.payload)).toEqual([
+            { requestId: 'req-42', reason: 'invalid_token', authMode: 'bearer', agentUserId: 'agent-1' },
+            { requestId: expect.any(String), reason: 'missing_credentials', authMode: 'none', agentUserId: null }
+        ]);
+        expectNoSecrets(events);
+    });
+
+    it('should not emit auth:rejected for accepted requests', async () => {
+        const client = createClient();
+        const events = recordEvents(client, ['auth:rejected']);
+
+        const { result } = await authenticateHeaders(client, {
+            'x-agent-secret-token': INCOMING_TOKEN,
+            'x-agent-user-id': 'agent-1'
+        }, ['custom']);
+
+        expect(result.active).toBe(true);
+        expect(events).toEqual([]);
+    });
+
+    it('should emit auth:rejected for insufficient scopes', async () => {
+        const client = createClient();
+        const events = recordEvents(client, ['auth:rejected']);
+        const app = express();
+        app.get('/orders', createScopeMiddleware(['orders:write'], { client }), (req, res) => res.sendStatus(200));
+
+        await request(app)
+            .get('/orders')
+            .set('Authorization', `Bearer ${INCOMING_TOKEN}`)
+            .set('X-Agent-User-Id', 'agent-1')
+            .expect(403);
+
+        expect(events.map(event => event.payload)).toEqual([{
+            requestId: expect.any(String),
+            reason: 'insufficient_scope',
+            authMode: 'bearer',
+            agentUserId: 'agent-1',
+            requiredScopes: ['orders:write'],
+            grantedScopes: ['orders:read']
+        }]);
+    });
+
+    it('should still answer 403 when the scope middleware client cannot be resolved', async () => {
+        const app = express();
+        app.get('/orders', (req, res, next) => {
+            req.traylinx = IntrospectionResult.fromResponse({ active: true, scope: 'orders:read' }, 'agent-1');
+            next();
+        }, createScopeMiddleware(['orders:write'], { client: () => { throw new Error('no client'); } }), (req, res) => res.sendStatus(200));
+
+        await request(app).get('/orders').expect(403);
+    });
+
+    it('should emit circuit:stateChange', async () => {
+        tokenFailures = 1;
+        const client = createClient({ retryStatusCodes: [], circuitBreaker: true, circuitBreakerThreshold: 1 });
+        const events = recordEvents(client, ['circuit:stateChange']);
+
+        await expect(client.getAccessToken()).rejects.toThrow(NetworkError);
+
+        expect(events.map(event => event.payload)).toEqual([{ endpoint: '/oauth/token', from: 'closed', to: 'open' }]);
+    });
+
+    it('should log and ignore errors thrown by listeners', async () => {
+        const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+        const client = createClient({ logger, logLevel: 'WARN' });
+        client.on('token:fetched', () => { throw new Error('listener failed'); });
+
+        await expect(client.getAccessToken()).resolves.toBe(ACCESS_TOKEN);
+        expect(logger.warn).toHaveBeenCalledWith('event.listenerFailed', {
+            event: 'token:fetched',
+            error: expect.objectContaining({ message: 'listener failed' })
+        });
+    });
+
+    it('should keep EventEmitter semantics for error events', () => {
+        const client = createClient();
+
+        expect(() => client.emit('error', new Error('boom'))).toThrow('boom');
+    });
+});
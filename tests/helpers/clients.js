@@ -0,0 +1,50 @@
+/**
+ * Client factories shared by the test suites.
+ *
+ * Suites requiring this module must mock 'uuid' themselves (it is ESM-only).
+ */
+
+const TraylinxAuthClient = require('../../src/client');
+
+const CLIENT_SECRET = 'client-secret-value-0001';
+const AGENT_USER_ID = '12345678-1234-1234-1234-123456789abc';
+
+/**
+ * Create a real client, optionally talking to a local test server.
+ *
+ * The configuration only accepts https URLs, so the client is configured with
+ * a placeholder URL and then pointed at the plain http server.
+ *
+ * @param {?string} baseUrl - Local server URL (http://127.0.0.1:port), or null to keep the placeholder
+ * @param {Object} [options={}] - Client options
+ * @returns {TraylinxAuthClient} Client using CLIENT_SECRET and AGENT_USER_ID
+ */
+function createTestClient(baseUrl, options = {}) {
+    const client = new TraylinxAuthClient('test-client', CLIENT_SECRET, 'https://api.example.com', AGENT_USER_ID, options);
+    if (baseUrl) {
+        client.apiBaseUrl = baseUrl;
+    }
+    return client;
+}
+
+/**
+ * Create a stand-in client for middleware and adapter tests.
+ *
+ * Credentials are extracted like a real client; introspection resolves to result.
+ *
+ * @param {?IntrospectionResult} [result] - Introspection result to return
+ * @returns {Object} Fake client with a jest.fn() introspectToken
+ */
+function createFakeClient(result) {
+    return {
+        extractCredentials: TraylinxAuthClient.prototype.extractCredentials,
+        introspectToken: jest.fn().mockResolvedValue(result)
+    };
+}
+
+module.exports = {
+    CLIENT_SECRET,
+    AGENT_USER_ID,
+    createTestClient,
+    createFakeClient
+};
@@ -26,6 +26,9 @@ const mockValidateToken = jest.fn();
 const mockValidateA2ARequest = jest.fn();
 const mockDetectAuthMode = jest.fn();
 const mockGetA2AHeaders = jest.fn();
+const mockIntrospectToken = jest.fn();
+const mockIntrospectA2ARequest = jest.fn();
+const mockMakeA2ARequest = jest.fn();
 
 jest.mock('../src/client', () => {
     return jest.fn().mockImplementation(() => {
@@ -36,6 +39,10 @@ jest.mock('../src/client', () => {
             validateA2ARequest: mockValidateA2ARequest,
             detectAuthMode: mockDetectAuthMode,
             getA2AHeaders: mockGetA2AHeaders,
+            introspectToken: mockIntrospectToken,
+            introspectA2ARequest: mockIntrospectA2ARequest,
+            makeA2ARequest: mockMakeA2ARequest,
+            extractCredentials: jest.requireActual('../src/client').prototype.extractCredentials,
         };
     });
 });
@@ -44,10 +51,19 @@ const {
     getRequestHeaders, 
     getAgentRequestHeaders,
     validateA2ARequest,
+    introspectA2ARequest,
     requireA2AAuth, 
+    makeA2ARequest,
+    IntrospectionResult,
     detectAuthMode,
     validateDualAuthRequest,
-    requireDualAuth
+    requireDualAuth,
+    requireScopes,
+    createA2AAuthMiddleware,
+    authenticateRequest,
+    fastifyA2AAuth,
+    createKoaMiddleware,
+    ValidationError
 } = require('../src/index');
 
 describe('Index Module Functions', () => {
@@ -94,6 +110,17 @@ describe('Index Module Functions', () => {
         });
     });
 
+    describe('makeA2ARequest', () => {
+        it('should delegate to the default client', async () => {
+            mockMakeA2ARequest.mockResolvedValue({ ok: true });
+            const options = { json: { key: 'value' } };
+
+            await expect(makeA2ARequest('POST', 'https://agent.example.com/api', options)).resolves.toEqual({ ok: true });
+
+            expect(mockMakeA2ARequest).toHaveBeenCalledWith('POST', 'https://agent.example.com/api', options);
+        });
+    });
+
     describe('validateA2ARequest', () => {
         it('should validate request with valid headers', async () => {
             const headers = {
@@ -139,6 +166,24 @@ describe('Index Module Functions', () => {
         });
     });
 
+    describe('introspectA2ARequest', () => {
+        it('should return the introspection result for valid headers', async () => {
+            const result = IntrospectionResult.fromResponse({ active: true, scope: 'orders:read' }, 'test_user');
+            mockIntrospectToken.mockResolvedValue(result);
+
+            await expect(introspectA2ARequest({
+                'x-agent-secret-token': 'valid_token',
+                'x-agent-user-id': 'test_user'
+            })).resolves.toBe(result);
+            expect(mockIntrospectToken).toHaveBeenCalledWith('valid_token', 'test_user');
+        });
+
+        it('should return null for missing headers', async () => {
+            await expect(introspectA2ARequest({ 'x-agent-user-id': 'test_user' })).resolves.toBeNull();
+            expect(mockIntrospectToken).not.toHaveBeenCalled();
+        });
+    });
+
     describe('detectAuthMode', () => {
         it('should detect auth mode from headers', () => {
             const headers = {
@@ -187,17 +232,43 @@ describe('Express Middleware', () => {
         });
 
         it('should allow access with valid authentication', async () => {
-            mockValidateToken.mockResolvedValue(true);
+            mockIntrospectToken.mockResolvedValue(IntrospectionResult.fromResponse({ active: true }, 'test_user'));
 
             await request(app)
                 .get('/protected')
                 .set('x-agent-secret-token', 'valid_token')
                 .set('x-agent-user-id', 'test_user')
                 .expect(200, { message: 'ok' });
+            expect(mockIntrospectToken).toHaveBeenCalledWith('valid_token', 'test_user');
+        });
+
+        it('should attach the introspection claims to req.traylinx', async () => {
+            app.get('/claims', requireA2AAuth, (req, res) => {
+                res.status(200).json({
+                    scope: req.traylinx.scope,
+                    clientId: req.traylinx.clientId,
+                    agentUserId: req.traylinx.agentUserId
+                });
+            });
+            mockIntrospectToken.mockResolvedValue(IntrospectionResult.fromResponse({
+                active: true,
+                scope: 'orders:read orders:write',
+                client_id: 'caller-client'
+            }, 'test_user'));
+
+            await request(app)
+                .get('/claims')
+                .set('x-agent-secret-token', 'valid_token')
+                .set('x-agent-user-id', 'test_user')
+                .expect(200, {
+                    scope: ['orders:read', 'orders:write'],
+                    clientId: 'caller-client',
+                    agentUserId: 'test_user'
+                });
         });
 
         it('should deny access with invalid authentication', async () => {
-            mockValidateToken.mockResolvedValue(false);
+            mockIntrospectToken.mockResolvedValue(IntrospectionResult.inactive('test_user'));
 
             await request(app)
                 .get('/protected')
@@ -213,7 +284,7 @@ describe('Express Middleware', () => {
         });
 
         it('should handle validation errors', async () => {
-            mockValidateToken.mockRejectedValue(new Error('Service error'));
+            mockIntrospectToken.mockRejectedValue(new Error('Service error'));
 
             await request(app)
                 .get('/protected')
@@ -228,14 +299,14 @@ describe('Express Middleware', () => {
             app.get('/protected', requireDualAuth, (req, res) => {
                 res.status(200).json({ 
                     message: 'ok',
-                    authMode: req.authMode
+                    authMode: req.authMode,
+                    sub: req.traylinx.sub
                 });
             });
         });
 
         it('should allow access with valid dual authentication', async () => {
-            mockValidateA2ARequest.mockResolvedValue(true);
-            mockDetectAuthMode.mockReturnValue('bearer');
+            mockIntrospectToken.mockResolvedValue(IntrospectionResult.fromResponse({ active: true, sub: 'caller' }, 'test_user'));
 
             const response = await request(app)
                 .get('/protected')
@@ -245,11 +316,24 @@ describe('Express Middleware', () => {
 
             expect(response.body.message).toBe('ok');
             expect(response.body.authMode).toBe('bearer');
+            expect(response.body.sub).toBe('caller');
+            expect(mockIntrospectToken).toHaveBeenCalledWith('valid_token', 'test_user');
+        });
+
+        it('should accept custom header credentials', async () => {
+            mockIntrospectToken.mockResolvedValue(IntrospectionResult.fromResponse({ active: true }, 'test_user'));
+
+            const response = await request(app)
+                .get('/protected')
+                .set('X-Agent-Secret-Token', 'valid_token')
+                .set('X-Agent-User-Id', 'test_user')
+                .expect(200);
+
+            expect(response.body.authMode).toBe('custom');
         });
 
         it('should deny access with invalid authentication', async () => {
-            mockValidateA2ARequest.mockResolvedValue(false);
-            mockDetectAuthMode.mockReturnValue('bearer');
+            mockIntrospectToken.mockResolvedValue(IntrospectionResult.inactive('test_user'));
 
             await request(app)
                 .get('/protected')
@@ -258,9 +342,15 @@ describe('Express Middleware', () => {
                 .expect(401, { error: 'Invalid or missing authentication' });
         });
 
+        it('should deny access with missing credentials', async () => {
+            await request(app)
+                .get('/protected')
+                .expect(401, { error: 'Invalid or missing authentication' });
+            expect(mockIntrospectToken).not.toHaveBeenCalled();
+        });
+
         it('should handle validation errors', async () => {
-            mockValidateA2ARequest.mockRejectedValue(new Error('Service error'));
-            mockDetectAuthMode.mockReturnValue('bearer');
+            mockIntrospectToken.mockRejectedValue(new Error('Service error'));
 
             await request(app)
                 .get('/protected')
@@ -269,4 +359,194 @@ describe('Express Middleware', () => {
                 .expect(500, { error: 'Internal server error' });
         });
     });
-});
\ No newline at end of file
+
+    describe('requireScopes', () => {
+        const activeResult = (scope) => IntrospectionResult.fromResponse({ active: true, scope }, 'test_user');
+
+        const authed = (req) => req
+            .set('Authorization', 'Bearer valid_token')
+            .set('X-Agent-User-Id', 'test_user');
+
+        const mount = (middleware) => {
+            app.get('/orders', middleware, (req, res) => {
+                res.status(200).json({ message: 'ok', scope: req.traylinx.scope });
+            });
+        };
+
+        it('should allow callers holding every required scope', async () => {
+            mount(requireScopes(['orders:read', 'orders:list']));
+            mockIntrospectToken.mockResolvedValue(activeResult('orders:read orders:list'));
+
+            await request(app)
+                .get('/orders')
+                .set('Authorization', 'Bearer valid_token')
+                .set('X-Agent-User-Id', 'test_user')
+                .expect(200, { message: 'ok', scope: ['orders:read', 'orders:list'] });
+        });
+
+        it('should accept a single scope string', async () => {
+            mount(requireScopes('orders:read'));
+            mockIntrospectToken.mockResolvedValue(activeResult('orders:read'));
+
+            await authed(request(app).get('/orders')).expect(200);
+        });
+
+        it('should respond 403 with insufficient_scope when a scope is missing', async () => {
+            mount(requireScopes(['orders:read', 'orders:write']));
+            mockIntrospectToken.mockResolvedValue(activeResult('orders:read'));
+
+            const response = await authed(request(app).get('/orders'))
+                .expect(403, {
+                    error: 'insufficient_scope',
+                    requiredScopes: ['orders:read', 'orders:write'],
+                    mode: 'all'
+                });
+
+            expect(response.headers['www-authenticate']).toBe(
+                'Bearer realm="traylinx", error="insufficient_scope", scope="orders:read orders:write"'
+            );
+        });
+
+        it('should allow any matching scope in any mode', async () => {
+            mount(requireScopes(['orders:write', 'admin'], { mode: 'any' }));
+            mockIntrospectToken.mockResolvedValue(activeResult('admin'));
+
+            await authed(request(app).get('/orders')).expect(200);
+        });
+
+        it('should deny callers without any matching scope in any mode', async () => {
+            mount(requireScopes(['orders:write', 'admin'], { mode: 'any' }));
+            mockIntrospectToken.mockResolvedValue(activeResult('orders:read'));
+
+            await authed(request(app).get('/orders')).expect(403);
+        });
+
+        it('should respond 401 when credentials are missing', async () => {
+            mount(requireScopes(['orders:read']));
+
+            const response = await request(app)
+                .get('/orders')
+                .expect(401, { error: 'Invalid or missing authentication' });
+
+            expect(response.headers['www-authenticate']).toBe('Bearer realm="traylinx"');
+        });
+
+        it('should respond 401 with invalid_token when the token is inactive', async () => {
+            mount(requireScopes(['orders:read']));
+            mockIntrospectToken.mockResolvedValue(IntrospectionResult.inactive('test_user'));
+
+            const response = await authed(request(app).get('/orders')).expect(401);
+
+            expect(response.headers['www-authenticate']).toBe('Bearer realm="traylinx", error="invalid_token"');
+        });
+
+        it('should reuse claims attached by a preceding auth middleware', async () => {
+            mockIntrospectToken.mockResolvedValue(activeResult('orders:read'));
+            mount([requireA2AAuth, requireScopes(['orders:read'])]);
+
+            await request(app)
+                .get('/orders')
+                .set('x-agent-secret-token', 'valid_token')
+                .set('x-agent-user-id', 'test_user')
+                .expect(200);
+
+            expect(mockIntrospectToken).toHaveBeenCalledTimes(1);
+        });
+
+        it('should respond 500 when introspection fails', async () => {
+            mount(requireScopes(['orders:read']));
+            mockIntrospectToken.mockRejectedValue(new Error('Service error'));
+
+            await authed(request(app).get('/orders'))
+                .expect(500, { error: 'Internal server error' });
+        });
+
+        it('should reject invalid arguments', () => {
+            expect(() => requireScopes([])).toThrow(ValidationError);
+            expect(() => requireScopes([''])).toThrow('requireScopes() needs at least one non-empty scope string');
+            expect(() => requireScopes(['orders:read'], { mode: 'some' })).toThrow("Invalid scope mode 'some': expected 'all' or 'any'");
+        });
+    });
+
+    describe('createA2AAuthMiddleware', () => {
+        it('should default to the env-configured client', async () => {
+            mockIntrospectToken.mockResolvedValue(IntrospectionResult.fromResponse({ active: true }, 'test_user'));
+            app.get('/protected', createA2AAuthMiddleware({ modes: ['bearer'] }), (req, res) => {
+                res.status(200).json({ authMode: req.authMode });
+            });
+
+            await request(app)
+                .get('/protected')
+                .set('Authorization', 'Bearer valid_token')
+                .set('X-Agent-User-Id', 'test_user')
+                .expect(200, { authMode: 'bearer' });
+        });
+
+        it('should use the given client', async () => {
+            const client = {
+                extractCredentials: jest.requireActual('../src/client').prototype.extractCredentials,
+                introspectToken: jest.fn().mockResolvedValue(IntrospectionResult.fromResponse({ active: true }, 'test_user'))
+            };
+            app.get('/protected', createA2AAuthMiddleware({ client }), (req, res) => {
+                res.status(200).json({ message: 'ok' });
+            });
+
+            await request(app)
+                .get('/protected')
+                .set('X-Agent-Secret-Token', 'valid_token')
+                .set('X-Agent-User-Id', 'test_user')
+                .expect(200);
+
+            expect(client.introspectToken).toHaveBeenCalledWith('valid_token', 'test_user');
+            expect(mockIntrospectToken).not.toHaveBeenCalled();
+        });
+    });
+});
+
+describe('Server Adapters', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    it('should authenticate plain requests with the default client', async () => {
+        mockIntrospectToken.mockResolvedValue(IntrospectionResult.fromResponse({ active: true }, 'test_user'));
+
+        const outcome = await authenticateRequest({ 'x-agent-secret-token': 'valid_token', 'x-agent-user-id': 'test_user' });
+
+        expect(outcome).toMatchObject({ allowed: true, authMode: 'custom' });
+        expect(mockIntrospectToken).toHaveBeenCalledWith('valid_token', 'test_user');
+    });
+
+    it('should register the Fastify plugin with the default client', async () => {
+        mockIntrospectToken.mockResolvedValue(IntrospectionResult.inactive('test_user'));
+        const fastify = require('fastify')();
+        fastify.register(fastifyA2AAuth);
+        fastify.get('/protected', async () => ({ ok: true }));
+
+        const response = await fastify.inject({
+            method: 'GET',
+            url: '/protected',
+            headers: { authorization: 'Bearer expired', 'x-agent-user-id': 'test_user' }
+        });
+
+        expect(response.statusCode).toBe(401);
+        expect(mockIntrospectToken).toHaveBeenCalledWith('expired', 'test_user');
+        await fastify.close();
+    });
+
+    it('should create Koa middleware with the default client', async () => {
+        mockIntrospectToken.mockResolvedValue(IntrospectionResult.fromResponse({ active: true }, 'test_user'));
+        const Koa = require('koa');
+        const koa = new Koa();
+        koa.use(createKoaMiddleware());
+        koa.use((ctx) => {
+            ctx.body = { authMode: ctx.state.authMode };
+        });
+
+        await request(koa.callback())
+            .get('/')
+            .set('Authorization', 'Bearer valid_token')
+            .set('X-Agent-User-Id', 'test_user')
+            .expect(200, { authMode: 'bearer' });
+    });
+});
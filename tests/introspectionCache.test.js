@@ -0,0 +1,139 @@
+/**
+ * Test suite for the introspection result cache.
+ */
+
+const IntrospectionCache = require('../src/introspectionCache');
+
+describe('IntrospectionCache', () => {
+    let now;
+    let nowSpy;
+
+    beforeEach(() => {
+        now = 1700000000000;
+        nowSpy = jest.spyOn(Date, 'now').mockImplementation(() => now);
+    });
+
+    afterEach(() => {
+        nowSpy.mockRestore();
+    });
+
+    describe('constructor', () => {
+        it('should apply defaults', () => {
+            const cache = new IntrospectionCache();
+            expect(cache.maxEntries).toBe(1000);
+            expect(cache.activeTtl).toBe(0);
+            expect(cache.inactiveTtl).toBe(0);
+        });
+    });
+
+    describe('key', () => {
+        it('should hash the token and agent user id together', () => {
+            const key = IntrospectionCache.key('token', 'agent');
+
+            expect(key).toMatch(/^[0-9a-f]{64}$/);
+            expect(key).not.toContain('token');
+            expect(IntrospectionCache.key('token', 'other-agent')).not.toBe(key);
+        });
+    });
+
+    describe('get/set', () => {
+        it('should return cached active results until the active TTL elapses', () => {
+            const cache = new IntrospectionCache({ activeTtl: 1000, inactiveTtl: 100 });
+
+            expect(cache.set('token', 'agent', { active: true })).toBe(true);
+            now += 999;
+            expect(cache.get('token', 'agent')).toEqual({ active: true });
+            now += 1;
+            expect(cache.get('token', 'agent')).toBeUndefined();
+        });
+
+        it('should use the inactive TTL for inactive results', () => {
+            const cache = new IntrospectionCache({ activeTtl: 1000, inactiveTtl: 100 });
+
+            cache.set('token', 'agent', { active: false });
+            now += 100;
+
+            expect(cache.get('token', 'agent')).toBeUndefined();
+        });
+
+        it('should cap active results at the exp claim', () => {
+            const cache = new IntrospectionCache({ activeTtl: 60000 });
+
+            cache.set('token', 'agent', { active: true, exp: (now + 5000) / 1000 });
+            now += 5000;
+
+            expect(cache.get('token', 'agent')).toBeUndefined();
+        });
+
+        it('should not cache results that are already expired or disabled', () => {
+            const cache = new IntrospectionCache({ activeTtl: 60000 });
+
+            expect(cache.set('token', 'agent', { active: true, exp: now / 1000 - 1 })).toBe(false);
+            expect(cache.set('token', 'agent', { active: false })).toBe(false);
+            expect(cache.getStats().size).toBe(0);
+        });
+
+        it('should evict the least recently used entry when full', () => {
+            const cache = new IntrospectionCache({ maxEntries: 2, activeTtl: 60000 });
+
+            cache.set('a', 'agent', { active: true });
+            cache.set('b', 'agent', { active: true });
+            cache.get('a', 'agent');
+            cache.set('c', 'agent', { active: true });
+
+            expect(cache.get('b', 'agent')).toBeUndefined();
+            expect(cache.get('a', 'agent')).toEqual({ active: true });
+            expect(cache.get('c', 'agent')).toEqual({ active: true });
+            expect(cache.getStats().evictions).toBe(1);
+        });
+    });
+
+    describe('invalidate', () => {
+        let cache;
+
+        beforeEach(() => {
+            cache = new IntrospectionCache({ activeTtl: 60000 });
+            cache.set('token', 'agent-1', { active: true });
+            cache.set('token', 'agent-2', { active: true });
+            cache.set('other', 'agent-1', { active: true });
+        });
+
+        it('should remove every entry for a token', () => {
+            expect(cache.invalidate('token')).toBe(2);
+            expect(cache.get('token', 'agent-1')).toBeUndefined();
+            expect(cache.get('other', 'agent-1')).toEqual({ active: true });
+        });
+
+        it('should remove a single token and agent pair', () => {
+            expect(cache.invalidate('token', 'agent-1')).toBe(1);
+            expect(cache.invalidate('token', 'agent-1')).toBe(0);
+            expect(cache.get('token', 'agent-2')).toEqual({ active: true });
+        });
+
+        it('should clear all entries', () => {
+            cache.clear();
+            expect(cache.getStats().size).toBe(0);
+        });
+    });
+
+    describe('getStats', () => {
+        it('should report hits, misses and hit rate', () => {
+            const cache = new IntrospectionCache({ activeTtl: 60000 });
+            expect(cache.getStats().hitRate).toBe(0);
+
+            cache.set('token', 'agent', { active: true });
+            cache.get('token', 'agent');
+            cache.get('token', 'agent');
+            cache.get('missing', 'agent');
+
+            expect(cache.getStats()).toEqual({
+                hits: 2,
+                misses: 1,
+                hitRate: 2 / 3,
+                size: 1,
+                maxEntries: 1000,
+                evictions: 0
+            });
+        });
+    });
+});
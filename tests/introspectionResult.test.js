@@ -0,0 +1,94 @@
+/**
+ * Test suite for the typed introspection result.
+ */
+
+const IntrospectionResult = require('../src/introspectionResult');
+
+describe('IntrospectionResult', () => {
+    describe('fromResponse', () => {
+        it('should map standard introspection claims', () => {
+            const data = {
+                active: true,
+                scope: 'orders:read  orders:write',
+                exp: 1700003600,
+                iat: 1700000000,
+                client_id: 'caller-client',
+                sub: 'agent-subject',
+                custom_claim: 'kept'
+            };
+
+            const result = IntrospectionResult.fromResponse(data, 'agent-user');
+
+            expect(result).toBeInstanceOf(IntrospectionResult);
+            expect(result).toMatchObject({
+                active: true,
+                scope: ['orders:read', 'orders:write'],
+                exp: 1700003600,
+                iat: 1700000000,
+                clientId: 'caller-client',
+                sub: 'agent-subject',
+                agentUserId: 'agent-user'
+            });
+            expect(result.raw).toBe(data);
+        });
+
+        it('should default missing claims', () => {
+            const result = IntrospectionResult.fromResponse({ active: 'true', exp: '1700003600' });
+
+            expect(result).toMatchObject({
+                active: false,
+                scope: [],
+                exp: null,
+                iat: null,
+                clientId: null,
+                sub: null,
+                agentUserId: null
+            });
+        });
+
+        it('should throw for a missing response body', () => {
+            expect(() => IntrospectionResult.fromResponse(null)).toThrow(TypeError);
+        });
+    });
+
+    describe('inactive', () => {
+        it('should build an inactive result', () => {
+            const result = IntrospectionResult.inactive('agent-user', { error: 'forbidden' });
+
+            expect(result.active).toBe(false);
+            expect(result.agentUserId).toBe('agent-user');
+            expect(result.raw).toEqual({ error: 'forbidden' });
+        });
+
+        it('should default its arguments', () => {
+            const result = IntrospectionResult.inactive();
+
+            expect(result.agentUserId).toBeNull();
+            expect(result.raw).toEqual({});
+        });
+    });
+
+    describe('parseScope', () => {
+        it('should accept arrays and drop invalid entries', () => {
+            expect(IntrospectionResult.parseScope(['a', '', 3, 'b'])).toEqual(['a', 'b']);
+        });
+
+        it('should split space-delimited strings', () => {
+            expect(IntrospectionResult.parseScope(' a b ')).toEqual(['a', 'b']);
+        });
+
+        it('should return an empty array for other values', () => {
+            expect(IntrospectionResult.parseScope(undefined)).toEqual([]);
+            expect(IntrospectionResult.parseScope(42)).toEqual([]);
+        });
+    });
+
+    describe('hasScope', () => {
+        it('should check granted scopes', () => {
+            const result = new IntrospectionResult({ active: true, scope: ['orders:read'] });
+
+            expect(result.hasScope('orders:read')).toBe(true);
+            expect(result.hasScope('orders:write')).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,337 @@
+/**
+ * Test suite for local JWT verification against a locally served JWKS.
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const JwtVerifier = require('../src/jwtVerifier');
+const { AuthenticationError } = require('../src/errors');
+
+const keyPairs = {
+    rsa: crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }),
+    ec: crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' }),
+    ed: crypto.generateKeyPairSync('ed25519'),
+    rotated: crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' })
+};
+
+const toJwk = (name, kid, extra = {}) => ({
+    ...keyPairs[name].publicKey.export({ format: 'jwk' }),
+    kid,
+    ...extra
+});
+
+const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+const sign = (name, header, claims) => {
+    const input = `${encode(header)}.${encode(claims)}`;
+    const { privateKey } = keyPairs[name];
+    let signature;
+    if (header.alg === 'RS256') {
+        signature = crypto.sign('sha256', Buffer.from(input), privateKey);
+    } else if (header.alg === 'ES256') {
+        signature = crypto.sign('sha256', Buffer.from(input), { key: privateKey, dsaEncoding: 'ieee-p1363' });
+    } else {
+        signature = crypto.sign(null, Buffer.from(input), privateKey);
+    }
+    return `${input}.${signature.toString('base64url')}`;
+};
+
+describe('JwtVerifier', () => {
+    let server;
+    let jwksUrl;
+    let jwks;
+    let fetches;
+
+    const nowSeconds = () => Math.floor(Date.now() / 1000);
+    const claims = (extra = {}) => ({ sub: 'agent-1', exp: nowSeconds() + 300, ...extra });
+    const createVerifier = (options = {}) => new JwtVerifier({ jwksUrl, ...options });
+
+    beforeAll(async () => {
+        server = http.createServer((req, res) => {
+            fetches++;
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(jwks));
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        jwksUrl = `http://127.0.0.1:${server.address().port}/.well-known/jwks.json`;
+    });
+
+    afterAll(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(() => {
+        fetches = 0;
+        jwks = {
+            keys: [
+                toJwk('rsa', 'rsa-1', { alg: 'RS256', use: 'sig' }),
+                toJwk('ec', 'ec-1'),
+                toJwk('ed', 'ed-1')
+            ]
+        };
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('should apply defaults', () => {
+        const verifier = createVerifier();
+        expect(verifier.clockTolerance).toBe(30000);
+        expect(verifier.cacheTtl).toBe(600000);
+        expect(verifier.minRefetchInterval).toBe(30000);
+        expect(verifier.issuer).toBeNull();
+        expect(verifier.audience).toBeNull();
+    });
+
+    it.each([
+        ['RS256', 'rsa', 'rsa-1'],
+        ['ES256', 'ec', 'ec-1'],
+        ['EdDSA', 'ed', 'ed-1']
+    ])('should verify %s signatures', async (alg, key, kid) => {
+        const verifier = createVerifier();
+        const token = sign(key, { alg, kid }, claims({ scope: 'read' }));
+
+        await expect(verifier.verify(token)).resolves.toMatchObject({ sub: 'agent-1', scope: 'read' });
+    });
+
+    it('should fetch the JWKS once and reuse the keys', async () => {
+        const verifier = createVerifier();
+
+        await Promise.all([
+            verifier.verify(sign('ec', { alg: 'ES256', kid: 'ec-1' }, claims())),
+            verifier.verify(sign('ed', { alg: 'EdDSA', kid: 'ed-1' }, claims()))
+        ]);
+        await verifier.verify(sign('rsa', { alg: 'RS256', kid: 'rsa-1' }, claims()));
+
+        expect(fetches).toBe(1);
+    });
+
+    it('should reject a tampered token', async () => {
+        const verifier = createVerifier();
+        const [header, , signature] = sign('ec', { alg: 'ES256', kid: 'ec-1' }, claims()).split('.');
+        const forged = `${header}.${encode(claims({ sub: 'agent-2' }))}.${signature}`;
+
+        await expect(verifier.verify(forged)).rejects.toMatchObject({ code: 'INVALID_JWT_SIGNATURE' });
+    });
+
+    it('should reject a token signed by another key with the same kid', async () => {
+        const verifier = createVerifier();
+        const token = sign('rotated', { alg: 'ES256', kid: 'ec-1' }, claims());
+
+        await expect(verifier.verify(token)).rejects.toMatchObject({ code: 'INVALID_JWT_SIGNATURE' });
+    });
+
+    it('should reject a key that does not match the algorithm', async () => {
+        const verifier = createVerifier();
+
+        await expect(verifier.verify(sign('ec', { alg: 'RS256', kid: 'ec-1' }, claims())))
+            .rejects.toMatchObject({ code: 'INVALID_JWT_SIGNATURE' });
+        await expect(verifier.verify(sign('ec', { alg: 'ES256', kid: 'rsa-1' }, claims())))
+            .rejects.toMatchObject({ code: 'INVALID_JWT_SIGNATURE' });
+    });
+
+    it.each([
+        ['none'],
+        ['HS256'],
+        ['toString']
+    ])('should reject the %s algorithm', async (alg) => {
+        const verifier = createVerifier();
+        const token = `${encode({ alg, kid: 'ec-1' })}.${encode(claims())}.`;
+
+        const error = await verifier.verify(token).catch(e => e);
+
+        expect(error).toBeInstanceOf(AuthenticationError);
+        expect(error.code).toBe('UNSUPPORTED_JWT_ALGORITHM');
+        expect(fetches).toBe(0);
+    });
+
+    it.each([
+        ['an opaque token', 'opaque-token'],
+        ['a non-string', null],
+        ['a token with invalid JSON', 'bm90IGpzb24.e30.c2ln'],
+        ['a token with a non-object header', `${encode([1])}.${encode({})}.c2ln`]
+    ])('should reject %s as INVALID_JWT', async (_, token) => {
+        const verifier = createVerifier();
+
+        await expect(verifier.verify(token)).rejects.toMatchObject({ code: 'INVALID_JWT' });
+    });
+
+    describe('claims', () => {
+        const verifyClaims = (verifier, tokenClaims) =>
+            verifier.verify(sign('ed', { alg: 'EdDSA', kid: 'ed-1' }, tokenClaims));
+
+        it('should require exp', async () => {
+            await expect(verifyClaims(createVerifier(), { sub: 'agent-1' })).rejects.toMatchObject({ code: 'INVALID_JWT' });
+        });
+
+        it('should reject expired tokens outside the clock tolerance', async () => {
+            const verifier = createVerifier({ clockTolerance: 10000 });
+
+            await expect(verifyClaims(verifier, claims({ exp: nowSeconds() - 5 }))).resolves.toBeDefined();
+            await expect(verifyClaims(verifier, claims({ exp: nowSeconds() - 20 }))).rejects.toMatchObject({ code: 'JWT_EXPIRED' });
+        });
+
+        it('should reject tokens used before nbf or issued in the future', async () => {
+            const verifier = createVerifier({ clockTolerance: 0 });
+
+            await expect(verifyClaims(verifier, claims({ nbf: nowSeconds() + 60 }))).rejects.toMatchObject({ code: 'JWT_NOT_YET_VALID' });
+            await expect(verifyClaims(verifier, claims({ iat: nowSeconds() + 60 }))).rejects.toMatchObject({ code: 'JWT_NOT_YET_VALID' });
+            await expect(verifyClaims(verifier, claims({ nbf: nowSeconds() - 1, iat: nowSeconds() - 1 }))).resolves.toBeDefined();
+        });
+
+        it('should check the issuer', async () => {
+            const verifier = createVerifier({ issuer: 'https://auth.example.com' });
+
+            await expect(verifyClaims(verifier, claims({ iss: 'https://auth.example.com' }))).resolves.toBeDefined();
+            await expect(verifyClaims(verifier, claims({ iss: 'https://evil.example.com' }))).rejects.toMatchObject({ code: 'INVALID_JWT_ISSUER' });
+        });
+
+        it('should accept any configured audience', async () => {
+            const verifier = createVerifier({ audience: ['agents', 'search'] });
+
+            await expect(verifyClaims(verifier, claims({ aud: 'search' }))).resolves.toBeDefined();
+            await expect(verifyClaims(verifier, claims({ aud: ['billing', 'agents'] }))).resolves.toBeDefined();
+            await expect(verifyClaims(verifier, claims({ aud: 'billing' }))).rejects.toMatchObject({ code: 'INVALID_JWT_AUDIENCE' });
+            await expect(verifyClaims(verifier, claims())).rejects.toMatchObject({ code: 'INVALID_JWT_AUDIENCE' });
+        });
+    });
+
+    describe('key rotation', () => {
+        let now;
+
+        beforeEach(() => {
+            now = Date.now();
+            jest.spyOn(Date, 'now').mockImplementation(() => now);
+        });
+
+        it('should refetch the JWKS when it sees an unknown kid', async () => {
+            const verifier = createVerifier();
+            await verifier.verify(sign('ec', { alg: 'ES256', kid: 'ec-1' }, claims()));
+
+            jwks.keys.push(toJwk('rotated', 'ec-2'));
+            now += 30000;
+            await expect(verifier.verify(sign('rotated', { alg: 'ES256', kid: 'ec-2' }, claims()))).resolves.toBeDefined();
+
+            expect(fetches).toBe(2);
+        });
+
+        it('should throttle refetches for unknown kids', async () => {
+            const verifier = createVerifier({ minRefetchInterval: 30000 });
+            await verifier.verify(sign('ec', { alg: 'ES256', kid: 'ec-1' }, claims()));
+
+            now += 1000;
+            const token = sign('rotated', { alg: 'ES256', kid: 'ec-2' }, claims());
+            await expect(verifier.verify(token)).rejects.toMatchObject({ code: 'UNKNOWN_JWT_KEY' });
+            await expect(verifier.verify(token)).rejects.toMatchObject({ code: 'UNKNOWN_JWT_KEY' });
+
+            expect(fetches).toBe(1);
+        });
+
+        it('should refetch the JWKS once the cache TTL has elapsed', async () => {
+            const verifier = createVerifier({ cacheTtl: 60000 });
+            await verifier.verify(sign('ec', { alg: 'ES256', kid: 'ec-1' }, claims()));
+
+            jwks.keys = [toJwk('rotated', 'ec-1')];
+            now += 60000;
+
+            await expect(verifier.verify(sign('ec', { alg: 'ES256', kid: 'ec-1' }, claims())))
+                .rejects.toMatchObject({ code: 'INVALID_JWT_SIGNATURE' });
+            expect(fetches).toBe(2);
+        });
+
+        it('should not refetch within minRefetchInterval of a failed fetch', async () => {
+            const fetchJwks = jest.fn().mockRejectedValueOnce(new Error('JWKS unavailable')).mockResolvedValue(jwks);
+            const verifier = createVerifier({ fetchJwks });
+            const token = sign('ec', { alg: 'ES256', kid: 'ec-1' }, claims());
+
+            await expect(verifier.verify(token)).rejects.toThrow('JWKS unavailable');
+            now += 29999;
+            await expect(verifier.verify(token)).rejects.toThrow('JWKS unavailable');
+            expect(fetchJwks).toHaveBeenCalledTimes(1);
+
+            now += 1;
+            await expect(verifier.verify(token)).resolves.toBeDefined();
+            expect(fetchJwks).toHaveBeenCalledTimes(2);
+        });
+
+        it('should keep the cached keys and throttle unknown kids after a failed refetch', async () => {
+            const fetchJwks = jest.fn().mockResolvedValueOnce(jwks).mockRejectedValue(new Error('JWKS unavailable'));
+            const verifier = createVerifier({ fetchJwks });
+            await verifier.verify(sign('ec', { alg: 'ES256', kid: 'ec-1' }, claims()));
+
+            now += 30000;
+            const unknown = sign('rotated', { alg: 'ES256', kid: 'ec-2' }, claims());
+            await expect(verifier.verify(unknown)).rejects.toThrow('JWKS unavailable');
+            await expect(verifier.verify(unknown)).rejects.toMatchObject({ code: 'UNKNOWN_JWT_KEY' });
+            await expect(verifier.verify(sign('ec', { alg: 'ES256', kid: 'ec-1' }, claims()))).resolves.toBeDefined();
+
+            expect(fetchJwks).toHaveBeenCalledTimes(2);
+        });
+    });
+
+    describe('JWKS contents', () => {
+        it('should accept tokens without a kid when the JWKS holds a single key', async () => {
+            jwks = { keys: [toJwk('ed', 'ed-1')] };
+            const verifier = createVerifier();
+
+            await expect(verifier.verify(sign('ed', { alg: 'EdDSA' }, claims()))).resolves.toBeDefined();
+        });
+
+        it('should reject tokens without a kid when the JWKS holds several keys', async () => {
+            const verifier = createVerifier({ minRefetchInterval: 0 });
+
+            await expect(verifier.verify(sign('ed', { alg: 'EdDSA' }, claims())))
+                .rejects.toThrow('No key found for JWT kid (none) (EdDSA)');
+        });
+
+        it('should skip encryption and malformed keys', async () => {
+            jwks = {
+                keys: [
+                    toJwk('ec', 'ec-enc', { use: 'enc' }),
+                    { kty: 'EC', kid: 'broken', crv: 'P-256', x: 'AA', y: 'AA' }
+                ]
+            };
+            const verifier = createVerifier();
+
+            await expect(verifier.verify(sign('ec', { alg: 'ES256', kid: 'ec-enc' }, claims())))
+                .rejects.toMatchObject({ code: 'UNKNOWN_JWT_KEY' });
+            await expect(verifier.verify(sign('ec', { alg: 'ES256', kid: 'broken' }, claims())))
+                .rejects.toMatchObject({ code: 'UNKNOWN_JWT_KEY' });
+        });
+
+        it('should treat a document without keys as empty', async () => {
+            jwks = { error: 'not found' };
+            const verifier = createVerifier();
+
+            await expect(verifier.verify(sign('ec', { alg: 'ES256', kid: 'ec-1' }, claims())))
+                .rejects.toMatchObject({ code: 'UNKNOWN_JWT_KEY' });
+        });
+
+        it('should use a custom fetchJwks and propagate its errors', async () => {
+            const fetchJwks = jest.fn().mockRejectedValueOnce(new Error('JWKS unavailable'));
+            const verifier = createVerifier({ fetchJwks });
+
+            await expect(verifier.verify(sign('ec', { alg: 'ES256', kid: 'ec-1' }, claims()))).rejects.toThrow('JWKS unavailable');
+            expect(fetchJwks).toHaveBeenCalledWith(jwksUrl);
+            expect(verifier._fetchPromise).toBeNull();
+        });
+    });
+
+    it('should expose the supported algorithms', () => {
+        expect(JwtVerifier.ALGORITHMS).toEqual(['RS256', 'ES256', 'EdDSA']);
+        expect(JwtVerifier.isJwt('a.b.c')).toBe(true);
+        expect(JwtVerifier.isJwt('a.b')).toBe(false);
+    });
+
+    it('should decode tokens without verifying them', () => {
+        const token = sign('ec', { alg: 'ES256', kid: 'ec-1' }, { sub: 'agent-1' });
+
+        expect(JwtVerifier.decode(token)).toEqual({
+            header: { alg: 'ES256', kid: 'ec-1' },
+            payload: { sub: 'agent-1' }
+        });
+        expect(JwtVerifier.decode('opaque-token')).toBeNull();
+        expect(JwtVerifier.decode('bm90IGpzb24.e30.c2ln')).toBeNull();
+    });
+});
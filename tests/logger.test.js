@@ -0,0 +1,346 @@
+/**
+ * Test suite for structured logging.
+ */
+
+jest.mock('uuid', () => {
+    let counter = 0;
+    return { v4: jest.fn(() => `test-uuid-${++counter}`) };
+});
+
+const http = require('http');
+const { CLIENT_SECRET, createTestClient } = require('./helpers/clients');
+const { authenticateHeaders } = require('../src/middleware');
+const { Logger, LEVELS, defaultLogger, validateLogger } = require('../src/logger');
+const { ValidationError } = require('../src/errors');
+const { REDACTED } = require('../src/redact');
+
+/**
+ * Logger recording `(msg, fields)` calls, like winston or console.
+ */
+function createCaptureLogger() {
+    const entries = [];
+    const logger = { entries };
+    for (const level of ['debug', 'info', 'warn', 'error']) {
+        logger[level] = jest.fn((msg, fields) => entries.push({ level, msg, ...fields }));
+    }
+    return logger;
+}
+
+describe('Logger', () => {
+    const createStream = () => {
+        const lines = [];
+        return { lines, write: line => lines.push(JSON.parse(line)) };
+    };
+
+    it('should write JSON lines with time, level and event', () => {
+        const stream = createStream();
+        const logger = new Logger({ stream });
+
+        logger.info('token.fetch.success', { expiresIn: 3600 });
+
+        expect(stream.lines).toEqual([{
+            time: expect.any(String),
+            level: 'info',
+            msg: 'token.fetch.success',
+            expiresIn: 3600
+        }]);
+        expect(Number.isNaN(Date.parse(stream.lines[0].time))).toBe(false);
+    });
+
+    it('should default to stderr at the INFO level', () => {
+        const write = jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+        try {
+            const logger = new Logger();
+            logger.debug('hidden');
+            logger.warn('shown');
+
+            expect(logger.level).toBe('INFO');
+            expect(write).toHaveBeenCalledTimes(1);
+            expect(write.mock.calls[0][0]).toContain('"msg":"shown"');
+        } finally {
+            write.mockRestore();
+        }
+    });
+
+    it.each([
+        ['DEBUG', ['debug', 'info', 'warn', 'error']],
+        ['INFO', ['info', 'warn', 'error']],
+        ['WARN', ['warn', 'error']],
+        ['WARNING', ['warn', 'error']],
+        ['ERROR', ['error']],
+        ['CRITICAL', []]
+    ])('should only write entries at or above %s', (level, expected) => {
+        const stream = createStream();
+        const logger = new Logger({ stream, level });
+
+        for (const method of ['debug', 'info', 'warn', 'error']) {
+            logger[method]('event');
+        }
+
+        expect(stream.lines.map(line => line.level)).toEqual(expected);
+    });
+
+    it('should accept lower-case levels and fall back to INFO for unknown ones', () => {
+        expect(new Logger({ level: 'debug' }).isLevelEnabled('debug')).toBe(true);
+        expect(new Logger({ level: 'verbose' }).threshold).toBe(LEVELS.INFO);
+        expect(Logger.LEVELS).toBe(LEVELS);
+    });
+
+    it('should call winston and console-like loggers with (msg, fields)', () => {
+        const target = createCaptureLogger();
+        const logger = new Logger({ logger: target });
+
+        logger.warn('request.retry', { attempt: 1 });
+
+        expect(target.warn).toHaveBeenCalledWith('request.retry', { attempt: 1 });
+    });
+
+    it('should call pino loggers with (fields, msg)', () => {
+        const target = { ...createCaptureLogger(), levels: { values: { info: 30 } } };
+        const logger = new Logger({ logger: target });
+
+        logger.info('token.fetch.success', { expiresIn: 3600 });
+
+        expect(target.info).toHaveBeenCalledWith({ expiresIn: 3600 }, 'token.fetch.success');
+    });
+
+    it('should apply logLevel before calling a custom logger', () => {
+        const target = createCaptureLogger();
+        const logger = new Logger({ logger: target, level: 'WARN' });
+
+        logger.info('skipped');
+
+        expect(target.info).not.toHaveBeenCalled();
+    });
+
+    it('should add child bindings to every entry without changing the parent', () => {
+        const target = createCaptureLogger();
+        const parent = new Logger({ logger: target, bindings: { clientId: 'c1' } });
+        const child = parent.child({ requestId: 'r1' });
+
+        child.child({ attempt: 2 }).info('one');
+        parent.info('two');
+
+        expect(target.entries).toEqual([
+            { level: 'info', msg: 'one', clientId: 'c1', requestId: 'r1', attempt: 2 },
+            { level: 'info', msg: 'two', clientId: 'c1' }
+        ]);
+    });
+
+    it('should redact credential fields, sensitive headers and secret values', () => {
+        const target = createCaptureLogger();
+        const logger = new Logger({ logger: target, secrets: () => ['s3cret', null] });
+
+        logger.info('event', {
+            clientSecret: 's3cret',
+            access_token: 'a',
+            Token: 'b',
+            nested: { password: 'p', note: 'contains s3cret twice: s3cret' },
+            headers: { Authorization: 'Bearer a', Accept: 'application/json' },
+            list: ['s3cret', 1]
+        });
+
+        expect(target.entries[0]).toEqual({
+            level: 'info',
+            msg: 'event',
+            clientSecret: REDACTED,
+            access_token: REDACTED,
+            Token: REDACTED,
+            nested: { password: REDACTED, note: `contains ${REDACTED} twice: ${REDACTED}` },
+            headers: { Authorization: REDACTED, Accept: 'application/json' },
+            list: [REDACTED, 1]
+        });
+    });
+
+    it('should reduce errors to name, message, code and status', () => {
+        const target = createCaptureLogger();
+        const logger = new Logger({ logger: target, secrets: () => ['s3cret'] });
+        const axiosError = Object.assign(new Error('failed with s3cret'), {
+            code: 'ERR_BAD_REQUEST',
+            config: { data: 'client_secret=s3cret' },
+            response: { status: 400 }
+        });
+
+        logger.warn('failed', { error: axiosError, other: new ValidationError('bad', 'INVALID', 400) });
+
+        expect(target.entries[0].error).toEqual({
+            name: 'Error',
+            message: `failed with ${REDACTED}`,
+            code: 'ERR_BAD_REQUEST',
+            statusCode: 400
+        });
+        expect(target.entries[0].other).toEqual({ name: 'ValidationError', message: 'bad', code: 'INVALID', statusCode: 400 });
+    });
+
+    it('should truncate deeply nested objects', () => {
+        const target = createCaptureLogger();
+        const logger = new Logger({ logger: target });
+
+        logger.info('event', { a: { b: { c: { d: 1 } } }, empty: null });
+
+        expect(target.entries[0].a).toEqual({ b: { c: '[Object]' } });
+        expect(target.entries[0].empty).toBeNull();
+    });
+
+    it('should never throw when the logger fails', () => {
+        const target = createCaptureLogger();
+        target.error.mockImplementation(() => { throw new Error('transport down'); });
+        const logger = new Logger({ logger: target });
+
+        expect(() => logger.error('event')).not.toThrow();
+    });
+
+    it('should reject objects without the logging methods', () => {
+        expect(() => validateLogger({ info() {}, warn() {} })).toThrow(ValidationError);
+        expect(() => validateLogger({ info() {}, warn() {} })).toThrow('Logger must implement debug, error method(s)');
+        expect(() => new Logger({ logger: 'console' })).toThrow('Logger must implement debug, info, warn, error method(s)');
+        expect(validateLogger(console)).toBe(console);
+    });
+
+    it('should export a default logger', () => {
+        expect(defaultLogger).toBeInstanceOf(Logger);
+        expect(defaultLogger.level).toBe('INFO');
+    });
+});
+
+describe('client logging', () => {
+    const ACCESS_TOKEN = 'access-token-value-0002';
+    const AGENT_SECRET_TOKEN = 'agent-secret-token-value-0003';
+
+    let server;
+    let baseUrl;
+    let tokenFailures;
+    let introspectActive;
+
+    const createClient = (options = {}) => {
+        const logger = createCaptureLogger();
+        const client = createTestClient(baseUrl, { logger, logLevel: 'DEBUG', ...options });
+        return { client, logger };
+    };
+
+    const events = logger => logger.entries.map(entry => entry.msg);
+
+    beforeAll(async () => {
+        server = http.createServer((req, res) => {
+            req.resume();
+            req.on('end', () => {
+                if (req.url === '/oauth/token' && tokenFailures > 0) {
+                    tokenFailures--;
+                    res.writeHead(503, { 'Retry-After': '0' });
+                    res.end();
+                    return;
+                }
+                const payload = req.url === '/oauth/token'
+                    ? { access_token: ACCESS_TOKEN, agent_secret_token: AGENT_SECRET_TOKEN, expires_in: 3600 }
+                    : { active: introspectActive, scope: 'read', sub: 'agent-1' };
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify(payload));
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(() => {
+        tokenFailures = 0;
+        introspectActive = true;
+    });
+
+    it('should reject an invalid logger option', () => {
+        expect(() => createClient({ logger: { info() {} } })).toThrow('Logger must implement debug, warn, error method(s)');
+    });
+
+    it('should log token fetches with a request ID', async () => {
+        const { client, logger } = createClient();
+
+        await client.getAccessToken();
+
+        const [start, success] = logger.entries.filter(entry => entry.msg.startsWith('token.fetch'));
+        expect(start).toEqual(expect.objectContaining({ level: 'debug', msg: 'token.fetch.start', clientId: 'test-client' }));
+        expect(success).toEqual(expect.objectContaining({
+            level: 'info',
+            msg: 'token.fetch.success',
+            requestId: start.requestId,
+            expiresIn: 3600,
+            durationMs: expect.any(Number)
+        }));
+        expect(start.requestId).toMatch(/^test-uuid-/);
+    });
+
+    it('should log retries with the request ID of the token fetch', async () => {
+        tokenFailures = 1;
+        const { client, logger } = createClient();
+
+        await client.getAccessToken();
+
+        const start = logger.entries.find(entry => entry.msg === 'token.fetch.start');
+        const retry = logger.entries.find(entry => entry.msg === 'request.retry');
+        expect(retry).toEqual(expect.objectContaining({
+            level: 'warn',
+            requestId: start.requestId,
+            method: 'POST',
+            url: `${baseUrl}/oauth/token`,
+            status: 503,
+            attempt: 1,
+            delayMs: 0
+        }));
+    });
+
+    it('should log failed token fetches without secrets', async () => {
+        tokenFailures = 10;
+        const { client, logger } = createClient({ retryStatusCodes: [] });
+
+        await expect(client.getAccessToken()).rejects.toThrow();
+
+        const failed = logger.entries.find(entry => entry.msg === 'token.fetch.failed');
+        expect(failed.level).toBe('warn');
+        expect(failed.error).toEqual(expect.objectContaining({ name: 'NetworkError', statusCode: 503 }));
+        expect(JSON.stringify(logger.entries)).not.toContain(CLIENT_SECRET);
+    });
+
+    it('should log introspection results and their source', async () => {
+        const { client, logger } = createClient({ introspectionCacheTtl: 60000 });
+
+        await client.introspectToken('incoming-token', 'agent-1');
+        await client.introspectToken('incoming-token', 'agent-1');
+
+        const results = logger.entries.filter(entry => entry.msg === 'introspection.result');
+        expect(results).toEqual([
+            expect.objectContaining({ level: 'debug', agentUserId: 'agent-1', active: true, source: 'introspect' }),
+            expect.objectContaining({ level: 'debug', agentUserId: 'agent-1', active: true, source: 'cache' })
+        ]);
+        expect(results[0].requestId).not.toBe(results[1].requestId);
+    });
+
+    it('should honour logLevel', async () => {
+        const { client, logger } = createClient({ logLevel: 'WARN' });
+
+        await client.getAccessToken();
+        await client.introspectToken('incoming-token', 'agent-1');
+
+        expect(logger.entries).toEqual([]);
+    });
+
+    it('should log middleware decisions with the incoming request ID', async () => {
+        introspectActive = false;
+        const { client, logger } = createClient();
+
+        await authenticateHeaders(client, {
+            authorization: 'Bearer incoming-token',
+            'x-agent-user-id': 'agent-1',
+            'x-request-id': 'req-42'
+        }, ['bearer']);
+        await authenticateHeaders(client, {}, ['bearer']);
+
+        const decisions = logger.entries.filter(entry => entry.msg === 'auth.decision');
+        expect(decisions).toEqual([
+            expect.objectContaining({ level: 'debug', requestId: 'req-42', allowed: false, authMode: 'bearer', reason: 'invalid_token' }),
+            expect.objectContaining({ allowed: false, authMode: 'none', reason: 'missing_credentials', requestId: expect.any(String) })
+        ]);
+        expect(events(logger)).not.toContain('introspection.failed');
+    });
+});
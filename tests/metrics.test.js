@@ -0,0 +1,361 @@
+/**
+ * Test suite for Prometheus metrics.
+ */
+
+jest.mock('uuid', () => ({
+    v4: jest.fn(() => 'test-uuid-1234')
+}));
+
+const http = require('http');
+const request = require('supertest');
+const express = require('express');
+const { createTestClient } = require('./helpers/clients');
+const { ValidationError } = require('../src/errors');
+const { createA2AAuthMiddleware, createScopeMiddleware } = require('../src/middleware');
+const {
+    CONTENT_TYPE,
+    MetricsRegistry,
+    AuthMetrics,
+    validateMetrics,
+    createMetricsHandler
+} = require('../src/metrics');
+const index = require('../src/index');
+
+describe('MetricsRegistry', () => {
+    let registry;
+
+    beforeEach(() => {
+        registry = new MetricsRegistry();
+    });
+
+    it('should render counters in the exposition format', () => {
+        const counter = registry.counter('requests_total', 'Requests by status', ['status']);
+        counter.inc({ status: 200 });
+        counter.inc({ status: 200 }, 2);
+        counter.inc({ status: 503 });
+
+        expect(registry.metricsText()).toBe([
+            '# HELP requests_total Requests by status',
+            '# TYPE requests_total counter',
+            'requests_total{status="200"} 3',
+            'requests_total{status="503"} 1',
+            ''
+        ].join('\n'));
+        expect(counter.get({ status: 200 })).toBe(3);
+        expect(counter.get({ status: 404 })).toBe(0);
+    });
+
+    it('should render unlabelled metrics with a zero sample before anything is recorded', () => {
+        registry.counter('events_total', 'Events');
+        registry.counter('labelled_total', 'Labelled events', ['kind']);
+
+        expect(registry.metricsText()).toBe([
+            '# HELP events_total Events',
+            '# TYPE events_total counter',
+            'events_total 0',
+            '# HELP labelled_total Labelled events',
+            '# TYPE labelled_total counter',
+            ''
+        ].join('\n'));
+    });
+
+    it('should render histograms with cumulative buckets, sum and count', () => {
+        const histogram = registry.histogram('latency_seconds', 'Latency', ['outcome'], [1, 0.1]);
+        histogram.observe({ outcome: 'success' }, 0.05);
+        histogram.observe({ outcome: 'success' }, 0.5);
+        histogram.observe({ outcome: 'success' }, 2);
+
+        expect(registry.metricsText()).toBe([
+            '# HELP latency_seconds Latency',
+            '# TYPE latency_seconds histogram',
+            'latency_seconds_bucket{outcome="success",le="0.1"} 1',
+            'latency_seconds_bucket{outcome="success",le="1"} 2',
+            'latency_seconds_bucket{outcome="success",le="+Inf"} 3',
+            'latency_seconds_sum{outcome="success"} 2.55',
+            'latency_seconds_count{outcome="success"} 3',
+            ''
+        ].join('\n'));
+        expect(histogram.get({ outcome: 'success' })).toEqual({ count: 3, sum: 2.55 });
+        expect(histogram.get({ outcome: 'error' })).toEqual({ count: 0, sum: 0 });
+    });
+
+    it('should escape label values and help text', () => {
+        registry.counter('escaped_total', 'Line one\nline two', ['value']).inc({ value: 'a "quoted" \\ value\n' });
+
+        const text = registry.metricsText();
+
+        expect(text).toContain('# HELP escaped_total Line one\\nline two');
+        expect(text).toContain('escaped_total{value="a \\"quoted\\" \\\\ value\\n"} 1');
+    });
+
+    it('should spell infinite values +Inf and -Inf', () => {
+        registry.counter('infinite_total', 'Infinite').inc({}, Infinity);
+        registry.histogram('negative', 'Negative', [], [0]).observe({}, -Infinity);
+
+        expect(registry.metricsText()).toContain('infinite_total +Inf');
+        expect(registry.metricsText()).toContain('negative_sum -Inf');
+    });
+
+    it('should use empty values for missing labels', () => {
+        registry.counter('partial_total', 'Partial', ['a', 'b']).inc({ a: 'x' });
+
+        expect(registry.metricsText()).toContain('partial_total{a="x",b=""} 1');
+    });
+
+    it('should return existing metrics and reject conflicting registrations', () => {
+        const counter = registry.counter('shared_total', 'Shared');
+
+        expect(registry.counter('shared_total', 'Shared')).toBe(counter);
+        expect(() => registry.histogram('shared_total', 'Shared')).toThrow('Metric shared_total is already registered as a counter');
+        expect(() => registry.counter('invalid-name', 'Invalid')).toThrow(ValidationError);
+        expect(() => counter.inc({}, -1)).toThrow('Counters can only be increased');
+    });
+
+    it('should reset recorded values', () => {
+        registry.counter('reset_total', 'Reset', ['kind']).inc({ kind: 'a' });
+
+        registry.reset();
+
+        expect(registry.metricsText()).not.toContain('reset_total{');
+    });
+
+    it('should render nothing for an empty registry', () => {
+        expect(registry.metricsText()).toBe('');
+    });
+});
+
+describe('AuthMetrics', () => {
+    let metrics;
+
+    beforeEach(() => {
+        metrics = new AuthMetrics();
+    });
+
+    it('should record token fetches by outcome', () => {
+        metrics.observeTokenFetch({ durationMs: 120 });
+        metrics.observeTokenFetch({ durationMs: 30, error: { code: 'SERVER_ERROR' } });
+        metrics.observeTokenFetch({ durationMs: 30, error: new Error('unexpected') });
+
+        expect(metrics.tokenFetches.get({ outcome: 'success', code: '' })).toBe(1);
+        expect(metrics.tokenFetches.get({ outcome: 'error', code: 'SERVER_ERROR' })).toBe(1);
+        expect(metrics.tokenFetches.get({ outcome: 'error', code: 'Error' })).toBe(1);
+        expect(metrics.tokenFetchDuration.get({ outcome: 'success' })).toEqual({ count: 1, sum: 0.12 });
+    });
+
+    it('should record introspections and cache lookups', () => {
+        metrics.observeIntrospection({ durationMs: 50, source: 'introspect', active: true, cacheEnabled: true });
+        metrics.observeIntrospection({ durationMs: 0, source: 'cache', active: false, cacheEnabled: true });
+        metrics.observeIntrospection({ durationMs: 2, source: 'jwt', active: true, cacheEnabled: true });
+        metrics.observeIntrospection({ durationMs: 40, source: 'unknown', active: null });
+        metrics.observeIntrospection({ durationMs: 40, source: 'introspect', active: true });
+
+        expect(metrics.introspections.get({ source: 'introspect', outcome: 'active' })).toBe(2);
+        expect(metrics.introspections.get({ source: 'cache', outcome: 'inactive' })).toBe(1);
+        expect(metrics.introspections.get({ source: 'unknown', outcome: 'error' })).toBe(1);
+        expect(metrics.introspectionCache.get({ result: 'hit' })).toBe(1);
+        expect(metrics.introspectionCache.get({ result: 'miss' })).toBe(1);
+    });
+
+    it('should record retries by status or error code', () => {
+        metrics.observeRetry({ status: 503, code: 'ERR_BAD_RESPONSE' });
+        metrics.observeRetry({ code: 'ECONNRESET' });
+        metrics.observeRetry({});
+
+        expect(metrics.retries.get({ status: '503' })).toBe(1);
+        expect(metrics.retries.get({ status: 'ECONNRESET' })).toBe(1);
+        expect(metrics.retries.get({ status: 'unknown' })).toBe(1);
+    });
+
+    it('should accept a shared registry, prefix and buckets', () => {
+        const registry = new MetricsRegistry();
+        const custom = new AuthMetrics({ registry, prefix: 'svc_', buckets: [1] });
+        custom.observeAuthDecision('allow', 'bearer');
+
+        expect(custom.registry).toBe(registry);
+        expect(registry.metricsText()).toContain('svc_auth_decisions_total{decision="allow",auth_mode="bearer"} 1');
+        expect(custom.tokenFetchDuration.buckets).toEqual([1]);
+    });
+
+    it('should validate custom metrics recorders', () => {
+        expect(validateMetrics(metrics)).toBe(metrics);
+        expect(() => validateMetrics({ metricsText() {} })).toThrow(
+            'Metrics must implement observeTokenFetch, observeIntrospection, observeRetry, observeAuthDecision, observeScopeRejection method(s)'
+        );
+    });
+});
+
+describe('createMetricsHandler', () => {
+    it('should serve the metrics with the Prometheus content type', async () => {
+        const metrics = new AuthMetrics();
+        metrics.observeAuthDecision('deny', 'none');
+        const app = express();
+        app.get('/metrics', createMetricsHandler(metrics));
+
+        const response = await request(app).get('/metrics').expect(200);
+
+        expect(response.headers['content-type']).toBe(CONTENT_TYPE);
+        expect(response.text).toBe(metrics.metricsText());
+    });
+
+    it('should resolve the source lazily', async () => {
+        const source = jest.fn(() => ({ metricsText: () => 'lazy_total 1\n' }));
+        const app = express();
+        app.get('/metrics', createMetricsHandler(source));
+
+        expect(source).not.toHaveBeenCalled();
+        await request(app).get('/metrics').expect(200, 'lazy_total 1\n');
+    });
+
+    it('should respond 500 when the metrics cannot be rendered', async () => {
+        const app = express();
+        app.get('/metrics', createMetricsHandler(() => { throw new Error('no client'); }));
+
+        await request(app).get('/metrics').expect(500);
+    });
+
+    it('should require a metrics source', () => {
+        expect(() => createMetricsHandler()).toThrow('createMetricsHandler() needs an object with a metricsText() method');
+        expect(() => createMetricsHandler({})).toThrow(ValidationError);
+    });
+
+    it('should be exported from the package', () => {
+        expect(index.createMetricsHandler).toBe(createMetricsHandler);
+        expect(index.AuthMetrics).toBe(AuthMetrics);
+        expect(index.MetricsRegistry).toBe(MetricsRegistry);
+    });
+});
+
+describe('client metrics', () => {
+    let server;
+    let baseUrl;
+    let tokenFailures;
+    let introspectStatus;
+
+    const createClient = (options = {}) => createTestClient(baseUrl, { logLevel: 'CRITICAL', metrics: true, ...options });
+
+    beforeAll(async () => {
+        server = http.createServer((req, res) => {
+            req.resume();
+            req.on('end', () => {
+                if (req.url === '/oauth/token' && tokenFailures > 0) {
+                    tokenFailures--;
+                    res.writeHead(503, { 'Retry-After': '0' });
+                    res.end();
+                    return;
+                }
+                if (req.url === '/oauth/token') {
+                    res.writeHead(200, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ access_token: 'access', agent_secret_token: 'agent-secret', expires_in: 3600 }));
+                    return;
+                }
+                res.writeHead(introspectStatus, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ active: true, scope: 'orders:read' }));
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(() => {
+        tokenFailures = 0;
+        introspectStatus = 200;
+    });
+
+    it('should be disabled by default', () => {
+        const client = createClient({ metrics: undefined });
+
+        expect(client.metrics).toBeNull();
+        expect(client.metricsText()).toBe('');
+    });
+
+    it('should accept a shared AuthMetrics instance and reject invalid ones', () => {
+        const metrics = new AuthMetrics();
+
+        expect(createClient({ metrics }).metrics).toBe(metrics);
+        expect(() => createClient({ metrics: {} })).toThrow(/^Metrics must implement/);
+    });
+
+    it('should record token fetch latency, outcomes and retries', async () => {
+        tokenFailures = 1;
+        const client = createClient();
+
+        await client.getAccessToken();
+
+        const { metrics } = client;
+        expect(metrics.tokenFetches.get({ outcome: 'success', code: '' })).toBe(1);
+        expect(metrics.tokenFetchDuration.get({ outcome: 'success' }).count).toBe(1);
+        expect(metrics.retries.get({ status: '503' })).toBe(1);
+        expect(client.metricsText()).toContain('traylinx_auth_request_retries_total{status="503"} 1');
+    });
+
+    it('should record failed token fetches', async () => {
+        tokenFailures = 1;
+        const client = createClient({ retryStatusCodes: [] });
+
+        await expect(client.getAccessToken()).rejects.toThrow();
+
+        expect(client.metrics.tokenFetches.get({ outcome: 'error', code: 'SERVER_ERROR' })).toBe(1);
+    });
+
+    it('should record introspection latency and cache hits', async () => {
+        const client = createClient({ introspectionCacheTtl: 60000, retryStatusCodes: [] });
+
+        await client.introspectToken('incoming', 'agent-1');
+        await client.introspectToken('incoming', 'agent-1');
+        introspectStatus = 500;
+        await expect(client.introspectToken('other', 'agent-1')).rejects.toThrow();
+
+        const { metrics } = client;
+        expect(metrics.introspections.get({ source: 'introspect', outcome: 'active' })).toBe(1);
+        expect(metrics.introspections.get({ source: 'cache', outcome: 'active' })).toBe(1);
+        expect(metrics.introspections.get({ source: 'unknown', outcome: 'error' })).toBe(1);
+        expect(metrics.introspectionCache.get({ result: 'hit' })).toBe(1);
+        expect(metrics.introspectionCache.get({ result: 'miss' })).toBe(1);
+        expect(metrics.introspectionDuration.get({ source: 'introspect', outcome: 'active' }).count).toBe(1);
+    });
+
+    it('should record middleware decisions by detected auth mode', async () => {
+        const client = createClient({ retryStatusCodes: [] });
+        const app = express();
+        app.get('/protected', createA2AAuthMiddleware({ client }), (req, res) => res.sendStatus(200));
+        app.get('/orders', createScopeMiddleware('orders:write', { client }), (req, res) => res.sendStatus(200));
+        app.get('/metrics', createMetricsHandler(client));
+
+        await request(app).get('/protected').set('Authorization', 'Bearer t').set('X-Agent-User-Id', 'agent-1').expect(200);
+        await request(app).get('/protected').set('Authorization', 'Bearer t').expect(401);
+        await request(app).get('/protected').expect(401);
+        await request(app).get('/orders').set('X-Agent-Secret-Token', 't').set('X-Agent-User-Id', 'agent-1').expect(403);
+        introspectStatus = 500;
+        await request(app).get('/protected').set('X-Agent-Secret-Token', 'u').set('X-Agent-User-Id', 'agent-1').expect(500);
+
+        const { authDecisions } = client.metrics;
+        expect(authDecisions.get({ decision: 'allow', auth_mode: 'bearer' })).toBe(1);
+        expect(authDecisions.get({ decision: 'allow', auth_mode: 'custom' })).toBe(1);
+        expect(authDecisions.get({ decision: 'deny', auth_mode: 'bearer' })).toBe(1);
+        expect(authDecisions.get({ decision: 'deny', auth_mode: 'none' })).toBe(1);
+        expect(authDecisions.get({ decision: 'deny', auth_mode: 'custom' })).toBe(0);
+        expect(authDecisions.get({ decision: 'error', auth_mode: 'custom' })).toBe(1);
+        expect(client.metrics.scopeRejections.get({ auth_mode: 'custom' })).toBe(1);
+
+        const response = await request(app).get('/metrics').expect(200);
+        expect(response.text).toContain('traylinx_auth_auth_decisions_total{decision="deny",auth_mode="none"} 1');
+        expect(response.text).toContain('traylinx_auth_scope_rejections_total{auth_mode="custom"} 1');
+    });
+
+    it('should count scope rejections of requests authenticated by another middleware once', async () => {
+        const client = createClient({ retryStatusCodes: [] });
+        const app = express();
+        app.get('/orders', createA2AAuthMiddleware({ client }), createScopeMiddleware('orders:write', { client }), (req, res) => res.sendStatus(200));
+
+        await request(app).get('/orders').set('Authorization', 'Bearer t').set('X-Agent-User-Id', 'agent-1').expect(403);
+
+        const { authDecisions, scopeRejections } = client.metrics;
+        expect(authDecisions.get({ decision: 'allow', auth_mode: 'bearer' })).toBe(1);
+        expect(authDecisions.get({ decision: 'deny', auth_mode: 'bearer' })).toBe(0);
+        expect(scopeRejections.get({ auth_mode: 'bearer' })).toBe(1);
+    });
+});
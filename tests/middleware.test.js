@@ -0,0 +1,227 @@
+/**
+ * Test suite for the client-bound Express middleware factories.
+ */
+
+jest.mock('uuid', () => ({
+    v4: jest.fn(() => 'test-uuid-1234')
+}));
+
+const request = require('supertest');
+const express = require('express');
+const { createFakeClient } = require('./helpers/clients');
+const IntrospectionResult = require('../src/introspectionResult');
+const { ValidationError } = require('../src/errors');
+const { defaultLogger } = require('../src/logger');
+const {
+    authenticateHeaders,
+    createA2AAuthMiddleware,
+    createScopeMiddleware
+} = require('../src/middleware');
+
+const activeResult = (scope = '') => IntrospectionResult.fromResponse({ active: true, scope, sub: 'caller' }, 'agent-1');
+
+describe('authenticateHeaders', () => {
+    it('should report missing credentials', async () => {
+        const client = createFakeClient(activeResult());
+
+        await expect(authenticateHeaders(client, undefined, ['bearer', 'custom'])).resolves.toEqual({
+            result: null,
+            authMode: 'none',
+            reason: 'missing_credentials'
+        });
+        expect(client.introspectToken).not.toHaveBeenCalled();
+    });
+
+    it('should report inactive tokens', async () => {
+        const client = createFakeClient(IntrospectionResult.inactive('agent-1'));
+
+        await expect(authenticateHeaders(client, { 'x-agent-secret-token': 't', 'x-agent-user-id': 'agent-1' }, ['custom']))
+            .resolves.toEqual({ result: null, authMode: 'custom', reason: 'invalid_token' });
+    });
+
+    it('should return active results with the detected mode', async () => {
+        const result = activeResult();
+        const client = createFakeClient(result);
+
+        await expect(authenticateHeaders(client, { authorization: 'Bearer t', 'x-agent-user-id': 'agent-1' }, ['bearer']))
+            .resolves.toEqual({ result, authMode: 'bearer', reason: null });
+    });
+});
+
+describe('createA2AAuthMiddleware', () => {
+    let app;
+
+    const mount = (middleware) => {
+        app.get('/protected', middleware, (req, res) => {
+            res.status(200).json({ authMode: req.authMode, sub: req.traylinx.sub });
+        });
+        app.get('/health', middleware, (req, res) => {
+            res.status(200).json({ traylinx: req.traylinx || null });
+        });
+    };
+
+    beforeEach(() => {
+        app = express();
+    });
+
+    it('should authenticate with the bound client', async () => {
+        const client = createFakeClient(activeResult());
+        mount(createA2AAuthMiddleware({ client }));
+
+        await request(app)
+            .get('/protected')
+            .set('Authorization', 'Bearer valid_token')
+            .set('X-Agent-User-Id', 'agent-1')
+            .expect(200, { authMode: 'bearer', sub: 'caller' });
+        expect(client.introspectToken).toHaveBeenCalledWith('valid_token', 'agent-1');
+    });
+
+    it('should resolve lazily when given a client getter', async () => {
+        const client = createFakeClient(activeResult());
+        const getClient = jest.fn(() => client);
+        const middleware = createA2AAuthMiddleware({ client: getClient });
+        expect(getClient).not.toHaveBeenCalled();
+        mount(middleware);
+
+        await request(app)
+            .get('/protected')
+            .set('X-Agent-Secret-Token', 'valid_token')
+            .set('X-Agent-User-Id', 'agent-1')
+            .expect(200, { authMode: 'custom', sub: 'caller' });
+        expect(getClient).toHaveBeenCalledTimes(1);
+    });
+
+    it('should only accept the configured modes', async () => {
+        const client = createFakeClient(activeResult());
+        mount(createA2AAuthMiddleware({ client, modes: ['custom'] }));
+
+        await request(app)
+            .get('/protected')
+            .set('Authorization', 'Bearer valid_token')
+            .set('X-Agent-User-Id', 'agent-1')
+            .expect(401);
+        expect(client.introspectToken).not.toHaveBeenCalled();
+    });
+
+    it('should send RFC 6750 challenges by default', async () => {
+        const client = createFakeClient(IntrospectionResult.inactive('agent-1'));
+        mount(createA2AAuthMiddleware({ client }));
+
+        const missing = await request(app)
+            .get('/protected')
+            .expect(401, { error: 'Invalid or missing authentication' });
+        expect(missing.headers['www-authenticate']).toBe('Bearer realm="traylinx"');
+
+        const inactive = await request(app)
+            .get('/protected')
+            .set('X-Agent-Secret-Token', 'revoked_token')
+            .set('X-Agent-User-Id', 'agent-1')
+            .expect(401);
+        expect(inactive.headers['www-authenticate']).toBe('Bearer realm="traylinx", error="invalid_token"');
+    });
+
+    it('should use a custom unauthorized response builder', async () => {
+        const client = createFakeClient(IntrospectionResult.inactive('agent-1'));
+        const onUnauthorized = jest.fn((req, res, info) => res.status(401).json({ code: 'AUTH_REQUIRED', ...info }));
+        mount(createA2AAuthMiddleware({ client, onUnauthorized }));
+
+        await request(app)
+            .get('/protected')
+            .set('X-Agent-Secret-Token', 'revoked_token')
+            .set('X-Agent-User-Id', 'agent-1')
+            .expect(401, { code: 'AUTH_REQUIRED', reason: 'invalid_token', authMode: 'custom' });
+    });
+
+    it('should use a custom error handler', async () => {
+        const client = createFakeClient();
+        client.introspectToken.mockRejectedValue(new Error('Service error'));
+        const onError = jest.fn((error, req, res) => res.status(503).json({ error: error.message }));
+        mount(createA2AAuthMiddleware({ client, onError }));
+
+        await request(app)
+            .get('/protected')
+            .set('X-Agent-Secret-Token', 'valid_token')
+            .set('X-Agent-User-Id', 'agent-1')
+            .expect(503, { error: 'Service error' });
+        expect(onError).toHaveBeenCalledWith(expect.any(Error), expect.any(Object), expect.any(Object), expect.any(Function));
+    });
+
+    it('should respond 500 and log to the default logger when the client getter throws', async () => {
+        const errorSpy = jest.spyOn(defaultLogger, 'error').mockImplementation(() => {});
+        mount(createA2AAuthMiddleware({ client: () => { throw new Error('no client'); } }));
+
+        await request(app)
+            .get('/protected')
+            .expect(500, { error: 'Internal server error' });
+        expect(errorSpy).toHaveBeenCalledWith('auth.middleware.failed', { error: expect.any(Error) });
+        errorSpy.mockRestore();
+    });
+
+    it('should log validation failures to the client logger', async () => {
+        const client = createFakeClient();
+        client.logger = { error: jest.fn() };
+        client.introspectToken.mockRejectedValue(new Error('Service error'));
+        mount(createA2AAuthMiddleware({ client }));
+
+        await request(app)
+            .get('/protected')
+            .set('X-Agent-Secret-Token', 'valid_token')
+            .set('X-Agent-User-Id', 'agent-1')
+            .expect(500, { error: 'Internal server error' });
+        expect(client.logger.error).toHaveBeenCalledWith('auth.middleware.failed', { error: expect.objectContaining({ message: 'Service error' }) });
+    });
+
+    it('should bypass requests matched by skip', async () => {
+        const client = createFakeClient(activeResult());
+        mount(createA2AAuthMiddleware({ client, skip: (req) => req.method === 'GET' && req.path === '/health' }));
+
+        await request(app).get('/health').expect(200, { traylinx: null });
+        expect(client.introspectToken).not.toHaveBeenCalled();
+    });
+
+    it('should validate its options', () => {
+        expect(() => createA2AAuthMiddleware({})).toThrow(ValidationError);
+        expect(() => createA2AAuthMiddleware({})).toThrow('A TraylinxAuthClient instance is required');
+        expect(() => createA2AAuthMiddleware({ client: {}, modes: [] })).toThrow("Invalid auth modes: expected a non-empty array of 'bearer', 'custom'");
+        expect(() => createA2AAuthMiddleware({ client: {}, modes: ['basic'] })).toThrow('Invalid auth modes');
+        expect(() => createA2AAuthMiddleware()).toThrow('A TraylinxAuthClient instance is required');
+    });
+});
+
+describe('createScopeMiddleware', () => {
+    let app;
+
+    beforeEach(() => {
+        app = express();
+    });
+
+    it('should authenticate with the bound client', async () => {
+        const client = createFakeClient(activeResult('orders:read'));
+        app.get('/orders', createScopeMiddleware('orders:read', { client }), (req, res) => {
+            res.status(200).json({ authMode: req.authMode });
+        });
+
+        await request(app)
+            .get('/orders')
+            .set('Authorization', 'Bearer valid_token')
+            .set('X-Agent-User-Id', 'agent-1')
+            .expect(200, { authMode: 'bearer' });
+    });
+
+    it('should reject inactive claims attached upstream', async () => {
+        const client = createFakeClient();
+        app.get('/orders', (req, res, next) => {
+            req.traylinx = IntrospectionResult.inactive('agent-1');
+            next();
+        }, createScopeMiddleware(['orders:read'], { client }), (req, res) => res.sendStatus(200));
+
+        const response = await request(app).get('/orders').expect(401);
+
+        expect(response.headers['www-authenticate']).toBe('Bearer realm="traylinx", error="invalid_token"');
+        expect(client.introspectToken).not.toHaveBeenCalled();
+    });
+
+    it('should require a client', () => {
+        expect(() => createScopeMiddleware(['orders:read'])).toThrow('A TraylinxAuthClient instance is required');
+    });
+});
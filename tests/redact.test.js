@@ -0,0 +1,335 @@
+/**
+ * Test suite for secret redaction in errors and log output.
+ */
+
+jest.mock('uuid', () => ({
+    v4: jest.fn(() => 'test-uuid-1234')
+}));
+
+const http = require('http');
+const util = require('util');
+const axios = require('axios');
+const { CLIENT_SECRET, createTestClient } = require('./helpers/clients');
+const { createA2AAuthMiddleware, createScopeMiddleware } = require('../src/middleware');
+const { authenticateRequest, createKoaMiddleware } = require('../src/adapters');
+const {
+    REDACTED,
+    redactHeaders,
+    redactAxiosConfig,
+    redactError,
+    redactSecrets
+} = require('../src/redact');
+
+describe('redact helpers', () => {
+    it('should redact sensitive headers case-insensitively', () => {
+        expect(redactHeaders({
+            Authorization: 'Bearer abc',
+            'x-agent-secret-token': 'def',
+            Cookie: 'session=1',
+            'Content-Type': 'application/json'
+        })).toEqual({
+            Authorization: REDACTED,
+            'x-agent-secret-token': REDACTED,
+            Cookie: REDACTED,
+            'Content-Type': 'application/json'
+        });
+        expect(redactHeaders(undefined)).toEqual({});
+    });
+
+    it('should accept AxiosHeaders', () => {
+        const headers = new axios.AxiosHeaders({ Authorization: 'Bearer abc', Accept: 'application/json' });
+
+        expect(redactHeaders(headers)).toEqual({ Authorization: REDACTED, Accept: 'application/json' });
+    });
+
+    it('should drop the body and parameters from an axios config', () => {
+        expect(redactAxiosConfig({
+            method: 'post',
+            url: 'https://api.example.com/oauth/token',
+            timeout: 1000,
+            data: 'client_secret=abc',
+            params: { token: 'abc' },
+            headers: { Authorization: 'Bearer abc' }
+        })).toEqual({
+            method: 'POST',
+            url: 'https://api.example.com/oauth/token',
+            timeout: 1000,
+            headers: { Authorization: REDACTED }
+        });
+        expect(redactAxiosConfig({}).method).toBeUndefined();
+        expect(redactAxiosConfig(null)).toBeNull();
+    });
+
+    it('should reduce axios errors to a plain summary', () => {
+        const error = Object.assign(new Error('Request failed with status code 400'), {
+            name: 'AxiosError',
+            code: 'ERR_BAD_REQUEST',
+            config: { method: 'post', url: '/oauth/token', data: 'client_secret=abc' },
+            request: { socket: {} },
+            response: { status: 400, data: { echo: 'client_secret=abc' } }
+        });
+
+        expect(redactError(error)).toEqual({
+            name: 'AxiosError',
+            message: 'Request failed with status code 400',
+            code: 'ERR_BAD_REQUEST',
+            status: 400,
+            config: { method: 'POST', url: '/oauth/token', timeout: undefined, headers: {} }
+        });
+        expect(redactError(Object.assign(new Error('timeout'), { config: {} })).status).toBeUndefined();
+    });
+
+    it('should leave other errors and values unchanged', () => {
+        const error = new Error('plain');
+
+        expect(redactError(error)).toBe(error);
+        expect(redactError(null)).toBeNull();
+        expect(redactError('text')).toBe('text');
+    });
+
+    it('should replace secret values in text', () => {
+        expect(redactSecrets('secret abc and abc again, not xyz', ['abc', null, ''])).toBe(
+            `secret ${REDACTED} and ${REDACTED} again, not xyz`
+        );
+        expect(redactSecrets(undefined, ['abc'])).toBe('undefined');
+    });
+});
+
+describe('no secrets in errors or logs', () => {
+    const ACCESS_TOKEN = 'access-token-value-0002';
+    const AGENT_SECRET_TOKEN = 'agent-secret-token-value-0003';
+    const INCOMING_TOKEN = 'incoming-token-value-0004';
+    const SECRETS = [CLIENT_SECRET, ACCESS_TOKEN, AGENT_SECRET_TOKEN, INCOMING_TOKEN];
+
+    let server;
+    let baseUrl;
+    let tokenStatus;
+    let consoleSpies;
+
+    /**
+     * Every representation of a value a logger or error reporter might produce.
+     */
+    const dump = (value) => {
+        const outputs = [
+            util.inspect(value, { depth: null, showHidden: true }),
+            String(value && value.stack)
+        ];
+        try {
+            outputs.push(JSON.stringify(value));
+        } catch (error) {
+            // Circular structures are covered by util.inspect
+        }
+        return outputs.join('\n');
+    };
+
+    const expectNoSecrets = (value) => {
+        const output = dump(value);
+        for (const secret of SECRETS) {
+            expect(output).not.toContain(secret);
+        }
+    };
+
+    const createClient = (options = {}) => createTestClient(baseUrl, { retryStatusCodes: [], retryErrorCodes: [], ...options });
+
+    const primedClient = (options) => {
+        const client = createClient(options);
+        client._setTokens({
+            accessToken: ACCESS_TOKEN,
+            agentSecretToken: AGENT_SECRET_TOKEN,
+            expiresAt: Date.now() + 3600000,
+            lifetime: 3600000
+        });
+        return client;
+    };
+
+    beforeAll(async () => {
+        server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                // Echo the request back in the worst possible way
+                const echo = `${body} ${JSON.stringify(req.headers)}`;
+                let status = 400;
+                let payload = { message: `rejected: ${echo}` };
+
+                if (req.url === '/oauth/token') {
+                    status = tokenStatus;
+                    payload = status === 200
+                        ? { access_token: ACCESS_TOKEN, agent_secret_token: AGENT_SECRET_TOKEN, expires_in: 3600 }
+                        : { error: `invalid client: ${echo}` };
+                } else if (req.url === '/a2a/rpc') {
+                    status = 200;
+                    payload = { jsonrpc: '2.0', id: 'test-uuid-1234', error: { code: -32000, message: `rejected: ${echo}` } };
+                }
+
+                res.writeHead(status, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify(payload));
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(() => {
+        tokenStatus = 200;
+        consoleSpies = ['log', 'info', 'warn', 'error', 'debug'].map(method =>
+            jest.spyOn(console, method).mockImplementation(() => {}));
+    });
+
+    afterEach(() => {
+        for (const spy of consoleSpies) {
+            for (const args of spy.mock.calls) {
+                expectNoSecrets(args);
+            }
+        }
+        jest.restoreAllMocks();
+    });
+
+    it.each([
+        [401, 'INVALID_CREDENTIALS'],
+        [400, 'HTTP_ERROR'],
+        [500, 'SERVER_ERROR']
+    ])('should not leak the client secret when /oauth/token answers %i', async (status, code) => {
+        tokenStatus = status;
+        const client = createClient();
+
+        const error = await client.getAccessToken().catch(e => e);
+
+        expect(error.code).toBe(code);
+        expectNoSecrets(error);
+    });
+
+    it('should scrub echoed credentials from the error message', async () => {
+        tokenStatus = 400;
+        const client = createClient();
+
+        const error = await client.getAccessToken().catch(e => e);
+
+        expect(error.message).toContain(REDACTED);
+    });
+
+    it('should not leak anything when the auth service is unreachable', async () => {
+        const client = createTestClient('http://127.0.0.1:1', { retryStatusCodes: [], retryErrorCodes: [] });
+
+        const error = await client.getAccessToken().catch(e => e);
+
+        expect(error.name).toBe('NetworkError');
+        expectNoSecrets(error);
+    });
+
+    it('should not leak tokens from failed introspection', async () => {
+        const client = primedClient();
+
+        const error = await client.introspectToken(INCOMING_TOKEN, 'agent-1').catch(e => e);
+
+        expect(error.code).toBe('HTTP_ERROR');
+        expectNoSecrets(error);
+    });
+
+    it('should not leak tokens from RPC errors', async () => {
+        const client = primedClient();
+
+        const error = await client.rpcCall('do_something', {}).catch(e => e);
+
+        expect(error.code).toBe('-32000');
+        expectNoSecrets(error);
+    });
+
+    it('should not leak tokens from failed A2A requests', async () => {
+        const client = primedClient();
+
+        const error = await client.makeA2ARequest('POST', `${baseUrl}/agent`, { json: { query: 'status' } }).catch(e => e);
+
+        expect(error.code).toBe('HTTP_ERROR');
+        expectNoSecrets(error);
+    });
+
+    it('should not leak secrets when the client itself is logged', async () => {
+        const client = primedClient();
+        await client.getAccessToken();
+
+        console.log(client);
+        console.error(JSON.stringify(client));
+
+        expectNoSecrets(client);
+    });
+
+    describe('middleware logging', () => {
+        let axiosError;
+
+        const failingClient = () => ({
+            introspectToken: jest.fn().mockRejectedValue(axiosError),
+            extractCredentials: jest.fn(() => ({ token: INCOMING_TOKEN, agentUserId: 'agent-1', mode: 'bearer' })),
+            logger: { error: jest.fn() }
+        });
+
+        const createRes = () => {
+            const res = {};
+            res.status = jest.fn(() => res);
+            res.json = jest.fn(() => res);
+            res.set = jest.fn(() => res);
+            return res;
+        };
+
+        beforeAll(async () => {
+            // A raw axios error carrying the client secret in its body and a token in its headers
+            axiosError = await axios.post(`${baseUrl}/oauth/agent/introspect`,
+                new URLSearchParams({ client_secret: CLIENT_SECRET, agent_secret_token: INCOMING_TOKEN }),
+                { headers: { Authorization: `Bearer ${ACCESS_TOKEN}` } }
+            ).catch(e => e);
+        });
+
+        it('should redact raw axios errors logged by the A2A middleware', async () => {
+            const client = failingClient();
+            const middleware = createA2AAuthMiddleware({ client });
+            const res = createRes();
+
+            await new Promise(resolve => {
+                res.json = jest.fn(() => { resolve(); return res; });
+                middleware({ headers: { authorization: `Bearer ${INCOMING_TOKEN}` } }, res, jest.fn());
+            });
+
+            expect(res.status).toHaveBeenCalledWith(500);
+            expect(client.logger.error).toHaveBeenCalledWith('auth.middleware.failed', { error: expect.objectContaining({ status: 400 }) });
+            expectNoSecrets(client.logger.error.mock.calls);
+        });
+
+        it('should redact raw axios errors logged by the scope middleware', async () => {
+            const client = failingClient();
+            const middleware = createScopeMiddleware(['read'], { client });
+            const res = createRes();
+
+            await new Promise(resolve => {
+                res.json = jest.fn(() => { resolve(); return res; });
+                middleware({ headers: { authorization: `Bearer ${INCOMING_TOKEN}` } }, res, jest.fn());
+            });
+
+            expect(client.logger.error).toHaveBeenCalledWith('auth.scope.failed', { error: expect.objectContaining({ status: 400 }) });
+            expectNoSecrets(client.logger.error.mock.calls);
+        });
+
+        it('should redact raw axios errors logged by the Koa middleware', async () => {
+            const client = failingClient();
+            const middleware = createKoaMiddleware({ client });
+            const ctx = { headers: { authorization: `Bearer ${INCOMING_TOKEN}` }, state: {}, set: jest.fn() };
+
+            await middleware(ctx, jest.fn());
+
+            expect(ctx.status).toBe(500);
+            expect(client.logger.error).toHaveBeenCalledWith('auth.middleware.failed', { error: expect.objectContaining({ status: 400 }) });
+            expectNoSecrets(client.logger.error.mock.calls);
+        });
+
+        it('should redact the error returned by authenticateRequest()', async () => {
+            const outcome = await authenticateRequest({ authorization: `Bearer ${INCOMING_TOKEN}` }, { client: failingClient() });
+
+            expect(outcome.status).toBe(500);
+            expect(outcome.error.config.headers.Authorization).toBe(REDACTED);
+            expectNoSecrets(outcome);
+        });
+    });
+});
@@ -0,0 +1,137 @@
+/**
+ * Test suite for the retry interceptor against a local HTTP server.
+ */
+
+jest.mock('uuid', () => ({
+    v4: jest.fn(() => 'test-uuid-1234')
+}));
+
+const http = require('http');
+const { createTestClient } = require('./helpers/clients');
+const { NetworkError } = require('../src/errors');
+
+describe('Retry interceptor', () => {
+    let server;
+    let baseUrl;
+    let responses;
+    let hits;
+
+    const createClient = (options = {}) => {
+        const client = createTestClient(null, options);
+        client._setTokens({
+            accessToken: 'access_token',
+            agentSecretToken: 'agent_secret_token',
+            expiresAt: Date.now() + 3600000,
+            lifetime: 3600000
+        });
+        jest.spyOn(client, '_sleep').mockResolvedValue();
+        return client;
+    };
+
+    beforeAll(async () => {
+        server = http.createServer((req, res) => {
+            hits++;
+            const { status, headers = {} } = responses.shift() || { status: 200 };
+            res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+            res.end(JSON.stringify({ status }));
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(() => {
+        responses = [];
+        hits = 0;
+    });
+
+    it('should wait for Retry-After seconds before retrying', async () => {
+        const client = createClient();
+        responses = [{ status: 429, headers: { 'Retry-After': '2' } }];
+
+        await expect(client.makeA2ARequest('GET', `${baseUrl}/limited`)).resolves.toEqual({ status: 200 });
+
+        expect(hits).toBe(2);
+        expect(client._sleep).toHaveBeenCalledWith(2000);
+    });
+
+    it('should wait until a Retry-After HTTP-date before retrying', async () => {
+        const client = createClient();
+        responses = [{ status: 503, headers: { 'Retry-After': new Date(Date.now() + 10000).toUTCString() } }];
+
+        await client.makeA2ARequest('GET', `${baseUrl}/unavailable`);
+
+        const [delay] = client._sleep.mock.calls[0];
+        expect(delay).toBeGreaterThan(8000);
+        expect(delay).toBeLessThanOrEqual(10000);
+    });
+
+    it('should fall back to exponential backoff without Retry-After', async () => {
+        const client = createClient({ retryDelay: 100 });
+        responses = [{ status: 502 }, { status: 502 }];
+
+        await client.makeA2ARequest('GET', `${baseUrl}/flaky`);
+
+        const delays = client._sleep.mock.calls.map(([delay]) => delay);
+        expect(delays[0]).toBeGreaterThanOrEqual(100);
+        expect(delays[1]).toBeGreaterThanOrEqual(200);
+    });
+
+    it('should not retry when Retry-After exceeds maxRetryAfter and expose retryAfterMs', async () => {
+        const client = createClient({ maxRetryAfter: 60000 });
+        responses = [{ status: 429, headers: { 'Retry-After': '120' } }];
+
+        const error = await client.makeA2ARequest('GET', `${baseUrl}/limited`).catch(e => e);
+
+        expect(error).toBeInstanceOf(NetworkError);
+        expect(error.code).toBe('RATE_LIMIT');
+        expect(error.retryAfterMs).toBe(120000);
+        expect(hits).toBe(1);
+        expect(client._sleep).not.toHaveBeenCalled();
+    });
+
+    it('should leave retryAfterMs null when the server sends no Retry-After', async () => {
+        const client = createClient({ retryStatusCodes: [] });
+        responses = [{ status: 500 }];
+
+        const error = await client.makeA2ARequest('GET', `${baseUrl}/broken`).catch(e => e);
+
+        expect(error.code).toBe('SERVER_ERROR');
+        expect(error.retryAfterMs).toBeNull();
+    });
+
+    it('should stop retrying once the retry budget is spent', async () => {
+        const client = createClient({ retryBudgetRatio: 0, retryBudgetMinRetries: 1 });
+        responses = [{ status: 503 }, { status: 503 }, { status: 503 }];
+
+        await expect(client.makeA2ARequest('GET', `${baseUrl}/down`)).rejects.toMatchObject({ code: 'SERVER_ERROR' });
+
+        expect(hits).toBe(2);
+        expect(client.retryBudget.getStats()).toMatchObject({ requests: 1, retries: 1, rejected: 1 });
+    });
+
+    it('should count successful first attempts towards the budget', async () => {
+        const client = createClient({ retryBudgetRatio: 0.5, retryBudgetMinRetries: 0 });
+
+        await client.makeA2ARequest('GET', `${baseUrl}/ok`);
+        await client.makeA2ARequest('GET', `${baseUrl}/ok`);
+        responses = [{ status: 503 }];
+        await client.makeA2ARequest('GET', `${baseUrl}/flaky`);
+
+        expect(client.retryBudget.getStats()).toMatchObject({ requests: 3, retries: 1 });
+    });
+
+    it('should retry only the configured status codes', async () => {
+        const client = createClient({ retryStatusCodes: [409] });
+        responses = [{ status: 409 }];
+
+        await expect(client.makeA2ARequest('GET', `${baseUrl}/conflict`)).resolves.toEqual({ status: 200 });
+
+        responses = [{ status: 503 }];
+        await expect(client.makeA2ARequest('GET', `${baseUrl}/down`)).rejects.toMatchObject({ statusCode: 503 });
+        expect(hits).toBe(3);
+    });
+});
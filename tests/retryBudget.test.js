@@ -0,0 +1,67 @@
+/**
+ * Test suite for the sliding-window retry budget.
+ */
+
+const RetryBudget = require('../src/retryBudget');
+
+describe('RetryBudget', () => {
+    let now;
+    let nowSpy;
+
+    beforeEach(() => {
+        now = 1700000000000;
+        nowSpy = jest.spyOn(Date, 'now').mockImplementation(() => now);
+    });
+
+    afterEach(() => {
+        nowSpy.mockRestore();
+    });
+
+    it('should apply defaults', () => {
+        const budget = new RetryBudget();
+        expect(budget.ratio).toBe(0.1);
+        expect(budget.window).toBe(60000);
+        expect(budget.minRetries).toBe(10);
+    });
+
+    it('should allow the minimum number of retries without traffic', () => {
+        const budget = new RetryBudget({ minRetries: 2 });
+
+        expect(budget.tryAcquire()).toBe(true);
+        expect(budget.tryAcquire()).toBe(true);
+        expect(budget.tryAcquire()).toBe(false);
+        expect(budget.getStats()).toEqual({ requests: 0, retries: 2, rejected: 1, available: 0 });
+    });
+
+    it('should allow retries proportional to requests', () => {
+        const budget = new RetryBudget({ ratio: 0.1, minRetries: 0 });
+        for (let i = 0; i < 30; i++) {
+            budget.recordRequest();
+        }
+
+        expect(budget.getStats().available).toBe(3);
+        expect([1, 2, 3, 4].map(() => budget.tryAcquire())).toEqual([true, true, true, false]);
+    });
+
+    it('should free the budget once retries leave the window', () => {
+        const budget = new RetryBudget({ window: 10000, minRetries: 1 });
+
+        expect(budget.tryAcquire()).toBe(true);
+        now += 5000;
+        expect(budget.tryAcquire()).toBe(false);
+        now += 5000;
+        expect(budget.tryAcquire()).toBe(true);
+    });
+
+    it('should only count requests inside the window', () => {
+        const budget = new RetryBudget({ window: 10000, ratio: 0.5, minRetries: 0 });
+        budget.recordRequest();
+        budget.recordRequest();
+        now += 9000;
+        budget.recordRequest();
+
+        expect(budget.getStats().requests).toBe(3);
+        now += 1000;
+        expect(budget.getStats().requests).toBe(1);
+    });
+});
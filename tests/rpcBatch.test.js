@@ -0,0 +1,164 @@
+/**
+ * Test suite for JSON-RPC batch requests.
+ */
+
+jest.mock('uuid', () => {
+    let counter = 0;
+    return { v4: jest.fn(() => `test-uuid-${++counter}`) };
+});
+
+const http = require('http');
+const { AGENT_USER_ID, createTestClient } = require('./helpers/clients');
+const { TraylinxAuthError, ValidationError, NetworkError } = require('../src/errors');
+
+describe('rpcBatch', () => {
+    let server;
+    let baseUrl;
+    let received;
+    let reply;
+
+    const createClient = () => createTestClient(baseUrl, { logLevel: 'CRITICAL', retryStatusCodes: [] });
+
+    // Answers each call with its method name, in reverse order
+    const echoReversed = batch => batch.slice().reverse().map(({ id, method, params }) => (
+        method === 'fail'
+            ? { jsonrpc: '2.0', id, error: { code: -32601, message: 'Method not found' } }
+            : { jsonrpc: '2.0', id, result: { method, params } }
+    ));
+
+    beforeAll(async () => {
+        server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                if (req.url === '/oauth/token') {
+                    res.writeHead(200, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ access_token: 'access-token', agent_secret_token: 'agent-token', expires_in: 3600 }));
+                    return;
+                }
+                const batch = JSON.parse(body);
+                received.push({ url: req.url, headers: req.headers, batch });
+                const { status = 200, payload } = reply(batch);
+                res.writeHead(status, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify(payload));
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(() => {
+        received = [];
+        reply = batch => ({ payload: echoReversed(batch) });
+    });
+
+    it('should send the calls as one JSON-RPC batch', async () => {
+        const client = createClient();
+
+        await client.rpcBatch([
+            { method: 'get_capabilities' },
+            { method: 'health_check', params: {} }
+        ]);
+
+        expect(received).toHaveLength(1);
+        expect(received[0].url).toBe('/a2a/rpc');
+        expect(received[0].headers.authorization).toBe('Bearer access-token');
+        expect(received[0].batch).toEqual([
+            { jsonrpc: '2.0', method: 'get_capabilities', id: expect.any(String) },
+            { jsonrpc: '2.0', method: 'health_check', params: {}, id: expect.any(String) }
+        ]);
+        expect(received[0].batch[0].id).not.toBe(received[0].batch[1].id);
+    });
+
+    it('should match responses to calls by id regardless of order', async () => {
+        const client = createClient();
+
+        const results = await client.rpcBatch([
+            { method: 'get_capabilities' },
+            { method: 'health_check' },
+            { method: 'introspect_token', params: { agent_user_id: 'agent-1' } }
+        ]);
+
+        expect(results.map(({ method, result, error }) => ({ method, result, error }))).toEqual([
+            { method: 'get_capabilities', result: { method: 'get_capabilities' }, error: null },
+            { method: 'health_check', result: { method: 'health_check' }, error: null },
+            { method: 'introspect_token', result: { method: 'introspect_token', params: { agent_user_id: 'agent-1' } }, error: null }
+        ]);
+        expect(results.map(({ id }) => id)).toEqual(received[0].batch.map(({ id }) => id));
+    });
+
+    it('should report failing calls without failing the batch', async () => {
+        const client = createClient();
+
+        const [ok, failed] = await client.rpcBatch([{ method: 'health_check' }, { method: 'fail' }]);
+
+        expect(ok.error).toBeNull();
+        expect(failed.result).toBeNull();
+        expect(failed.error).toBeInstanceOf(ValidationError);
+        expect(failed.error).toMatchObject({ code: 'METHOD_NOT_FOUND', message: "RPC method 'fail' not found: Method not found" });
+    });
+
+    it('should report calls the server did not answer', async () => {
+        reply = batch => ({ payload: [{ jsonrpc: '2.0', id: null, error: { code: -32600, message: 'Invalid Request' } }, ...echoReversed(batch.slice(1))] });
+        const client = createClient();
+
+        const [missing, ok] = await client.rpcBatch([{ method: 'health_check' }, { method: 'get_capabilities' }]);
+
+        expect(missing.error).toBeInstanceOf(TraylinxAuthError);
+        expect(missing.error).toMatchObject({ code: 'INVALID_RPC_RESPONSE', message: "No response for RPC call 'health_check' in batch" });
+        expect(ok.result).toEqual({ method: 'get_capabilities' });
+    });
+
+    it('should apply a single error object to every call', async () => {
+        reply = () => ({ payload: { jsonrpc: '2.0', id: null, error: { code: -32600, message: 'Batches are not supported' } } });
+        const client = createClient();
+
+        const results = await client.rpcBatch([{ method: 'health_check' }, { method: 'get_capabilities' }]);
+
+        expect(results).toHaveLength(2);
+        for (const { result, error } of results) {
+            expect(result).toBeNull();
+            expect(error).toMatchObject({ code: 'INVALID_RPC_REQUEST', message: 'Invalid RPC request: Batches are not supported' });
+        }
+    });
+
+    it('should reject responses that are neither a batch nor an error', async () => {
+        reply = () => ({ payload: { jsonrpc: '2.0', id: null, result: {} } });
+        const client = createClient();
+
+        await expect(client.rpcBatch([{ method: 'health_check' }])).rejects.toMatchObject({ code: 'INVALID_RPC_RESPONSE' });
+    });
+
+    it('should use agent credentials for other agents', async () => {
+        const client = createClient();
+
+        await client.rpcBatch([{ method: 'health_check' }], { rpcUrl: `${baseUrl}/agent/rpc` });
+
+        expect(received[0].url).toBe('/agent/rpc');
+        expect(received[0].headers.authorization).toBeUndefined();
+        expect(received[0].headers['x-agent-secret-token']).toBe('agent-token');
+        expect(received[0].headers['x-agent-user-id']).toBe(AGENT_USER_ID);
+    });
+
+    it('should throw typed errors when the request fails', async () => {
+        reply = () => ({ status: 500, payload: { error: 'down' } });
+        const client = createClient();
+
+        await expect(client.rpcBatch([{ method: 'health_check' }])).rejects.toBeInstanceOf(NetworkError);
+    });
+
+    it.each([
+        [undefined, 'rpcBatch() requires a non-empty array of calls'],
+        [[], 'rpcBatch() requires a non-empty array of calls'],
+        [[{ method: 'health_check' }, { params: {} }], 'RPC batch call 1 has no method']
+    ])('should validate the calls %p', async (calls, message) => {
+        const client = createClient();
+
+        await expect(client.rpcBatch(calls)).rejects.toThrow(new ValidationError(message, 'INVALID_RPC_BATCH', 400));
+        expect(received).toEqual([]);
+    });
+});
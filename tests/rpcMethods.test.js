@@ -0,0 +1,140 @@
+/**
+ * Test suite for schema-validated RPC method definitions.
+ */
+
+const Joi = require('joi');
+const { ValidationError } = require('../src/errors');
+const { RpcMethodRegistry, defineRpcMethods } = require('../src/rpcMethods');
+
+describe('defineRpcMethods', () => {
+    const definitions = {
+        create_order: {
+            params: Joi.object({
+                sku: Joi.string().required(),
+                quantity: Joi.number().integer().min(1).default(1),
+                items: Joi.array().items(Joi.object({ qty: Joi.number().min(1) }))
+            }),
+            result: Joi.object({ orderId: Joi.string().required(), total: Joi.number() })
+        },
+        health_check: {}
+    };
+
+    const createClient = (result) => ({
+        rpcCall: jest.fn().mockResolvedValue({ jsonrpc: '2.0', id: 'id-1', result })
+    });
+
+    it('should return a registry of the defined methods', () => {
+        const registry = defineRpcMethods(definitions);
+
+        expect(registry).toBeInstanceOf(RpcMethodRegistry);
+        expect(registry.methods).toEqual(['create_order', 'health_check']);
+    });
+
+    it.each([
+        [undefined, 'defineRpcMethods() needs an object mapping method names to definitions'],
+        [{}, 'defineRpcMethods() needs an object mapping method names to definitions'],
+        [[], 'defineRpcMethods() needs an object mapping method names to definitions'],
+        [{ ping: null }, "RPC method 'ping' must be defined by an object"],
+        [{ ping: { params: { type: 'object' } } }, "RPC method 'ping' params must be a Joi schema"],
+        [{ ping: { result: 'string' } }, "RPC method 'ping' result must be a Joi schema"]
+    ])('should reject the definitions %p', (invalid, message) => {
+        expect(() => defineRpcMethods(invalid)).toThrow(new ValidationError(message, 'INVALID_RPC_DEFINITION', 400));
+    });
+
+    describe('stubs', () => {
+        it('should send validated params and return the validated result', async () => {
+            const client = createClient({ orderId: 'o-1', total: '12.5' });
+            const api = defineRpcMethods(definitions).bind(client, { rpcUrl: 'https://sentinel.example.com/a2a/rpc' });
+
+            const result = await api.create_order({ sku: 'A-1' }, { id: 'req-1' });
+
+            expect(client.rpcCall).toHaveBeenCalledWith(
+                'create_order',
+                { sku: 'A-1', quantity: 1 },
+                'https://sentinel.example.com/a2a/rpc',
+                null,
+                { id: 'req-1' }
+            );
+            expect(result).toEqual({ orderId: 'o-1', total: 12.5 });
+        });
+
+        it('should pass the credential option through', async () => {
+            const client = createClient({ ok: true });
+
+            await defineRpcMethods(definitions).bind(client, { includeAgentCredentials: true }).health_check({});
+
+            expect(client.rpcCall).toHaveBeenCalledWith('health_check', {}, null, true, {});
+        });
+
+        it('should accept any params and result without schemas', async () => {
+            const client = createClient(['anything']);
+
+            await expect(defineRpcMethods(definitions).bind(client).health_check('raw')).resolves.toEqual(['anything']);
+        });
+
+        it('should not send invalid params', async () => {
+            const client = createClient({ orderId: 'o-1' });
+            const api = defineRpcMethods(definitions).bind(client);
+
+            const error = await api.create_order({ quantity: 0, items: [{ qty: 0 }] }).catch(e => e);
+
+            expect(error).toBeInstanceOf(ValidationError);
+            expect(error.code).toBe('INVALID_RPC_PARAMS');
+            expect(error.field).toBe('params.sku');
+            expect(error.details.map(detail => detail.field)).toEqual(['params.sku', 'params.quantity', 'params.items.0.qty']);
+            expect(error.message).toBe(
+                "Invalid params for RPC method 'create_order': params.sku: \"sku\" is required; " +
+                'params.quantity: "quantity" must be greater than or equal to 1; ' +
+                'params.items.0.qty: "items[0].qty" must be greater than or equal to 1'
+            );
+            expect(client.rpcCall).not.toHaveBeenCalled();
+        });
+
+        it('should reject invalid results', async () => {
+            const client = createClient({ total: 'free' });
+            const api = defineRpcMethods(definitions).bind(client);
+
+            const error = await api.create_order({ sku: 'A-1' }).catch(e => e);
+
+            expect(error).toBeInstanceOf(ValidationError);
+            expect(error.code).toBe('INVALID_RPC_RESULT');
+            expect(error.details).toEqual([
+                { field: 'result.orderId', message: '"orderId" is required' },
+                { field: 'result.total', message: '"total" must be a number' }
+            ]);
+        });
+
+        it('should report root-level failures on the root field', async () => {
+            const client = createClient(null);
+            const api = defineRpcMethods(definitions).bind(client);
+
+            await expect(api.create_order({ sku: 'A-1' })).rejects.toMatchObject({ field: 'result', code: 'INVALID_RPC_RESULT' });
+        });
+
+        it('should propagate RPC errors', async () => {
+            const client = { rpcCall: jest.fn().mockRejectedValue(new Error('RPC failed')) };
+
+            await expect(defineRpcMethods(definitions).bind(client).health_check({})).rejects.toThrow('RPC failed');
+        });
+
+        it('should require a client', () => {
+            expect(() => defineRpcMethods(definitions).bind({})).toThrow(new ValidationError('RPC stubs need a TraylinxAuthClient instance', 'MISSING_CLIENT', 400));
+        });
+    });
+
+    describe('validation helpers', () => {
+        it('should validate params and results directly', () => {
+            const registry = defineRpcMethods(definitions);
+
+            expect(registry.validateParams('create_order', { sku: 'A-1', quantity: '3' })).toEqual({ sku: 'A-1', quantity: 3 });
+            expect(() => registry.validateResult('create_order', {})).toThrow(ValidationError);
+        });
+
+        it('should reject unknown methods', () => {
+            const registry = defineRpcMethods(definitions);
+
+            expect(() => registry.validateParams('constructor', {}))
+                .toThrow(new ValidationError("Unknown RPC method 'constructor'", 'UNKNOWN_RPC_METHOD', 400));
+        });
+    });
+});
@@ -0,0 +1,226 @@
+/**
+ * Test suite for JSON-RPC notifications, custom request IDs and response checks.
+ */
+
+jest.mock('uuid', () => {
+    let counter = 0;
+    return { v4: jest.fn(() => `test-uuid-${++counter}`) };
+});
+
+const http = require('http');
+const { createTestClient } = require('./helpers/clients');
+const { RpcError, RpcProtocolError, RpcValidationError, ValidationError, NetworkError, TraylinxAuthError } = require('../src/errors');
+
+describe('JSON-RPC protocol', () => {
+    let server;
+    let baseUrl;
+    let received;
+    let reply;
+
+    const createClient = () => createTestClient(baseUrl, { logLevel: 'CRITICAL', retryStatusCodes: [] });
+
+    beforeAll(async () => {
+        server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                if (req.url === '/oauth/token') {
+                    res.writeHead(200, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ access_token: 'access-token', agent_secret_token: 'agent-token', expires_in: 3600 }));
+                    return;
+                }
+                const call = JSON.parse(body);
+                received.push({ url: req.url, headers: req.headers, call });
+                const { status = 200, payload } = reply(call);
+                res.writeHead(status, payload === undefined ? {} : { 'Content-Type': 'application/json' });
+                res.end(payload === undefined ? undefined : JSON.stringify(payload));
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(() => {
+        received = [];
+        reply = ({ id }) => ({ payload: { jsonrpc: '2.0', id, result: { ok: true } } });
+    });
+
+    describe('rpcCall ids', () => {
+        it.each(['req-42', 42])('should send the custom id %p', async (id) => {
+            const client = createClient();
+
+            const response = await client.rpcCall('health_check', {}, null, null, { id });
+
+            expect(received[0].call.id).toBe(id);
+            expect(response).toEqual({ jsonrpc: '2.0', id, result: { ok: true } });
+        });
+
+        it('should generate an id by default', async () => {
+            const client = createClient();
+
+            await client.rpcCall('health_check', {});
+
+            expect(received[0].call.id).toMatch(/^test-uuid-/);
+        });
+
+        it.each([null, {}, NaN])('should reject the id %p', async (id) => {
+            const client = createClient();
+
+            await expect(client.rpcCall('health_check', {}, null, null, { id }))
+                .rejects.toThrow(new ValidationError('RPC request id must be a string or a number', 'INVALID_RPC_ID', 400));
+            expect(received).toEqual([]);
+        });
+    });
+
+    describe('response checks', () => {
+        it('should reject responses answering another request', async () => {
+            reply = () => ({ payload: { jsonrpc: '2.0', id: 'other', result: {} } });
+            const client = createClient();
+
+            const error = await client.rpcCall('health_check', {}, null, null, { id: 'req-1' }).catch(e => e);
+
+            expect(error).toBeInstanceOf(RpcProtocolError);
+            expect(error.message).toBe('RPC response id "other" does not match request id "req-1"');
+            expect(error).toMatchObject({ code: 'RPC_PROTOCOL_ERROR', expectedId: 'req-1', receivedId: 'other' });
+        });
+
+        it('should not treat a string id as matching a numeric one', async () => {
+            reply = () => ({ payload: { jsonrpc: '2.0', id: '7', result: {} } });
+            const client = createClient();
+
+            await expect(client.rpcCall('health_check', {}, null, null, { id: 7 })).rejects.toBeInstanceOf(RpcProtocolError);
+        });
+
+        it.each([
+            [{ id: 'req-1', result: {} }, 'undefined'],
+            [{ jsonrpc: '1.0', id: 'req-1', result: {} }, '"1.0"'],
+            ['not json-rpc', 'undefined']
+        ])('should reject non JSON-RPC 2.0 response %p', async (payload, version) => {
+            reply = () => ({ payload });
+            const client = createClient();
+
+            await expect(client.rpcCall('health_check', {}, null, null, { id: 'req-1' }))
+                .rejects.toThrow(new RpcProtocolError(`Invalid RPC response: expected jsonrpc "2.0", got ${version}`));
+        });
+
+        it('should accept error responses with a null id', async () => {
+            reply = () => ({ payload: { jsonrpc: '2.0', id: null, error: { code: -32600, message: 'Invalid Request' } } });
+            const client = createClient();
+
+            await expect(client.rpcCall('health_check', {})).rejects.toMatchObject({ code: 'INVALID_RPC_REQUEST' });
+        });
+
+        it('should reject results with a null id', async () => {
+            reply = () => ({ payload: { jsonrpc: '2.0', id: null, result: {} } });
+            const client = createClient();
+
+            await expect(client.rpcCall('health_check', {})).rejects.toBeInstanceOf(RpcProtocolError);
+        });
+
+        it('should report batch responses that are not JSON-RPC 2.0', async () => {
+            reply = batch => ({ payload: batch.map(({ id }) => ({ jsonrpc: '1.0', id, result: {} })) });
+            const client = createClient();
+
+            const [entry] = await client.rpcBatch([{ method: 'health_check' }]);
+
+            expect(entry.error).toBeInstanceOf(RpcProtocolError);
+            expect(entry.error.expectedId).toBe(entry.id);
+        });
+    });
+
+    describe('JSON-RPC errors', () => {
+        const callWithError = async (error, method = 'do_work') => {
+            reply = ({ id }) => ({ payload: { jsonrpc: '2.0', id, error } });
+            return createClient().rpcCall(method, {}, null, null, { id: 'req-1' }).catch(e => e);
+        };
+
+        it.each([
+            [-32700, '-32700', 500, 'RPC error (-32700): Rejected', false],
+            [-32600, 'INVALID_RPC_REQUEST', 400, 'Invalid RPC request: Rejected', true],
+            [-32601, 'METHOD_NOT_FOUND', 404, "RPC method 'do_work' not found: Rejected", true],
+            [-32602, 'INVALID_RPC_PARAMS', 400, 'Invalid RPC parameters: Rejected', true],
+            [-32603, '-32603', 500, 'RPC error (-32603): Rejected', false],
+            [-32050, '-32050', 500, 'RPC error (-32050): Rejected', false],
+            [42, '42', 500, 'RPC error (42): Rejected', false]
+        ])('should map code %p', async (rpcCode, code, statusCode, message, isValidationError) => {
+            const error = await callWithError({ code: rpcCode, message: 'Rejected' });
+
+            expect(error).toBeInstanceOf(isValidationError ? RpcValidationError : RpcError);
+            expect(error).toBeInstanceOf(TraylinxAuthError);
+            expect(error instanceof ValidationError).toBe(isValidationError);
+            expect(error).toMatchObject({ code, statusCode, message, rpcCode, rpcMessage: 'Rejected', method: 'do_work', requestId: 'req-1' });
+        });
+
+        it('should preserve error data', async () => {
+            const error = await callWithError({ code: -32001, message: 'Quota exceeded', data: { retryAfter: 30, limits: ['daily'] } });
+
+            expect(error.rpcData).toEqual({ retryAfter: 30, limits: ['daily'] });
+            expect(error.isServerError).toBe(true);
+        });
+
+        it('should redact tokens from the error message and data', async () => {
+            const error = await callWithError({ code: -32001, message: 'bad token access-token', data: { token: 'access-token' } });
+
+            expect(error.message).toBe('RPC error (-32001): bad token [REDACTED]');
+            expect(error.rpcMessage).toBe('bad token [REDACTED]');
+            expect(error.rpcData).toEqual({ token: '[REDACTED]' });
+        });
+
+        it('should default missing error fields', async () => {
+            const error = await callWithError({});
+
+            expect(error).toMatchObject({ code: 'RPC_ERROR', message: 'RPC error (RPC_ERROR): RPC call failed', rpcCode: null, rpcMessage: null, rpcData: null });
+        });
+
+        it('should report RpcErrors per call in batches', async () => {
+            reply = batch => ({ payload: batch.map(({ id }) => ({ jsonrpc: '2.0', id, error: { code: -32603, message: 'boom', data: 'trace' } })) });
+
+            const [entry] = await createClient().rpcBatch([{ method: 'do_work' }]);
+
+            expect(entry.error).toBeInstanceOf(RpcError);
+            expect(entry.error).toMatchObject({ rpcCode: -32603, rpcData: 'trace', method: 'do_work', requestId: entry.id });
+        });
+    });
+
+    describe('rpcNotify', () => {
+        it('should send a notification without an id', async () => {
+            reply = () => ({ status: 204 });
+            const client = createClient();
+
+            await expect(client.rpcNotify('agent_started', { at: 1 })).resolves.toBeUndefined();
+
+            expect(received[0].url).toBe('/a2a/rpc');
+            expect(received[0].call).toEqual({ jsonrpc: '2.0', method: 'agent_started', params: { at: 1 } });
+            expect(received[0].headers.authorization).toBe('Bearer access-token');
+        });
+
+        it('should ignore response bodies', async () => {
+            reply = () => ({ payload: { unexpected: true } });
+            const client = createClient();
+
+            await expect(client.rpcNotify('agent_started', {})).resolves.toBeUndefined();
+        });
+
+        it('should use agent credentials for other agents', async () => {
+            reply = () => ({ status: 204 });
+            const client = createClient();
+
+            await client.rpcNotify('agent_started', {}, `${baseUrl}/agent/rpc`);
+
+            expect(received[0].url).toBe('/agent/rpc');
+            expect(received[0].headers['x-agent-secret-token']).toBe('agent-token');
+            expect(received[0].headers.authorization).toBeUndefined();
+        });
+
+        it('should throw typed errors when delivery fails', async () => {
+            reply = () => ({ status: 503, payload: { error: 'down' } });
+            const client = createClient();
+
+            await expect(client.rpcNotify('agent_started', {})).rejects.toBeInstanceOf(NetworkError);
+        });
+    });
+});
@@ -0,0 +1,402 @@
+/**
+ * Test suite for the server-side JSON-RPC 2.0 router.
+ */
+
+jest.mock('uuid', () => {
+    let counter = 0;
+    return { v4: jest.fn(() => `test-uuid-${++counter}`) };
+});
+
+const http = require('http');
+const request = require('supertest');
+const express = require('express');
+const { AGENT_USER_ID, createTestClient } = require('./helpers/clients');
+const { RpcError, RpcMethodError, RpcValidationError, ValidationError } = require('../src/errors');
+const { RPC_ERROR_CODES, createRpcRouter } = require('../src/rpcServer');
+const { defaultLogger } = require('../src/logger');
+
+describe('createRpcRouter', () => {
+    let authServer;
+    let authBaseUrl;
+    let introspectionFails;
+
+    const createClient = (options = {}) => createTestClient(authBaseUrl, { logLevel: 'CRITICAL', retryStatusCodes: [], ...options });
+
+    const methods = {
+        echo: async (params) => params,
+        whoami: async (params, { caller, agentUserId, authMode, method, id }) => ({
+            sub: caller.sub,
+            agentUserId,
+            authMode,
+            method,
+            id
+        }),
+        nothing: async () => undefined,
+        find_order: async ({ orderId }) => {
+            throw new RpcMethodError(-32004, 'Order not found', { orderId });
+        },
+        validate: async () => {
+            throw new ValidationError('amount must be positive');
+        },
+        crash: async () => {
+            throw new Error('database password leaked');
+        }
+    };
+
+    beforeAll(async () => {
+        // Fake auth service: tokens containing "revoked" are inactive
+        authServer = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                let payload;
+                if (req.url === '/oauth/token') {
+                    payload = { access_token: 'access-token', agent_secret_token: 'agent-token', expires_in: 3600 };
+                } else if (req.url === '/downstream/rpc') {
+                    const { id } = JSON.parse(body);
+                    payload = { jsonrpc: '2.0', id, error: { code: -32601, message: 'Method not found', data: { host: 'inventory.internal' } } };
+                } else if (introspectionFails) {
+                    res.writeHead(500);
+                    res.end();
+                    return;
+                } else {
+                    payload = body.includes('revoked') ? { active: false } : { active: true, sub: 'caller-agent', scope: 'rpc' };
+                }
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify(payload));
+            });
+        });
+        await new Promise(resolve => authServer.listen(0, '127.0.0.1', resolve));
+        authBaseUrl = `http://127.0.0.1:${authServer.address().port}`;
+    });
+
+    afterAll(async () => {
+        await new Promise(resolve => authServer.close(resolve));
+    });
+
+    beforeEach(() => {
+        introspectionFails = false;
+    });
+
+    const createApp = (options = {}) => {
+        const app = express();
+        app.post('/a2a/rpc', express.json(), createRpcRouter({ client: createClient(), methods, ...options }));
+        return app;
+    };
+
+    const rpc = (app, body, headers = { 'X-Agent-Secret-Token': 'caller-token', 'X-Agent-User-Id': AGENT_USER_ID }) => {
+        const req = request(app).post('/a2a/rpc').set(headers);
+        return typeof body === 'string'
+            ? req.set('Content-Type', 'text/plain').send(body)
+            : req.send(body);
+    };
+
+    describe('options', () => {
+        it('should require a client', () => {
+            expect(() => createRpcRouter({ methods })).toThrow('A TraylinxAuthClient instance is required');
+        });
+
+        it.each([undefined, [], { echo: 'not a function' }])('should reject the methods %p', (invalid) => {
+            expect(() => createRpcRouter({ client: createClient(), methods: invalid }))
+                .toThrow(new ValidationError('createRpcRouter() needs a methods object mapping method names to handler functions', 'INVALID_RPC_METHODS', 400));
+        });
+
+        it('should validate the auth modes', () => {
+            expect(() => createRpcRouter({ client: createClient(), methods, modes: ['basic'] })).toThrow(ValidationError);
+        });
+    });
+
+    describe('authentication', () => {
+        it('should reject requests without credentials', async () => {
+            const response = await rpc(createApp(), { jsonrpc: '2.0', method: 'echo', id: 1 }, {}).expect(401);
+
+            expect(response.headers['www-authenticate']).toBe('Bearer realm="traylinx"');
+            expect(response.body).toEqual({
+                jsonrpc: '2.0',
+                id: null,
+                error: { code: RPC_ERROR_CODES.UNAUTHORIZED, message: 'Invalid or missing authentication' }
+            });
+        });
+
+        it('should reject inactive tokens', async () => {
+            const response = await rpc(createApp(), { jsonrpc: '2.0', method: 'echo', id: 1 }, { Authorization: 'Bearer revoked-token', 'X-Agent-User-Id': AGENT_USER_ID })
+                .expect(401);
+
+            expect(response.headers['www-authenticate']).toBe('Bearer realm="traylinx", error="invalid_token"');
+        });
+
+        it('should answer an internal error when authentication fails', async () => {
+            introspectionFails = true;
+
+            const response = await rpc(createApp(), { jsonrpc: '2.0', method: 'echo', id: 1 }).expect(500);
+
+            expect(response.body.error).toEqual({ code: -32603, message: 'Internal error' });
+        });
+
+        it('should honour the accepted modes', async () => {
+            await rpc(createApp({ modes: ['bearer'] }), { jsonrpc: '2.0', method: 'echo', id: 1 }).expect(401);
+        });
+
+        it('should pass the caller identity to handlers', async () => {
+            const response = await rpc(createApp(), { jsonrpc: '2.0', method: 'whoami', id: 'req-1' }).expect(200);
+
+            expect(response.body).toEqual({
+                jsonrpc: '2.0',
+                id: 'req-1',
+                result: { sub: 'caller-agent', agentUserId: AGENT_USER_ID, authMode: 'custom', method: 'whoami', id: 'req-1' }
+            });
+        });
+    });
+
+    describe('single requests', () => {
+        it('should return the handler result', async () => {
+            const response = await rpc(createApp(), { jsonrpc: '2.0', method: 'echo', params: [1, 2], id: 7 }).expect(200);
+
+            expect(response.headers['content-type']).toMatch(/^application\/json/);
+            expect(response.body).toEqual({ jsonrpc: '2.0', id: 7, result: [1, 2] });
+        });
+
+        it('should answer null for handlers returning nothing', async () => {
+            const response = await rpc(createApp(), { jsonrpc: '2.0', method: 'nothing', id: 1 }).expect(200);
+
+            expect(response.body).toEqual({ jsonrpc: '2.0', id: 1, result: null });
+        });
+
+        it('should answer parse errors', async () => {
+            const response = await rpc(createApp(), '{"jsonrpc": "2.0", "method"').expect(200);
+
+            expect(response.body).toEqual({ jsonrpc: '2.0', id: null, error: { code: -32700, message: 'Parse error' } });
+        });
+
+        it.each([
+            [{ method: 'echo', id: 1 }, 1],
+            [{ jsonrpc: '2.0', method: 1, id: 1 }, 1],
+            [{ jsonrpc: '2.0', method: 'echo', params: 'text', id: 1 }, 1],
+            [{ jsonrpc: '2.0', method: 'echo', params: null, id: 1 }, 1],
+            [{ jsonrpc: '2.0', method: 'echo', id: {} }, null],
+            [{ jsonrpc: '2.0', method: 'echo', id: true }, null]
+        ])('should answer invalid request %p', async (body, id) => {
+            const response = await rpc(createApp(), body).expect(200);
+
+            expect(response.body).toEqual({ jsonrpc: '2.0', id, error: { code: -32600, message: 'Invalid Request' } });
+        });
+
+        it('should answer unknown methods', async () => {
+            const response = await rpc(createApp(), { jsonrpc: '2.0', method: 'toString', id: 1 }).expect(200);
+
+            expect(response.body).toEqual({ jsonrpc: '2.0', id: 1, error: { code: -32601, message: 'Method not found' } });
+        });
+
+        it('should answer RpcMethodErrors thrown by handlers', async () => {
+            const response = await rpc(createApp(), { jsonrpc: '2.0', method: 'find_order', params: { orderId: 'o-1' }, id: 1 }).expect(200);
+
+            expect(response.body.error).toEqual({ code: -32004, message: 'Order not found', data: { orderId: 'o-1' } });
+        });
+
+        it('should not pass on the JSON-RPC errors of calls made by handlers', async () => {
+            const client = createClient();
+            const lookup = () => client.rpcCall('lookup', {}, `${authBaseUrl}/downstream/rpc`);
+            const app = express();
+            app.post('/a2a/rpc', express.json(), createRpcRouter({ client, methods: { lookup } }));
+
+            const response = await rpc(app, { jsonrpc: '2.0', method: 'lookup', id: 1 }).expect(200);
+
+            expect(response.body.error).toEqual({ code: -32603, message: 'Internal error' });
+        });
+
+        it.each([
+            ['RpcError', new RpcError('RPC error (-32004): Order not found', '-32004', 500, { rpcCode: -32004, rpcMessage: 'Order not found', rpcData: { table: 'orders_v2' } })],
+            ['RpcValidationError', new RpcValidationError("RPC method 'lookup' not found: Method not found", 'METHOD_NOT_FOUND', 404, { rpcCode: -32601, rpcMessage: 'Method not found', rpcData: { host: 'inventory.internal' } })],
+            ['invalid result', new ValidationError("Invalid result for RPC method 'lookup': result.sku: \"sku\" is required", 'INVALID_RPC_RESULT')],
+            ['RpcMethodError without an integer code', new RpcMethodError('-32004', 'Order not found')]
+        ])('should answer a re-thrown downstream %s as an internal error', async (name, downstreamError) => {
+            const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+            const proxy = async () => {
+                throw downstreamError;
+            };
+            const app = express();
+            app.post('/a2a/rpc', express.json(), createRpcRouter({ client: createClient({ logger, logLevel: 'ERROR' }), methods: { proxy } }));
+
+            const response = await rpc(app, { jsonrpc: '2.0', method: 'proxy', id: 1 }).expect(200);
+
+            expect(response.body.error).toEqual({ code: -32603, message: 'Internal error' });
+            expect(logger.error).toHaveBeenCalledWith('rpc.handler.failed', expect.objectContaining({ method: 'proxy' }));
+        });
+
+        it('should answer ValidationErrors as invalid params', async () => {
+            const response = await rpc(createApp(), { jsonrpc: '2.0', method: 'validate', id: 1 }).expect(200);
+
+            expect(response.body.error).toEqual({ code: -32602, message: 'amount must be positive' });
+        });
+
+        it('should hide and log other handler errors', async () => {
+            const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+            const app = express();
+            app.post('/a2a/rpc', express.json(), createRpcRouter({ client: createClient({ logger, logLevel: 'ERROR' }), methods }));
+
+            const response = await rpc(app, { jsonrpc: '2.0', method: 'crash', id: 1 }).expect(200);
+
+            expect(response.body.error).toEqual({ code: -32603, message: 'Internal error' });
+            expect(logger.error).toHaveBeenCalledWith('rpc.handler.failed', {
+                method: 'crash',
+                notification: false,
+                error: expect.objectContaining({ message: 'database password leaked' })
+            });
+        });
+
+        it('should not answer notifications', async () => {
+            const whoami = jest.fn().mockResolvedValue('ignored');
+            const app = express();
+            app.post('/a2a/rpc', express.json(), createRpcRouter({ client: createClient(), methods: { ...methods, whoami } }));
+
+            const response = await rpc(app, { jsonrpc: '2.0', method: 'whoami', params: { a: 1 } }).expect(204);
+            await rpc(app, { jsonrpc: '2.0', method: 'crash' }).expect(204);
+            await rpc(app, { jsonrpc: '2.0', method: 'missing' }).expect(204);
+
+            expect(response.text).toBe('');
+            expect(whoami).toHaveBeenCalledWith({ a: 1 }, expect.objectContaining({ method: 'whoami', id: undefined }));
+        });
+    });
+
+    describe('batch requests', () => {
+        it('should answer every call that is not a notification', async () => {
+            const response = await rpc(createApp(), [
+                { jsonrpc: '2.0', method: 'echo', params: { n: 1 }, id: 1 },
+                { jsonrpc: '2.0', method: 'echo', params: { n: 2 } },
+                { jsonrpc: '2.0', method: 'missing', id: 2 },
+                { jsonrpc: '2.0', method: 'validate', id: 3 },
+                42
+            ]).expect(200);
+
+            expect(response.body).toEqual([
+                { jsonrpc: '2.0', id: 1, result: { n: 1 } },
+                { jsonrpc: '2.0', id: 2, error: { code: -32601, message: 'Method not found' } },
+                { jsonrpc: '2.0', id: 3, error: { code: -32602, message: 'amount must be positive' } },
+                { jsonrpc: '2.0', id: null, error: { code: -32600, message: 'Invalid Request' } }
+            ]);
+        });
+
+        it('should answer empty batches with a single error', async () => {
+            const response = await rpc(createApp(), []).expect(200);
+
+            expect(response.body).toEqual({ jsonrpc: '2.0', id: null, error: { code: -32600, message: 'Invalid Request' } });
+        });
+
+        it('should not answer batches of notifications', async () => {
+            await rpc(createApp(), [{ jsonrpc: '2.0', method: 'echo' }, { jsonrpc: '2.0', method: 'nothing' }]).expect(204);
+        });
+    });
+
+    describe('node:http', () => {
+        let server;
+        let baseUrl;
+
+        beforeAll(async () => {
+            const router = createRpcRouter({ client: createClient(), methods, maxBodyBytes: 256 });
+            server = http.createServer(router);
+            await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+            baseUrl = `http://127.0.0.1:${server.address().port}`;
+        });
+
+        afterAll(async () => {
+            await new Promise(resolve => server.close(resolve));
+        });
+
+        it('should read and answer requests', async () => {
+            const response = await rpc(baseUrl, JSON.stringify({ jsonrpc: '2.0', method: 'echo', params: ['hi'], id: 1 })).expect(200);
+
+            expect(JSON.parse(response.text)).toEqual({ jsonrpc: '2.0', id: 1, result: ['hi'] });
+        });
+
+        it('should reject bodies over the size limit', async () => {
+            const response = await rpc(baseUrl, JSON.stringify({ jsonrpc: '2.0', method: 'echo', params: ['x'.repeat(300)], id: 1 })).expect(413);
+
+            expect(JSON.parse(response.text).error).toEqual({ code: -32600, message: 'Request body too large' });
+        });
+
+        it('should only accept POST', async () => {
+            const response = await request(baseUrl).get('/').expect(405);
+
+            expect(response.headers.allow).toBe('POST');
+        });
+    });
+
+    describe('handle()', () => {
+        it('should answer parsed requests for other servers', async () => {
+            const router = createRpcRouter({ client: createClient(), methods });
+
+            const response = await router.handle(
+                Buffer.from(JSON.stringify({ jsonrpc: '2.0', method: 'echo', params: { a: 1 }, id: 'x' })),
+                { authorization: 'Bearer caller-token', 'x-agent-user-id': AGENT_USER_ID }
+            );
+
+            expect(response).toEqual({
+                status: 200,
+                headers: { 'Content-Type': 'application/json' },
+                body: { jsonrpc: '2.0', id: 'x', result: { a: 1 } }
+            });
+        });
+
+        it('should answer 500 and log when the client cannot be resolved', async () => {
+            const errorSpy = jest.spyOn(defaultLogger, 'error').mockImplementation(() => {});
+            const app = express();
+            app.post('/a2a/rpc', createRpcRouter({ client: () => { throw new Error('no client'); }, methods }));
+
+            const response = await request(app).post('/a2a/rpc').send({ jsonrpc: '2.0', method: 'echo', id: 1 }).expect(500);
+
+            expect(response.body.error).toEqual({ code: -32603, message: 'Internal error' });
+            expect(errorSpy).toHaveBeenCalledWith('rpc.auth.failed', { error: expect.objectContaining({ message: 'no client' }) });
+            errorSpy.mockRestore();
+        });
+
+        it('should resolve handle() with a JSON-RPC error when the client cannot be resolved', async () => {
+            const errorSpy = jest.spyOn(defaultLogger, 'error').mockImplementation(() => {});
+            const router = createRpcRouter({ client: () => { throw new Error('no client'); }, methods });
+
+            await expect(router.handle('{}', {})).resolves.toEqual({
+                status: 500,
+                headers: { 'Content-Type': 'application/json' },
+                body: { jsonrpc: '2.0', id: null, error: { code: -32603, message: 'Internal error' } }
+            });
+            expect(errorSpy).toHaveBeenCalledTimes(1);
+            errorSpy.mockRestore();
+        });
+    });
+
+    describe('with TraylinxAuthClient', () => {
+        let server;
+        let rpcUrl;
+
+        beforeAll(async () => {
+            const app = express();
+            app.post('/a2a/rpc', express.json(), createRpcRouter({ client: createClient(), methods }));
+            server = http.createServer(app);
+            await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+            rpcUrl = `http://127.0.0.1:${server.address().port}/a2a/rpc`;
+        });
+
+        afterAll(async () => {
+            await new Promise(resolve => server.close(resolve));
+        });
+
+        it('should serve rpcCall(), rpcBatch() and rpcNotify()', async () => {
+            const client = createClient();
+
+            await expect(client.rpcCall('whoami', {}, rpcUrl, null, { id: 'call-1' })).resolves.toEqual({
+                jsonrpc: '2.0',
+                id: 'call-1',
+                result: { sub: 'caller-agent', agentUserId: AGENT_USER_ID, authMode: 'custom', method: 'whoami', id: 'call-1' }
+            });
+            await expect(client.rpcCall('find_order', { orderId: 'o-1' }, rpcUrl)).rejects.toMatchObject({
+                rpcCode: -32004,
+                rpcData: { orderId: 'o-1' }
+            });
+
+            const [echo, missing] = await client.rpcBatch([{ method: 'echo', params: [1] }, { method: 'missing' }], { rpcUrl });
+            expect(echo.result).toEqual([1]);
+            expect(missing.error).toMatchObject({ code: 'METHOD_NOT_FOUND' });
+
+            await expect(client.rpcNotify('echo', {}, rpcUrl)).resolves.toBeUndefined();
+        });
+    });
+});
@@ -0,0 +1,283 @@
+/**
+ * Test suite for the shared token stores.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemoryTokenStore, FileTokenStore, validateTokenStore } = require('../src/tokenStore');
+const { TraylinxAuthError, ValidationError } = require('../src/errors');
+
+const tokens = {
+    accessToken: 'stored_access_token',
+    agentSecretToken: 'stored_agent_secret_token',
+    expiresAt: 1700000000000,
+    lifetime: 3600000
+};
+
+describe('MemoryTokenStore', () => {
+    let store;
+
+    beforeEach(() => {
+        store = new MemoryTokenStore();
+    });
+
+    it('should return null for unknown keys', async () => {
+        await expect(store.get('missing')).resolves.toBeNull();
+    });
+
+    it('should store and return values', async () => {
+        await store.set('key', tokens, 60000);
+        await expect(store.get('key')).resolves.toEqual(tokens);
+    });
+
+    it('should keep values without a ttl', async () => {
+        await store.set('key', tokens);
+        await expect(store.get('key')).resolves.toEqual(tokens);
+    });
+
+    it('should expire values after their ttl', async () => {
+        const now = Date.now();
+        const nowSpy = jest.spyOn(Date, 'now').mockReturnValue(now);
+
+        await store.set('key', tokens, 1000);
+        nowSpy.mockReturnValue(now + 1000);
+
+        await expect(store.get('key')).resolves.toBeNull();
+        nowSpy.mockRestore();
+    });
+
+    it('should delete values', async () => {
+        await store.set('key', tokens, 60000);
+        await store.delete('key');
+        await expect(store.get('key')).resolves.toBeNull();
+    });
+
+    it('should run lock holders on the same key one at a time', async () => {
+        const order = [];
+        const hold = name => store.lock('key', async () => {
+            order.push(`${name}:start`);
+            await new Promise(resolve => setImmediate(resolve));
+            order.push(`${name}:end`);
+            return name;
+        });
+
+        await expect(Promise.all([hold('a'), hold('b')])).resolves.toEqual(['a', 'b']);
+        expect(order).toEqual(['a:start', 'a:end', 'b:start', 'b:end']);
+        expect(store._locks.size).toBe(0);
+    });
+
+    it('should release the lock when the holder fails', async () => {
+        await expect(store.lock('key', async () => { throw new Error('fetch failed'); })).rejects.toThrow('fetch failed');
+        await expect(store.lock('key', async () => 'next')).resolves.toBe('next');
+    });
+});
+
+describe('FileTokenStore', () => {
+    let directory;
+    let store;
+
+    beforeEach(async () => {
+        directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'traylinx-store-'));
+        store = new FileTokenStore({ directory, lockTimeout: 200, staleLockAge: 10000 });
+    });
+
+    afterEach(async () => {
+        await fs.promises.rm(directory, { recursive: true, force: true });
+    });
+
+    it('should default to a directory under the system temp dir', () => {
+        const defaultStore = new FileTokenStore();
+        expect(defaultStore.directory).toBe(path.join(os.tmpdir(), 'traylinx-auth'));
+        expect(defaultStore.lockTimeout).toBe(5000);
+        expect(defaultStore.staleLockAge).toBe(30000);
+    });
+
+    it('should return null for unknown keys', async () => {
+        await expect(store.get('missing')).resolves.toBeNull();
+    });
+
+    it('should persist values across store instances', async () => {
+        await store.set('key', tokens, 60000);
+
+        const otherStore = new FileTokenStore({ directory });
+        await expect(otherStore.get('key')).resolves.toEqual(tokens);
+    });
+
+    it('should keep values without a ttl', async () => {
+        await store.set('key', tokens);
+        await expect(store.get('key')).resolves.toEqual(tokens);
+    });
+
+    it('should write token files with 0600 permissions and no leftovers', async () => {
+        await store.set('key', tokens, 60000);
+
+        const files = await fs.promises.readdir(directory);
+        expect(files).toHaveLength(1);
+        expect(files[0]).toMatch(/^[0-9a-f]{64}\.json$/);
+
+        const stats = await fs.promises.stat(path.join(directory, files[0]));
+        expect(stats.mode & 0o777).toBe(0o600);
+    });
+
+    it('should expire values after their ttl', async () => {
+        const now = Date.now();
+        const nowSpy = jest.spyOn(Date, 'now').mockReturnValue(now);
+
+        await store.set('key', tokens, 1000);
+        nowSpy.mockReturnValue(now + 1000);
+
+        await expect(store.get('key')).resolves.toBeNull();
+        nowSpy.mockRestore();
+    });
+
+    it('should treat corrupt files as a miss', async () => {
+        await fs.promises.writeFile(store._pathFor('key'), '{not json');
+        await expect(store.get('key')).resolves.toBeNull();
+    });
+
+    it('should delete values and tolerate missing files', async () => {
+        await store.set('key', tokens, 60000);
+        await store.delete('key');
+        await store.delete('key');
+
+        await expect(store.get('key')).resolves.toBeNull();
+        await expect(fs.promises.readdir(directory)).resolves.toEqual([]);
+    });
+
+    it('should serialize concurrent writers', async () => {
+        store = new FileTokenStore({ directory });
+        await Promise.all(Array.from({ length: 10 }, (_, i) => store.set('key', { ...tokens, accessToken: `token_${i}` }, 60000)));
+
+        const stored = await store.get('key');
+        expect(stored.accessToken).toMatch(/^token_\d$/);
+        await expect(fs.promises.readdir(directory)).resolves.toHaveLength(1);
+    });
+
+    it('should time out when another process holds the lock', async () => {
+        await fs.promises.writeFile(`${store._pathFor('key')}.lock`, '');
+
+        const error = await store.set('key', tokens, 60000).catch(e => e);
+
+        expect(error).toBeInstanceOf(TraylinxAuthError);
+        expect(error.code).toBe('TOKEN_STORE_LOCK_TIMEOUT');
+    });
+
+    it('should break stale locks left by crashed processes', async () => {
+        const lockPath = `${store._pathFor('key')}.lock`;
+        await fs.promises.writeFile(lockPath, '');
+        const past = new Date(Date.now() - 60000);
+        await fs.promises.utimes(lockPath, past, past);
+
+        await store.set('key', tokens, 60000);
+
+        await expect(store.get('key')).resolves.toEqual(tokens);
+        expect(fs.existsSync(lockPath)).toBe(false);
+    });
+
+    it('should remove the temporary file when the write fails', async () => {
+        const renameSpy = jest.spyOn(fs.promises, 'rename').mockRejectedValueOnce(new Error('disk full'));
+
+        await expect(store.set('key', tokens, 60000)).rejects.toThrow('disk full');
+        await expect(fs.promises.readdir(directory)).resolves.toEqual([]);
+        renameSpy.mockRestore();
+    });
+
+    it('should hold a lock that lets the holder write', async () => {
+        const otherStore = new FileTokenStore({ directory, lockTimeout: 200 });
+
+        await store.lock('key', async () => {
+            await store.set('key', tokens, 60000);
+            await expect(otherStore.lock('key', async () => {})).rejects.toMatchObject({ code: 'TOKEN_STORE_LOCK_TIMEOUT' });
+        });
+
+        await expect(otherStore.lock('key', () => otherStore.get('key'))).resolves.toEqual(tokens);
+        await expect(fs.promises.readdir(directory)).resolves.toHaveLength(1);
+    });
+
+    it('should propagate unexpected lock errors', async () => {
+        const missingDir = new FileTokenStore({ directory: path.join(directory, 'missing') });
+        await expect(missingDir.delete('key')).rejects.toMatchObject({ code: 'ENOENT' });
+    });
+});
+
+describe('FileTokenStore default directory', () => {
+    let root;
+    let directory;
+
+    beforeEach(async () => {
+        root = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'traylinx-tmp-'));
+        directory = path.join(root, 'traylinx-auth');
+        jest.spyOn(os, 'tmpdir').mockReturnValue(root);
+    });
+
+    afterEach(async () => {
+        jest.restoreAllMocks();
+        await fs.promises.rm(root, { recursive: true, force: true });
+    });
+
+    it('should create the directory with mode 0700', async () => {
+        const store = new FileTokenStore();
+        await store.set('key', tokens, 60000);
+
+        const stats = await fs.promises.stat(directory);
+        expect(stats.mode & 0o777).toBe(0o700);
+        await expect(store.get('key')).resolves.toEqual(tokens);
+    });
+
+    it('should treat a missing directory as a miss', async () => {
+        await expect(new FileTokenStore().get('key')).resolves.toBeNull();
+    });
+
+    it('should refuse a directory other users can access', async () => {
+        await fs.promises.mkdir(directory);
+        await fs.promises.chmod(directory, 0o777);
+        const store = new FileTokenStore();
+
+        await expect(store.set('key', tokens, 60000)).rejects.toMatchObject({ code: 'TOKEN_STORE_INSECURE_DIRECTORY' });
+        await expect(store.get('key')).rejects.toBeInstanceOf(TraylinxAuthError);
+        await expect(store.lock('key', async () => {})).rejects.toMatchObject({ code: 'TOKEN_STORE_INSECURE_DIRECTORY' });
+        await expect(fs.promises.readdir(directory)).resolves.toEqual([]);
+    });
+
+    it('should refuse a directory owned by another user', async () => {
+        await fs.promises.mkdir(directory, { mode: 0o700 });
+        jest.spyOn(process, 'getuid').mockReturnValue(process.getuid() + 1);
+
+        await expect(new FileTokenStore().delete('key')).rejects.toMatchObject({ code: 'TOKEN_STORE_INSECURE_DIRECTORY' });
+    });
+
+    it('should refuse a symlink', async () => {
+        const target = path.join(root, 'target');
+        await fs.promises.mkdir(target, { mode: 0o700 });
+        await fs.promises.symlink(target, directory);
+
+        await expect(new FileTokenStore().set('key', tokens, 60000)).rejects.toMatchObject({ code: 'TOKEN_STORE_INSECURE_DIRECTORY' });
+    });
+
+    it('should propagate unexpected stat errors', async () => {
+        jest.spyOn(fs.promises, 'lstat').mockRejectedValueOnce(Object.assign(new Error('denied'), { code: 'EACCES' }));
+
+        await expect(new FileTokenStore().get('key')).rejects.toMatchObject({ code: 'EACCES' });
+    });
+
+    it('should not check explicitly configured directories', async () => {
+        await fs.promises.mkdir(directory);
+        await fs.promises.chmod(directory, 0o755);
+
+        await new FileTokenStore({ directory }).set('key', tokens, 60000);
+    });
+});
+
+describe('validateTokenStore', () => {
+    it('should accept objects implementing the interface', () => {
+        const store = new MemoryTokenStore();
+        expect(validateTokenStore(store)).toBe(store);
+    });
+
+    it('should reject incomplete stores', () => {
+        expect(() => validateTokenStore({ get: async () => null })).toThrow(ValidationError);
+        expect(() => validateTokenStore({ get: async () => null })).toThrow('Token store must implement async set, delete method(s)');
+        expect(() => validateTokenStore(null)).toThrow('get, set, delete');
+    });
+});